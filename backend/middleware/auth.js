@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const { can } = require('../utils/permissions');
 
 // Middleware to verify JWT token
 const auth = async (req, res, next) => {
@@ -13,6 +15,16 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens are only valid while the session they were issued for is live
+    const session = await sessionService.validate(decoded.sessionId, decoded.userId);
+
+    if (!session) {
+      return res.status(401).json({ 
+        message: 'Session has ended, please sign in again' 
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -28,6 +40,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -59,7 +72,6 @@ const adminAuth = async (req, res, next) => {
       });
     }
 
-    // Check if user has admin role (you can add admin field to User model)
     if (req.user.role !== 'admin') {
       return res.status(403).json({ 
         message: 'Admin access required' 
@@ -75,6 +87,39 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
+// Middleware to check platform permissions; passes if the user holds any
+// of the listed permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        message: 'Authentication required' 
+      });
+    }
+
+    if (!permissions.some(permission => can(req.user, permission))) {
+      return res.status(403).json({ 
+        message: 'You do not have permission to perform this action' 
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware to keep social features for verified emails when
+// REQUIRE_EMAIL_VERIFICATION=true
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user?.emailVerified) {
+    return next();
+  }
+
+  res.status(403).json({ 
+    message: 'Please verify your email address to use social features',
+    emailVerified: false
+  });
+};
+
 // Middleware to check if user owns the resource
 const resourceOwner = (resourceField = 'userId') => {
   return (req, res, next) => {
@@ -141,6 +186,8 @@ const updateLastActivity = async (req, res, next) => {
 module.exports = {
   auth,
   adminAuth,
+  requirePermission,
+  requireVerifiedEmail,
   resourceOwner,
   validateRequest,
   updateLastActivity
@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+
+// Socket.io middleware to verify the JWT sent in the handshake
+// (auth: { token }) and attach the user to the socket. The session id is kept
+// in socket.data so revoking the session can disconnect the socket.
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('No token provided, authorization denied'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await sessionService.validate(decoded.sessionId, decoded.userId);
+
+    if (!session) {
+      return next(new Error('Session has ended, please sign in again'));
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('username profile.firstName profile.avatar socialData.friends socialData.groups isActive emailVerified');
+
+    if (!user) {
+      return next(new Error('Token is not valid, user not found'));
+    }
+
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated'));
+    }
+
+    socket.user = user;
+    socket.data.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired'));
+    }
+
+    console.error('Socket auth middleware error:', error);
+    next(new Error('Server error during authentication'));
+  }
+};
+
+module.exports = socketAuth;
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const encryptionService = require('../services/encryptionService');
+const {
+  toDateKey,
+  getZonedParts,
+  parseTimeOfDay,
+  addDays,
+  diffDays,
+  weekdayOf,
+  zonedTimeToUtc
+} = require('../utils/timezone');
 
 const activitySchema = new mongoose.Schema({
   userId: {
@@ -8,7 +18,7 @@ const activitySchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['affirmation', 'meditation', 'journaling', 'exercise', 'breathing', 'stretching', 'skincare', 'reading', 'music', 'custom'],
+    enum: ['affirmation', 'meditation', 'journaling', 'exercise', 'breathing', 'stretching', 'skincare', 'reading', 'music', 'tip', 'custom'],
     required: true
   },
   category: {
@@ -22,10 +32,11 @@ const activitySchema = new mongoose.Schema({
     trim: true,
     maxlength: 200
   },
+  // Sealed (see below) for journaling entries
   content: {
     type: String,
-    required: true,
-    maxlength: 2000
+    required: function() { return !this.sealed?.content; },
+    maxlength: [2000, 'Content cannot be more than 2000 characters']
   },
   description: {
     type: String,
@@ -40,6 +51,11 @@ const activitySchema = new mongoose.Schema({
     enum: ['beginner', 'intermediate', 'advanced'],
     default: 'beginner'
   },
+  steps: [{
+    type: String,
+    trim: true,
+    maxlength: 300
+  }],
   tags: [{
     type: String,
     trim: true
@@ -65,7 +81,7 @@ const activitySchema = new mongoose.Schema({
     },
     feedback: {
       type: String,
-      maxlength: 500
+      maxlength: [500, 'Feedback cannot be more than 500 characters']
     },
     mood: {
       before: {
@@ -79,9 +95,17 @@ const activitySchema = new mongoose.Schema({
     },
     notes: {
       type: String,
-      maxlength: 1000
+      maxlength: [1000, 'Notes cannot be more than 1000 characters']
     }
   },
+  // Encrypted copies of the private text fields, which are then not stored
+  // in plaintext; see sealedFields
+  sealed: {
+    keyVersion: Number,
+    content: String,
+    notes: String,
+    feedback: String
+  },
   socialData: {
     isShared: {
       type: Boolean,
@@ -117,23 +141,85 @@ const activitySchema = new mongoose.Schema({
         required: true,
         maxlength: 300
       },
+      isHidden: {
+        type: Boolean,
+        default: false
+      },
+      hiddenAt: Date,
+      hiddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
       createdAt: {
         type: Date,
         default: Date.now
       }
     }]
   },
+  // Set when a moderator hides the activity from everyone but its owner
+  moderation: {
+    isHidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenAt: Date,
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   scheduledFor: Date,
   reminderSent: {
     type: Boolean,
     default: false
   },
+  // Set on recurring activities. Occurrences are materialized as separate
+  // activities by the reminder scheduler and point back via recurrenceParentId.
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'interval']
+    },
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    interval: {
+      type: Number,
+      min: 1,
+      max: 365
+    },
+    time: String, // 'HH:mm' in the user's timezone
+    startDate: Date,
+    endDate: Date,
+    materializedUntil: Date
+  },
+  recurrenceParentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  },
+  // Set on activities brought in by services/importService
+  importSource: {
+    format: {
+      type: String,
+      enum: ['native', 'csv', 'dayone']
+    },
+    externalId: String,
+    importedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.sealed;
+      return ret;
+    }
+  }
 });
 
 // Indexes for better query performance
@@ -141,16 +227,151 @@ activitySchema.index({ userId: 1, createdAt: -1 });
 activitySchema.index({ userId: 1, type: 1 });
 activitySchema.index({ userId: 1, 'completionData.isCompleted': 1 });
 activitySchema.index({ scheduledFor: 1 });
+activitySchema.index({ 'recurrence.frequency': 1, 'recurrence.materializedUntil': 1 });
+activitySchema.index(
+  { recurrenceParentId: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { recurrenceParentId: { $exists: true } } }
+);
 activitySchema.index({ 'socialData.isShared': 1, createdAt: -1 });
+activitySchema.index(
+  { userId: 1, 'importSource.externalId': 1 },
+  { partialFilterExpression: { 'importSource.externalId': { $exists: true } } }
+);
+
+// Private text is encrypted with the owner's data key (services/encryptionService).
+// Documents hold plaintext in memory: it is sealed on save and insertMany and
+// opened after find, findOne and findOneAndUpdate, so code using the model
+// doesn't see the difference. Lean cursors skip query hooks and must call
+// Activity.openSealed themselves. Updates can't set these paths directly,
+// and aggregations never see the ciphertext.
+const SEALED_PATHS = {
+  content: 'content',
+  notes: 'completionData.notes',
+  feedback: 'completionData.feedback'
+};
+
+// Fields sealed for an activity type; only journaling content is private
+const sealedFields = (type) => (type === 'journaling' ? ['content', 'notes', 'feedback'] : ['notes', 'feedback']);
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => {
+    if (!value[key]) value[key] = {};
+    return value[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+activitySchema.pre('save', async function() {
+  if (!encryptionService.enabled) return;
+
+  const fields = sealedFields(this.type);
+  const changed = this.isNew || this.isModified('type') ||
+    fields.some(field => this.isModified(SEALED_PATHS[field]));
+  if (!changed) return;
+
+  // Every field is resealed together, so all of them must be loaded
+  if (!this.isNew && !this.isSelected('sealed')) {
+    throw new Error('Select sealed fields before changing private activity text');
+  }
+
+  // Content that stops being private goes back to plaintext
+  if (this.isModified('type')) this.markModified('content');
+
+  const values = Object.fromEntries(fields.map(field => [field, this.get(SEALED_PATHS[field])]));
+  this.sealed = await encryptionService.seal(this.userId, values) || undefined;
+
+  if (this.sealed) {
+    this.$locals.unsealed = values;
+    fields.forEach(field => this.set(SEALED_PATHS[field], undefined));
+  }
+});
+
+// Put the plaintext back on the saved document
+activitySchema.post('save', function() {
+  const values = this.$locals.unsealed;
+  if (!values) return;
+
+  delete this.$locals.unsealed;
+  for (const [field, value] of Object.entries(values)) {
+    this.set(SEALED_PATHS[field], value);
+    this.unmarkModified(SEALED_PATHS[field]);
+  }
+});
+
+activitySchema.pre('insertMany', async function(next, docs) {
+  try {
+    for (const doc of [].concat(docs)) {
+      const sealed = await Activity.sealFields(doc.userId, doc.type, {
+        content: doc.content,
+        notes: doc.completionData?.notes,
+        feedback: doc.completionData?.feedback
+      });
+
+      if (sealed) {
+        doc.sealed = sealed;
+        sealedFields(doc.type).forEach(field => setPath(doc, SEALED_PATHS[field], undefined));
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// An inclusive projection that asks for private text also needs the sealed
+// copy and what's needed to open it
+activitySchema.pre(['find', 'findOne', 'findOneAndUpdate'], function() {
+  const projection = this.projection();
+  if (!projection) return;
+
+  const values = Object.values(projection);
+  const inclusive = values.length > 0 && values.every(value => value === 1 || value === true);
+  const wantsPrivate = Object.keys(projection).some(path =>
+    path === 'completionData' || Object.values(SEALED_PATHS).includes(path)
+  );
+
+  if (inclusive && wantsPrivate) {
+    this.select('sealed userId type');
+  }
+});
+
+activitySchema.post(['find', 'findOne', 'findOneAndUpdate'], async function(result) {
+  await Activity.openSealed(result);
+});
+
+activitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+  const update = this.getUpdate() || {};
+  const sets = [update, update.$set, update.$setOnInsert].filter(Boolean);
+
+  const touchesPrivate = sets.some(set => Object.keys(set).some(path =>
+    path === 'completionData.notes' || path === 'completionData.feedback' ||
+    (path === 'completionData' && (set[path]?.notes !== undefined || set[path]?.feedback !== undefined))
+  ));
+
+  if (touchesPrivate && encryptionService.enabled) {
+    throw new Error('Private activity text must be changed with save() or Activity.sealFields');
+  }
+});
+
+// Keep ciphertext out of every aggregation result, dropping it right after
+// the leading $match stages so index use is unaffected
+activitySchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const index = pipeline.findIndex(stage => !('$match' in stage));
+  pipeline.splice(index === -1 ? pipeline.length : index, 0, { $unset: 'sealed' });
+});
 
 // Virtual for like count
 activitySchema.virtual('likeCount').get(function() {
   return this.socialData.likes.length;
 });
 
-// Virtual for comment count
+// Virtual for comment count (comments hidden by moderators excluded)
 activitySchema.virtual('commentCount').get(function() {
-  return this.socialData.comments.length;
+  return this.socialData.comments.filter(comment => !comment.isHidden).length;
 });
 
 // Method to mark activity as completed
@@ -164,6 +385,39 @@ activitySchema.methods.markCompleted = function(rating, feedback, moodBefore, mo
   this.completionData.notes = notes;
 };
 
+// Method to get the recurrence occurrences in (from, to] for a timezone
+activitySchema.methods.getOccurrencesBetween = function(from, to, timeZone) {
+  const { frequency, daysOfWeek, interval, time, startDate, endDate } = this.recurrence || {};
+
+  if (!frequency) return [];
+
+  const start = startDate || this.scheduledFor || this.createdAt;
+  const startKey = toDateKey(start, timeZone);
+  const startParts = getZonedParts(start, timeZone);
+  const { hour, minute } = parseTimeOfDay(time) || startParts;
+  const until = endDate && endDate < to ? endDate : to;
+  const occurrences = [];
+
+  // Walk local calendar days so DST changes keep the same wall-clock time
+  for (let dateKey = toDateKey(from, timeZone); diffDays(dateKey, toDateKey(until, timeZone)) >= 0; dateKey = addDays(dateKey, 1)) {
+    const dayIndex = diffDays(startKey, dateKey);
+    if (dayIndex < 0) continue;
+
+    const matches = frequency === 'daily'
+      || (frequency === 'weekly' && daysOfWeek.includes(weekdayOf(dateKey)))
+      || (frequency === 'interval' && dayIndex % interval === 0);
+
+    if (!matches) continue;
+
+    const occurrence = zonedTimeToUtc(dateKey, hour, minute, timeZone);
+    if (occurrence > from && occurrence <= until && occurrence >= start) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences;
+};
+
 // Method to add like
 activitySchema.methods.addLike = function(userId) {
   const existingLike = this.socialData.likes.find(like => 
@@ -202,6 +456,7 @@ activitySchema.methods.getPublicData = function() {
     description: this.description,
     duration: this.duration,
     difficulty: this.difficulty,
+    steps: this.steps,
     tags: this.tags,
     completionData: {
       isCompleted: this.completionData.isCompleted,
@@ -210,7 +465,7 @@ activitySchema.methods.getPublicData = function() {
     },
     socialData: {
       likes: this.socialData.likes,
-      comments: this.socialData.comments
+      comments: this.socialData.comments.filter(comment => !comment.isHidden)
     },
     createdAt: this.createdAt,
     likeCount: this.likeCount,
@@ -218,6 +473,45 @@ activitySchema.methods.getPublicData = function() {
   };
 };
 
+// Static method to encrypt an activity's private text for writes that
+// bypass save(), such as upserts. Returns the value for `sealed`, or null
+// when there is nothing private to store (or encryption is off), in which
+// case the fields are stored as they are.
+activitySchema.statics.sealFields = async function(userId, type, values) {
+  if (!encryptionService.enabled) return null;
+
+  const fields = sealedFields(type);
+  return encryptionService.seal(userId, Object.fromEntries(fields.map(field => [field, values[field]])));
+};
+
+// Static method to decrypt private text in place on documents or lean
+// objects. Lean objects lose their sealed copy.
+activitySchema.statics.openSealed = async function(result) {
+  const docs = [].concat(result || []).filter(Boolean);
+
+  for (const doc of docs) {
+    const isDocument = doc instanceof mongoose.Document;
+    const sealed = isDocument ? doc.get('sealed') : doc.sealed;
+
+    if (!sealed?.keyVersion) continue;
+
+    const values = await encryptionService.open(doc.userId, sealed);
+
+    for (const [field, value] of Object.entries(values)) {
+      if (isDocument) {
+        doc.set(SEALED_PATHS[field], value);
+        doc.unmarkModified(SEALED_PATHS[field]);
+      } else {
+        setPath(doc, SEALED_PATHS[field], value);
+      }
+    }
+
+    if (!isDocument) delete doc.sealed;
+  }
+
+  return result;
+};
+
 // Static method to get user's activity stats
 activitySchema.statics.getUserStats = async function(userId) {
   const stats = await this.aggregate([
@@ -299,4 +593,6 @@ activitySchema.statics.getTrendingActivities = async function(limit = 10) {
   ]);
 };
 
-module.exports = mongoose.model('Activity', activitySchema);
\ No newline at end of file
+const Activity = mongoose.model('Activity', activitySchema);
+
+module.exports = Activity;
\ No newline at end of file
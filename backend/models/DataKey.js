@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A user's data encryption key, stored wrapped (encrypted) by a master key
+// from configuration; see services/encryptionService. A user has one key
+// per version; the highest version encrypts new data and older ones are
+// kept until nothing sealed with them is left.
+const dataKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  // Which master key wrapped it
+  masterKeyId: {
+    type: String,
+    required: true
+  },
+  rewrappedAt: Date
+}, {
+  timestamps: true
+});
+
+dataKeySchema.index({ userId: 1, version: -1 }, { unique: true });
+dataKeySchema.index({ masterKeyId: 1 });
+
+module.exports = mongoose.model('DataKey', dataKeySchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A request to erase an account. The account is deactivated straight away
+// and erased by services/erasureWorker once the grace period ends, unless
+// the request is cancelled first. Completed steps are recorded as they
+// finish so an interrupted erasure resumes where it stopped. The request
+// outlives the account as the erasure receipt; the contact details it
+// needs to send that receipt are removed once it is sent.
+const erasureRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the token that cancels the request and reads its receipt
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contact: {
+    email: String,
+    name: String
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'processing', 'completed', 'failed'],
+    default: 'scheduled'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  steps: [{
+    name: String,
+    action: {
+      type: String,
+      enum: ['deleted', 'anonymized']
+    },
+    count: Number,
+    completedAt: Date
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+erasureRequestSchema.index({ userId: 1, status: 1 });
+erasureRequestSchema.index({ status: 1, scheduledFor: 1 });
+
+// Method to check whether a step already ran
+erasureRequestSchema.methods.hasCompleted = function(stepName) {
+  return this.steps.some(step => step.name === stepName);
+};
+
+// Method to get request data without the token hash or contact details
+erasureRequestSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    status: this.status,
+    requestedAt: this.requestedAt,
+    scheduledFor: this.scheduledFor,
+    cancelledAt: this.cancelledAt,
+    completedAt: this.completedAt
+  };
+};
+
+module.exports = mongoose.model('ErasureRequest', erasureRequestSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A data export run in the background by services/exportWorker. The file is
+// written under EXPORT_DIR and served through short-lived signed download
+// links. Jobs and their files are removed once the job expires.
+const exportJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'csv', 'ndjson', 'zip'],
+    required: true
+  },
+  filters: {
+    from: Date,
+    to: Date,
+    types: [String],
+    collections: [String]
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  fileName: String,
+  filePath: String,
+  size: Number,
+  recordCount: Number,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ userId: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+// Method to get job data without the file path
+exportJobSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    format: this.format,
+    filters: this.filters,
+    status: this.status,
+    fileName: this.fileName,
+    size: this.size,
+    recordCount: this.recordCount,
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
@@ -45,6 +45,31 @@ const groupSchema = new mongoose.Schema({
       default: true
     }
   }],
+  joinRequests: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      maxlength: 300
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   challenges: [{
     title: {
       type: String,
@@ -67,6 +92,22 @@ const groupSchema = new mongoose.Schema({
         enum: ['days', 'activities', 'minutes', 'points']
       }
     },
+    // Only completed activities matching these count toward progress;
+    // empty lists match everything
+    filters: {
+      activityTypes: [{
+        type: String
+      }],
+      categories: [{
+        type: String
+      }]
+    },
+    // Sum of all participants' progress, used by group_goal challenges
+    groupProgress: {
+      type: Number,
+      default: 0
+    },
+    goalReachedAt: Date,
     startDate: {
       type: Date,
       required: true
@@ -100,8 +141,35 @@ const groupSchema = new mongoose.Schema({
       },
       name: String,
       description: String,
-      icon: String
+      icon: String,
+      amount: Number // points granted by a `points` reward
     }],
+    // Lifecycle: scheduled -> active on startDate -> completed after endDate.
+    // `finalizing` marks a claimed finalization that is still in progress.
+    status: {
+      type: String,
+      enum: ['scheduled', 'active', 'finalizing', 'completed'],
+      default: 'scheduled'
+    },
+    activatedAt: Date,
+    finalizingAt: Date,
+    finalizedAt: Date,
+    results: {
+      standings: [{
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        rank: Number,
+        progress: Number,
+        isCompleted: Boolean
+      }],
+      participantCount: Number,
+      completedCount: Number,
+      groupProgress: Number,
+      postId: mongoose.Schema.Types.ObjectId,
+      computedAt: Date
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -141,6 +209,11 @@ const groupSchema = new mongoose.Schema({
       activityId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Activity'
+      },
+      achievement: {
+        type: { type: String },
+        tier: Number,
+        name: String
       }
     }],
     reactions: [{
@@ -168,6 +241,15 @@ const groupSchema = new mongoose.Schema({
         required: true,
         maxlength: 500
       },
+      isHidden: {
+        type: Boolean,
+        default: false
+      },
+      hiddenAt: Date,
+      hiddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
       createdAt: {
         type: Date,
         default: Date.now
@@ -177,6 +259,22 @@ const groupSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    pinnedAt: Date,
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    editedAt: Date,
+    // Set when a moderator hides the post
+    isHidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenAt: Date,
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -195,6 +293,10 @@ const groupSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    postChallengeResults: {
+      type: Boolean,
+      default: true
+    },
     maxMembers: {
       type: Number,
       default: 100
@@ -266,6 +368,25 @@ groupSchema.methods.addMember = function(userId, role = 'member') {
   }
 };
 
+// Method to get an active member
+groupSchema.methods.getMember = function(userId) {
+  return this.members.find(member =>
+    member.userId.toString() === userId.toString() && member.isActive
+  ) || null;
+};
+
+// Method to get a user's pending join request
+groupSchema.methods.getPendingRequest = function(userId) {
+  return this.joinRequests.find(request =>
+    request.userId.toString() === userId.toString() && request.status === 'pending'
+  ) || null;
+};
+
+// Method to check member limit
+groupSchema.methods.isFull = function() {
+  return this.memberCount >= this.settings.maxMembers;
+};
+
 // Method to remove member
 groupSchema.methods.removeMember = function(userId) {
   const member = this.members.find(member => 
@@ -377,6 +498,17 @@ groupSchema.methods.addReactionToPost = function(postId, userId, reactionType) {
   }
 };
 
+// Method to remove reaction from post
+groupSchema.methods.removeReactionFromPost = function(postId, userId) {
+  const post = this.posts.id(postId);
+
+  if (post) {
+    post.reactions = post.reactions.filter(r =>
+      r.userId.toString() !== userId.toString()
+    );
+  }
+};
+
 // Method to add comment to post
 groupSchema.methods.addCommentToPost = function(postId, userId, content) {
   const post = this.posts.id(postId);
@@ -387,6 +519,7 @@ groupSchema.methods.addCommentToPost = function(postId, userId, content) {
       content,
       createdAt: new Date()
     });
+    return post.comments[post.comments.length - 1];
   }
 };
 
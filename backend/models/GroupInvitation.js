@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Invitation to join a group. Direct invitations name an invitee; link
+// invitations don't, and can be redeemed by anyone holding the token up to
+// maxUses times. Only a hash of the token is stored.
+const groupInvitationSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  uses: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+groupInvitationSchema.index({ groupId: 1, status: 1 });
+groupInvitationSchema.index({ invitee: 1, status: 1 });
+
+// Virtual for expiry
+groupInvitationSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Method to check whether the invitation can still be used
+groupInvitationSchema.methods.isUsable = function() {
+  return this.status === 'pending' && !this.isExpired && this.uses.length < this.maxUses;
+};
+
+// Method to get invitation data without the token hash
+groupInvitationSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    groupId: this.groupId,
+    invitedBy: this.invitedBy,
+    invitee: this.invitee,
+    status: this.status,
+    isExpired: this.isExpired,
+    maxUses: this.maxUses,
+    useCount: this.uses.length,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+groupInvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create an invitation; returns it with the raw token
+groupInvitationSchema.statics.issue = async function(data) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const invitation = await this.create({
+    ...data,
+    tokenHash: this.hashToken(token)
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find an invitation by raw token
+groupInvitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(String(token)) });
+};
+
+module.exports = mongoose.model('GroupInvitation', groupInvitationSchema);
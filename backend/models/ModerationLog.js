@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Append-only record of moderation actions. Entries are written by
+// services/moderationService and never edited or removed.
+const moderationLogSchema = new mongoose.Schema({
+  // Empty for actions taken by the system, such as an expired suspension
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['hide', 'restore', 'suspend', 'reactivate', 'dismiss_report'],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'activity', 'comment', 'group_post', 'group_comment', 'report'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owner of the content, or the suspended user
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Parents of nested content
+  activityId: mongoose.Schema.Types.ObjectId,
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  postId: mongoose.Schema.Types.ObjectId,
+  reason: {
+    type: String,
+    maxlength: 1000
+  },
+  expiresAt: Date,
+  reportIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+moderationLogSchema.index({ targetUserId: 1, createdAt: -1 });
+moderationLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+moderationLogSchema.index({ actorId: 1, createdAt: -1 });
+
+// Reject edits to existing entries
+const immutable = function(next) {
+  next(new Error('Moderation log entries cannot be modified'));
+};
+
+moderationLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], immutable);
+moderationLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Moderation log entries cannot be modified'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const encryptionService = require('../services/encryptionService');
+
+// A standalone mood check-in. The note is private text and is stored
+// encrypted with the owner's data key, the same way as activity notes (see
+// models/Activity): sealed on save, opened after find and findOne, never
+// visible to aggregations.
+const moodEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mood: {
+    type: String,
+    enum: ['stressed', 'anxious', 'sad', 'neutral', 'happy', 'excited', 'calm', 'energetic'],
+    required: true
+  },
+  // How strongly the mood is felt, 1 (barely) to 5 (overwhelmingly)
+  intensity: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: 3
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  // When the mood was felt; defaults to when it was logged
+  loggedAt: {
+    type: Date,
+    default: Date.now
+  },
+  sealed: {
+    keyVersion: Number,
+    note: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.sealed;
+      return ret;
+    }
+  }
+});
+
+moodEntrySchema.index({ userId: 1, loggedAt: -1 });
+
+moodEntrySchema.pre('save', async function() {
+  if (!encryptionService.enabled || !(this.isNew || this.isModified('note'))) return;
+
+  this.sealed = await encryptionService.seal(this.userId, { note: this.note }) || undefined;
+
+  if (this.sealed) {
+    this.$locals.note = this.note;
+    this.note = undefined;
+  }
+});
+
+// Put the plaintext note back on the saved document
+moodEntrySchema.post('save', function() {
+  if (this.$locals.note === undefined) return;
+
+  this.note = this.$locals.note;
+  this.unmarkModified('note');
+  delete this.$locals.note;
+});
+
+moodEntrySchema.pre(['find', 'findOne'], function() {
+  const projection = this.projection();
+  const values = Object.values(projection || {});
+  const inclusive = values.length > 0 && values.every(value => value === 1 || value === true);
+
+  if (inclusive && projection.note) {
+    this.select('sealed userId');
+  }
+});
+
+moodEntrySchema.post(['find', 'findOne', 'findOneAndUpdate'], async function(result) {
+  await MoodEntry.openSealed(result);
+});
+
+moodEntrySchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const index = pipeline.findIndex(stage => !('$match' in stage));
+  pipeline.splice(index === -1 ? pipeline.length : index, 0, { $unset: 'sealed' });
+});
+
+// Static method to decrypt notes in place on documents or lean objects
+moodEntrySchema.statics.openSealed = async function(result) {
+  const entries = [].concat(result || []).filter(Boolean);
+
+  for (const entry of entries) {
+    const isDocument = entry instanceof mongoose.Document;
+    const sealed = isDocument ? entry.get('sealed') : entry.sealed;
+
+    if (!sealed?.keyVersion) continue;
+
+    const { note } = await encryptionService.open(entry.userId, sealed);
+
+    if (isDocument) {
+      entry.set('note', note);
+      entry.unmarkModified('note');
+    } else {
+      entry.note = note;
+      delete entry.sealed;
+    }
+  }
+
+  return result;
+};
+
+// Method to get entry data for its owner
+moodEntrySchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    mood: this.mood,
+    intensity: this.intensity,
+    note: this.note,
+    tags: this.tags,
+    loggedAt: this.loggedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const MoodEntry = mongoose.model('MoodEntry', moodEntrySchema);
+
+module.exports = MoodEntry;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const notificationTypes = [
+  // Social
+  'friend-request',
+  'friend-accepted',
+  'activity-like',
+  'activity-comment',
+  'activity-shared',
+  'new-affirmation',
+  'group-invitation',
+  'group-invitation-response',
+  'group-join-request',
+  'group-join-response',
+  'group-post',
+  'group-comment',
+  'challenge-progress',
+  // System
+  'achievement-unlocked',
+  'challenge-completed',
+  'challenge-results',
+  'activity-reminder',
+  'daily-reminder',
+  'system'
+];
+
+const socialTypes = notificationTypes.slice(0, notificationTypes.indexOf('achievement-unlocked'));
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: notificationTypes,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['social', 'system'],
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    maxlength: 500
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to mark notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+};
+
+notificationSchema.statics.types = notificationTypes;
+notificationSchema.statics.socialTypes = socialTypes;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A report about a user or a piece of social content, reviewed through the
+// moderation queue. Nested content keeps its parents so moderators can act
+// on it without searching.
+const reportSchema = new mongoose.Schema({
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'activity', 'comment', 'group_post', 'group_comment'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activityId: mongoose.Schema.Types.ObjectId,
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  postId: mongoose.Schema.Types.ObjectId,
+  category: {
+    type: String,
+    enum: ['spam', 'harassment', 'hate', 'self_harm', 'sexual_content', 'misinformation', 'impersonation', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'actioned', 'dismissed'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ targetUserId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Report', reportSchema);
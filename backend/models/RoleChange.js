@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of platform and group role changes. Entries are
+// written by services/roleService and never edited or removed.
+const roleChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['platform', 'group'],
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  previousRole: String,
+  newRole: {
+    type: String,
+    required: true
+  },
+  // Empty when the change was made from the command line
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['api', 'bootstrap'],
+    default: 'api'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+roleChangeSchema.index({ userId: 1, createdAt: -1 });
+roleChangeSchema.index({ groupId: 1, createdAt: -1 });
+
+// Reject edits to existing entries
+const immutable = function(next) {
+  next(new Error('Role change entries cannot be modified'));
+};
+
+roleChangeSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], immutable);
+roleChangeSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Role change entries cannot be modified'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('RoleChange', roleChangeSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Record of high-risk language detected by the safety service.
+// Deliberately stores no user text: only where it was found, what kind of
+// risk was detected and what we did about it.
+const safetyEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['activity_completion', 'activity_comment', 'group_post', 'group_comment', 'mood_entry', 'ai_output'],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  fields: [{
+    type: String
+  }],
+  level: {
+    type: String,
+    enum: ['medium', 'high'],
+    required: true
+  },
+  categories: [{
+    type: String,
+    enum: ['suicidal_ideation', 'self_harm', 'hopelessness', 'harmful_guidance']
+  }],
+  action: {
+    type: String,
+    enum: ['logged', 'resources_shown', 'content_replaced'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reviewed', 'dismissed'],
+    default: 'open'
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: {
+      type: String,
+      maxlength: 1000
+    }
+  }
+}, {
+  timestamps: true
+});
+
+safetyEventSchema.index({ status: 1, level: 1, createdAt: -1 });
+safetyEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SafetyEvent', safetyEventSchema);
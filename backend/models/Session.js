@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A signed-in device. Access tokens carry the session id and are only
+// accepted while the session is live; the refresh token is rotated on every
+// use and only its hash is stored. The previous hash is kept so a replayed
+// refresh token can be detected and the session revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'password_changed', 'password_reset', 'account_deactivated', 'account_suspended', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB purge sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still authenticate requests
+sessionSchema.methods.isLive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to get session data without token hashes
+sessionSchema.methods.getPublicData = function(currentSessionId) {
+  return {
+    _id: this._id,
+    device: this.device,
+    ip: this.ip,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+sessionSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One document per user per local calendar day with activity (or a freeze).
+// This history is the source of truth for streaks; User.streakData is a
+// denormalized copy kept in sync by the streak service.
+const streakDaySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: String, // 'YYYY-MM-DD' in the user's timezone
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'frozen'],
+    default: 'active'
+  },
+  activitiesCompleted: {
+    type: Number,
+    default: 0
+  },
+  minutes: {
+    type: Number,
+    default: 0
+  },
+  // Streak length as of the end of this day (frozen days bridge but don't count)
+  streakLength: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+streakDaySchema.index({ userId: 1, date: 1 }, { unique: true });
+streakDaySchema.index({ date: 1 });
+
+module.exports = mongoose.model('StreakDay', streakDaySchema);
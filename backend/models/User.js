@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { resolveTimeZone, toDateKey, addDays, zonedTimeToUtc, parseTimeOfDay } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -74,7 +76,26 @@ const userSchema = new mongoose.Schema({
       socialUpdates: {
         type: Boolean,
         default: true
-      }
+      },
+      // Per-channel opt-outs: stored in the notification center, pushed live
+      // over Socket.io, and sent through the out-of-band notifier
+      channels: {
+        inApp: {
+          type: Boolean,
+          default: true
+        },
+        realtime: {
+          type: Boolean,
+          default: true
+        },
+        push: {
+          type: Boolean,
+          default: true
+        }
+      },
+      mutedTypes: [{
+        type: String
+      }]
     },
     contentPreferences: {
       preferredActivityTypes: [{
@@ -113,11 +134,26 @@ const userSchema = new mongoose.Schema({
       default: 0
     },
     lastActivityDate: Date,
+    lastActiveDay: String, // 'YYYY-MM-DD' in the user's timezone
     totalActivitiesCompleted: {
       type: Number,
       default: 0
+    },
+    freezesAvailable: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    freezesUsed: {
+      type: Number,
+      default: 0
     }
   },
+  points: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   socialData: {
     friends: [{
       userId: {
@@ -141,7 +177,7 @@ const userSchema = new mongoose.Schema({
       },
       role: {
         type: String,
-        enum: ['member', 'admin'],
+        enum: ['member', 'moderator', 'admin'],
         default: 'member'
       },
       joinedAt: {
@@ -164,26 +200,121 @@ const userSchema = new mongoose.Schema({
   achievements: [{
     type: {
       type: String,
-      enum: ['first_activity', 'week_streak', 'month_streak', 'social_butterfly', 'goal_achiever']
+      enum: [
+        'first_activity', 'week_streak', 'month_streak', 'social_butterfly', 'goal_achiever',
+        'challenge_champion', 'early_bird', 'night_owl'
+      ]
+    },
+    tier: {
+      type: Number,
+      default: 1
     },
+    name: String,
     unlockedAt: {
       type: Date,
       default: Date.now
     },
     description: String
   }],
+  completedChallenges: [{
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    },
+    challengeId: mongoose.Schema.Types.ObjectId,
+    title: String,
+    rank: Number,
+    progress: Number,
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  challengeRewards: [{
+    type: {
+      type: String,
+      enum: ['badge', 'points', 'title', 'custom']
+    },
+    name: String,
+    description: String,
+    icon: String,
+    amount: Number,
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    },
+    challengeId: mongoose.Schema.Types.ObjectId,
+    awardedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Platform role; see utils/permissions for what each grants
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin', 'coach'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set while isActive is false because a moderator suspended the account;
+  // no expiresAt means until reactivated
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date
+  },
   lastLogin: Date,
+  reminderState: {
+    lastDailyReminderOn: String, // 'YYYY-MM-DD' in the user's timezone
+    // When the next daily reminder is due; null without a valid reminder time
+    nextDailyReminderAt: Date
+  },
   emailVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: Date,
+  // Only hashes of emailed tokens are stored
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+  // TOTP two-factor authentication; secrets and recovery code hashes are
+  // only loaded when explicitly selected
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    enabledAt: Date,
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  }
 }, {
   timestamps: true
 });
@@ -192,6 +323,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ 'socialData.friends.userId': 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ 'reminderState.nextDailyReminderAt': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -206,40 +340,39 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Reschedule the daily reminder when its time or the user's timezone changes
+userSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('profile.timezone') || this.isModified('preferences')) {
+    this.reminderState.nextDailyReminderAt = this.nextDailyReminder();
+  }
+  next();
+});
+
+// Instant of the daily reminder on a local calendar day, or null when the
+// user has no valid reminder time
+userSchema.methods.dailyReminderOn = function(dateKey) {
+  const reminderTime = parseTimeOfDay(this.preferences?.notificationSettings?.affirmationTime);
+  if (!reminderTime) return null;
+
+  return zonedTimeToUtc(dateKey, reminderTime.hour, reminderTime.minute, resolveTimeZone(this.profile?.timezone));
+};
+
+// Next daily reminder to send: today's unless it already went out,
+// otherwise tomorrow's
+userSchema.methods.nextDailyReminder = function(now = new Date()) {
+  const today = toDateKey(now, resolveTimeZone(this.profile?.timezone));
+  const day = this.reminderState?.lastDailyReminderOn === today ? addDays(today, 1) : today;
+  return this.dailyReminderOn(day);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Update streak method
-userSchema.methods.updateStreak = function() {
-  const today = new Date();
-  const lastActivity = this.streakData.lastActivityDate;
-  
-  if (!lastActivity) {
-    this.streakData.currentStreak = 1;
-    this.streakData.lastActivityDate = today;
-  } else {
-    const daysDiff = Math.floor((today - lastActivity) / (1000 * 60 * 60 * 24));
-    
-    if (daysDiff === 1) {
-      // Consecutive day
-      this.streakData.currentStreak += 1;
-      this.streakData.lastActivityDate = today;
-    } else if (daysDiff > 1) {
-      // Streak broken
-      this.streakData.currentStreak = 1;
-      this.streakData.lastActivityDate = today;
-    }
-    // Same day, no change needed
-  }
-  
-  // Update longest streak if current is higher
-  if (this.streakData.currentStreak > this.streakData.longestStreak) {
-    this.streakData.longestStreak = this.streakData.currentStreak;
-  }
-  
-  this.streakData.totalActivitiesCompleted += 1;
+// Static method to hash emailed verification and reset tokens
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
 };
 
 // Get user's public profile
@@ -258,6 +391,7 @@ userSchema.methods.getPublicProfile = function() {
       totalActivitiesCompleted: this.streakData.totalActivitiesCompleted
     },
     achievements: this.achievements,
+    rewards: this.challengeRewards.filter(reward => ['badge', 'title'].includes(reward.type)),
     createdAt: this.createdAt
   };
 };
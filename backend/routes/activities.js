@@ -1,7 +1,12 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
 const Activity = require('../models/Activity');
-const User = require('../models/User');
+const safetyService = require('../services/safetyService');
+const streakService = require('../services/streakService');
+const domainEvents = require('../services/events');
+const notificationService = require('../services/notificationService');
+const { shareActivityWithFriends, isBlocked } = require('../services/socialService');
+const { parseTimeOfDay } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -66,13 +71,13 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   GET /api/activities/:id
-// @desc    Get single activity by ID
+// @desc    Get single activity by ID (own, or shared with the user)
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
     const activity = await Activity.findOne({
       _id: req.params.id,
-      userId: req.user._id,
+      $or: [{ userId: req.user._id }, { 'socialData.sharedWith.userId': req.user._id }],
       isActive: true
     })
     .populate('socialData.likes.userId', 'username profile.firstName profile.avatar')
@@ -82,6 +87,13 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Activity not found' });
     }
 
+    if (!activity.userId.equals(req.user._id)) {
+      if (await isBlocked(req.user._id, activity.userId)) {
+        return res.status(404).json({ message: 'Activity not found' });
+      }
+      return res.json({ activity: activity.getPublicData() });
+    }
+
     res.json({ activity });
 
   } catch (error) {
@@ -107,7 +119,8 @@ router.post('/', auth, async (req, res) => {
       duration,
       difficulty,
       tags,
-      scheduledFor
+      scheduledFor,
+      recurrence
     } = req.body;
 
     // Validation
@@ -117,6 +130,11 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    const recurrenceResult = parseRecurrence(recurrence, scheduledFor);
+    if (recurrenceResult.error) {
+      return res.status(400).json({ message: recurrenceResult.error });
+    }
+
     const activity = new Activity({
       userId: req.user._id,
       type,
@@ -128,6 +146,7 @@ router.post('/', auth, async (req, res) => {
       difficulty: difficulty || 'beginner',
       tags: tags || [],
       scheduledFor: scheduledFor ? new Date(scheduledFor) : undefined,
+      recurrence: recurrenceResult.value,
       isAIGenerated: false
     });
 
@@ -169,7 +188,8 @@ router.put('/:id', auth, async (req, res) => {
       duration,
       difficulty,
       tags,
-      scheduledFor
+      scheduledFor,
+      recurrence
     } = req.body;
 
     // Update fields
@@ -179,10 +199,32 @@ router.put('/:id', auth, async (req, res) => {
     if (duration !== undefined) activity.duration = duration;
     if (difficulty !== undefined) activity.difficulty = difficulty;
     if (tags !== undefined) activity.tags = tags;
-    if (scheduledFor !== undefined) activity.scheduledFor = scheduledFor ? new Date(scheduledFor) : null;
+    if (scheduledFor !== undefined) {
+      activity.scheduledFor = scheduledFor ? new Date(scheduledFor) : null;
+      activity.reminderSent = false;
+    }
+
+    if (recurrence !== undefined) {
+      if (activity.recurrenceParentId) {
+        return res.status(400).json({ message: 'Edit the recurring activity instead of a single occurrence' });
+      }
+
+      const recurrenceResult = parseRecurrence(recurrence, activity.scheduledFor);
+      if (recurrenceResult.error) {
+        return res.status(400).json({ message: recurrenceResult.error });
+      }
+
+      activity.recurrence = recurrenceResult.value || {};
+    }
 
     await activity.save();
 
+    // Drop upcoming occurrences once the new rule is saved; the scheduler
+    // regenerates them from it
+    if (recurrence !== undefined) {
+      await removeUpcomingOccurrences(activity._id);
+    }
+
     res.json({
       message: 'Activity updated successfully',
       activity
@@ -218,19 +260,31 @@ router.post('/:id/complete', auth, async (req, res) => {
       return res.status(400).json({ message: 'Activity already completed' });
     }
 
+    // Screen private reflections for crisis language before saving
+    const support = await safetyService.screenUserInput(
+      { notes, feedback },
+      { userId: req.user._id, source: 'activity_completion', sourceId: activity._id }
+    );
+
     // Mark as completed
     activity.markCompleted(rating, feedback, moodBefore, moodAfter, notes);
     await activity.save();
 
     // Update user streak
-    const user = await User.findById(req.user._id);
-    user.updateStreak();
-    await user.save();
+    const previousStreak = req.user.streakData.currentStreak;
+    const streakData = await streakService.recordCompletion(req.user._id, {
+      completedAt: activity.completionData.completedAt,
+      minutes: activity.duration
+    });
+
+    domainEvents.publish('activity.completed', { userId: req.user._id, activity });
+    domainEvents.publish('streak.updated', { userId: req.user._id, streakData, previousStreak });
 
     res.json({
       message: 'Activity completed successfully',
       activity,
-      streakData: user.streakData
+      streakData,
+      ...(support && { support })
     });
 
   } catch (error) {
@@ -245,10 +299,11 @@ router.post('/:id/complete', auth, async (req, res) => {
 // @route   POST /api/activities/:id/like
 // @desc    Like/unlike activity
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const activity = await Activity.findOne({
       _id: req.params.id,
+      'moderation.isHidden': { $ne: true },
       isActive: true
     });
 
@@ -260,6 +315,11 @@ router.post('/:id/like', auth, async (req, res) => {
       like.userId.toString() === req.user._id.toString()
     );
 
+    // An earlier like can still be taken back after a block
+    if (!existingLike && await isBlocked(req.user._id, activity.userId)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+
     if (existingLike) {
       // Unlike
       activity.removeLike(req.user._id);
@@ -270,6 +330,20 @@ router.post('/:id/like', auth, async (req, res) => {
 
     await activity.save();
 
+    if (!existingLike && activity.userId.toString() !== req.user._id.toString()) {
+      await notificationService.notify(activity.userId, {
+        type: 'activity-like',
+        title: 'Activity Liked',
+        body: `${req.user.username} liked your activity`,
+        actorId: req.user._id,
+        data: {
+          activityId: activity._id,
+          activityTitle: activity.title,
+          user: notificationService.actorOf(req.user)
+        }
+      });
+    }
+
     res.json({
       message: existingLike ? 'Activity unliked' : 'Activity liked',
       likeCount: activity.socialData.likes.length,
@@ -288,7 +362,7 @@ router.post('/:id/like', auth, async (req, res) => {
 // @route   POST /api/activities/:id/comment
 // @desc    Add comment to activity
 // @access  Private
-router.post('/:id/comment', auth, async (req, res) => {
+router.post('/:id/comment', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { content } = req.body;
 
@@ -298,6 +372,7 @@ router.post('/:id/comment', auth, async (req, res) => {
 
     const activity = await Activity.findOne({
       _id: req.params.id,
+      'moderation.isHidden': { $ne: true },
       isActive: true
     });
 
@@ -305,6 +380,15 @@ router.post('/:id/comment', auth, async (req, res) => {
       return res.status(404).json({ message: 'Activity not found' });
     }
 
+    if (await isBlocked(req.user._id, activity.userId)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+
+    const support = await safetyService.screenUserInput(
+      { content },
+      { userId: req.user._id, source: 'activity_comment', sourceId: activity._id }
+    );
+
     activity.addComment(req.user._id, content.trim());
     await activity.save();
 
@@ -313,10 +397,26 @@ router.post('/:id/comment', auth, async (req, res) => {
 
     const newComment = activity.socialData.comments[activity.socialData.comments.length - 1];
 
+    if (activity.userId.toString() !== req.user._id.toString()) {
+      await notificationService.notify(activity.userId, {
+        type: 'activity-comment',
+        title: 'New Comment',
+        body: `${req.user.username} commented on your activity`,
+        actorId: req.user._id,
+        data: {
+          activityId: activity._id,
+          activityTitle: activity.title,
+          commentId: newComment._id,
+          user: notificationService.actorOf(req.user)
+        }
+      });
+    }
+
     res.json({
       message: 'Comment added successfully',
       comment: newComment,
-      commentCount: activity.socialData.comments.length
+      commentCount: activity.socialData.comments.length,
+      ...(support && { support })
     });
 
   } catch (error) {
@@ -331,7 +431,7 @@ router.post('/:id/comment', auth, async (req, res) => {
 // @route   POST /api/activities/:id/share
 // @desc    Share activity with friends or make public
 // @access  Private
-router.post('/:id/share', auth, async (req, res) => {
+router.post('/:id/share', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { shareWith, makePublic } = req.body;
 
@@ -349,26 +449,18 @@ router.post('/:id/share', auth, async (req, res) => {
       activity.socialData.isShared = true;
     }
 
+    // Only accepted friends can receive a direct share
+    let rejected = [];
     if (shareWith && Array.isArray(shareWith)) {
-      shareWith.forEach(userId => {
-        const existingShare = activity.socialData.sharedWith.find(share => 
-          share.userId.toString() === userId.toString()
-        );
-        
-        if (!existingShare) {
-          activity.socialData.sharedWith.push({
-            userId,
-            sharedAt: new Date()
-          });
-        }
-      });
+      ({ rejected } = await shareActivityWithFriends(activity, req.user, shareWith));
+    } else {
+      await activity.save();
     }
 
-    await activity.save();
-
     res.json({
       message: 'Activity shared successfully',
-      activity: activity.getPublicData()
+      activity: activity.getPublicData(),
+      ...(rejected.length > 0 && { notShared: rejected })
     });
 
   } catch (error) {
@@ -398,6 +490,10 @@ router.delete('/:id', auth, async (req, res) => {
     activity.isActive = false;
     await activity.save();
 
+    if (activity.recurrence?.frequency) {
+      await removeUpcomingOccurrences(activity._id);
+    }
+
     res.json({ message: 'Activity deleted successfully' });
 
   } catch (error) {
@@ -459,4 +555,68 @@ router.get('/stats/summary', auth, async (req, res) => {
   }
 });
 
+// Helper function to validate a recurrence rule from the request body.
+// Returns { value } (undefined when no recurrence was given) or { error }.
+function parseRecurrence(recurrence, scheduledFor) {
+  if (recurrence === undefined || recurrence === null) {
+    return { value: undefined };
+  }
+
+  const { frequency, daysOfWeek, interval, time, endDate } = recurrence;
+
+  if (!['daily', 'weekly', 'interval'].includes(frequency)) {
+    return { error: 'Recurrence frequency must be daily, weekly or interval' };
+  }
+
+  if (frequency === 'weekly' && (
+    !Array.isArray(daysOfWeek) ||
+    daysOfWeek.length === 0 ||
+    !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+  )) {
+    return { error: 'Weekly recurrence needs daysOfWeek between 0 (Sunday) and 6 (Saturday)' };
+  }
+
+  if (frequency === 'interval' && (!Number.isInteger(interval) || interval < 1 || interval > 365)) {
+    return { error: 'Interval recurrence needs an interval between 1 and 365 days' };
+  }
+
+  if (time !== undefined && !parseTimeOfDay(time)) {
+    return { error: 'Recurrence time must be in HH:mm format' };
+  }
+
+  const startDate = scheduledFor ? new Date(scheduledFor) : new Date();
+  const end = endDate ? new Date(endDate) : undefined;
+
+  if (end && (isNaN(end) || end < startDate)) {
+    return { error: 'Recurrence end date must be after the start date' };
+  }
+
+  return {
+    value: {
+      frequency,
+      daysOfWeek: frequency === 'weekly' ? [...new Set(daysOfWeek)].sort() : [],
+      interval: frequency === 'interval' ? interval : undefined,
+      time,
+      startDate,
+      endDate: end
+    }
+  };
+}
+
+// Helper function to remove not-yet-due occurrences of a recurring activity.
+// Resetting materializedUntil afterwards makes the scheduler fill the horizon
+// again, including anything it materialized while the occurrences were removed.
+async function removeUpcomingOccurrences(parentId) {
+  await Activity.deleteMany({
+    recurrenceParentId: parentId,
+    scheduledFor: { $gt: new Date() },
+    'completionData.isCompleted': false
+  });
+
+  await Activity.updateOne(
+    { _id: parentId },
+    { $unset: { 'recurrence.materializedUntil': 1 } }
+  );
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,147 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth, requirePermission } = require('../middleware/auth');
+const User = require('../models/User');
+const RoleChange = require('../models/RoleChange');
+const roleService = require('../services/roleService');
+
+const router = express.Router();
+
+// @route   GET /api/admin/users
+// @desc    List users with their roles
+// @access  Admin
+router.get('/users', auth, requirePermission('users:manage_roles'), async (req, res) => {
+  try {
+    const { role, q, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (q) {
+      const pattern = new RegExp(escapeRegex(String(q)), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(filter)
+      .select('username email role isActive emailVerified lastLogin createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      message: 'Error fetching users',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change a user's platform role
+// @access  Admin
+router.put('/users/:userId/role', auth, requirePermission('users:manage_roles'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { change, error } = await roleService.setPlatformRole(user, role, {
+      changedBy: req.user._id,
+      reason
+    });
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      message: change ? 'Role updated successfully' : 'User already has this role',
+      user: {
+        _id: user._id,
+        username: user.username,
+        role: user.role
+      },
+      change
+    });
+
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      message: 'Error updating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/admin/role-changes
+// @desc    Audit trail of platform and group role changes
+// @access  Admin
+router.get('/role-changes', auth, requirePermission('roles:audit'), async (req, res) => {
+  try {
+    const { userId, groupId, scope, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (groupId) filter.groupId = groupId;
+    if (scope) filter.scope = scope;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const changes = await RoleChange.find(filter)
+      .populate('userId', 'username')
+      .populate('changedBy', 'username')
+      .populate('groupId', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await RoleChange.countDocuments(filter);
+
+    res.json({
+      changes,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get role changes error:', error);
+    res.status(500).json({
+      message: 'Error fetching role changes',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Helper function to use user input inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = router;
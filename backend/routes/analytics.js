@@ -1,7 +1,14 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { auth } = require('../middleware/auth');
 const Activity = require('../models/Activity');
+const ExportJob = require('../models/ExportJob');
 const User = require('../models/User');
+const streakService = require('../services/streakService');
+const exportService = require('../services/exportService');
+const exportWorker = require('../services/exportWorker');
+const moodService = require('../services/moodService');
+const importService = require('../services/importService');
 
 const router = express.Router();
 
@@ -11,63 +18,24 @@ const router = express.Router();
 router.get('/streaks', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
-    
-    // Get daily activity data for the last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const dailyActivities = await Activity.aggregate([
-      {
-        $match: {
-          userId: user._id,
-          'completionData.isCompleted': true,
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' },
-            day: { $dayOfMonth: '$createdAt' }
-          },
-          count: { $sum: 1 },
-          date: { $first: '$createdAt' }
-        }
-      },
-      {
-        $sort: { date: 1 }
-      }
-    ]);
+    // Streaks and the calendar come from the per-day history in the
+    // user's own timezone
+    const streakData = await streakService.getSummary(user);
+    const streakCalendar = await streakService.getCalendar(user, 30);
 
-    // Calculate streak calendar data
-    const streakCalendar = [];
-    const today = new Date();
-    
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      
-      const dayData = dailyActivities.find(day => {
-        const dayDate = new Date(day.date);
-        return dayDate.toDateString() === date.toDateString();
-      });
-
-      streakCalendar.push({
-        date: date.toISOString().split('T')[0],
-        count: dayData ? dayData.count : 0,
-        hasActivity: !!dayData
-      });
-    }
+    const activeDays = streakCalendar.filter(day => day.hasActivity);
+    const totalActivities = activeDays.reduce((sum, day) => sum + day.count, 0);
 
     res.json({
-      streakData: user.streakData,
+      streakData,
       streakCalendar,
       analytics: {
-        activeDays: dailyActivities.length,
-        totalActivities: dailyActivities.reduce((sum, day) => sum + day.count, 0),
-        averagePerDay: dailyActivities.length > 0 
-          ? (dailyActivities.reduce((sum, day) => sum + day.count, 0) / dailyActivities.length).toFixed(1)
+        activeDays: activeDays.length,
+        frozenDays: streakCalendar.filter(day => day.frozen).length,
+        totalActivities,
+        averagePerDay: activeDays.length > 0
+          ? (totalActivities / activeDays.length).toFixed(1)
           : 0
       }
     });
@@ -81,6 +49,65 @@ router.get('/streaks', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/analytics/streaks/freezes
+// @desc    Buy streak freezes with points
+// @access  Private
+router.post('/streaks/freezes', auth, async (req, res) => {
+  try {
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (quantity < 1 || quantity > streakService.freezeMax) {
+      return res.status(400).json({
+        message: `You can buy between 1 and ${streakService.freezeMax} freezes`
+      });
+    }
+
+    const user = await streakService.purchaseFreezes(req.user._id, quantity);
+
+    if (!user) {
+      return res.status(400).json({
+        message: `Not enough points or already holding the maximum of ${streakService.freezeMax} freezes`,
+        cost: quantity * streakService.freezeCost
+      });
+    }
+
+    res.json({
+      message: 'Streak freeze purchased',
+      freezesAvailable: user.streakData.freezesAvailable,
+      points: user.points
+    });
+
+  } catch (error) {
+    console.error('Purchase streak freeze error:', error);
+    res.status(500).json({
+      message: 'Error purchasing streak freeze',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/analytics/streaks/recompute
+// @desc    Recompute streak data from the daily history
+// @access  Private
+router.post('/streaks/recompute', auth, async (req, res) => {
+  try {
+    await streakService.recompute(req.user._id);
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      message: 'Streak recomputed from history',
+      streakData: await streakService.getSummary(user)
+    });
+
+  } catch (error) {
+    console.error('Recompute streak error:', error);
+    res.status(500).json({
+      message: 'Error recomputing streak',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 // @route   GET /api/analytics/progress
 // @desc    Get user's progress analytics
 // @access  Private
@@ -261,6 +288,29 @@ router.get('/progress', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/analytics/mood
+// @desc    Get daily and weekly mood distributions and trend from check-ins
+// @access  Private
+router.get('/mood', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const analytics = await moodService.getAnalytics(user, { period: req.query.period });
+
+    if (analytics.error) {
+      return res.status(analytics.error.status).json({ message: analytics.error.message });
+    }
+
+    res.json(analytics);
+
+  } catch (error) {
+    console.error('Get mood analytics error:', error);
+    res.status(500).json({
+      message: 'Error fetching mood analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 // @route   GET /api/analytics/insights
 // @desc    Get AI-powered insights about user's wellness journey
 // @access  Private
@@ -429,60 +479,37 @@ router.get('/insights', auth, async (req, res) => {
 });
 
 // @route   GET /api/analytics/export
-// @desc    Export user's data
+// @desc    Export user's data as JSON, CSV, NDJSON or a zip bundle. Large
+//          exports are queued as a background job instead.
 // @access  Private
 router.get('/export', auth, async (req, res) => {
   try {
-    const { format = 'json' } = req.query;
-
-    const user = await User.findById(req.user._id).select('-password');
-    const activities = await Activity.find({ userId: req.user._id });
-
-    const exportData = {
-      user: {
-        profile: user.profile,
-        preferences: user.preferences,
-        streakData: user.streakData,
-        achievements: user.achievements,
-        exportedAt: new Date().toISOString()
-      },
-      activities: activities.map(activity => ({
-        type: activity.type,
-        category: activity.category,
-        title: activity.title,
-        content: activity.content,
-        duration: activity.duration,
-        difficulty: activity.difficulty,
-        completed: activity.completionData.isCompleted,
-        completedAt: activity.completionData.completedAt,
-        rating: activity.completionData.rating,
-        feedback: activity.completionData.feedback,
-        moodBefore: activity.completionData.mood?.before,
-        moodAfter: activity.completionData.mood?.after,
-        createdAt: activity.createdAt
-      })),
-      summary: {
-        totalActivities: activities.length,
-        completedActivities: activities.filter(a => a.completionData.isCompleted).length,
-        currentStreak: user.streakData.currentStreak,
-        longestStreak: user.streakData.longestStreak
-      }
-    };
-
-    if (format === 'csv') {
-      // Convert to CSV format
-      const csv = this.convertToCSV(exportData.activities);
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename="wellness-data.csv"');
-      res.send(csv);
-    } else {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename="wellness-data.json"');
-      res.json(exportData);
+    const { value: options, error } = exportService.parseOptions(req.query);
+
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
+    const isLarge = req.query.async === 'true' ||
+      await exportService.estimateRecords(req.user._id, options.filters) > exportService.syncMaxRecords;
+
+    if (isLarge) {
+      return queueExport(req, res, options);
+    }
+
+    res.setHeader('Content-Type', exportService.contentType(options.format));
+    res.setHeader('Content-Disposition', `attachment; filename="${exportService.fileName(options.format, options.filters)}"`);
+
+    await exportService.write(req.user._id, options, res);
+
   } catch (error) {
     console.error('Export data error:', error);
+
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
     res.status(500).json({
       message: 'Error exporting data',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
@@ -490,30 +517,202 @@ router.get('/export', auth, async (req, res) => {
   }
 });
 
-// Helper function to convert data to CSV
-function convertToCSV(activities) {
-  const headers = [
-    'Date', 'Type', 'Category', 'Title', 'Duration', 'Difficulty',
-    'Completed', 'Rating', 'Mood Before', 'Mood After', 'Feedback'
-  ];
-
-  const rows = activities.map(activity => [
-    new Date(activity.createdAt).toISOString().split('T')[0],
-    activity.type,
-    activity.category,
-    activity.title,
-    activity.duration,
-    activity.difficulty,
-    activity.completed ? 'Yes' : 'No',
-    activity.rating || '',
-    activity.moodBefore || '',
-    activity.moodAfter || '',
-    activity.feedback || ''
-  ]);
-
-  return [headers, ...rows]
-    .map(row => row.map(field => `"${field}"`).join(','))
-    .join('\n');
+// @route   POST /api/analytics/export/jobs
+// @desc    Queue a background export
+// @access  Private
+router.post('/export/jobs', auth, async (req, res) => {
+  try {
+    const { value: options, error } = exportService.parseOptions(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await queueExport(req, res, options);
+
+  } catch (error) {
+    console.error('Create export job error:', error);
+    res.status(500).json({
+      message: 'Error queueing export',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/analytics/export/jobs
+// @desc    Get the user's recent exports
+// @access  Private
+router.get('/export/jobs', auth, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ jobs: jobs.map(job => job.getPublicData()) });
+
+  } catch (error) {
+    console.error('Get export jobs error:', error);
+    res.status(500).json({
+      message: 'Error fetching exports',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/analytics/export/jobs/:jobId
+// @desc    Get an export's status, with a download link once it is ready
+// @access  Private
+router.get('/export/jobs/:jobId', auth, async (req, res) => {
+  try {
+    const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+      ? await ExportJob.findOne({ _id: req.params.jobId, userId: req.user._id })
+      : null;
+
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    res.json({
+      job: job.getPublicData(),
+      ...(job.status === 'completed' && { download: exportService.downloadLink(job) })
+    });
+
+  } catch (error) {
+    console.error('Get export job error:', error);
+    res.status(500).json({
+      message: 'Error fetching export',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/analytics/export/jobs/:jobId/download
+// @desc    Download a finished export through a signed link
+// @access  Public (signed token)
+router.get('/export/jobs/:jobId/download', async (req, res) => {
+  try {
+    const jobId = exportService.readDownloadToken(req.query.token);
+
+    if (!jobId || jobId !== req.params.jobId) {
+      return res.status(401).json({ message: 'Download link is invalid or has expired' });
+    }
+
+    const job = await ExportJob.findOne({
+      _id: jobId,
+      status: 'completed',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found or has expired' });
+    }
+
+    res.setHeader('Content-Type', exportService.contentType(job.format));
+    res.download(job.filePath, job.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download export error:', error);
+        res.status(404).json({ message: 'Export file is no longer available' });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      message: 'Error downloading export',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/analytics/import/formats
+// @desc    List the import formats and the fields CSV columns can map to
+// @access  Private
+router.get('/import/formats', auth, (req, res) => {
+  res.json({ formats: importService.listFormats() });
+});
+
+// @route   POST /api/analytics/import/preview
+// @desc    Dry run an import: what would be added, skipped as duplicate or rejected
+// @access  Private
+router.post('/import/preview', auth, async (req, res) => {
+  try {
+    const { summary, error } = await importService.preview(req.user, importOptions(req.body));
+
+    if (error) {
+      return sendImportError(res, error);
+    }
+
+    res.json({ preview: summary });
+
+  } catch (error) {
+    console.error('Preview import error:', error);
+    res.status(500).json({
+      message: 'Error previewing import',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/analytics/import
+// @desc    Import activity history from an export, a CSV file or a Day One journal
+// @access  Private
+router.post('/import', auth, async (req, res) => {
+  try {
+    const { summary, imported, streakData, error } = await importService.run(req.user, importOptions(req.body));
+
+    if (error) {
+      return sendImportError(res, error);
+    }
+
+    res.status(imported > 0 ? 201 : 200).json({
+      message: imported > 0
+        ? `Imported ${imported} ${imported === 1 ? 'activity' : 'activities'}`
+        : 'Nothing new to import',
+      summary,
+      streakData
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      message: 'Error importing activities',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Helper function to read import options from a request body
+function importOptions(body = {}) {
+  return {
+    format: body.format,
+    content: body.content,
+    mapping: body.mapping && typeof body.mapping === 'object' ? body.mapping : undefined,
+    defaults: body.defaults && typeof body.defaults === 'object' ? body.defaults : undefined
+  };
+}
+
+// Helper function to send an import error, with the CSV columns when mapping failed
+function sendImportError(res, { status, message, columns, suggestedMapping }) {
+  return res.status(status).json({
+    message,
+    ...(columns && { columns, suggestedMapping })
+  });
+}
+
+// Helper function to queue a background export and start the worker on it
+async function queueExport(req, res, options) {
+  const { job, error } = await exportService.createJob(req.user._id, options);
+
+  if (error) {
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  exportWorker.tick();
+
+  res.status(202).json({
+    message: 'Your export is being prepared; you will be notified when it is ready',
+    job: job.getPublicData()
+  });
 }
 
 module.exports = router;
\ No newline at end of file
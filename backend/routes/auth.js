@@ -1,12 +1,20 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const mailer = require('../services/mailer');
+const twoFactorService = require('../services/twoFactorService');
+const moderationService = require('../services/moderationService');
+const erasureService = require('../services/erasureService');
+const { platformPermissions } = require('../utils/permissions');
 const { auth, validateRequest } = require('../middleware/auth');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
 
+const RESET_TOKEN_TTL_MINUTES = 60;
+
 // Rate limiting for auth routes
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -16,15 +24,6 @@ const authLimiter = rateLimit({
   }
 });
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
-};
-
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -76,20 +75,22 @@ router.post('/register', authLimiter, async (req, res) => {
         lastName: lastName || ''
       },
       primaryGoal,
-      currentMood: currentMood || 'neutral',
-      emailVerificationToken: crypto.randomBytes(32).toString('hex')
+      currentMood: currentMood || 'neutral'
     });
 
+    const verificationToken = setVerificationToken(user);
     await user.save();
+    await sendEmail(user, 'verification', verificationEmailData(verificationToken));
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken, expiresAt } = await sessionService.create(user._id, req);
 
     // Return user data without password
     const userData = {
       _id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       profile: user.profile,
       primaryGoal: user.primaryGoal,
       currentMood: user.currentMood,
@@ -101,6 +102,8 @@ router.post('/register', authLimiter, async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresAt,
       user: userData
     });
 
@@ -136,53 +139,111 @@ router.post('/login', authLimiter, async (req, res) => {
       });
     }
 
+    // Verify password
+    const isMatch = await user.comparePassword(password);
+
+    // Suspensions that have run out are lifted when the owner signs in
+    if (isMatch) {
+      await moderationService.liftExpiredSuspension(user);
+    }
+
     // Check if account is active
     if (!user.isActive) {
+      // Only the account owner gets told that it is about to be erased, so
+      // they can still cancel; a suspension can't be lifted until they do
+      const erasure = isMatch && await erasureService.findPending(user._id);
+      if (erasure) {
+        return res.status(403).json({
+          message: 'Account is scheduled for erasure',
+          erasure: erasure.getPublicData(),
+          canCancel: erasure.status === 'scheduled'
+        });
+      }
+
+      // ...or why it was suspended
+      if (user.suspension?.suspendedAt && isMatch) {
+        return res.status(403).json({
+          message: 'Account is suspended',
+          reason: user.suspension.reason,
+          suspendedUntil: user.suspension.expiresAt || null
+        });
+      }
+
       return res.status(401).json({
         message: 'Account is deactivated'
       });
     }
 
-    // Verify password
-    const isMatch = await user.comparePassword(password);
-
     if (!isMatch) {
       return res.status(401).json({
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.twoFactor?.enabled) {
+      const { challengeToken, expiresAt } = twoFactorService.issueChallenge(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken,
+        expiresAt
+      });
+    }
 
-    // Return user data without password
-    const userData = {
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      profile: user.profile,
-      primaryGoal: user.primaryGoal,
-      currentMood: user.currentMood,
-      preferences: user.preferences,
-      streakData: user.streakData,
-      socialData: user.socialData,
-      achievements: user.achievements,
-      lastLogin: user.lastLogin,
-      createdAt: user.createdAt
-    };
+    await completeLogin(user, req, res);
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: userData
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a two-factor login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Please provide challenge token and an authentication or recovery code'
+      });
+    }
+
+    const userId = twoFactorService.readChallenge(challengeToken);
+
+    if (!userId) {
+      return res.status(401).json({
+        message: 'Login challenge is invalid or has expired, please sign in again'
+      });
+    }
+
+    const user = await twoFactorService.loadUser(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        message: 'Invalid credentials'
+      });
+    }
+
+    const isValid = await twoFactorService.verify(user, { code, recoveryCode });
+
+    if (!isValid) {
+      return res.status(401).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res);
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       message: 'Server error during login',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
@@ -190,6 +251,148 @@ router.post('/login', authLimiter, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const rotated = await sessionService.rotate(refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({
+        message: 'Session has ended, please sign in again'
+      });
+    }
+
+    const user = await User.findById(rotated.session.userId).select('isActive');
+
+    if (!user || !user.isActive) {
+      await sessionService.revoke(rotated.session.userId, rotated.session._id, 'account_deactivated');
+      return res.status(401).json({
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresAt: rotated.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      message: 'Server error while refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessionService.revoke(req.user._id, req.sessionId, 'logout');
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => session.getPublicData(req.sessionId))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other session
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAll(req.user._id, {
+      except: req.sessionId
+    });
+
+    res.json({
+      message: 'Signed out of all other sessions',
+      revokedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      message: 'Server error while revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one session
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    const revoked = await sessionService.revoke(req.user._id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Server error while revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -210,6 +413,7 @@ router.get('/me', auth, async (req, res) => {
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         profile: user.profile,
         primaryGoal: user.primaryGoal,
         currentMood: user.currentMood,
@@ -217,6 +421,9 @@ router.get('/me', auth, async (req, res) => {
         streakData: user.streakData,
         socialData: user.socialData,
         achievements: user.achievements,
+        twoFactorEnabled: user.twoFactor.enabled,
+        role: user.role,
+        permissions: platformPermissions(user),
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
       }
@@ -326,8 +533,15 @@ router.post('/change-password', auth, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out everywhere and give this device a fresh session
+    await sessionService.revokeAll(user._id, { reason: 'password_changed' });
+    const { token, refreshToken, expiresAt } = await sessionService.create(user._id, req);
+
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      expiresAt
     });
 
   } catch (error) {
@@ -361,19 +575,19 @@ router.post('/forgot-password', authLimiter, async (req, res) => {
       });
     }
 
-    // Generate reset token
+    // Generate reset token; only its hash is stored
     const resetToken = crypto.randomBytes(32).toString('hex');
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = Date.now() + 3600000; // 1 hour
+    user.passwordResetToken = User.hashToken(resetToken);
+    user.passwordResetExpires = Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000;
 
     await user.save();
+    await sendEmail(user, 'passwordReset', {
+      url: frontendUrl(`/reset-password?token=${resetToken}`),
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+    });
 
-    // TODO: Send email with reset link
-    // For now, just return success message
     res.json({
-      message: 'If an account with that email exists, a password reset link has been sent',
-      // In development, return the token
-      ...(process.env.NODE_ENV === 'development' && { resetToken })
+      message: 'If an account with that email exists, a password reset link has been sent'
     });
 
   } catch (error) {
@@ -405,7 +619,7 @@ router.post('/reset-password', authLimiter, async (req, res) => {
     }
 
     const user = await User.findOne({
-      passwordResetToken: token,
+      passwordResetToken: User.hashToken(token),
       passwordResetExpires: { $gt: Date.now() }
     });
 
@@ -421,6 +635,7 @@ router.post('/reset-password', authLimiter, async (req, res) => {
     user.passwordResetExpires = undefined;
 
     await user.save();
+    await sessionService.revokeAll(user._id, { reason: 'password_reset' });
 
     res.json({
       message: 'Password reset successfully'
@@ -435,6 +650,287 @@ router.post('/reset-password', authLimiter, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    res.json(twoFactorService.getStatus(user));
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the provisioning URI
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        message: 'Please provide your password'
+      });
+    }
+
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        message: 'Password is incorrect'
+      });
+    }
+
+    const { secret, otpauthUrl } = await twoFactorService.startEnrollment(user);
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Server error while setting up two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrollment with a first code and enable two-factor
+// @access  Private
+router.post('/2fa/confirm', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        message: 'Please provide the code from your authenticator app'
+      });
+    }
+
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      message: 'Server error while enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor (requires password and a code)
+// @access  Private
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const user = await reauthenticateTwoFactor(req, res);
+    if (!user) return;
+
+    await twoFactorService.disable(user);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      message: 'Server error while disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires password and a code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const user = await reauthenticateTwoFactor(req, res);
+    if (!user) return;
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    res.json({
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      message: 'Server error while generating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email
+// @desc    Verify email from the emailed link; browsers are sent on to the app
+// @access  Public
+router.get('/verify-email', async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const user = await verifyEmailToken(req.query.token);
+
+    if (wantsHtml) {
+      return res.redirect(frontendUrl(`/login?emailVerified=${user ? 'success' : 'invalid'}`));
+    }
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+
+    if (wantsHtml) {
+      return res.redirect(frontendUrl('/login?emailVerified=error'));
+    }
+
+    res.status(500).json({
+      message: 'Server error while verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email with token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        message: 'Please provide verification token'
+      });
+    }
+
+    const user = await verifyEmailToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      message: 'Server error while verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        message: 'Email is already verified'
+      });
+    }
+
+    // Throttle resends per account
+    const interval = (parseInt(process.env.EMAIL_RESEND_INTERVAL_SECONDS, 10) || 60) * 1000;
+    const waitMs = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() + interval - Date.now()
+      : 0;
+
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Please wait before requesting another verification email',
+        retryAfter
+      });
+    }
+
+    const verificationToken = setVerificationToken(user);
+    await user.save();
+
+    const sent = await sendEmail(user, 'verification', verificationEmailData(verificationToken));
+
+    if (!sent) {
+      return res.status(502).json({
+        message: 'Could not send verification email, please try again later'
+      });
+    }
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Server error while sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 // @route   DELETE /api/auth/account
 // @desc    Deactivate user account
 // @access  Private
@@ -462,6 +958,7 @@ router.delete('/account', auth, async (req, res) => {
     // Deactivate account instead of deleting
     user.isActive = false;
     await user.save();
+    await sessionService.revokeAll(user._id, { reason: 'account_deactivated' });
 
     res.json({
       message: 'Account deactivated successfully'
@@ -476,4 +973,271 @@ router.delete('/account', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/account/erasure
+// @desc    Deactivate the account now and erase all of its data after a grace period
+// @access  Private
+router.post('/account/erasure', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        message: 'Please provide your password to confirm account erasure'
+      });
+    }
+
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.twoFactor?.enabled && !(await twoFactorService.verify(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { request, token, error } = await erasureService.schedule(user);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const url = erasureService.statusUrl(token);
+    await sendEmail(user, 'erasureScheduled', { scheduledFor: request.scheduledFor, url });
+
+    res.status(202).json({
+      message: `Your account is deactivated and will be erased on ${request.scheduledFor.toISOString().slice(0, 10)}; you can cancel until then`,
+      erasure: request.getPublicData(),
+      // Cancels the erasure and reads its receipt; also sent by email
+      token
+    });
+
+  } catch (error) {
+    console.error('Schedule erasure error:', error);
+    res.status(500).json({
+      message: 'Server error while scheduling account erasure',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/auth/account/erasure
+// @desc    Get an erasure's status, with its receipt once complete
+// @access  Public (erasure token)
+router.get('/account/erasure', async (req, res) => {
+  try {
+    const request = await erasureService.findByToken(req.query.token);
+
+    if (!request) {
+      return res.status(404).json({
+        message: 'Erasure request not found'
+      });
+    }
+
+    res.json({
+      erasure: request.getPublicData(),
+      ...(request.status === 'completed' && { receipt: erasureService.receipt(request) })
+    });
+
+  } catch (error) {
+    console.error('Get erasure error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching account erasure',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/account/erasure/cancel
+// @desc    Cancel a scheduled erasure with the erasure token, or email and password
+// @access  Public
+router.post('/account/erasure/cancel', authLimiter, async (req, res) => {
+  try {
+    const { token, email, password } = req.body;
+
+    if (!token && (!email || !password)) {
+      return res.status(400).json({
+        message: 'Please provide the erasure token, or your email and password'
+      });
+    }
+
+    let request;
+    if (token) {
+      request = await erasureService.findByToken(token);
+    } else {
+      const user = await User.findOne({ email }).select('+password');
+
+      if (!user || !(await user.comparePassword(password))) {
+        return res.status(401).json({
+          message: 'Invalid credentials'
+        });
+      }
+
+      request = await erasureService.findPending(user._id);
+    }
+
+    if (!request || !['scheduled', 'processing'].includes(request.status)) {
+      return res.status(404).json({
+        message: 'No scheduled erasure found'
+      });
+    }
+
+    const { error } = await erasureService.cancel(request);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Account erasure cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel erasure error:', error);
+    res.status(500).json({
+      message: 'Server error while cancelling account erasure',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Helper function to finish a login: start a session and return user data
+const completeLogin = async (user, req, res) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session for this device
+  const { token, refreshToken, expiresAt } = await sessionService.create(user._id, req);
+
+  // Return user data without password
+  const userData = {
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    profile: user.profile,
+    primaryGoal: user.primaryGoal,
+    currentMood: user.currentMood,
+    preferences: user.preferences,
+    streakData: user.streakData,
+    socialData: user.socialData,
+    achievements: user.achievements,
+    role: user.role,
+    permissions: platformPermissions(user),
+    lastLogin: user.lastLogin,
+    createdAt: user.createdAt
+  };
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresAt,
+    user: userData
+  });
+};
+
+// Helper function to re-check password and a second factor before changing
+// 2FA settings; responds and returns null on failure
+const reauthenticateTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    res.status(400).json({
+      message: 'Please provide your password and an authentication or recovery code'
+    });
+    return null;
+  }
+
+  const user = await twoFactorService.loadUser(req.user._id);
+
+  if (!user.twoFactor.enabled) {
+    res.status(400).json({
+      message: 'Two-factor authentication is not enabled'
+    });
+    return null;
+  }
+
+  if (!(await user.comparePassword(password))) {
+    res.status(401).json({
+      message: 'Password is incorrect'
+    });
+    return null;
+  }
+
+  if (!(await twoFactorService.verify(user, { code, recoveryCode }))) {
+    res.status(401).json({
+      message: 'Invalid authentication code'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Helper function to build links into the frontend
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+// Helper function to issue a verification token; stores its hash on the user
+// (caller saves) and returns the raw token for the email
+const setVerificationToken = (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  user.emailVerificationToken = User.hashToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + verificationTtlHours() * 60 * 60 * 1000);
+  user.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+const verificationTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+const verificationEmailData = (token) => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return {
+    url: `${apiUrl}/api/auth/verify-email?token=${token}`,
+    expiresInHours: verificationTtlHours()
+  };
+};
+
+// Helper function to consume a verification token; returns the verified user
+// or null when the token is unknown or expired
+const verifyEmailToken = async (token) => {
+  if (!token) return null;
+
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+
+  if (!user) return null;
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save();
+
+  await sendEmail(user, 'welcome', { url: frontendUrl('/dashboard') });
+
+  return user;
+};
+
+// Helper function to send an email without failing the request; returns
+// whether it was delivered
+const sendEmail = async (user, template, data) => {
+  try {
+    await mailer.send(user, template, data);
+    return true;
+  } catch (error) {
+    console.error(`Send ${template} email error:`, error);
+    return false;
+  }
+};
+
 module.exports = router;
\ No newline at end of file
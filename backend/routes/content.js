@@ -36,13 +36,14 @@ router.get('/daily-affirmation', auth, async (req, res) => {
 
     // Generate new affirmation
     const userProfile = {
+      userId: user._id,
       currentMood: user.currentMood,
       primaryGoal: user.primaryGoal,
       preferences: user.preferences,
       profile: user.profile
     };
 
-    const affirmationData = await openaiService.generateAffirmation(userProfile);
+    const { support, ...affirmationData } = await openaiService.generateAffirmation(userProfile);
     
     // Save to database
     const affirmation = new Activity({
@@ -56,7 +57,8 @@ router.get('/daily-affirmation', auth, async (req, res) => {
 
     res.json({
       affirmation,
-      isNew: true
+      isNew: true,
+      ...(support && { support })
     });
 
   } catch (error) {
@@ -81,6 +83,7 @@ router.post('/generate-activity', auth, async (req, res) => {
     }
 
     const userProfile = {
+      userId: user._id,
       currentMood: user.currentMood,
       primaryGoal: user.primaryGoal,
       preferences: user.preferences,
@@ -100,17 +103,20 @@ router.post('/generate-activity', auth, async (req, res) => {
         activityData = await openaiService.generateActivity(userProfile);
     }
 
+    const { support, ...activityFields } = activityData;
+
     // Save to database
     const activity = new Activity({
       userId: user._id,
-      ...activityData
+      ...activityFields
     });
 
     await activity.save();
 
     res.json({
       activity,
-      message: 'Activity generated successfully'
+      message: 'Activity generated successfully',
+      ...(support && { support })
     });
 
   } catch (error) {
@@ -153,7 +159,7 @@ router.get('/recommendations', auth, async (req, res) => {
     .sort({ 'socialData.likes': -1, createdAt: -1 });
 
     // Get mood-based recommendations
-    const moodRecommendations = await this.getMoodBasedRecommendations(user.currentMood);
+    const moodRecommendations = await getMoodBasedRecommendations(user.currentMood);
 
     res.json({
       recommendations: {
@@ -186,17 +192,19 @@ router.post('/motivational-message', auth, async (req, res) => {
     }
 
     const userProfile = {
+      userId: user._id,
       currentMood: user.currentMood,
       primaryGoal: user.primaryGoal,
       profile: user.profile
     };
 
-    const message = await openaiService.generateMotivationalMessage(userProfile, context);
+    const { message, support } = await openaiService.generateMotivationalMessage(userProfile, context);
 
     res.json({
       message,
       context,
-      generatedAt: new Date()
+      generatedAt: new Date(),
+      ...(support && { support })
     });
 
   } catch (error) {
@@ -239,16 +247,19 @@ router.get('/daily-dashboard', auth, async (req, res) => {
 
     // Generate wellness tip if none exists for today
     let wellnessTip = todaysActivities.find(a => a.type === 'tip');
+    let support = null;
     
     if (!wellnessTip) {
       try {
         const userProfile = {
+          userId: user._id,
           currentMood: user.currentMood,
           primaryGoal: user.primaryGoal,
           preferences: user.preferences
         };
         
-        const tipData = await openaiService.generateWellnessTip(userProfile);
+        const { support: tipSupport, ...tipData } = await openaiService.generateWellnessTip(userProfile);
+        support = tipSupport;
         
         wellnessTip = new Activity({
           userId: user._id,
@@ -263,7 +274,7 @@ router.get('/daily-dashboard', auth, async (req, res) => {
     }
 
     // Get suggested activities based on time of day and user preferences
-    const suggestedActivities = await this.getSuggestedActivities(user);
+    const suggestedActivities = await getSuggestedActivities(user);
 
     res.json({
       dashboard: {
@@ -285,7 +296,8 @@ router.get('/daily-dashboard', auth, async (req, res) => {
           suggestedActivities: suggestedActivities.slice(0, 3)
         },
         recentActivities: todaysActivities.slice(0, 5)
-      }
+      },
+      ...(support && { support })
     });
 
   } catch (error) {
@@ -0,0 +1,635 @@
+const express = require('express');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const Group = require('../models/Group');
+const Activity = require('../models/Activity');
+const safetyService = require('../services/safetyService');
+const notificationService = require('../services/notificationService');
+const { getBlockedUserIds } = require('../services/socialService');
+const { emitToRoom } = require('../services/realtime');
+
+// Mounted at /api/social/groups/:groupId/posts
+const router = express.Router({ mergeParams: true });
+
+const postTypes = ['text', 'affirmation_share', 'progress_update', 'question', 'celebration'];
+const reactionTypes = ['like', 'love', 'support', 'celebrate', 'inspire'];
+const maxAttachments = 4;
+
+const authorFields = 'username profile.firstName profile.avatar';
+
+// @route   GET /api/social/groups/:groupId/posts
+// @desc    Get group posts, pinned first, with pagination
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    const group = await Group.findOne({ _id: req.params.groupId, isActive: true })
+      .select('privacy members posts');
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Posts of public groups are readable by anyone; others need membership
+    if (group.privacy !== 'public' && !group.getMember(req.user._id)) {
+      return res.status(403).json({ message: 'Must be a group member to view posts' });
+    }
+
+    // Posts and comments from either side of a block are left out
+    const blockedIds = new Set((await getBlockedUserIds(req.user._id)).map(id => id.toString()));
+
+    const posts = group.posts
+      .filter(post => !post.isHidden && !blockedIds.has(post.userId.toString()))
+      .filter(post => !type || post.type === type)
+      .sort((a, b) =>
+        (b.isPinned - a.isPinned) ||
+        (b.isPinned && a.isPinned && b.pinnedAt - a.pinnedAt) ||
+        (b.createdAt - a.createdAt)
+      );
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pagePosts = posts.slice(skip, skip + parseInt(limit));
+
+    await populatePosts(group);
+
+    res.json({
+      posts: pagePosts.map(post => formatPost(post, req.user._id, blockedIds)),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(posts.length / parseInt(limit)),
+        total: posts.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group posts error:', error);
+    res.status(500).json({
+      message: 'Error fetching group posts',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/groups/:groupId/posts
+// @desc    Create a group post
+// @access  Private
+router.post('/', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { content, type = 'text', attachments = [] } = req.body;
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({ message: 'Post content is required' });
+    }
+
+    if (!postTypes.includes(type)) {
+      return res.status(400).json({ message: `Post type must be one of: ${postTypes.join(', ')}` });
+    }
+
+    const group = await Group.findOne({ _id: req.params.groupId, isActive: true });
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const member = group.getMember(req.user._id);
+
+    if (!member) {
+      return res.status(403).json({ message: 'Must be a group member to post' });
+    }
+
+    if (!group.settings.allowMemberPosts && !can(req.user, 'group:post_restricted', { group })) {
+      return res.status(403).json({ message: 'Only admins and moderators can post in this group' });
+    }
+
+    const { value: parsedAttachments, error } = await parseAttachments(attachments, req.user);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const post = group.addPost({
+      userId: req.user._id,
+      content: content.trim(),
+      type,
+      attachments: parsedAttachments
+    });
+
+    const support = await safetyService.screenUserInput(
+      { content },
+      { userId: req.user._id, source: 'group_post', sourceId: post._id }
+    );
+
+    await group.save();
+    await populatePosts(group);
+
+    const createdPost = group.posts.id(post._id);
+
+    // Members on either side of a block with the author don't get the post
+    emitToRoom(`group-${group._id}`, 'group-post', {
+      groupId: group._id,
+      post: formatPost(createdPost)
+    }, { exceptUserIds: await getBlockedUserIds(req.user._id) });
+
+    res.status(201).json({
+      message: 'Post created successfully',
+      post: formatPost(createdPost, req.user._id),
+      ...(support && { support })
+    });
+
+  } catch (error) {
+    console.error('Create group post error:', error);
+    res.status(500).json({
+      message: 'Error creating post',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/social/groups/:groupId/posts/:postId
+// @desc    Edit own group post
+// @access  Private
+router.put('/:postId', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { content, type } = req.body;
+
+    if (content !== undefined && (typeof content !== 'string' || content.trim().length === 0)) {
+      return res.status(400).json({ message: 'Post content cannot be empty' });
+    }
+
+    if (type !== undefined && !postTypes.includes(type)) {
+      return res.status(400).json({ message: `Post type must be one of: ${postTypes.join(', ')}` });
+    }
+
+    const { group, post, member, error } = await loadPost(req);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Only the author may edit; moderators can remove but not rewrite posts
+    if (!member || post.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the author can edit this post' });
+    }
+
+    let support = null;
+    if (content !== undefined) {
+      post.content = content.trim();
+      support = await safetyService.screenUserInput(
+        { content },
+        { userId: req.user._id, source: 'group_post', sourceId: post._id }
+      );
+    }
+    if (type !== undefined) post.type = type;
+    post.editedAt = new Date();
+
+    await group.save();
+    await populatePosts(group);
+
+    await broadcastPostUpdate(group, post._id);
+
+    res.json({
+      message: 'Post updated successfully',
+      post: formatPost(group.posts.id(post._id), req.user._id),
+      ...(support && { support })
+    });
+
+  } catch (error) {
+    console.error('Update group post error:', error);
+    res.status(500).json({
+      message: 'Error updating post',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/social/groups/:groupId/posts/:postId
+// @desc    Delete a group post (author, admins and moderators)
+// @access  Private
+router.delete('/:postId', auth, async (req, res) => {
+  try {
+    const { group, post, member, error } = await loadPost(req);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const isAuthor = post.userId.toString() === req.user._id.toString();
+
+    if (!(member && isAuthor) && !can(req.user, 'group:delete_any_post', { group })) {
+      return res.status(403).json({ message: 'Not allowed to delete this post' });
+    }
+
+    post.deleteOne();
+    await group.save();
+
+    emitToRoom(`group-${group._id}`, 'group-post-deleted', {
+      groupId: group._id,
+      postId: post._id
+    });
+
+    res.json({ message: 'Post deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete group post error:', error);
+    res.status(500).json({
+      message: 'Error deleting post',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/groups/:groupId/posts/:postId/pin
+// @desc    Pin a post to the top of the group
+// @access  Private (group admins and moderators)
+router.post('/:postId/pin', auth, requireVerifiedEmail, async (req, res) => {
+  await setPinned(req, res, true);
+});
+
+// @route   DELETE /api/social/groups/:groupId/posts/:postId/pin
+// @desc    Unpin a post
+// @access  Private (group admins and moderators)
+router.delete('/:postId/pin', auth, async (req, res) => {
+  await setPinned(req, res, false);
+});
+
+// @route   POST /api/social/groups/:groupId/posts/:postId/reactions
+// @desc    React to a post, replacing any previous reaction
+// @access  Private
+router.post('/:postId/reactions', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { type = 'like' } = req.body;
+
+    if (!reactionTypes.includes(type)) {
+      return res.status(400).json({ message: `Reaction must be one of: ${reactionTypes.join(', ')}` });
+    }
+
+    const { group, post, member, error } = await loadPost(req);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!member) {
+      return res.status(403).json({ message: 'Must be a group member to react' });
+    }
+
+    group.addReactionToPost(post._id, req.user._id, type);
+    await group.save();
+
+    const reactionCounts = countReactions(post);
+
+    emitToRoom(`group-${group._id}`, 'group-post-reaction', {
+      groupId: group._id,
+      postId: post._id,
+      reactionCounts
+    });
+
+    res.json({
+      message: 'Reaction saved',
+      reactionCounts,
+      myReaction: type
+    });
+
+  } catch (error) {
+    console.error('React to group post error:', error);
+    res.status(500).json({
+      message: 'Error reacting to post',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/social/groups/:groupId/posts/:postId/reactions
+// @desc    Remove own reaction from a post
+// @access  Private
+router.delete('/:postId/reactions', auth, async (req, res) => {
+  try {
+    const { group, post, member, error } = await loadPost(req);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!member) {
+      return res.status(403).json({ message: 'Must be a group member to react' });
+    }
+
+    group.removeReactionFromPost(post._id, req.user._id);
+    await group.save();
+
+    const reactionCounts = countReactions(group.posts.id(post._id));
+
+    emitToRoom(`group-${group._id}`, 'group-post-reaction', {
+      groupId: group._id,
+      postId: post._id,
+      reactionCounts
+    });
+
+    res.json({
+      message: 'Reaction removed',
+      reactionCounts,
+      myReaction: null
+    });
+
+  } catch (error) {
+    console.error('Remove group post reaction error:', error);
+    res.status(500).json({
+      message: 'Error removing reaction',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/groups/:groupId/posts/:postId/comments
+// @desc    Comment on a post
+// @access  Private
+router.post('/:postId/comments', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({ message: 'Comment content is required' });
+    }
+
+    const { group, post, member, error } = await loadPost(req);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!member) {
+      return res.status(403).json({ message: 'Must be a group member to comment' });
+    }
+
+    const postAuthorId = post.userId.toString();
+    const comment = group.addCommentToPost(post._id, req.user._id, content.trim());
+
+    const support = await safetyService.screenUserInput(
+      { content },
+      { userId: req.user._id, source: 'group_comment', sourceId: comment._id }
+    );
+
+    await group.save();
+    await populatePosts(group);
+
+    const savedComment = group.posts.id(post._id).comments.id(comment._id);
+
+    emitToRoom(`group-${group._id}`, 'group-post-comment', {
+      groupId: group._id,
+      postId: post._id,
+      comment: savedComment
+    }, { exceptUserIds: await getBlockedUserIds(req.user._id) });
+
+    if (postAuthorId !== req.user._id.toString()) {
+      await notificationService.notify(postAuthorId, {
+        type: 'group-comment',
+        title: 'New Comment',
+        body: `${req.user.username} commented on your post in ${group.name}`,
+        actorId: req.user._id,
+        data: {
+          groupId: group._id,
+          groupName: group.name,
+          postId: post._id,
+          commentId: comment._id,
+          user: notificationService.actorOf(req.user)
+        }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: savedComment,
+      commentCount: visibleComments(group.posts.id(post._id)).length,
+      ...(support && { support })
+    });
+
+  } catch (error) {
+    console.error('Add group post comment error:', error);
+    res.status(500).json({
+      message: 'Error adding comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/social/groups/:groupId/posts/:postId/comments/:commentId
+// @desc    Delete a comment (comment author, admins and moderators)
+// @access  Private
+router.delete('/:postId/comments/:commentId', auth, async (req, res) => {
+  try {
+    const { group, post, member, error } = await loadPost(req);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const isAuthor = comment.userId.toString() === req.user._id.toString();
+
+    if (!(member && isAuthor) && !can(req.user, 'group:delete_any_comment', { group })) {
+      return res.status(403).json({ message: 'Not allowed to delete this comment' });
+    }
+
+    comment.deleteOne();
+    await group.save();
+
+    emitToRoom(`group-${group._id}`, 'group-post-comment-deleted', {
+      groupId: group._id,
+      postId: post._id,
+      commentId: comment._id
+    });
+
+    res.json({
+      message: 'Comment deleted successfully',
+      commentCount: visibleComments(post).length
+    });
+
+  } catch (error) {
+    console.error('Delete group post comment error:', error);
+    res.status(500).json({
+      message: 'Error deleting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Helper function to pin or unpin a post
+async function setPinned(req, res, pinned) {
+  try {
+    const { group, post, member, error } = await loadPost(req);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!can(req.user, 'group:pin_post', { group })) {
+      return res.status(403).json({ message: 'Only admins and moderators can pin posts' });
+    }
+
+    post.isPinned = pinned;
+    post.pinnedAt = pinned ? new Date() : undefined;
+    post.pinnedBy = pinned ? req.user._id : undefined;
+
+    await group.save();
+    await populatePosts(group);
+
+    await broadcastPostUpdate(group, post._id);
+
+    res.json({
+      message: pinned ? 'Post pinned' : 'Post unpinned',
+      post: formatPost(group.posts.id(post._id), req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Pin group post error:', error);
+    res.status(500).json({
+      message: 'Error updating pinned post',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+}
+
+// Helper function to load the group and post named in the URL along with
+// the caller's membership. Returns { error } with a status when not found.
+async function loadPost(req) {
+  const group = await Group.findOne({ _id: req.params.groupId, isActive: true });
+
+  if (!group) {
+    return { error: { status: 404, message: 'Group not found' } };
+  }
+
+  const post = group.posts.id(req.params.postId);
+
+  // Posts hidden by a moderator are treated as removed
+  if (!post || post.isHidden) {
+    return { error: { status: 404, message: 'Post not found' } };
+  }
+
+  return { group, post, member: group.getMember(req.user._id) };
+}
+
+// Helper function to validate attachments. Activities must belong to the
+// author; achievements must have been unlocked by the author.
+async function parseAttachments(attachments, user) {
+  if (!Array.isArray(attachments)) {
+    return { error: 'Attachments must be a list' };
+  }
+
+  if (attachments.length > maxAttachments) {
+    return { error: `A post can have at most ${maxAttachments} attachments` };
+  }
+
+  const value = [];
+
+  for (const attachment of attachments) {
+    if (attachment?.type === 'activity') {
+      const activity = await Activity.exists({
+        _id: attachment.activityId,
+        userId: user._id,
+        isActive: true
+      });
+
+      if (!activity) {
+        return { error: 'Attached activity not found' };
+      }
+
+      value.push({ type: 'activity', activityId: attachment.activityId });
+    } else if (attachment?.type === 'achievement') {
+      const tier = parseInt(attachment.tier) || 1;
+      const achievement = user.achievements.find(a =>
+        a.type === attachment.achievementType && (a.tier || 1) === tier
+      );
+
+      if (!achievement) {
+        return { error: 'Attached achievement has not been unlocked' };
+      }
+
+      value.push({
+        type: 'achievement',
+        achievement: { type: achievement.type, tier, name: achievement.name }
+      });
+    } else if (attachment?.type === 'image') {
+      if (typeof attachment.url !== 'string' || !/^https?:\/\//.test(attachment.url)) {
+        return { error: 'Image attachments need an http(s) URL' };
+      }
+
+      value.push({ type: 'image', url: attachment.url });
+    } else {
+      return { error: 'Attachment type must be activity, achievement or image' };
+    }
+  }
+
+  return { value };
+}
+
+// Helper function to populate authors and attached activities
+async function populatePosts(group) {
+  await group.populate([
+    { path: 'posts.userId', select: authorFields },
+    { path: 'posts.comments.userId', select: authorFields },
+    { path: 'posts.attachments.activityId', select: 'title type category duration' }
+  ]);
+}
+
+// Helper function to count reactions by type
+function countReactions(post) {
+  const counts = Object.fromEntries(reactionTypes.map(type => [type, 0]));
+  post.reactions.forEach(reaction => {
+    counts[reaction.type] += 1;
+  });
+  return counts;
+}
+
+// Helper function to shape a post for API responses and socket events.
+// myReaction is only included when a viewer is given.
+function formatPost(post, viewerId, blockedIds) {
+  const comments = visibleComments(post, blockedIds);
+  const formatted = {
+    _id: post._id,
+    author: post.userId,
+    content: post.content,
+    type: post.type,
+    attachments: post.attachments,
+    reactionCounts: countReactions(post),
+    comments,
+    commentCount: comments.length,
+    isPinned: post.isPinned,
+    pinnedAt: post.pinnedAt,
+    editedAt: post.editedAt,
+    createdAt: post.createdAt
+  };
+
+  if (viewerId) {
+    const reaction = post.reactions.find(r => r.userId.toString() === viewerId.toString());
+    formatted.myReaction = reaction ? reaction.type : null;
+  }
+
+  return formatted;
+}
+
+// Helper function to get the comments a moderator has not hidden, leaving
+// out authors in the optional set of blocked user ids
+function visibleComments(post, blockedIds = new Set()) {
+  return post.comments.filter(comment =>
+    !comment.isHidden && !blockedIds.has((comment.userId?._id || comment.userId).toString())
+  );
+}
+
+// Helper function to broadcast an edited post to the group room, leaving
+// out members on either side of a block with its author
+async function broadcastPostUpdate(group, postId) {
+  const post = group.posts.id(postId);
+
+  emitToRoom(`group-${group._id}`, 'group-post-updated', {
+    groupId: group._id,
+    post: formatPost(post)
+  }, { exceptUserIds: await getBlockedUserIds(post.userId._id || post.userId) });
+}
+
+module.exports = router;
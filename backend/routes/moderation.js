@@ -0,0 +1,484 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth, requirePermission } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const moderationService = require('../services/moderationService');
+
+// Mounted at /api/admin/moderation
+const router = express.Router();
+
+const moderator = requirePermission('moderation:review');
+const MAX_SUSPENSION_DAYS = 365;
+
+// @route   GET /api/admin/moderation/queue
+// @desc    Reported content and users, grouped by target, most reported first
+// @access  Admin, moderator
+router.get('/queue', auth, moderator, async (req, res) => {
+  try {
+    const { status = 'open', targetType, page = 1, limit = 20 } = req.query;
+
+    const match = {};
+    if (status !== 'all') match.status = status;
+    if (targetType) match.targetType = targetType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          reportCount: { $sum: 1 },
+          categories: { $addToSet: '$category' },
+          reportIds: { $push: '$_id' },
+          targetUserId: { $first: '$targetUserId' },
+          activityId: { $first: '$activityId' },
+          groupId: { $first: '$groupId' },
+          postId: { $first: '$postId' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const userIds = result.items.map(item => item.targetUserId).filter(Boolean);
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('username profile.avatar isActive suspension.expiresAt');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const items = [];
+    for (const item of result.items) {
+      const { targetType, targetId } = item._id;
+      const content = targetType === 'user'
+        ? null
+        : await moderationService.describe(targetType, {
+          targetId,
+          activityId: item.activityId,
+          groupId: item.groupId,
+          postId: item.postId
+        });
+
+      items.push({
+        targetType,
+        targetId,
+        activityId: item.activityId,
+        groupId: item.groupId,
+        postId: item.postId,
+        reportCount: item.reportCount,
+        categories: item.categories,
+        reportIds: item.reportIds,
+        firstReportedAt: item.firstReportedAt,
+        lastReportedAt: item.lastReportedAt,
+        targetUser: usersById.get(String(item.targetUserId)) || null,
+        content,
+        // Content removed by its author since it was reported
+        isDeleted: targetType !== 'user' && !content
+      });
+    }
+
+    res.json({
+      items,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      message: 'Error fetching moderation queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/admin/moderation/reports/:reportId
+// @desc    Get one report with its reporter
+// @access  Admin, moderator
+router.get('/reports/:reportId', auth, moderator, async (req, res) => {
+  try {
+    const report = mongoose.Types.ObjectId.isValid(req.params.reportId)
+      ? await Report.findById(req.params.reportId)
+        .populate('reporterId', 'username')
+        .populate('targetUserId', 'username')
+        .populate('resolvedBy', 'username')
+      : null;
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    res.json({ report });
+
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      message: 'Error fetching report',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/admin/moderation/reports/:reportId/dismiss
+// @desc    Dismiss a report and the other open reports on the same target
+// @access  Admin, moderator
+router.post('/reports/:reportId/dismiss', auth, moderator, async (req, res) => {
+  try {
+    const report = mongoose.Types.ObjectId.isValid(req.params.reportId)
+      ? await Report.findById(req.params.reportId)
+      : null;
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const { entry, error } = await moderationService.dismissReports(report, {
+      actor: req.user,
+      reason: req.body.reason
+    });
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Reports dismissed',
+      dismissedCount: entry.reportIds.length,
+      entry
+    });
+
+  } catch (error) {
+    console.error('Dismiss report error:', error);
+    res.status(500).json({
+      message: 'Error dismissing report',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/admin/moderation/activities/:activityId/hide
+// @desc    Hide a shared activity from everyone but its owner
+// @access  Admin, moderator
+router.post('/activities/:activityId/hide', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'activity', { targetId: req.params.activityId }, true)
+);
+
+// @route   POST /api/admin/moderation/activities/:activityId/restore
+// @desc    Restore a hidden activity
+// @access  Admin, moderator
+router.post('/activities/:activityId/restore', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'activity', { targetId: req.params.activityId }, false)
+);
+
+// @route   POST /api/admin/moderation/activities/:activityId/comments/:commentId/hide
+// @desc    Hide an activity comment
+// @access  Admin, moderator
+router.post('/activities/:activityId/comments/:commentId/hide', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'comment', {
+    activityId: req.params.activityId,
+    targetId: req.params.commentId
+  }, true)
+);
+
+// @route   POST /api/admin/moderation/activities/:activityId/comments/:commentId/restore
+// @desc    Restore a hidden activity comment
+// @access  Admin, moderator
+router.post('/activities/:activityId/comments/:commentId/restore', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'comment', {
+    activityId: req.params.activityId,
+    targetId: req.params.commentId
+  }, false)
+);
+
+// @route   POST /api/admin/moderation/groups/:groupId/posts/:postId/hide
+// @desc    Hide a group post
+// @access  Admin, moderator
+router.post('/groups/:groupId/posts/:postId/hide', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'group_post', {
+    groupId: req.params.groupId,
+    targetId: req.params.postId
+  }, true)
+);
+
+// @route   POST /api/admin/moderation/groups/:groupId/posts/:postId/restore
+// @desc    Restore a hidden group post
+// @access  Admin, moderator
+router.post('/groups/:groupId/posts/:postId/restore', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'group_post', {
+    groupId: req.params.groupId,
+    targetId: req.params.postId
+  }, false)
+);
+
+// @route   POST /api/admin/moderation/groups/:groupId/posts/:postId/comments/:commentId/hide
+// @desc    Hide a group post comment
+// @access  Admin, moderator
+router.post('/groups/:groupId/posts/:postId/comments/:commentId/hide', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'group_comment', {
+    groupId: req.params.groupId,
+    postId: req.params.postId,
+    targetId: req.params.commentId
+  }, true)
+);
+
+// @route   POST /api/admin/moderation/groups/:groupId/posts/:postId/comments/:commentId/restore
+// @desc    Restore a hidden group post comment
+// @access  Admin, moderator
+router.post('/groups/:groupId/posts/:postId/comments/:commentId/restore', auth, moderator, (req, res) =>
+  moderateContent(req, res, 'group_comment', {
+    groupId: req.params.groupId,
+    postId: req.params.postId,
+    targetId: req.params.commentId
+  }, false)
+);
+
+// @route   POST /api/admin/moderation/users/:userId/suspend
+// @desc    Suspend an account, optionally until a date
+// @access  Admin, moderator
+router.post('/users/:userId/suspend', auth, moderator, async (req, res) => {
+  try {
+    const { reason, expiresAt, durationDays } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A reason is required to suspend a user' });
+    }
+
+    const { value: until, error: expiryError } = parseSuspensionExpiry({ expiresAt, durationDays });
+
+    if (expiryError) {
+      return res.status(400).json({ message: expiryError });
+    }
+
+    const user = await loadUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot suspend yourself' });
+    }
+
+    // Only admins can suspend staff
+    if (user.role && user.role !== 'user' && !can(req.user, 'users:manage_roles')) {
+      return res.status(403).json({ message: 'Only admins can suspend staff accounts' });
+    }
+
+    const { entry, error } = await moderationService.suspendUser(user, {
+      actor: req.user,
+      reason: reason.trim(),
+      expiresAt: until
+    });
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      message: until ? `User suspended until ${until.toISOString()}` : 'User suspended',
+      suspension: user.suspension,
+      entry
+    });
+
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      message: 'Error suspending user',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/admin/moderation/users/:userId/reactivate
+// @desc    Lift a suspension
+// @access  Admin, moderator
+router.post('/users/:userId/reactivate', auth, moderator, async (req, res) => {
+  try {
+    const user = await loadUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { entry, error } = await moderationService.reactivateUser(user, {
+      actor: req.user,
+      reason: req.body.reason
+    });
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'User reactivated',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      message: 'Error reactivating user',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/admin/moderation/users/:userId/history
+// @desc    Moderation actions taken on a user and their content, and reports against them
+// @access  Admin, moderator
+router.get('/users/:userId/history', auth, moderator, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findById(req.params.userId)
+        .select('username email role isActive suspension createdAt')
+        .populate('suspension.suspendedBy', 'username')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const actions = await ModerationLog.find({ targetUserId: user._id })
+      .populate('actorId', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ModerationLog.countDocuments({ targetUserId: user._id });
+
+    const reportCounts = await Report.aggregate([
+      { $match: { targetUserId: user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      user,
+      actions,
+      reports: Object.fromEntries(reportCounts.map(({ _id, count }) => [_id, count])),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation history error:', error);
+    res.status(500).json({
+      message: 'Error fetching moderation history',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/admin/moderation/log
+// @desc    The moderation log, newest first
+// @access  Admin, moderator
+router.get('/log', auth, moderator, async (req, res) => {
+  try {
+    const { actorId, action, targetType, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (actorId) filter.actorId = actorId;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await ModerationLog.find(filter)
+      .populate('actorId', 'username')
+      .populate('targetUserId', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ModerationLog.countDocuments(filter);
+
+    res.json({
+      entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation log error:', error);
+    res.status(500).json({
+      message: 'Error fetching moderation log',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Helper function to hide or restore content
+async function moderateContent(req, res, targetType, ref, hidden) {
+  try {
+    const { entry, error } = await moderationService.setContentHidden(targetType, ref, hidden, {
+      actor: req.user,
+      reason: req.body.reason
+    });
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      message: hidden ? 'Content hidden' : 'Content restored',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Moderate content error:', error);
+    res.status(500).json({
+      message: hidden ? 'Error hiding content' : 'Error restoring content',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+}
+
+// Helper function to load a user by id, tolerating malformed ids
+async function loadUser(userId) {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return User.findById(userId);
+}
+
+// Helper function to work out when a suspension ends; none means indefinite
+function parseSuspensionExpiry({ expiresAt, durationDays }) {
+  let until;
+
+  if (durationDays !== undefined) {
+    const days = Number(durationDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_SUSPENSION_DAYS) {
+      return { error: `durationDays must be between 1 and ${MAX_SUSPENSION_DAYS}` };
+    }
+    until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  } else if (expiresAt !== undefined) {
+    until = new Date(expiresAt);
+    if (isNaN(until) || until <= new Date()) {
+      return { error: 'expiresAt must be a future date' };
+    }
+  }
+
+  return { value: until };
+}
+
+module.exports = router;
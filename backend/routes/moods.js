@@ -0,0 +1,200 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const MoodEntry = require('../models/MoodEntry');
+const moodService = require('../services/moodService');
+const safetyService = require('../services/safetyService');
+
+const router = express.Router();
+
+// @route   GET /api/moods
+// @desc    Get the user's mood check-ins, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, mood, tag, startDate, endDate } = req.query;
+
+    const filter = { userId: req.user._id };
+
+    if (mood) {
+      if (!moodService.moods.includes(mood)) {
+        return res.status(400).json({ message: `Mood must be one of: ${moodService.moods.join(', ')}` });
+      }
+      filter.mood = mood;
+    }
+    if (tag) filter.tags = String(tag).toLowerCase();
+
+    for (const [key, value, operator] of [['startDate', startDate, '$gte'], ['endDate', endDate, '$lte']]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (typeof value !== 'string' || isNaN(date)) {
+        return res.status(400).json({ message: `${key} must be a valid date` });
+      }
+      filter.loggedAt = { ...filter.loggedAt, [operator]: date };
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const entries = await MoodEntry.find(filter)
+      .sort({ loggedAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await MoodEntry.countDocuments(filter);
+
+    res.json({
+      entries: entries.map(entry => entry.getPublicData()),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get mood entries error:', error);
+    res.status(500).json({
+      message: 'Error fetching mood entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/moods
+// @desc    Log a mood check-in; updates the user's current mood
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { value, error } = moodService.parseEntry(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Screen the note for crisis language before saving
+    const entryId = new mongoose.Types.ObjectId();
+    const support = await screenNote(req, value.note, entryId);
+
+    const { entry, currentMood } = await moodService.create(req.user._id, { _id: entryId, ...value });
+
+    res.status(201).json({
+      message: 'Mood logged',
+      entry: entry.getPublicData(),
+      currentMood,
+      ...(support && { support })
+    });
+
+  } catch (error) {
+    console.error('Create mood entry error:', error);
+    res.status(500).json({
+      message: 'Error logging mood',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/moods/:id
+// @desc    Get a single mood check-in
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const entry = await loadEntry(req);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Mood entry not found' });
+    }
+
+    res.json({ entry: entry.getPublicData() });
+
+  } catch (error) {
+    console.error('Get mood entry error:', error);
+    res.status(500).json({
+      message: 'Error fetching mood entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/moods/:id
+// @desc    Update a mood check-in
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const existing = await loadEntry(req);
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Mood entry not found' });
+    }
+
+    const { value, error } = moodService.parseEntry(req.body, { partial: true });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const support = await screenNote(req, value.note, existing._id);
+
+    const { entry, currentMood } = await moodService.update(existing, value);
+
+    res.json({
+      message: 'Mood entry updated',
+      entry: entry.getPublicData(),
+      currentMood,
+      ...(support && { support })
+    });
+
+  } catch (error) {
+    console.error('Update mood entry error:', error);
+    res.status(500).json({
+      message: 'Error updating mood entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/moods/:id
+// @desc    Delete a mood check-in
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await loadEntry(req);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Mood entry not found' });
+    }
+
+    const { currentMood } = await moodService.remove(entry);
+
+    res.json({
+      message: 'Mood entry deleted',
+      currentMood
+    });
+
+  } catch (error) {
+    console.error('Delete mood entry error:', error);
+    res.status(500).json({
+      message: 'Error deleting mood entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Helper function to load one of the user's entries
+async function loadEntry(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+
+  return MoodEntry.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// Helper function to screen a check-in note for crisis language
+async function screenNote(req, note, entryId) {
+  if (!note) return null;
+
+  return safetyService.screenUserInput(
+    { note },
+    { userId: req.user._id, source: 'mood_entry', sourceId: entryId }
+  );
+}
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const { emitToUser } = require('../services/realtime');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get user's notifications with pagination and filtering
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly, type, category } = req.query;
+
+    const filter = { userId: req.user._id };
+    if (unreadOnly === 'true') filter.isRead = false;
+    if (type) filter.type = type;
+    if (category) filter.category = category;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const notifications = await Notification.find(filter)
+      .populate('actorId', 'username profile.firstName profile.avatar')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await notificationService.getUnreadCount(req.user._id);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      message: 'Error fetching notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get unread notification counts, in total and per type
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const counts = await Notification.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user._id), isRead: false } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+
+    const byType = {};
+    counts.forEach(({ _id, count }) => {
+      byType[_id] = count;
+    });
+
+    res.json({
+      unreadCount: counts.reduce((sum, { count }) => sum + count, 0),
+      byType
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      message: 'Error fetching unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all (or all of one type) notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    const filter = { userId: req.user._id, isRead: false };
+    if (type) filter.type = type;
+
+    const result = await Notification.updateMany(filter, {
+      $set: { isRead: true, readAt: new Date() }
+    });
+
+    const unreadCount = await notificationService.getUnreadCount(req.user._id);
+    emitToUser(req.user._id, 'notification-count', { unreadCount });
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.modifiedCount,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: 'Error marking notifications as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification delivery preferences
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  res.json({
+    preferences: req.user.preferences.notificationSettings,
+    types: Notification.types
+  });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification delivery preferences
+// @access  Private
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const { socialUpdates, channels, mutedTypes } = req.body;
+
+    const updates = {};
+
+    if (socialUpdates !== undefined) {
+      updates['preferences.notificationSettings.socialUpdates'] = !!socialUpdates;
+    }
+
+    if (channels !== undefined) {
+      for (const channel of ['inApp', 'realtime', 'push']) {
+        if (channels[channel] !== undefined) {
+          updates[`preferences.notificationSettings.channels.${channel}`] = !!channels[channel];
+        }
+      }
+    }
+
+    if (mutedTypes !== undefined) {
+      if (!Array.isArray(mutedTypes) || mutedTypes.some(type => !Notification.types.includes(type))) {
+        return res.status(400).json({ message: 'mutedTypes must be a list of notification types' });
+      }
+      updates['preferences.notificationSettings.mutedTypes'] = [...new Set(mutedTypes)];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: user.preferences.notificationSettings
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      message: 'Error updating notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    notification.markRead();
+    await notification.save();
+
+    const unreadCount = await notificationService.getUnreadCount(req.user._id);
+    emitToUser(req.user._id, 'notification-count', { unreadCount });
+
+    res.json({
+      message: 'Notification marked as read',
+      notification,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      message: 'Error marking notification as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const unreadCount = await notificationService.getUnreadCount(req.user._id);
+    if (!notification.isRead) {
+      emitToUser(req.user._id, 'notification-count', { unreadCount });
+    }
+
+    res.json({
+      message: 'Notification deleted successfully',
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      message: 'Error deleting notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
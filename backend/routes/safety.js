@@ -0,0 +1,97 @@
+const express = require('express');
+const { auth, requirePermission } = require('../middleware/auth');
+const SafetyEvent = require('../models/SafetyEvent');
+const safetyService = require('../services/safetyService');
+
+const router = express.Router();
+
+// @route   GET /api/safety/resources
+// @desc    Get configured crisis resources
+// @access  Private
+router.get('/resources', auth, async (req, res) => {
+  res.json(safetyService.getSupportResponse());
+});
+
+// @route   GET /api/safety/events
+// @desc    List safety events for review
+// @access  Admin, moderator
+router.get('/events', auth, requirePermission('safety:review'), async (req, res) => {
+  try {
+    const { status = 'open', level, source, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (level) filter.level = level;
+    if (source) filter.source = source;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Events never contain user text, only metadata about the detection
+    const events = await SafetyEvent.find(filter)
+      .populate('userId', 'username')
+      .populate('review.reviewedBy', 'username')
+      .sort({ level: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await SafetyEvent.countDocuments(filter);
+
+    res.json({
+      events,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get safety events error:', error);
+    res.status(500).json({
+      message: 'Error fetching safety events',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/safety/events/:id
+// @desc    Mark a safety event as reviewed or dismissed
+// @access  Admin, moderator
+router.put('/events/:id', auth, requirePermission('safety:review'), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!['open', 'reviewed', 'dismissed'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    const event = await SafetyEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Safety event not found' });
+    }
+
+    event.status = status;
+    event.review = {
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      notes
+    };
+
+    await event.save();
+
+    res.json({
+      message: 'Safety event updated successfully',
+      event
+    });
+
+  } catch (error) {
+    console.error('Update safety event error:', error);
+    res.status(500).json({
+      message: 'Error updating safety event',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,37 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
 const User = require('../models/User');
 const Group = require('../models/Group');
 const Activity = require('../models/Activity');
+const GroupInvitation = require('../models/GroupInvitation');
+const Report = require('../models/Report');
+const domainEvents = require('../services/events');
+const notificationService = require('../services/notificationService');
+const challengeService = require('../services/challengeService');
+const leaderboardService = require('../services/leaderboardService');
+const roleService = require('../services/roleService');
+const moderationService = require('../services/moderationService');
+const {
+  addGroupMember,
+  notifyGroupModerators,
+  getBlockedUserIds,
+  isBlocked,
+  blockUser,
+  unblockUser
+} = require('../services/socialService');
+const { joinUserToRoom, emitToRoom } = require('../services/realtime');
 
 const router = express.Router();
 
+const MAX_INVITE_TTL_HOURS = 30 * 24;
+const MAX_INVITE_LINK_USES = 50;
+
+const challengeTypes = Group.schema.path('challenges').schema.path('type').enumValues;
+const reportTargetTypes = Report.schema.path('targetType').enumValues;
+const reportCategories = Report.schema.path('category').enumValues;
+
 // @route   GET /api/social/friends
 // @desc    Get user's friends list
 // @access  Private
@@ -30,7 +56,7 @@ router.get('/friends', auth, async (req, res) => {
 // @route   POST /api/social/friends/request
 // @desc    Send friend request
 // @access  Private
-router.post('/friends/request', auth, async (req, res) => {
+router.post('/friends/request', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { username } = req.body;
 
@@ -48,6 +74,10 @@ router.post('/friends/request', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (await isBlocked(req.user._id, targetUser._id)) {
+      return res.status(403).json({ message: 'You cannot send a friend request to this user' });
+    }
+
     const currentUser = await User.findById(req.user._id);
 
     // Check if already friends or request exists
@@ -80,6 +110,14 @@ router.post('/friends/request', auth, async (req, res) => {
     await currentUser.save();
     await targetUser.save();
 
+    await notificationService.notify(targetUser._id, {
+      type: 'friend-request',
+      title: 'Friend Request',
+      body: `${currentUser.username} sent you a friend request`,
+      actorId: currentUser._id,
+      data: { from: notificationService.actorOf(currentUser) }
+    });
+
     res.json({ message: 'Friend request sent successfully' });
 
   } catch (error) {
@@ -94,7 +132,7 @@ router.post('/friends/request', auth, async (req, res) => {
 // @route   POST /api/social/friends/accept
 // @desc    Accept friend request
 // @access  Private
-router.post('/friends/accept', auth, async (req, res) => {
+router.post('/friends/accept', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { userId } = req.body;
 
@@ -109,6 +147,10 @@ router.post('/friends/accept', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (await isBlocked(req.user._id, targetUser._id)) {
+      return res.status(403).json({ message: 'You cannot accept a friend request from this user' });
+    }
+
     // Update friend status for both users
     const currentUserFriend = currentUser.socialData.friends.find(friend => 
       friend.userId.toString() === userId.toString()
@@ -118,7 +160,7 @@ router.post('/friends/accept', auth, async (req, res) => {
       friend.userId.toString() === req.user._id.toString()
     );
 
-    if (!currentUserFriend || !targetUserFriend) {
+    if (currentUserFriend?.status !== 'pending' || targetUserFriend?.status !== 'pending') {
       return res.status(400).json({ message: 'Friend request not found' });
     }
 
@@ -128,6 +170,17 @@ router.post('/friends/accept', auth, async (req, res) => {
     await currentUser.save();
     await targetUser.save();
 
+    domainEvents.publish('friend.accepted', { userId: currentUser._id, friendId: targetUser._id });
+    domainEvents.publish('friend.accepted', { userId: targetUser._id, friendId: currentUser._id });
+
+    await notificationService.notify(targetUser._id, {
+      type: 'friend-accepted',
+      title: 'Friend Request Accepted',
+      body: `${currentUser.username} accepted your friend request`,
+      actorId: currentUser._id,
+      data: { user: notificationService.actorOf(currentUser) }
+    });
+
     res.json({ message: 'Friend request accepted' });
 
   } catch (error) {
@@ -153,13 +206,14 @@ router.delete('/friends/:userId', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Remove from both users' friend lists
+    // Remove from both users' friend lists; blocks are only lifted through
+    // DELETE /blocks/:userId by the user who made them
     currentUser.socialData.friends = currentUser.socialData.friends.filter(friend => 
-      friend.userId.toString() !== userId.toString()
+      friend.userId.toString() !== userId.toString() || friend.status === 'blocked'
     );
 
     targetUser.socialData.friends = targetUser.socialData.friends.filter(friend => 
-      friend.userId.toString() !== req.user._id.toString()
+      friend.userId.toString() !== req.user._id.toString() || friend.status === 'blocked'
     );
 
     await currentUser.save();
@@ -176,6 +230,164 @@ router.delete('/friends/:userId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/social/blocks
+// @desc    Get the users the current user has blocked
+// @access  Private
+router.get('/blocks', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('socialData.friends.userId', 'username profile.firstName profile.avatar');
+
+    const blocked = user.socialData.friends
+      .filter(friend => friend.status === 'blocked' && friend.userId)
+      .map(friend => ({ user: friend.userId, blockedAt: friend.addedAt }));
+
+    res.json({ blocked });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      message: 'Error fetching blocked users',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/blocks
+// @desc    Block a user
+// @access  Private
+router.post('/blocks', auth, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'User ID is required' });
+    }
+
+    if (userId.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot block yourself' });
+    }
+
+    const targetUser = await User.findById(userId);
+
+    if (!targetUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const currentUser = await User.findById(req.user._id);
+    const blocked = await blockUser(currentUser, targetUser);
+
+    if (!blocked) {
+      return res.status(400).json({ message: 'User is already blocked' });
+    }
+
+    res.json({ message: 'User blocked' });
+
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      message: 'Error blocking user',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/social/blocks/:userId
+// @desc    Unblock a user
+// @access  Private
+router.delete('/blocks/:userId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User is not blocked' });
+    }
+
+    const unblocked = await unblockUser(req.user, req.params.userId);
+
+    if (!unblocked) {
+      return res.status(404).json({ message: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      message: 'Error unblocking user',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/reports
+// @desc    Report a user, activity, comment, group post or group comment
+// @access  Private
+router.post('/reports', auth, async (req, res) => {
+  try {
+    const { targetType, targetId, activityId, groupId, postId, category, details } = req.body;
+
+    if (!reportTargetTypes.includes(targetType)) {
+      return res.status(400).json({ message: `Target type must be one of: ${reportTargetTypes.join(', ')}` });
+    }
+
+    if (!reportCategories.includes(category)) {
+      return res.status(400).json({ message: `Category must be one of: ${reportCategories.join(', ')}` });
+    }
+
+    if (details && details.length > 1000) {
+      return res.status(400).json({ message: 'Details cannot exceed 1000 characters' });
+    }
+
+    const target = await findReportTarget(targetType, { targetId, activityId, groupId, postId });
+
+    if (!target) {
+      return res.status(404).json({ message: 'Reported content not found' });
+    }
+
+    if (target.targetUserId?.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot report yourself or your own content' });
+    }
+
+    const existing = await Report.exists({
+      reporterId: req.user._id,
+      targetType,
+      targetId,
+      status: 'open'
+    });
+
+    if (existing) {
+      return res.status(400).json({ message: 'You have already reported this' });
+    }
+
+    const report = await Report.create({
+      reporterId: req.user._id,
+      targetType,
+      targetId,
+      ...target,
+      category,
+      details: details?.trim()
+    });
+
+    res.status(201).json({
+      message: 'Report submitted, thank you',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        category: report.category,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({
+      message: 'Error submitting report',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 // @route   GET /api/social/groups
 // @desc    Get user's groups
 // @access  Private
@@ -255,7 +467,7 @@ router.get('/groups/discover', auth, async (req, res) => {
 // @route   POST /api/social/groups
 // @desc    Create new group
 // @access  Private
-router.post('/groups', auth, async (req, res) => {
+router.post('/groups', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const {
       name,
@@ -297,6 +509,8 @@ router.post('/groups', auth, async (req, res) => {
     });
     await user.save();
 
+    joinUserToRoom(req.user._id, `group-${group._id}`);
+
     res.status(201).json({
       message: 'Group created successfully',
       group: group.getSummary()
@@ -312,11 +526,12 @@ router.post('/groups', auth, async (req, res) => {
 });
 
 // @route   POST /api/social/groups/:groupId/join
-// @desc    Join a group
+// @desc    Join a public group, or request to join one that requires approval
 // @access  Private
-router.post('/groups/:groupId/join', auth, async (req, res) => {
+router.post('/groups/:groupId/join', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { groupId } = req.params;
+    const { message } = req.body;
 
     const group = await Group.findById(groupId);
 
@@ -328,33 +543,54 @@ router.post('/groups/:groupId/join', auth, async (req, res) => {
       return res.status(403).json({ message: 'Cannot join private group without invitation' });
     }
 
-    // Check if already a member
-    const existingMember = group.members.find(member => 
-      member.userId.toString() === req.user._id.toString() && member.isActive
-    );
+    if (group.privacy === 'invite_only') {
+      return res.status(403).json({ message: 'This group is invite only' });
+    }
 
-    if (existingMember) {
+    // Check if already a member
+    if (group.getMember(req.user._id)) {
       return res.status(400).json({ message: 'Already a member of this group' });
     }
 
     // Check member limit
-    const activeMemberCount = group.members.filter(member => member.isActive).length;
-    if (activeMemberCount >= group.settings.maxMembers) {
+    if (group.isFull()) {
       return res.status(400).json({ message: 'Group has reached maximum member limit' });
     }
 
-    // Add member to group
-    group.addMember(req.user._id);
-    await group.save();
+    if (group.settings.requireApproval) {
+      if (group.getPendingRequest(req.user._id)) {
+        return res.status(400).json({ message: 'Join request already pending' });
+      }
 
-    // Add group to user's groups
-    const user = await User.findById(req.user._id);
-    user.socialData.groups.push({
-      groupId: group._id,
-      role: 'member',
-      joinedAt: new Date()
-    });
-    await user.save();
+      group.joinRequests.push({
+        userId: req.user._id,
+        message: message?.trim(),
+        status: 'pending',
+        createdAt: new Date()
+      });
+      const request = group.joinRequests[group.joinRequests.length - 1];
+      await group.save();
+
+      await notifyGroupModerators(group, {
+        type: 'group-join-request',
+        title: 'Join Request',
+        body: `${req.user.username} asked to join ${group.name}`,
+        actorId: req.user._id,
+        data: {
+          groupId: group._id,
+          groupName: group.name,
+          requestId: request._id,
+          user: notificationService.actorOf(req.user)
+        }
+      });
+
+      return res.status(202).json({
+        message: 'Join request sent for approval',
+        request
+      });
+    }
+
+    await addGroupMember(group, req.user._id);
 
     res.json({ message: 'Successfully joined group' });
 
@@ -367,190 +603,1125 @@ router.post('/groups/:groupId/join', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/social/groups/:groupId/challenges
-// @desc    Create group challenge
+// @route   DELETE /api/social/groups/:groupId/join
+// @desc    Cancel own pending join request
 // @access  Private
-router.post('/groups/:groupId/challenges', auth, async (req, res) => {
+router.delete('/groups/:groupId/join', auth, async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const {
-      title,
-      description,
-      type,
-      goal,
-      startDate,
-      endDate,
-      rewards
-    } = req.body;
-
-    const group = await Group.findById(groupId);
+    const group = await Group.findById(req.params.groupId);
 
     if (!group || !group.isActive) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    // Check if user is admin or moderator
-    const member = group.members.find(member => 
-      member.userId.toString() === req.user._id.toString() && member.isActive
-    );
+    const request = group.getPendingRequest(req.user._id);
 
-    if (!member || !['admin', 'moderator'].includes(member.role)) {
-      return res.status(403).json({ message: 'Only admins and moderators can create challenges' });
+    if (!request) {
+      return res.status(404).json({ message: 'No pending join request' });
     }
 
-    const challengeData = {
-      title,
-      description,
-      type,
-      goal,
-      startDate: new Date(startDate),
-      endDate: new Date(endDate),
-      rewards: rewards || []
-    };
-
-    const challenge = group.createChallenge(challengeData, req.user._id);
+    request.status = 'cancelled';
+    request.respondedAt = new Date();
     await group.save();
 
-    res.status(201).json({
-      message: 'Challenge created successfully',
-      challenge
-    });
+    res.json({ message: 'Join request cancelled' });
 
   } catch (error) {
-    console.error('Create challenge error:', error);
+    console.error('Cancel join request error:', error);
     res.status(500).json({
-      message: 'Error creating challenge',
+      message: 'Error cancelling join request',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
   }
 });
 
-// @route   POST /api/social/groups/:groupId/challenges/:challengeId/join
-// @desc    Join group challenge
-// @access  Private
-router.post('/groups/:groupId/challenges/:challengeId/join', auth, async (req, res) => {
+// @route   GET /api/social/groups/:groupId/requests
+// @desc    Get join requests for a group
+// @access  Private (group admins and moderators)
+router.get('/groups/:groupId/requests', auth, async (req, res) => {
   try {
-    const { groupId, challengeId } = req.params;
+    const { status = 'pending' } = req.query;
 
-    const group = await Group.findById(groupId);
+    const group = await Group.findById(req.params.groupId)
+      .populate('joinRequests.userId', 'username profile.firstName profile.avatar')
+      .populate('joinRequests.respondedBy', 'username');
 
     if (!group || !group.isActive) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    // Check if user is a member
-    const member = group.members.find(member => 
-      member.userId.toString() === req.user._id.toString() && member.isActive
-    );
-
-    if (!member) {
-      return res.status(403).json({ message: 'Must be a group member to join challenges' });
+    if (!can(req.user, 'group:review_requests', { group })) {
+      return res.status(403).json({ message: 'Only admins and moderators can review join requests' });
     }
 
-    group.joinChallenge(challengeId, req.user._id);
-    await group.save();
+    const requests = group.joinRequests
+      .filter(request => status === 'all' || request.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
 
-    res.json({ message: 'Successfully joined challenge' });
+    res.json({ requests });
 
   } catch (error) {
-    console.error('Join challenge error:', error);
+    console.error('Get join requests error:', error);
     res.status(500).json({
-      message: 'Error joining challenge',
+      message: 'Error fetching join requests',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
   }
 });
 
-// @route   POST /api/social/groups/:groupId/challenges/:challengeId/progress
-// @desc    Update challenge progress
-// @access  Private
-router.post('/groups/:groupId/challenges/:challengeId/progress', auth, async (req, res) => {
-  try {
-    const { groupId, challengeId } = req.params;
-    const { progress } = req.body;
+// @route   POST /api/social/groups/:groupId/requests/:requestId/approve
+// @desc    Approve a join request
+// @access  Private (group admins and moderators)
+router.post('/groups/:groupId/requests/:requestId/approve', auth, requireVerifiedEmail, async (req, res) => {
+  await respondToJoinRequest(req, res, true);
+});
 
-    if (typeof progress !== 'number') {
-      return res.status(400).json({ message: 'Progress must be a number' });
-    }
+// @route   POST /api/social/groups/:groupId/requests/:requestId/reject
+// @desc    Reject a join request
+// @access  Private (group admins and moderators)
+router.post('/groups/:groupId/requests/:requestId/reject', auth, requireVerifiedEmail, async (req, res) => {
+  await respondToJoinRequest(req, res, false);
+});
 
-    const group = await Group.findById(groupId);
+// @route   POST /api/social/groups/:groupId/invitations
+// @desc    Invite a user by username, or create a shareable invitation link
+// @access  Private (members when allowInvites is on, admins and moderators always)
+router.post('/groups/:groupId/invitations', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { username, maxUses = 1, expiresInHours } = req.body;
+
+    const group = await Group.findById(req.params.groupId);
 
     if (!group || !group.isActive) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    group.updateChallengeProgress(challengeId, req.user._id, progress);
-    await group.save();
+    const member = group.getMember(req.user._id);
+
+    if (!member) {
+      return res.status(403).json({ message: 'Must be a group member to invite others' });
+    }
+
+    if (!group.settings.allowInvites && !can(req.user, 'group:manage_invitations', { group })) {
+      return res.status(403).json({ message: 'Only admins and moderators can invite to this group' });
+    }
+
+    const ttlHours = parseInt(expiresInHours) || parseInt(process.env.GROUP_INVITE_TTL_HOURS) || 168;
+    if (ttlHours < 1 || ttlHours > MAX_INVITE_TTL_HOURS) {
+      return res.status(400).json({ message: `Invitations can last between 1 and ${MAX_INVITE_TTL_HOURS} hours` });
+    }
+
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+    // Direct invitation to a specific user
+    if (username) {
+      const invitee = await User.findOne({ username, isActive: true }).select('username');
+
+      if (!invitee) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (await isBlocked(req.user._id, invitee._id)) {
+        return res.status(403).json({ message: 'You cannot invite this user' });
+      }
+
+      if (group.getMember(invitee._id)) {
+        return res.status(400).json({ message: 'User is already a member of this group' });
+      }
 
-    // Emit real-time update
-    req.app.get('io').to(`group-${groupId}`).emit('challenge-progress', {
-      challengeId,
-      userId: req.user._id,
-      progress
+      const existing = await GroupInvitation.findOne({
+        groupId: group._id,
+        invitee: invitee._id,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (existing) {
+        return res.status(400).json({ message: 'User already has a pending invitation' });
+      }
+
+      const { invitation } = await GroupInvitation.issue({
+        groupId: group._id,
+        invitedBy: req.user._id,
+        invitee: invitee._id,
+        maxUses: 1,
+        expiresAt
+      });
+
+      await notificationService.notify(invitee._id, {
+        type: 'group-invitation',
+        title: 'Group Invitation',
+        body: `${req.user.username} invited you to join ${group.name}`,
+        actorId: req.user._id,
+        data: {
+          groupId: group._id,
+          groupName: group.name,
+          invitationId: invitation._id,
+          expiresAt,
+          from: notificationService.actorOf(req.user)
+        }
+      });
+
+      return res.status(201).json({
+        message: 'Invitation sent',
+        invitation: invitation.getPublicData()
+      });
+    }
+
+    // Shareable link; the raw token is only ever returned here
+    const uses = parseInt(maxUses);
+    if (!uses || uses < 1 || uses > MAX_INVITE_LINK_USES) {
+      return res.status(400).json({ message: `maxUses must be between 1 and ${MAX_INVITE_LINK_USES}` });
+    }
+
+    const { invitation, token } = await GroupInvitation.issue({
+      groupId: group._id,
+      invitedBy: req.user._id,
+      maxUses: uses,
+      expiresAt
     });
 
-    res.json({ message: 'Progress updated successfully' });
+    res.status(201).json({
+      message: 'Invitation link created',
+      invitation: invitation.getPublicData(),
+      token,
+      link: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/groups/invite/${token}`
+    });
 
   } catch (error) {
-    console.error('Update challenge progress error:', error);
+    console.error('Create invitation error:', error);
     res.status(500).json({
-      message: 'Error updating challenge progress',
+      message: 'Error creating invitation',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
   }
 });
 
-// @route   GET /api/social/feed
-// @desc    Get social feed with friends' activities
+// @route   GET /api/social/groups/:groupId/invitations
+// @desc    Get pending invitations (all for moderators, own for members)
 // @access  Private
-router.get('/feed', auth, async (req, res) => {
+router.get('/groups/:groupId/invitations', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const group = await Group.findById(req.params.groupId).select('members isActive');
 
-    const user = await User.findById(req.user._id);
-    const friendIds = user.socialData.friends
-      .filter(friend => friend.status === 'accepted')
-      .map(friend => friend.userId);
-
-    // Include user's own activities
-    friendIds.push(req.user._id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    if (!group.getMember(req.user._id)) {
+      return res.status(403).json({ message: 'Must be a group member to view invitations' });
+    }
 
-    const activities = await Activity.find({
-      userId: { $in: friendIds },
-      'socialData.isShared': true,
-      isActive: true
-    })
-    .populate('userId', 'username profile.firstName profile.lastName profile.avatar')
-    .populate('socialData.likes.userId', 'username profile.firstName profile.avatar')
-    .populate('socialData.comments.userId', 'username profile.firstName profile.avatar')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    const filter = {
+      groupId: group._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    };
+    if (!can(req.user, 'group:manage_invitations', { group })) {
+      filter.invitedBy = req.user._id;
+    }
 
-    const total = await Activity.countDocuments({
-      userId: { $in: friendIds },
-      'socialData.isShared': true,
-      isActive: true
-    });
+    const invitations = await GroupInvitation.find(filter)
+      .populate('invitedBy', 'username profile.firstName profile.avatar')
+      .populate('invitee', 'username profile.firstName profile.avatar')
+      .sort({ createdAt: -1 });
 
     res.json({
-      feed: activities.map(activity => activity.getPublicData()),
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        total
-      }
+      invitations: invitations.map(invitation => invitation.getPublicData())
     });
 
   } catch (error) {
-    console.error('Get social feed error:', error);
+    console.error('Get group invitations error:', error);
     res.status(500).json({
-      message: 'Error fetching social feed',
+      message: 'Error fetching invitations',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   DELETE /api/social/groups/:groupId/invitations/:invitationId
+// @desc    Revoke an invitation (its sender, admins and moderators)
+// @access  Private
+router.delete('/groups/:groupId/invitations/:invitationId', auth, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.groupId).select('members isActive');
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const invitation = await GroupInvitation.findOne({
+      _id: req.params.invitationId,
+      groupId: group._id,
+      status: 'pending'
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const isSender = invitation.invitedBy.toString() === req.user._id.toString();
+
+    if (!isSender && !can(req.user, 'group:manage_invitations', { group })) {
+      return res.status(403).json({ message: 'Not allowed to revoke this invitation' });
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    res.json({ message: 'Invitation revoked' });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      message: 'Error revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/social/invitations
+// @desc    Get the current user's pending group invitations
+// @access  Private
+router.get('/invitations', auth, async (req, res) => {
+  try {
+    const invitations = await GroupInvitation.find({
+      invitee: req.user._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+    .populate('groupId', 'name description avatar category privacy')
+    .populate('invitedBy', 'username profile.firstName profile.avatar')
+    .sort({ createdAt: -1 });
+
+    res.json({
+      invitations: invitations.map(invitation => invitation.getPublicData())
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      message: 'Error fetching invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/invitations/redeem
+// @desc    Join a group with an invitation token
+// @access  Private
+router.post('/invitations/redeem', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Invitation token is required' });
+    }
+
+    const invitation = await GroupInvitation.findByToken(token);
+
+    if (!invitation || (invitation.invitee && invitation.invitee.toString() !== req.user._id.toString())) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    await acceptInvitation(invitation, req.user, res);
+
+  } catch (error) {
+    console.error('Redeem invitation error:', error);
+    res.status(500).json({
+      message: 'Error redeeming invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/invitations/:invitationId/accept
+// @desc    Accept a direct group invitation
+// @access  Private
+router.post('/invitations/:invitationId/accept', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const invitation = await GroupInvitation.findOne({
+      _id: req.params.invitationId,
+      invitee: req.user._id
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    await acceptInvitation(invitation, req.user, res);
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      message: 'Error accepting invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/invitations/:invitationId/decline
+// @desc    Decline a direct group invitation
+// @access  Private
+router.post('/invitations/:invitationId/decline', auth, async (req, res) => {
+  try {
+    const invitation = await GroupInvitation.findOne({
+      _id: req.params.invitationId,
+      invitee: req.user._id,
+      status: 'pending'
+    }).populate('groupId', 'name');
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    await notificationService.notify(invitation.invitedBy, {
+      type: 'group-invitation-response',
+      title: 'Invitation Declined',
+      body: `${req.user.username} declined your invitation to ${invitation.groupId?.name}`,
+      actorId: req.user._id,
+      data: {
+        groupId: invitation.groupId?._id,
+        groupName: invitation.groupId?.name,
+        invitationId: invitation._id,
+        accepted: false,
+        user: notificationService.actorOf(req.user)
+      }
+    });
+
+    res.json({ message: 'Invitation declined' });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      message: 'Error declining invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/social/groups/:groupId/members
+// @desc    Get active group members, admins and moderators first
+// @access  Private
+router.get('/groups/:groupId/members', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const group = await Group.findById(req.params.groupId).select('members privacy isActive');
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (group.privacy !== 'public' && !group.getMember(req.user._id)) {
+      return res.status(403).json({ message: 'Must be a group member to view members' });
+    }
+
+    await group.populate('members.userId', 'username profile.firstName profile.avatar isActive');
+
+    // Members on either side of a block with the caller are left out
+    const blockedIds = new Set((await getBlockedUserIds(req.user._id)).map(id => id.toString()));
+    const roleOrder = { admin: 0, moderator: 1, member: 2 };
+
+    const members = group.members
+      .filter(member => member.isActive && member.userId?.isActive && !blockedIds.has(member.userId._id.toString()))
+      .sort((a, b) => roleOrder[a.role] - roleOrder[b.role] || a.joinedAt - b.joinedAt);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    res.json({
+      members: members.slice(skip, skip + parseInt(limit)).map(member => ({
+        user: {
+          _id: member.userId._id,
+          username: member.userId.username,
+          firstName: member.userId.profile?.firstName,
+          avatar: member.userId.profile?.avatar
+        },
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(members.length / parseInt(limit)),
+        total: members.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group members error:', error);
+    res.status(500).json({
+      message: 'Error fetching group members',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/social/groups/:groupId/members/:userId/role
+// @desc    Change a member's group role (admin, moderator or member)
+// @access  Private
+router.put('/groups/:groupId/members/:userId/role', auth, async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    const { role, reason } = req.body;
+
+    const group = await Group.findById(groupId);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!can(req.user, 'group:manage_roles', { group })) {
+      return res.status(403).json({ message: 'Only group admins can change member roles' });
+    }
+
+    const { change, error } = await roleService.setGroupRole(group, userId, role, {
+      changedBy: req.user._id,
+      reason
+    });
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (change) {
+      emitToRoom(`group-${group._id}`, 'group-member-role', {
+        groupId: group._id,
+        userId,
+        role
+      });
+    }
+
+    res.json({
+      message: change ? 'Member role updated successfully' : 'Member already has this role',
+      member: { userId, role },
+      change
+    });
+
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      message: 'Error updating member role',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/groups/:groupId/challenges
+// @desc    Create group challenge
+// @access  Private
+router.post('/groups/:groupId/challenges', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const {
+      title,
+      description,
+      type,
+      goal,
+      startDate,
+      endDate,
+      rewards,
+      filters
+    } = req.body;
+
+    if (!title || !challengeTypes.includes(type)) {
+      return res.status(400).json({ message: `Title and a type (${challengeTypes.join(', ')}) are required` });
+    }
+
+    if (!startDate || !endDate || isNaN(new Date(startDate)) || isNaN(new Date(endDate)) ||
+        new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({ message: 'Valid startDate and endDate are required, ending after the start' });
+    }
+
+    const { value: challengeFilters, error: filterError } = parseChallengeFilters(filters);
+
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+
+    const { value: challengeRewards, error: rewardError } = parseChallengeRewards(rewards);
+
+    if (rewardError) {
+      return res.status(400).json({ message: rewardError });
+    }
+
+    const group = await Group.findById(groupId);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!can(req.user, 'group:create_challenge', { group })) {
+      return res.status(403).json({ message: 'Only admins, moderators and coaches can create challenges' });
+    }
+
+    const challengeData = {
+      title,
+      description,
+      type,
+      goal,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      rewards: challengeRewards,
+      filters: challengeFilters,
+      // Challenges that have already started skip the scheduled state
+      ...(new Date(startDate) <= new Date() && { status: 'active', activatedAt: new Date() })
+    };
+
+    const challenge = group.createChallenge(challengeData, req.user._id);
+    await group.save();
+
+    res.status(201).json({
+      message: 'Challenge created successfully',
+      challenge
+    });
+
+  } catch (error) {
+    console.error('Create challenge error:', error);
+    res.status(500).json({
+      message: 'Error creating challenge',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/groups/:groupId/challenges/:challengeId/join
+// @desc    Join group challenge
+// @access  Private
+router.post('/groups/:groupId/challenges/:challengeId/join', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { groupId, challengeId } = req.params;
+
+    const group = await Group.findById(groupId);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member
+    const member = group.members.find(member => 
+      member.userId.toString() === req.user._id.toString() && member.isActive
+    );
+
+    if (!member) {
+      return res.status(403).json({ message: 'Must be a group member to join challenges' });
+    }
+
+    const challenge = group.challenges.id(challengeId);
+
+    if (!challenge || !challenge.isActive) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    if (!challengeService.isOpen(challenge)) {
+      return res.status(400).json({ message: 'Challenge has ended' });
+    }
+
+    group.joinChallenge(challengeId, req.user._id);
+
+    // Activities already completed in the challenge window count right away
+    if (challengeService.isAutomatic(challenge) && challenge.startDate <= new Date()) {
+      await challengeService.refreshParticipants(group, [{ challenge, userId: req.user._id }]);
+    } else {
+      await group.save();
+    }
+
+    res.json({ message: 'Successfully joined challenge' });
+
+  } catch (error) {
+    console.error('Join challenge error:', error);
+    res.status(500).json({
+      message: 'Error joining challenge',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/social/groups/:groupId/challenges/:challengeId/progress
+// @desc    Update progress of a custom challenge; other types track completed activities
+// @access  Private
+router.post('/groups/:groupId/challenges/:challengeId/progress', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { groupId, challengeId } = req.params;
+    const { progress } = req.body;
+
+    if (typeof progress !== 'number' || !Number.isFinite(progress) || progress < 0) {
+      return res.status(400).json({ message: 'Progress must be a non-negative number' });
+    }
+
+    const group = await Group.findById(groupId);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const challenge = group.challenges.id(challengeId);
+
+    if (!challenge || !challenge.isActive) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    if (challengeService.isAutomatic(challenge)) {
+      return res.status(400).json({
+        message: 'Progress for this challenge is tracked from completed activities'
+      });
+    }
+
+    if (!challengeService.isOpen(challenge)) {
+      return res.status(400).json({ message: 'Challenge has ended' });
+    }
+
+    const participant = challenge.participants.find(p =>
+      p.userId.toString() === req.user._id.toString()
+    );
+
+    if (!participant || !group.getMember(req.user._id)) {
+      return res.status(403).json({ message: 'Must join the challenge to update progress' });
+    }
+
+    await challengeService.setManualProgress(group, challenge, req.user._id, progress);
+
+    res.json({
+      message: 'Progress updated successfully',
+      progress: participant.progress,
+      isCompleted: participant.isCompleted
+    });
+
+  } catch (error) {
+    console.error('Update challenge progress error:', error);
+    res.status(500).json({
+      message: 'Error updating challenge progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/social/groups/:groupId/challenges/:challengeId/results
+// @desc    Get final standings and rewards of a finished challenge
+// @access  Private
+router.get('/groups/:groupId/challenges/:challengeId/results', auth, async (req, res) => {
+  try {
+    const { groupId, challengeId } = req.params;
+
+    const group = await Group.findById(groupId)
+      .populate('challenges.results.standings.userId', 'username profile.firstName profile.avatar');
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (group.privacy !== 'public' && !group.getMember(req.user._id)) {
+      return res.status(403).json({ message: 'Must be a group member to view challenge results' });
+    }
+
+    const challenge = group.challenges.id(challengeId);
+
+    if (!challenge || !challenge.isActive) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    if (challenge.status !== 'completed') {
+      return res.status(400).json({
+        message: 'Results are available once the challenge has ended',
+        status: challenge.status,
+        endDate: challenge.endDate
+      });
+    }
+
+    res.json({
+      challenge: {
+        _id: challenge._id,
+        title: challenge.title,
+        type: challenge.type,
+        goal: challenge.goal,
+        rewards: challenge.rewards,
+        startDate: challenge.startDate,
+        endDate: challenge.endDate,
+        finalizedAt: challenge.finalizedAt
+      },
+      results: challenge.results
+    });
+
+  } catch (error) {
+    console.error('Get challenge results error:', error);
+    res.status(500).json({
+      message: 'Error fetching challenge results',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/social/groups/:groupId/leaderboard
+// @desc    Rank group members by activities or minutes completed in a period
+// @access  Private
+router.get('/groups/:groupId/leaderboard', auth, async (req, res) => {
+  try {
+    const { metric = 'activities', period = 'week', limit = 10 } = req.query;
+
+    if (!['activities', 'minutes'].includes(metric)) {
+      return res.status(400).json({ message: 'Metric must be activities or minutes' });
+    }
+
+    if (!['week', 'month', 'year', 'all'].includes(period)) {
+      return res.status(400).json({ message: 'Period must be week, month, year or all' });
+    }
+
+    const group = await Group.findById(req.params.groupId).select('members privacy isActive');
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (group.privacy !== 'public' && !group.getMember(req.user._id)) {
+      return res.status(403).json({ message: 'Must be a group member to view the leaderboard' });
+    }
+
+    const from = leaderboardService.periodStart(period);
+    const result = await leaderboardService.groupLeaderboard(group, req.user._id, { metric, from, limit });
+
+    res.json({
+      ...result,
+      metric,
+      period,
+      window: { from: from || null, to: new Date() }
+    });
+
+  } catch (error) {
+    console.error('Get group leaderboard error:', error);
+    res.status(500).json({
+      message: 'Error fetching group leaderboard',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/social/groups/:groupId/challenges/:challengeId/leaderboard
+// @desc    Rank challenge participants by progress, or activities or minutes in the challenge window
+// @access  Private
+router.get('/groups/:groupId/challenges/:challengeId/leaderboard', auth, async (req, res) => {
+  try {
+    const { groupId, challengeId } = req.params;
+    const { metric = 'progress', limit = 10 } = req.query;
+
+    if (!['progress', 'activities', 'minutes'].includes(metric)) {
+      return res.status(400).json({ message: 'Metric must be progress, activities or minutes' });
+    }
+
+    const group = await Group.findById(groupId).select('members privacy isActive challenges');
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (group.privacy !== 'public' && !group.getMember(req.user._id)) {
+      return res.status(403).json({ message: 'Must be a group member to view the leaderboard' });
+    }
+
+    const challenge = group.challenges.id(challengeId);
+
+    if (!challenge || !challenge.isActive) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    const result = await leaderboardService.challengeLeaderboard(group, challenge, req.user._id, {
+      metric,
+      unit: challengeService.unitOf(challenge),
+      limit
+    });
+
+    res.json({
+      ...result,
+      metric,
+      challenge: {
+        _id: challenge._id,
+        title: challenge.title,
+        type: challenge.type,
+        goal: challenge.goal,
+        status: challenge.status,
+        startDate: challenge.startDate,
+        endDate: challenge.endDate,
+        ...(challenge.type === 'group_goal' && { groupProgress: challenge.groupProgress })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get challenge leaderboard error:', error);
+    res.status(500).json({
+      message: 'Error fetching challenge leaderboard',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Group posts, reactions and comments
+router.use('/groups/:groupId/posts', require('./groupPosts'));
+
+// @route   GET /api/social/feed
+// @desc    Get social feed with friends' activities
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const user = await User.findById(req.user._id);
+    const friendIds = user.socialData.friends
+      .filter(friend => friend.status === 'accepted')
+      .map(friend => friend.userId);
+
+    // Include user's own activities
+    friendIds.push(req.user._id);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const activities = await Activity.find({
+      userId: { $in: friendIds },
+      'socialData.isShared': true,
+      'moderation.isHidden': { $ne: true },
+      isActive: true
+    })
+    .populate('userId', 'username profile.firstName profile.lastName profile.avatar')
+    .populate('socialData.likes.userId', 'username profile.firstName profile.avatar')
+    .populate('socialData.comments.userId', 'username profile.firstName profile.avatar')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+    const total = await Activity.countDocuments({
+      userId: { $in: friendIds },
+      'socialData.isShared': true,
+      'moderation.isHidden': { $ne: true },
+      isActive: true
+    });
+
+    // Comments from either side of a block are left out
+    const blockedIds = new Set((await getBlockedUserIds(req.user._id)).map(id => id.toString()));
+    const feed = activities.map(activity => {
+      const data = activity.getPublicData();
+      data.socialData.comments = data.socialData.comments.filter(comment =>
+        !blockedIds.has((comment.userId?._id || comment.userId)?.toString())
+      );
+      data.commentCount = data.socialData.comments.length;
+      return data;
+    });
+
+    res.json({
+      feed,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get social feed error:', error);
+    res.status(500).json({
+      message: 'Error fetching social feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// Helper function to validate challenge activity filters
+function parseChallengeFilters(filters = {}) {
+  const activityTypes = filters.activityTypes || [];
+  const categories = filters.categories || [];
+  const allowedTypes = Activity.schema.path('type').enumValues;
+  const allowedCategories = Activity.schema.path('category').enumValues;
+
+  if (!Array.isArray(activityTypes) || activityTypes.some(type => !allowedTypes.includes(type))) {
+    return { error: `filters.activityTypes must only contain: ${allowedTypes.join(', ')}` };
+  }
+
+  if (!Array.isArray(categories) || categories.some(category => !allowedCategories.includes(category))) {
+    return { error: `filters.categories must only contain: ${allowedCategories.join(', ')}` };
+  }
+
+  return { value: { activityTypes, categories } };
+}
+
+// Helper function to validate challenge rewards; points rewards need an amount
+function parseChallengeRewards(rewards = []) {
+  const allowedTypes = Group.schema.path('challenges').schema.path('rewards').schema.path('type').enumValues;
+
+  if (!Array.isArray(rewards)) {
+    return { error: 'Rewards must be a list' };
+  }
+
+  for (const reward of rewards) {
+    if (!allowedTypes.includes(reward?.type) || !reward.name) {
+      return { error: `Each reward needs a name and a type (${allowedTypes.join(', ')})` };
+    }
+
+    if (reward.type === 'points' && !(Number.isInteger(reward.amount) && reward.amount > 0)) {
+      return { error: 'Points rewards need a positive whole amount' };
+    }
+  }
+
+  return {
+    value: rewards.map(({ type, name, description, icon, amount }) => ({
+      type,
+      name,
+      description,
+      icon,
+      ...(type === 'points' && { amount })
+    }))
+  };
+}
+
+// Helper function to approve or reject a pending join request
+async function respondToJoinRequest(req, res, approve) {
+  try {
+    const group = await Group.findById(req.params.groupId);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!can(req.user, 'group:review_requests', { group })) {
+      return res.status(403).json({ message: 'Only admins and moderators can review join requests' });
+    }
+
+    const request = group.joinRequests.id(req.params.requestId);
+
+    if (!request || request.status !== 'pending') {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+
+    if (approve && group.isFull()) {
+      return res.status(400).json({ message: 'Group has reached maximum member limit' });
+    }
+
+    request.status = approve ? 'approved' : 'rejected';
+    request.respondedBy = req.user._id;
+    request.respondedAt = new Date();
+
+    if (approve) {
+      await addGroupMember(group, request.userId);
+    } else {
+      await group.save();
+    }
+
+    await notificationService.notify(request.userId, {
+      type: 'group-join-response',
+      title: approve ? 'Join Request Approved' : 'Join Request Declined',
+      body: approve
+        ? `You're now a member of ${group.name}`
+        : `Your request to join ${group.name} was declined`,
+      data: {
+        groupId: group._id,
+        groupName: group.name,
+        requestId: request._id,
+        approved: approve
+      }
+    });
+
+    res.json({
+      message: approve ? 'Join request approved' : 'Join request rejected',
+      request
+    });
+
+  } catch (error) {
+    console.error('Respond to join request error:', error);
+    res.status(500).json({
+      message: 'Error responding to join request',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+}
+
+// Helper function to join the invitation's group. Invitations bypass the
+// group's privacy and approval settings but not its member limit.
+async function acceptInvitation(invitation, user, res) {
+  if (!invitation.isUsable()) {
+    return res.status(410).json({ message: 'Invitation has expired or is no longer valid' });
+  }
+
+  const group = await Group.findById(invitation.groupId);
+
+  if (!group || !group.isActive) {
+    return res.status(404).json({ message: 'Group not found' });
+  }
+
+  if (group.getMember(user._id)) {
+    return res.status(400).json({ message: 'Already a member of this group' });
+  }
+
+  if (group.isFull()) {
+    return res.status(400).json({ message: 'Group has reached maximum member limit' });
+  }
+
+  // Claim a use atomically so a link can't be redeemed past maxUses
+  const claimed = await GroupInvitation.findOneAndUpdate(
+    {
+      _id: invitation._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+      [`uses.${invitation.maxUses - 1}`]: { $exists: false },
+      'uses.userId': { $ne: user._id }
+    },
+    { $push: { uses: { userId: user._id, usedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return res.status(410).json({ message: 'Invitation has expired or is no longer valid' });
+  }
+
+  if (claimed.uses.length >= claimed.maxUses) {
+    claimed.status = 'accepted';
+    claimed.respondedAt = new Date();
+    await claimed.save();
+  }
+
+  // An invitation supersedes any pending request to join
+  const pendingRequest = group.getPendingRequest(user._id);
+  if (pendingRequest) {
+    pendingRequest.status = 'approved';
+    pendingRequest.respondedAt = new Date();
+  }
+
+  await addGroupMember(group, user._id);
+
+  await notificationService.notify(invitation.invitedBy, {
+    type: 'group-invitation-response',
+    title: 'Invitation Accepted',
+    body: `${user.username} joined ${group.name}`,
+    actorId: user._id,
+    data: {
+      groupId: group._id,
+      groupName: group.name,
+      invitationId: invitation._id,
+      accepted: true,
+      user: notificationService.actorOf(user)
+    }
+  });
+
+  res.json({
+    message: 'Successfully joined group',
+    group: group.getSummary()
+  });
+}
+
+// Helper function to find what a report points at. Returns the owner and
+// the parents of nested content, or null when it doesn't exist.
+async function findReportTarget(targetType, ref) {
+  if (targetType === 'user') {
+    const user = mongoose.Types.ObjectId.isValid(ref.targetId)
+      ? await User.exists({ _id: ref.targetId })
+      : null;
+
+    return user ? { targetUserId: user._id } : null;
+  }
+
+  const located = await moderationService.locate(targetType, ref);
+  if (!located) return null;
+
+  return { targetUserId: located.ownerId, ...located.context };
+}
+
+module.exports = router;
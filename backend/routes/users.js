@@ -1,7 +1,10 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const User = require('../models/User');
 const Activity = require('../models/Activity');
+const achievementService = require('../services/achievementService');
+const leaderboardService = require('../services/leaderboardService');
+const { getBlockedUserIds, isBlocked } = require('../services/socialService');
 
 const router = express.Router();
 
@@ -17,10 +20,11 @@ router.get('/search', auth, async (req, res) => {
     }
 
     const searchRegex = new RegExp(q.trim(), 'i');
+    const blockedIds = await getBlockedUserIds(req.user._id);
 
     const users = await User.find({
       $and: [
-        { _id: { $ne: req.user._id } }, // Exclude current user
+        { _id: { $ne: req.user._id, $nin: blockedIds } }, // Exclude current and blocked users
         { isActive: true },
         {
           $or: [
@@ -59,6 +63,11 @@ router.get('/:userId/profile', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Blocked users can't tell the profile exists
+    if (await isBlocked(req.user._id, user._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     // Check privacy settings
     const currentUser = await User.findById(req.user._id);
     const isFriend = currentUser.socialData.friends.some(friend => 
@@ -81,6 +90,7 @@ router.get('/:userId/profile', auth, async (req, res) => {
       recentActivities = await Activity.find({
         userId: userId,
         'socialData.isShared': true,
+        'moderation.isHidden': { $ne: true },
         isActive: true
       })
       .select('type category title createdAt completionData.isCompleted socialData.likes')
@@ -150,142 +160,45 @@ router.get('/:userId/profile', auth, async (req, res) => {
 });
 
 // @route   GET /api/users/leaderboard
-// @desc    Get wellness leaderboard
+// @desc    Get wellness leaderboard, globally, among friends or within a group
 // @access  Private
 router.get('/leaderboard', auth, async (req, res) => {
   try {
-    const { type = 'streak', period = 'all', limit = 50 } = req.query;
-
-    let matchStage = { isActive: true };
-    let sortStage = {};
-
-    // Add time period filter if needed
-    if (period !== 'all') {
-      const startDate = new Date();
-      switch (period) {
-        case 'week':
-          startDate.setDate(startDate.getDate() - 7);
-          break;
-        case 'month':
-          startDate.setDate(startDate.getDate() - 30);
-          break;
-        case 'year':
-          startDate.setFullYear(startDate.getFullYear() - 1);
-          break;
-      }
-      matchStage.lastLogin = { $gte: startDate };
+    const { type = 'streak', scope = 'global', groupId, period = 'all', limit = 50 } = req.query;
+
+    if (!['streak', 'activities', 'social'].includes(type)) {
+      return res.status(400).json({ message: 'Invalid leaderboard type' });
     }
 
-    let leaderboard = [];
-
-    switch (type) {
-      case 'streak':
-        leaderboard = await User.find(matchStage)
-          .select('username profile.firstName profile.avatar streakData.currentStreak')
-          .sort({ 'streakData.currentStreak': -1, 'streakData.longestStreak': -1 })
-          .limit(parseInt(limit));
-        
-        leaderboard = leaderboard.map((user, index) => ({
-          rank: index + 1,
-          user: {
-            _id: user._id,
-            username: user.username,
-            firstName: user.profile.firstName,
-            avatar: user.profile.avatar
-          },
-          value: user.streakData.currentStreak,
-          label: `${user.streakData.currentStreak} day${user.streakData.currentStreak !== 1 ? 's' : ''}`
-        }));
-        break;
-
-      case 'activities':
-        leaderboard = await User.find(matchStage)
-          .select('username profile.firstName profile.avatar streakData.totalActivitiesCompleted')
-          .sort({ 'streakData.totalActivitiesCompleted': -1 })
-          .limit(parseInt(limit));
-        
-        leaderboard = leaderboard.map((user, index) => ({
-          rank: index + 1,
-          user: {
-            _id: user._id,
-            username: user.username,
-            firstName: user.profile.firstName,
-            avatar: user.profile.avatar
-          },
-          value: user.streakData.totalActivitiesCompleted,
-          label: `${user.streakData.totalActivitiesCompleted} activities`
-        }));
-        break;
-
-      case 'social':
-        // Most liked activities
-        const socialLeaders = await Activity.aggregate([
-          {
-            $match: {
-              'socialData.isShared': true,
-              isActive: true,
-              ...(period !== 'all' && { createdAt: { $gte: startDate } })
-            }
-          },
-          {
-            $group: {
-              _id: '$userId',
-              totalLikes: { $sum: { $size: '$socialData.likes' } },
-              totalShared: { $sum: 1 }
-            }
-          },
-          {
-            $lookup: {
-              from: 'users',
-              localField: '_id',
-              foreignField: '_id',
-              as: 'user'
-            }
-          },
-          {
-            $unwind: '$user'
-          },
-          {
-            $match: {
-              'user.isActive': true
-            }
-          },
-          {
-            $sort: { totalLikes: -1, totalShared: -1 }
-          },
-          {
-            $limit: parseInt(limit)
-          }
-        ]);
-
-        leaderboard = socialLeaders.map((item, index) => ({
-          rank: index + 1,
-          user: {
-            _id: item.user._id,
-            username: item.user.username,
-            firstName: item.user.profile.firstName,
-            avatar: item.user.profile.avatar
-          },
-          value: item.totalLikes,
-          label: `${item.totalLikes} likes`
-        }));
-        break;
-
-      default:
-        return res.status(400).json({ message: 'Invalid leaderboard type' });
+    if (!['all', 'week', 'month', 'year'].includes(period)) {
+      return res.status(400).json({ message: 'Period must be all, week, month or year' });
     }
 
-    // Find current user's position
-    const currentUserRank = leaderboard.findIndex(entry => 
-      entry.user._id.toString() === req.user._id.toString()
-    ) + 1;
+    const viewer = await User.findById(req.user._id).select('socialData.friends');
+
+    const { userIds, error } = await leaderboardService.scopeUserIds(scope, viewer, groupId);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Periods count completions (or likes) in the window; streaks are always current
+    const result = await leaderboardService.userLeaderboard(type, {
+      viewer,
+      scope,
+      userIds,
+      period,
+      limit: Math.min(parseInt(limit) || 50, 100)
+    });
 
     res.json({
-      leaderboard,
-      currentUserRank: currentUserRank || null,
+      leaderboard: result.leaderboard,
+      currentUserRank: result.currentUser?.rank || null,
+      currentUser: result.currentUser,
       type,
+      scope,
       period,
-      total: leaderboard.length
+      total: result.total
     });
 
   } catch (error) {
@@ -297,42 +210,58 @@ router.get('/leaderboard', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/users/achievements/unlock
-// @desc    Unlock achievement for user
+// @route   GET /api/users/achievements
+// @desc    Get achievement catalog with the user's unlocked tiers
 // @access  Private
-router.post('/achievements/unlock', auth, async (req, res) => {
+router.get('/achievements', auth, async (req, res) => {
   try {
-    const { type, description } = req.body;
+    const user = await User.findById(req.user._id).select('achievements');
 
-    if (!type) {
-      return res.status(400).json({ message: 'Achievement type is required' });
-    }
+    res.json({
+      achievements: user.achievements,
+      catalog: achievementService.getCatalog(user)
+    });
 
-    const user = await User.findById(req.user._id);
+  } catch (error) {
+    console.error('Get achievements error:', error);
+    res.status(500).json({
+      message: 'Error fetching achievements',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
 
-    // Check if achievement already exists
-    const existingAchievement = user.achievements.find(achievement => 
-      achievement.type === type
-    );
+// @route   POST /api/users/achievements/unlock
+// @desc    Manually award an achievement (achievements are normally
+//          awarded automatically by the rules engine)
+// @access  Admin
+router.post('/achievements/unlock', auth, requirePermission('achievements:award'), async (req, res) => {
+  try {
+    const { userId, type, tier = 1 } = req.body;
 
-    if (existingAchievement) {
-      return res.status(400).json({ message: 'Achievement already unlocked' });
+    if (!userId || !type) {
+      return res.status(400).json({ message: 'User ID and achievement type are required' });
     }
 
-    // Add new achievement
-    user.achievements.push({
-      type,
-      description: description || this.getAchievementDescription(type),
-      unlockedAt: new Date()
-    });
+    const rule = achievementService.rulesByType.get(type);
+    if (!rule || !rule.tiers.some(t => t.tier === tier)) {
+      return res.status(400).json({ message: 'Unknown achievement type or tier' });
+    }
 
-    await user.save();
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    const newAchievement = user.achievements[user.achievements.length - 1];
+    const achievement = await achievementService.award(user._id, type, tier);
+
+    if (!achievement) {
+      return res.status(400).json({ message: 'Achievement already unlocked' });
+    }
 
     res.json({
       message: 'Achievement unlocked!',
-      achievement: newAchievement
+      achievement
     });
 
   } catch (error) {
@@ -351,12 +280,13 @@ router.get('/suggestions', auth, async (req, res) => {
   try {
     const currentUser = await User.findById(req.user._id);
     const currentFriendIds = currentUser.socialData.friends.map(friend => friend.userId);
+    const blockedIds = await getBlockedUserIds(req.user._id);
     
     // Find users with similar goals and activity preferences
     const suggestions = await User.find({
       _id: { 
         $ne: req.user._id,
-        $nin: currentFriendIds
+        $nin: [...currentFriendIds, ...blockedIds]
       },
       isActive: true,
       $or: [
@@ -456,17 +386,4 @@ router.put('/privacy', auth, async (req, res) => {
   }
 });
 
-// Helper function to get achievement descriptions
-function getAchievementDescription(type) {
-  const descriptions = {
-    'first_activity': 'Completed your first wellness activity',
-    'week_streak': 'Maintained a 7-day activity streak',
-    'month_streak': 'Maintained a 30-day activity streak',
-    'social_butterfly': 'Shared 10 activities with friends',
-    'goal_achiever': 'Completed 50 activities toward your primary goal'
-  };
-  
-  return descriptions[type] || 'Achievement unlocked!';
-}
-
 module.exports = router;
\ No newline at end of file
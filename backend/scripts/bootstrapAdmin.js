@@ -0,0 +1,64 @@
+// Promote an existing account to admin from the command line:
+//
+//   npm run bootstrap-admin -- user@example.com [--force]
+//
+// Meant for the first admin of a deployment, so it refuses to run once an
+// active admin exists unless --force is passed. The change is recorded in
+// the role audit trail like any other.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const roleService = require('../services/roleService');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const email = args.find(arg => !arg.startsWith('--'));
+  const force = args.includes('--force');
+
+  if (!email) {
+    console.error('Usage: npm run bootstrap-admin -- <email> [--force]');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-selfcare-planner');
+
+  const existingAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+  if (existingAdmins > 0 && !force) {
+    console.error('An admin already exists. Use the admin API, or pass --force to promote anyway.');
+    return 1;
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    return 1;
+  }
+
+  if (!user.isActive) {
+    console.error(`${email} is deactivated`);
+    return 1;
+  }
+
+  const { change, error } = await roleService.setPlatformRole(user, 'admin', {
+    source: 'bootstrap',
+    reason: 'Promoted with bootstrap-admin'
+  });
+
+  if (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  console.log(change ? `${user.username} is now an admin` : `${user.username} is already an admin`);
+  return 0;
+};
+
+run()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Bootstrap admin error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
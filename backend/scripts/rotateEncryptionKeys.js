@@ -0,0 +1,173 @@
+// Rotate the keys protecting private activity and mood text:
+//
+//   npm run rotate-keys -- master
+//     Rewrap every data key with the current FIELD_ENCRYPTION_KEY. Run it
+//     after making the new master key current and listing the old one in
+//     FIELD_ENCRYPTION_RETIRED_KEYS; the old key can be dropped afterwards.
+//
+//   npm run rotate-keys -- data-keys [user@example.com]
+//     Give each user (or one user) a new data key, re-encrypt their
+//     activities and mood notes with it and delete the old key.
+//
+//   npm run rotate-keys -- encrypt-existing
+//     Encrypt text saved in plaintext before encryption was turned on.
+//
+// Every command can be interrupted and run again.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const MoodEntry = require('../models/MoodEntry');
+const DataKey = require('../models/DataKey');
+const User = require('../models/User');
+const encryptionService = require('../services/encryptionService');
+
+const PRIVATE_PATHS = ['content', 'completionData.notes', 'completionData.feedback'];
+
+// Re-encrypt one lean activity with its owner's active key; `filter` guards
+// against a concurrent save having resealed it already
+const reseal = async (activity, filter) => {
+  await Activity.openSealed(activity);
+
+  const sealed = await Activity.sealFields(activity.userId, activity.type, {
+    content: activity.content,
+    notes: activity.completionData?.notes,
+    feedback: activity.completionData?.feedback
+  });
+  if (!sealed) return false;
+
+  const unset = PRIVATE_PATHS.filter(path => path !== 'content' || sealed.content);
+
+  const { modifiedCount } = await Activity.updateOne(
+    { _id: activity._id, ...filter },
+    { $set: { sealed }, $unset: Object.fromEntries(unset.map(path => [path, 1])) }
+  );
+  return modifiedCount > 0;
+};
+
+// Same for one lean mood entry
+const resealMood = async (entry, filter) => {
+  await MoodEntry.openSealed(entry);
+
+  const sealed = await encryptionService.seal(entry.userId, { note: entry.note });
+  if (!sealed) return false;
+
+  const { modifiedCount } = await MoodEntry.updateOne(
+    { _id: entry._id, ...filter },
+    { $set: { sealed }, $unset: { note: 1 } }
+  );
+  return modifiedCount > 0;
+};
+
+const rotateMasterKey = async () => {
+  const count = await encryptionService.rewrapDataKeys();
+  console.log(`Rewrapped ${count} data keys with master key "${encryptionService.masterKeyId}"`);
+  return 0;
+};
+
+const rotateDataKeys = async (email) => {
+  let userIds;
+
+  if (email) {
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('_id');
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      return 1;
+    }
+    userIds = [user._id];
+  } else {
+    userIds = await DataKey.distinct('userId');
+  }
+
+  for (const userId of userIds) {
+    const current = await DataKey.findOne({ userId }).sort({ version: -1 });
+    const { version } = await encryptionService.createDataKey(userId, (current?.version || 0) + 1);
+
+    const staleFilter = { userId, 'sealed.keyVersion': { $lt: version } };
+
+    let resealed = 0;
+    for await (const activity of Activity.find(staleFilter).lean().cursor()) {
+      if (await reseal(activity, { 'sealed.keyVersion': activity.sealed.keyVersion })) resealed++;
+    }
+
+    let resealedMoods = 0;
+    for await (const entry of MoodEntry.find(staleFilter).lean().cursor()) {
+      if (await resealMood(entry, { 'sealed.keyVersion': entry.sealed.keyVersion })) resealedMoods++;
+    }
+
+    // Only drop old keys once nothing sealed with them is left
+    const remaining = await Activity.countDocuments(staleFilter) + await MoodEntry.countDocuments(staleFilter);
+    const deleted = remaining === 0 ? await encryptionService.deleteDataKeysBefore(userId, version) : 0;
+
+    console.log(`User ${userId}: key version ${version}, ${resealed} activities and ${resealedMoods} mood entries re-encrypted, ${deleted} old keys deleted`);
+  }
+
+  return 0;
+};
+
+const encryptExisting = async () => {
+  let count = 0;
+
+  const plaintext = Activity.find({
+    $or: [
+      { 'completionData.notes': { $exists: true, $nin: [null, ''] } },
+      { 'completionData.feedback': { $exists: true, $nin: [null, ''] } },
+      { type: 'journaling', content: { $exists: true, $nin: [null, ''] } }
+    ]
+  }).lean().cursor();
+
+  for await (const activity of plaintext) {
+    // Fields sealed earlier are kept alongside the plaintext ones
+    const filter = activity.sealed?.keyVersion
+      ? { 'sealed.keyVersion': activity.sealed.keyVersion }
+      : { 'sealed.keyVersion': { $exists: false } };
+    if (await reseal(activity, filter)) count++;
+  }
+
+  let moodCount = 0;
+
+  const plainNotes = MoodEntry.find({
+    note: { $exists: true, $nin: [null, ''] },
+    'sealed.keyVersion': { $exists: false }
+  }).lean().cursor();
+
+  for await (const entry of plainNotes) {
+    if (await resealMood(entry, { 'sealed.keyVersion': { $exists: false } })) moodCount++;
+  }
+
+  console.log(`Encrypted private text on ${count} activities and ${moodCount} mood entries`);
+  return 0;
+};
+
+const run = async () => {
+  const [command, argument] = process.argv.slice(2);
+  const commands = {
+    master: rotateMasterKey,
+    'data-keys': rotateDataKeys,
+    'encrypt-existing': encryptExisting
+  };
+
+  if (!commands[command]) {
+    console.error('Usage: npm run rotate-keys -- <master | data-keys [email] | encrypt-existing>');
+    return 1;
+  }
+
+  if (!encryptionService.enabled) {
+    console.error('FIELD_ENCRYPTION_KEY is not set');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-selfcare-planner');
+
+  return commands[command](argument);
+};
+
+run()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    // Error messages here never include field contents
+    console.error('Key rotation error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
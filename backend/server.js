@@ -7,6 +7,17 @@ const rateLimit = require('express-rate-limit');
 const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
+const reminderScheduler = require('./services/reminderScheduler');
+const challengeLifecycle = require('./services/challengeLifecycle');
+const exportWorker = require('./services/exportWorker');
+const erasureWorker = require('./services/erasureWorker');
+const encryptionService = require('./services/encryptionService');
+const mailer = require('./services/mailer');
+const achievementService = require('./services/achievementService');
+const notificationService = require('./services/notificationService');
+const challengeService = require('./services/challengeService');
+const realtime = require('./services/realtime');
+const registerSocketHandlers = require('./services/socketHandlers');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,6 +27,8 @@ const io = socketIo(server, {
     methods: ["GET", "POST"]
   }
 });
+app.set('io', io);
+realtime.setIo(io);
 
 // Middleware
 app.use(helmet());
@@ -34,47 +47,52 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Mail transport; a misconfigured one fails startup rather than the first email
+if (mailer.getTransport().name === 'none') {
+  console.warn('No mail transport is configured (MAIL_TRANSPORT): verification and password reset emails are not sent');
+}
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-selfcare-planner', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  if (!encryptionService.enabled) {
+    console.warn('FIELD_ENCRYPTION_KEY is not set: journaling and activity notes are stored unencrypted');
+  }
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    reminderScheduler.start();
+    challengeLifecycle.start();
+    exportWorker.start();
+    erasureWorker.start();
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
+// Domain event subscribers
+achievementService.register();
+notificationService.register();
+challengeService.register();
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/content', require('./routes/content'));
 app.use('/api/activities', require('./routes/activities'));
+app.use('/api/moods', require('./routes/moods'));
 app.use('/api/social', require('./routes/social'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/safety', require('./routes/safety'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/admin/moderation', require('./routes/moderation'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Socket.io for real-time features
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`User ${userId} joined their room`);
-  });
-
-  socket.on('share-affirmation', (data) => {
-    // Broadcast to friends
-    socket.to(`user-${data.recipientId}`).emit('new-affirmation', data);
-  });
-
-  socket.on('challenge-update', (data) => {
-    // Broadcast to group members
-    data.groupMembers.forEach(memberId => {
-      socket.to(`user-${memberId}`).emit('challenge-progress', data);
-    });
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+registerSocketHandlers(io);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
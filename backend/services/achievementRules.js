@@ -0,0 +1,116 @@
+const Activity = require('../models/Activity');
+const Group = require('../models/Group');
+const { getZonedParts } = require('../utils/timezone');
+
+// Declarative achievement catalog. Each rule lists the domain events that
+// can change it, a measure of the user's current value and one or more
+// tiers with thresholds. Hidden achievements aren't described until unlocked.
+const achievementRules = [
+  {
+    type: 'first_activity',
+    name: 'First Step',
+    events: ['activity.completed'],
+    measure: async ({ user }) => user.streakData.totalActivitiesCompleted,
+    tiers: [
+      { tier: 1, threshold: 1, description: 'Completed your first wellness activity' }
+    ]
+  },
+  {
+    type: 'week_streak',
+    name: 'Week Warrior',
+    events: ['streak.updated'],
+    measure: async ({ user }) => user.streakData.currentStreak,
+    tiers: [
+      { tier: 1, threshold: 7, description: 'Maintained a 7-day activity streak' }
+    ]
+  },
+  {
+    type: 'month_streak',
+    name: 'Habit Builder',
+    events: ['streak.updated'],
+    measure: async ({ user }) => user.streakData.currentStreak,
+    tiers: [
+      { tier: 1, threshold: 30, description: 'Maintained a 30-day activity streak' },
+      { tier: 2, threshold: 100, description: 'Maintained a 100-day activity streak' },
+      { tier: 3, threshold: 365, description: 'Maintained a year-long activity streak' }
+    ]
+  },
+  {
+    type: 'social_butterfly',
+    name: 'Social Butterfly',
+    events: ['friend.accepted'],
+    measure: async ({ user }) => user.socialData.friends.filter(friend => friend.status === 'accepted').length,
+    tiers: [
+      { tier: 1, threshold: 5, description: 'Connected with 5 friends' },
+      { tier: 2, threshold: 15, description: 'Connected with 15 friends' },
+      { tier: 3, threshold: 50, description: 'Connected with 50 friends' }
+    ]
+  },
+  {
+    type: 'goal_achiever',
+    name: 'Goal Achiever',
+    events: ['activity.completed'],
+    measure: async ({ user }) => Activity.countDocuments({
+      userId: user._id,
+      category: user.primaryGoal,
+      'completionData.isCompleted': true
+    }),
+    tiers: [
+      { tier: 1, threshold: 50, description: 'Completed 50 activities toward your primary goal' },
+      { tier: 2, threshold: 150, description: 'Completed 150 activities toward your primary goal' },
+      { tier: 3, threshold: 500, description: 'Completed 500 activities toward your primary goal' }
+    ]
+  },
+  {
+    type: 'challenge_champion',
+    name: 'Challenge Champion',
+    events: ['challenge.completed'],
+    measure: async ({ user }) => {
+      const result = await Group.aggregate([
+        { $match: { 'challenges.participants.userId': user._id } },
+        { $unwind: '$challenges' },
+        { $unwind: '$challenges.participants' },
+        { $match: { 'challenges.participants.userId': user._id, 'challenges.participants.isCompleted': true } },
+        { $count: 'completed' }
+      ]);
+      return result[0]?.completed || 0;
+    },
+    tiers: [
+      { tier: 1, threshold: 1, description: 'Completed your first group challenge' },
+      { tier: 2, threshold: 5, description: 'Completed 5 group challenges' },
+      { tier: 3, threshold: 20, description: 'Completed 20 group challenges' }
+    ]
+  },
+  {
+    type: 'early_bird',
+    name: 'Early Bird',
+    hidden: true,
+    events: ['activity.completed'],
+    measure: async ({ user, payload }) => {
+      const completedAt = payload?.activity?.completionData?.completedAt;
+      if (!completedAt) return 0;
+      const { hour } = getZonedParts(completedAt, user.profile?.timezone);
+      return hour >= 4 && hour < 6 ? 1 : 0;
+    },
+    tiers: [
+      { tier: 1, threshold: 1, description: 'Completed an activity between 4am and 6am' }
+    ]
+  },
+  {
+    type: 'night_owl',
+    name: 'Night Owl',
+    hidden: true,
+    events: ['activity.completed'],
+    measure: async ({ user, payload }) => {
+      const completedAt = payload?.activity?.completionData?.completedAt;
+      if (!completedAt) return 0;
+      const { hour } = getZonedParts(completedAt, user.profile?.timezone);
+      return hour < 4 ? 1 : 0;
+    },
+    tiers: [
+      { tier: 1, threshold: 1, description: 'Completed an activity after midnight' }
+    ]
+  }
+];
+
+module.exports = achievementRules;
@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const achievementRules = require('./achievementRules');
+const domainEvents = require('./events');
+
+// Evaluates the achievement rules when domain events happen and awards
+// unlocked tiers. Awards are idempotent: each (type, tier) pair is pushed
+// with a conditional update, so concurrent events can't award it twice.
+class AchievementService {
+  constructor() {
+    this.rules = achievementRules;
+    this.rulesByType = new Map(achievementRules.map(rule => [rule.type, rule]));
+  }
+
+  // Subscribe to every event any rule cares about
+  register(events = domainEvents) {
+    const eventNames = new Set(this.rules.flatMap(rule => rule.events));
+
+    eventNames.forEach(event => {
+      events.subscribe(event, payload => this.evaluate(event, payload));
+    });
+  }
+
+  // Evaluate the rules triggered by an event for the user in the payload
+  async evaluate(event, payload) {
+    const user = await User.findById(payload.userId);
+    if (!user || !user.isActive) return [];
+
+    const unlocked = [];
+
+    for (const rule of this.rules.filter(rule => rule.events.includes(event))) {
+      const value = await rule.measure({ user, payload });
+
+      for (const tier of rule.tiers) {
+        if (value >= tier.threshold) {
+          const achievement = await this.award(user._id, rule.type, tier.tier);
+          if (achievement) unlocked.push(achievement);
+        }
+      }
+    }
+
+    return unlocked;
+  }
+
+  // Award one tier of an achievement. Returns the new achievement, or null
+  // when the user already had it.
+  async award(userId, type, tier = 1) {
+    const rule = this.rulesByType.get(type);
+    const tierDefinition = rule?.tiers.find(t => t.tier === tier);
+
+    if (!tierDefinition) {
+      throw new Error(`Unknown achievement ${type} tier ${tier}`);
+    }
+
+    const achievement = {
+      type,
+      tier,
+      name: rule.name,
+      description: tierDefinition.description,
+      unlockedAt: new Date()
+    };
+
+    // Entries awarded before tiers existed have no stored tier; they count
+    // as tier 1 like the schema default says
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        achievements: { $not: { $elemMatch: { type, tier: tier === 1 ? { $in: [1, null] } : tier } } }
+      },
+      { $push: { achievements: achievement } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    domainEvents.publish('achievement.unlocked', { userId, achievement });
+
+    return achievement;
+  }
+
+  // Catalog with the user's unlocked tiers; hidden ones stay secret until earned
+  getCatalog(user) {
+    return this.rules.map(rule => {
+      const earned = user.achievements.filter(achievement => achievement.type === rule.type);
+      const unlockedTiers = earned.map(achievement => achievement.tier || 1);
+
+      if (rule.hidden && earned.length === 0) {
+        return { type: rule.type, name: '???', hidden: true, tiers: [], unlockedTiers: [] };
+      }
+
+      return {
+        type: rule.type,
+        name: rule.name,
+        hidden: !!rule.hidden,
+        tiers: rule.tiers.map(tier => ({
+          tier: tier.tier,
+          threshold: tier.threshold,
+          description: tier.description,
+          unlocked: unlockedTiers.includes(tier.tier)
+        })),
+        unlockedTiers
+      };
+    });
+  }
+}
+
+module.exports = new AchievementService();
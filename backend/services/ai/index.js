@@ -0,0 +1,33 @@
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const LocalProvider = require('./localProvider');
+
+const providers = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  local: LocalProvider
+};
+
+// Build the AI provider selected by configuration.
+// AI_PROVIDER picks the adapter; without it we use OpenAI when a key is
+// configured and fall back to the offline local provider otherwise.
+const createProvider = (name = process.env.AI_PROVIDER) => {
+  const providerName = name || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+  const Provider = providers[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${providerName}"`);
+  }
+
+  return new Provider({
+    apiKey: providerName === 'openai' ? process.env.OPENAI_API_KEY : process.env.AI_API_KEY,
+    baseUrl: process.env.AI_BASE_URL,
+    model: process.env.AI_MODEL,
+    timeout: parseInt(process.env.AI_TIMEOUT_MS) || undefined
+  });
+};
+
+module.exports = {
+  createProvider,
+  providers
+};
@@ -0,0 +1,244 @@
+// Deterministic, template-based provider that never touches the network.
+// Used in development and CI, and as the default when no API key is set.
+// The same task and context always produce the same text.
+
+const affirmations = {
+  stress_relief: [
+    'I release what I cannot control and breathe into this moment.',
+    'I am allowed to slow down, and I handle today one step at a time.',
+    'Tension leaves my body with every breath I let go.'
+  ],
+  confidence_building: [
+    'I trust myself and the strength I have already shown.',
+    'My voice matters, and I give myself permission to be seen.',
+    'I am capable of growing through whatever today brings.'
+  ],
+  relaxation: [
+    'I give myself permission to rest without guilt.',
+    'Calm is always available to me, one breath away.',
+    'I soften my shoulders and let ease fill my day.'
+  ],
+  mindfulness: [
+    'I am here, in this moment, and that is enough.',
+    'I notice my thoughts with kindness and let them pass.',
+    'I meet each moment with curiosity instead of judgment.'
+  ],
+  productivity: [
+    'I focus on what matters and take the next small step.',
+    'Progress, not perfection, moves me forward today.',
+    'I have the energy and clarity to finish what I start.'
+  ],
+  sleep_improvement: [
+    'I let the day go and welcome deep, restful sleep.',
+    'My body knows how to rest, and I trust it tonight.',
+    'I have done enough today, and I deserve peace.'
+  ]
+};
+
+const moodOpeners = {
+  stressed: 'Even when things feel heavy,',
+  anxious: 'Even when my mind races,',
+  sad: 'Even on a tender day,',
+  neutral: 'Today,',
+  happy: 'With this good energy,',
+  excited: 'With all this excitement,',
+  calm: 'From this calm place,',
+  energetic: 'With this energy,'
+};
+
+const activities = {
+  breathing: {
+    title: 'Box Breathing Reset',
+    description: 'A steady four-count breathing pattern to settle your nervous system.',
+    steps: [
+      'Sit comfortably with your feet flat on the floor.',
+      'Inhale through your nose for a count of four.',
+      'Hold your breath gently for a count of four.',
+      'Exhale slowly through your mouth for a count of four.',
+      'Hold for a count of four, then repeat the cycle.'
+    ],
+    tags: ['breathing', 'calm']
+  },
+  meditation: {
+    title: 'Body Scan Meditation',
+    description: 'Move your attention slowly through your body, noticing without judgment.',
+    steps: [
+      'Find a quiet spot and close your eyes.',
+      'Take three slow, deep breaths.',
+      'Bring your attention to your feet and notice any sensations.',
+      'Slowly move your focus up through your legs, torso, arms and head.',
+      'Finish by noticing your whole body at once for a few breaths.'
+    ],
+    tags: ['meditation', 'mindfulness']
+  },
+  journaling: {
+    title: 'Three Good Things',
+    description: 'Write down three things that went well and why they mattered.',
+    steps: [
+      'Grab a notebook or open a notes app.',
+      'Write down three things that went well recently.',
+      'For each one, write a sentence about why it happened.',
+      'Read the list back slowly and notice how it feels.'
+    ],
+    tags: ['journaling', 'gratitude']
+  },
+  stretching: {
+    title: 'Gentle Desk Stretch',
+    description: 'Release tension in your neck, shoulders and back.',
+    steps: [
+      'Roll your shoulders backwards five times.',
+      'Tilt your head gently toward each shoulder and hold for three breaths.',
+      'Interlace your fingers and reach your arms overhead.',
+      'Twist gently to each side while seated.',
+      'Finish with a forward fold, letting your arms hang loose.'
+    ],
+    tags: ['stretching', 'movement']
+  },
+  exercise: {
+    title: 'Mindful Walk',
+    description: 'A short walk paying attention to what you see, hear and feel.',
+    steps: [
+      'Step outside or find a space where you can walk freely.',
+      'Walk at a comfortable pace, noticing each step.',
+      'Name five things you can see and three things you can hear.',
+      'Let your breathing match the rhythm of your steps.',
+      'End by standing still and taking three deep breaths.'
+    ],
+    tags: ['exercise', 'walking']
+  },
+  skincare: {
+    title: 'Slow Skincare Ritual',
+    description: 'Turn your skincare routine into a moment of care for yourself.',
+    steps: [
+      'Wash your face with lukewarm water, taking your time.',
+      'Apply your moisturizer using slow, upward strokes.',
+      'Gently massage your temples and jaw.',
+      'Finish by looking in the mirror and saying one kind thing to yourself.'
+    ],
+    tags: ['skincare', 'self-care routine']
+  },
+  reading: {
+    title: 'Unplugged Reading Break',
+    description: 'Read something you enjoy with your phone out of reach.',
+    steps: [
+      'Put your phone in another room or on silent.',
+      'Choose a book or article you find comforting.',
+      'Read slowly, without rushing to finish.',
+      'When you stop, note one idea that stayed with you.'
+    ],
+    tags: ['reading', 'unplug']
+  },
+  music: {
+    title: 'Mood Music Session',
+    description: 'Listen closely to a few songs that match or lift your mood.',
+    steps: [
+      'Pick three songs that feel good to you right now.',
+      'Sit or lie down somewhere comfortable.',
+      'Listen with your eyes closed, noticing each instrument.',
+      'Afterwards, notice how your mood has shifted.'
+    ],
+    tags: ['music', 'listening']
+  }
+};
+
+const goalActivityTypes = {
+  stress_relief: ['breathing', 'stretching', 'exercise'],
+  confidence_building: ['journaling', 'exercise', 'music'],
+  relaxation: ['breathing', 'skincare', 'music'],
+  mindfulness: ['meditation', 'breathing', 'journaling'],
+  productivity: ['stretching', 'journaling', 'exercise'],
+  sleep_improvement: ['meditation', 'reading', 'breathing']
+};
+
+const journalingPrompts = {
+  stressed: 'What is one thing weighing on you right now, and what would it look like to set it down for tonight?',
+  anxious: 'Write about a worry on your mind. What do you know for certain, and what are you only guessing?',
+  sad: 'What would you say to a close friend who feels the way you do today? Now write it to yourself.',
+  neutral: 'What is something small you are looking forward to, and why does it matter to you?',
+  happy: 'What contributed to how good you feel today, and how can you invite more of it?',
+  excited: 'What are you excited about, and what first step could you take toward it this week?',
+  calm: 'Describe this calm moment in detail. What helped you get here?',
+  energetic: 'Where do you want to direct your energy today, and what would make it feel well spent?'
+};
+
+const motivationalMessages = [
+  'A few mindful minutes can change your whole day.',
+  'Small steps count. Take one for yourself today.',
+  'You showed up yesterday. Show up for you again today.',
+  'Your wellbeing is worth five minutes right now.',
+  'Pause, breathe, and check in with yourself.'
+];
+
+const wellnessTips = {
+  stress_relief: 'Try the 4-7-8 breath: inhale for 4, hold for 7, exhale for 8. A longer exhale signals your body to relax.',
+  confidence_building: 'Keep a "done list" alongside your to-do list. Seeing what you have finished builds evidence of your capability.',
+  relaxation: 'Schedule a 10-minute break with no screens. Even short pauses lower muscle tension and mental load.',
+  mindfulness: 'Pick one daily routine, like brushing your teeth, and do it with full attention to every sensation.',
+  productivity: 'Work in focused 25-minute blocks followed by a 5-minute break to protect your attention.',
+  sleep_improvement: 'Dim the lights and put screens away an hour before bed to help your body produce melatonin.'
+};
+
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.model = 'local-templates';
+  }
+
+  async complete({ task, context = {} }) {
+    switch (task) {
+      case 'affirmation':
+        return this.affirmation(context);
+      case 'activity':
+        return JSON.stringify(this.activity(context));
+      case 'journaling':
+        return journalingPrompts[context.mood] || journalingPrompts.neutral;
+      case 'motivational':
+        return this.pick(motivationalMessages, task, context);
+      case 'wellness_tip':
+        return wellnessTips[context.goal] || wellnessTips.mindfulness;
+      default:
+        throw new Error(`Local provider does not support task "${task}"`);
+    }
+  }
+
+  affirmation(context) {
+    const options = affirmations[context.goal] || affirmations.mindfulness;
+    const affirmation = this.pick(options, 'affirmation', context);
+    const opener = moodOpeners[context.mood] || moodOpeners.neutral;
+
+    const body = affirmation.startsWith('I ')
+      ? affirmation
+      : `${affirmation.charAt(0).toLowerCase()}${affirmation.slice(1)}`;
+
+    return `${opener} ${body}`;
+  }
+
+  activity(context) {
+    const preferred = (context.activityTypes || []).filter(type => activities[type]);
+    const candidates = preferred.length > 0
+      ? preferred
+      : goalActivityTypes[context.goal] || ['breathing'];
+    const template = activities[this.pick(candidates, 'activity', context)];
+
+    return {
+      title: template.title,
+      description: template.description,
+      steps: template.steps,
+      duration: context.duration || 10,
+      difficulty: context.difficulty || 'beginner',
+      tags: [...template.tags, context.goal, context.mood].filter(Boolean)
+    };
+  }
+
+  // Stable pick from a list based on the task and context
+  pick(options, task, context) {
+    const seed = [task, context.mood, context.goal, context.context].join('|');
+    let hash = 0;
+    for (let i = 0; i < seed.length; i++) {
+      hash = (hash * 31 + seed.charCodeAt(i)) >>> 0;
+    }
+    return options[hash % options.length];
+  }
+}
+
+module.exports = LocalProvider;
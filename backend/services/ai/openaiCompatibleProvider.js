@@ -0,0 +1,53 @@
+// Provider for self-hosted models exposing an OpenAI-compatible
+// /chat/completions endpoint (llama.cpp server, vLLM, Ollama, LocalAI, ...)
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('AI_BASE_URL is required for the openai-compatible provider');
+    }
+
+    this.name = 'openai-compatible';
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.model = options.model;
+    this.timeout = options.timeout || 30000;
+  }
+
+  // Run a single chat completion and return the trimmed text
+  async complete({ system, prompt, maxTokens, temperature }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        max_tokens: maxTokens,
+        temperature
+      }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`AI provider responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('AI provider returned no completion content');
+    }
+
+    return content.trim();
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,35 @@
+const OpenAI = require('openai');
+
+// Provider backed by the official OpenAI API
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || 'gpt-4';
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+    });
+  }
+
+  // Run a single chat completion and return the trimmed text
+  async complete({ system, prompt, maxTokens, temperature }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: "system",
+          content: system
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+    });
+
+    return completion.choices[0].message.content.trim();
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,70 @@
+const Activity = require('../../models/Activity');
+
+const enumValues = (path) => Activity.schema.path(path).enumValues;
+
+// Declared output shape for each generator. The validator in ./validation
+// checks provider output against these before anything reaches the models.
+const outputSchemas = {
+  affirmation: {
+    type: 'string',
+    minLength: 10,
+    maxLength: 500
+  },
+  activity: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+      description: { type: 'string', required: true, minLength: 10, maxLength: 500 },
+      steps: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 15,
+        items: { type: 'string', minLength: 2, maxLength: 300 }
+      },
+      duration: { type: 'number', required: true, min: 1, max: 180 },
+      difficulty: { type: 'string', required: true, enum: enumValues('difficulty') },
+      tags: {
+        type: 'array',
+        required: true,
+        maxItems: 10,
+        items: { type: 'string', minLength: 1, maxLength: 40 }
+      }
+    }
+  },
+  journaling: {
+    type: 'string',
+    minLength: 10,
+    maxLength: 2000
+  },
+  motivational: {
+    type: 'string',
+    minLength: 5,
+    maxLength: 100
+  },
+  wellness_tip: {
+    type: 'string',
+    minLength: 10,
+    maxLength: 2000
+  }
+};
+
+// Human-readable description of a schema, used in repair prompts
+const describeSchema = (schema) => {
+  if (schema.type !== 'object') {
+    return `plain text between ${schema.minLength} and ${schema.maxLength} characters, with no quotes or extra commentary`;
+  }
+
+  const fields = Object.entries(schema.properties).map(([name, field]) => {
+    if (field.type === 'array') return `"${name}" (array of strings)`;
+    if (field.enum) return `"${name}" (one of: ${field.enum.join(', ')})`;
+    return `"${name}" (${field.type})`;
+  });
+
+  return `a single JSON object with fields ${fields.join(', ')} and nothing else`;
+};
+
+module.exports = {
+  outputSchemas,
+  describeSchema
+};
@@ -0,0 +1,145 @@
+// Parsing, light repair and validation of provider output against the
+// schemas declared in ./schemas
+
+// Pull a JSON object out of text that may be wrapped in code fences or prose
+const extractJson = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object found in output');
+  }
+
+  return JSON.parse(candidate.slice(start, end + 1));
+};
+
+// Coerce common near-misses (e.g. "10 minutes", "Beginner", "a, b") into
+// the declared type before validating
+const coerce = (value, field) => {
+  if (value === undefined || value === null) return value;
+
+  switch (field.type) {
+    case 'string': {
+      if (typeof value !== 'string') return value;
+      const trimmed = value.trim();
+      if (field.enum) {
+        const match = field.enum.find(option => option === trimmed.toLowerCase());
+        return match || trimmed;
+      }
+      return trimmed;
+    }
+    case 'number': {
+      if (typeof value === 'number') return value;
+      const parsed = parseFloat(String(value));
+      return Number.isNaN(parsed) ? value : parsed;
+    }
+    case 'array': {
+      let items = value;
+      if (typeof items === 'string') {
+        items = items.split(field.items?.type === 'string' && items.includes('\n') ? '\n' : ',');
+      }
+      if (!Array.isArray(items)) return value;
+      return items
+        .map(item => coerce(item, field.items || {}))
+        .filter(item => item !== '' && item !== undefined && item !== null);
+    }
+    default:
+      return value;
+  }
+};
+
+const validateField = (value, field, path, errors) => {
+  if (value === undefined || value === null) {
+    if (field.required) errors.push(`${path} is required`);
+    return;
+  }
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+        return;
+      }
+      if (field.minLength && value.length < field.minLength) {
+        errors.push(`${path} must be at least ${field.minLength} characters`);
+      }
+      if (field.maxLength && value.length > field.maxLength) {
+        errors.push(`${path} must be at most ${field.maxLength} characters`);
+      }
+      if (field.enum && !field.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${field.enum.join(', ')}`);
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a number`);
+        return;
+      }
+      if (field.min !== undefined && value < field.min) {
+        errors.push(`${path} must be at least ${field.min}`);
+      }
+      if (field.max !== undefined && value > field.max) {
+        errors.push(`${path} must be at most ${field.max}`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return;
+      }
+      if (field.minItems && value.length < field.minItems) {
+        errors.push(`${path} must have at least ${field.minItems} items`);
+      }
+      if (field.maxItems && value.length > field.maxItems) {
+        errors.push(`${path} must have at most ${field.maxItems} items`);
+      }
+      if (field.items) {
+        value.forEach((item, index) => validateField(item, field.items, `${path}[${index}]`, errors));
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      Object.entries(field.properties).forEach(([name, property]) => {
+        validateField(value[name], property, path ? `${path}.${name}` : name, errors);
+      });
+      break;
+  }
+};
+
+// Parse raw provider text against a schema.
+// Returns { value, errors }; an empty errors array means value is valid.
+const parseOutput = (raw, schema) => {
+  const errors = [];
+  let value;
+
+  if (schema.type === 'object') {
+    let parsed;
+    try {
+      parsed = extractJson(raw);
+    } catch (error) {
+      return { value: undefined, errors: [`output is not valid JSON: ${error.message}`] };
+    }
+
+    value = {};
+    Object.entries(schema.properties).forEach(([name, field]) => {
+      value[name] = coerce(parsed[name], field);
+    });
+  } else {
+    // Models like to wrap short text in quotes
+    value = coerce(String(raw).replace(/^\s*["“]|["”]\s*$/g, ''), schema);
+  }
+
+  validateField(value, { ...schema, required: true }, schema.type === 'object' ? '' : 'output', errors);
+
+  return { value, errors };
+};
+
+module.exports = {
+  parseOutput,
+  extractJson
+};
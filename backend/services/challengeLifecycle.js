@@ -0,0 +1,286 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { emitToRoom } = require('./realtime');
+
+const MINUTE = 60 * 1000;
+
+// Background job that moves group challenges through their lifecycle:
+// scheduled challenges become active on their start date, and challenges
+// past their end date are finalized - standings computed, rewards granted
+// to participants who completed, group stats updated and a results post
+// written to the group feed.
+// Each transition is claimed with an atomic update. Finalization steps are
+// idempotent, so a finalization interrupted by a restart is resumed once
+// its claim goes stale.
+class ChallengeLifecycle {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.CHALLENGE_LIFECYCLE_INTERVAL_MS) || MINUTE;
+    this.staleMinutes = 10;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+
+    console.log(`Challenge lifecycle started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.activateDue(now);
+      await this.finalizeDue(now);
+    } catch (error) {
+      console.error('Challenge lifecycle error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async activateDue(now) {
+    const due = {
+      isActive: true,
+      status: 'scheduled',
+      startDate: { $lte: now },
+      endDate: { $gt: now }
+    };
+
+    const groups = await Group.find({ isActive: true, challenges: { $elemMatch: due } })
+      .select('challenges._id challenges.title challenges.status challenges.isActive challenges.startDate challenges.endDate');
+
+    for (const group of groups) {
+      const challenges = group.challenges.filter(challenge =>
+        challenge.isActive && challenge.status === 'scheduled' &&
+        challenge.startDate <= now && challenge.endDate > now
+      );
+
+      for (const challenge of challenges) {
+        const claimed = await Group.updateOne(
+          { _id: group._id, challenges: { $elemMatch: { _id: challenge._id, status: 'scheduled' } } },
+          { $set: { 'challenges.$.status': 'active', 'challenges.$.activatedAt': now } }
+        );
+
+        if (claimed.modifiedCount === 0) continue;
+
+        emitToRoom(`group-${group._id}`, 'challenge-status', {
+          groupId: group._id,
+          challengeId: challenge._id,
+          challengeTitle: challenge.title,
+          status: 'active'
+        });
+      }
+    }
+  }
+
+  async finalizeDue(now) {
+    const staleBefore = new Date(now.getTime() - this.staleMinutes * MINUTE);
+    const due = {
+      isActive: true,
+      endDate: { $lte: now },
+      $or: [
+        { status: { $in: ['scheduled', 'active'] } },
+        { status: 'finalizing', finalizingAt: { $lt: staleBefore } }
+      ]
+    };
+
+    const groups = await Group.find({ isActive: true, challenges: { $elemMatch: due } })
+      .select('_id');
+
+    for (const { _id: groupId } of groups) {
+      // Claim one challenge at a time until none is left in this group
+      let claimed;
+      do {
+        claimed = await Group.findOneAndUpdate(
+          { _id: groupId, challenges: { $elemMatch: due } },
+          { $set: { 'challenges.$.status': 'finalizing', 'challenges.$.finalizingAt': now } },
+          { projection: { 'challenges.$': 1 } }
+        );
+
+        if (claimed) {
+          try {
+            await this.finalize(groupId, claimed.challenges[0]._id);
+          } catch (error) {
+            console.error(`Error finalizing challenge ${claimed.challenges[0]._id}:`, error);
+          }
+        }
+      } while (claimed);
+    }
+  }
+
+  async finalize(groupId, challengeId) {
+    const group = await Group.findById(groupId);
+    const challenge = group.challenges.id(challengeId);
+
+    // 1. Standings and group stats, saved together so a resume never
+    // counts completions twice
+    if (!challenge.results?.computedAt) {
+      const standings = rankParticipants(challenge);
+      const completedCount = standings.filter(standing => standing.isCompleted).length;
+
+      challenge.results = {
+        standings,
+        participantCount: standings.length,
+        completedCount,
+        groupProgress: challenge.type === 'group_goal' ? challenge.groupProgress : undefined,
+        computedAt: new Date()
+      };
+
+      // Counts participant completions, not challenges
+      group.stats.totalChallengesCompleted += completedCount;
+      await group.save();
+    }
+
+    // 2. Rewards; each user is rewarded at most once per challenge
+    const completed = challenge.results.standings.filter(standing => standing.isCompleted);
+    for (const standing of completed) {
+      await this.grantRewards(group, challenge, standing);
+    }
+
+    // 3. Results post
+    if (group.settings.postChallengeResults && !challenge.results.postId) {
+      const post = group.addPost({
+        userId: challenge.createdBy,
+        content: await this.buildResultsSummary(challenge),
+        type: 'celebration'
+      });
+      challenge.results.postId = post._id;
+      await group.save();
+
+      emitToRoom(`group-${group._id}`, 'group-post', {
+        groupId: group._id,
+        post: {
+          _id: post._id,
+          author: challenge.createdBy,
+          content: post.content,
+          type: post.type,
+          createdAt: post.createdAt
+        }
+      });
+    }
+
+    challenge.status = 'completed';
+    challenge.finalizedAt = new Date();
+    await group.save();
+
+    emitToRoom(`group-${group._id}`, 'challenge-status', {
+      groupId: group._id,
+      challengeId: challenge._id,
+      challengeTitle: challenge.title,
+      status: 'completed'
+    });
+
+    for (const standing of challenge.results.standings) {
+      await notificationService.notify(standing.userId, {
+        type: 'challenge-results',
+        title: `${challenge.title} has ended`,
+        body: standing.isCompleted
+          ? `You finished #${standing.rank} and completed the challenge!`
+          : `You finished #${standing.rank} of ${challenge.results.participantCount}`,
+        data: {
+          groupId: group._id,
+          groupName: group.name,
+          challengeId: challenge._id,
+          challengeTitle: challenge.title,
+          rank: standing.rank,
+          isCompleted: standing.isCompleted
+        }
+      });
+    }
+  }
+
+  async grantRewards(group, challenge, standing) {
+    const awardedAt = new Date();
+    const rewards = challenge.rewards.map(reward => ({
+      type: reward.type,
+      name: reward.name,
+      description: reward.description,
+      icon: reward.icon,
+      amount: reward.type === 'points' ? reward.amount || 0 : undefined,
+      groupId: group._id,
+      challengeId: challenge._id,
+      awardedAt
+    }));
+    const points = rewards.reduce((sum, reward) => sum + (reward.amount || 0), 0);
+
+    await User.updateOne(
+      { _id: standing.userId, 'completedChallenges.challengeId': { $ne: challenge._id } },
+      {
+        $push: {
+          completedChallenges: {
+            groupId: group._id,
+            challengeId: challenge._id,
+            title: challenge.title,
+            rank: standing.rank,
+            progress: standing.progress,
+            completedAt: awardedAt
+          },
+          challengeRewards: { $each: rewards }
+        },
+        $inc: { points }
+      }
+    );
+  }
+
+  async buildResultsSummary(challenge) {
+    const { standings, participantCount, completedCount } = challenge.results;
+    const unit = challenge.goal?.unit || '';
+
+    const top = standings.slice(0, 3);
+    const users = await User.find({ _id: { $in: top.map(standing => standing.userId) } }).select('username');
+    const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
+
+    const lines = [
+      `Challenge "${challenge.title}" has ended! ${completedCount} of ${participantCount} participants completed it.`
+    ];
+
+    if (challenge.type === 'group_goal') {
+      lines.push(`Together the group reached ${challenge.results.groupProgress} of ${challenge.goal?.target} ${unit}.`.trim());
+    }
+
+    if (top.length > 0) {
+      lines.push('Top finishers:');
+      top.forEach(standing => {
+        lines.push(`${standing.rank}. ${usernames.get(standing.userId.toString()) || 'A member'} - ${standing.progress} ${unit}`.trim());
+      });
+    }
+
+    return lines.join('\n').slice(0, 2000);
+  }
+}
+
+// Rank participants by progress; equal progress shares a rank (1, 2, 2, 4)
+const rankParticipants = (challenge) => {
+  const sorted = [...challenge.participants].sort((a, b) => (b.progress || 0) - (a.progress || 0));
+  const standings = [];
+
+  sorted.forEach((participant, index) => {
+    const progress = participant.progress || 0;
+    const previous = standings[index - 1];
+
+    standings.push({
+      userId: participant.userId,
+      rank: previous && previous.progress === progress ? previous.rank : index + 1,
+      progress,
+      isCompleted: participant.isCompleted
+    });
+  });
+
+  return standings;
+};
+
+module.exports = new ChallengeLifecycle();
@@ -0,0 +1,231 @@
+const Activity = require('../models/Activity');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const domainEvents = require('./events');
+const { emitToRoom } = require('./realtime');
+const { resolveTimeZone, toDateKey, diffDays } = require('../utils/timezone');
+
+const POINTS_PER_ACTIVITY = 10;
+const POINTS_PER_MINUTE = 1;
+
+// Unit used when a challenge doesn't set goal.unit
+const defaultUnits = {
+  daily_activity: 'days',
+  streak_challenge: 'days',
+  group_goal: 'activities',
+  custom: 'activities'
+};
+
+// Computes group challenge progress from completed activities.
+// Progress is always recomputed from the participant's activity history in
+// the challenge window rather than incremented, so replaying an event or
+// joining late gives the same result. Only `custom` challenges take manual
+// progress.
+class ChallengeService {
+  register(events = domainEvents) {
+    events.subscribe('activity.completed', ({ userId, activity }) =>
+      this.recordActivity(userId, activity)
+    );
+  }
+
+  unitOf(challenge) {
+    return challenge.goal?.unit || defaultUnits[challenge.type];
+  }
+
+  isAutomatic(challenge) {
+    return challenge.type !== 'custom';
+  }
+
+  // Whether the challenge still accepts participants and progress
+  isOpen(challenge, now = new Date()) {
+    return challenge.isActive &&
+      ['scheduled', 'active'].includes(challenge.status) &&
+      challenge.endDate > now;
+  }
+
+  // Whether a completed activity counts toward a challenge
+  matches(challenge, activity) {
+    const completedAt = activity.completionData?.completedAt;
+    const { activityTypes = [], categories = [] } = challenge.filters || {};
+
+    return this.isAutomatic(challenge) &&
+      challenge.isActive &&
+      ['scheduled', 'active'].includes(challenge.status) &&
+      !!completedAt &&
+      completedAt >= challenge.startDate &&
+      completedAt <= challenge.endDate &&
+      (activityTypes.length === 0 || activityTypes.includes(activity.type)) &&
+      (categories.length === 0 || categories.includes(activity.category));
+  }
+
+  // Update every joined challenge the completed activity counts toward
+  async recordActivity(userId, activity) {
+    const completedAt = activity.completionData.completedAt;
+
+    const groups = await Group.find({
+      isActive: true,
+      members: { $elemMatch: { userId, isActive: true } },
+      challenges: {
+        $elemMatch: {
+          isActive: true,
+          status: { $in: ['scheduled', 'active'] },
+          type: { $ne: 'custom' },
+          startDate: { $lte: completedAt },
+          endDate: { $gte: completedAt },
+          'participants.userId': userId
+        }
+      }
+    });
+
+    for (const group of groups) {
+      const challenges = group.challenges.filter(challenge =>
+        this.matches(challenge, activity) &&
+        challenge.participants.some(p => p.userId.toString() === userId.toString())
+      );
+
+      if (challenges.length > 0) {
+        await this.refreshParticipants(group, challenges.map(challenge => ({ challenge, userId })));
+      }
+    }
+  }
+
+  // Recompute progress for (challenge, userId) pairs of one group, save the
+  // group, then announce progress and completions
+  async refreshParticipants(group, updates) {
+    const timeZones = new Map();
+    const changes = [];
+
+    for (const { challenge, userId } of updates) {
+      const key = userId.toString();
+      if (!timeZones.has(key)) {
+        const user = await User.findById(userId).select('profile.timezone');
+        timeZones.set(key, resolveTimeZone(user?.profile?.timezone));
+      }
+
+      const progress = await this.measure(challenge, userId, timeZones.get(key));
+      changes.push(this.applyProgress(challenge, userId, progress));
+    }
+
+    await group.save();
+    this.announce(group, changes);
+
+    return changes;
+  }
+
+  // Manual progress for custom challenges
+  async setManualProgress(group, challenge, userId, progress) {
+    const change = this.applyProgress(challenge, userId, progress);
+
+    await group.save();
+    this.announce(group, [change]);
+
+    return change;
+  }
+
+  // Set a participant's progress and work out who just completed the challenge
+  applyProgress(challenge, userId, progress) {
+    const participant = challenge.participants.find(p =>
+      p.userId.toString() === userId.toString()
+    );
+    const target = challenge.goal?.target;
+    const completedUserIds = [];
+
+    participant.progress = progress;
+    participant.lastUpdate = new Date();
+
+    if (challenge.type === 'group_goal') {
+      challenge.groupProgress = challenge.participants.reduce((sum, p) => sum + (p.progress || 0), 0);
+
+      // Reaching the shared goal completes it for every participant
+      if (target && challenge.groupProgress >= target && !challenge.goalReachedAt) {
+        challenge.goalReachedAt = new Date();
+        challenge.participants.forEach(p => {
+          if (!p.isCompleted) {
+            p.isCompleted = true;
+            completedUserIds.push(p.userId);
+          }
+        });
+      }
+    } else if (target && progress >= target && !participant.isCompleted) {
+      participant.isCompleted = true;
+      completedUserIds.push(participant.userId);
+    }
+
+    return { challenge, userId, progress, completedUserIds };
+  }
+
+  announce(group, changes) {
+    for (const { challenge, userId, progress, completedUserIds } of changes) {
+      emitToRoom(`group-${group._id}`, 'challenge-progress', {
+        groupId: group._id,
+        challengeId: challenge._id,
+        challengeTitle: challenge.title,
+        userId,
+        progress,
+        unit: this.unitOf(challenge),
+        target: challenge.goal?.target,
+        ...(challenge.type === 'group_goal' && { groupProgress: challenge.groupProgress })
+      });
+
+      completedUserIds.forEach(completedUserId => {
+        domainEvents.publish('challenge.completed', {
+          userId: completedUserId,
+          groupId: group._id,
+          challengeId: challenge._id
+        });
+      });
+    }
+  }
+
+  // Progress of one participant in the challenge's unit
+  async measure(challenge, userId, timeZone) {
+    const filter = {
+      userId,
+      isActive: true,
+      'completionData.isCompleted': true,
+      'completionData.completedAt': { $gte: challenge.startDate, $lte: challenge.endDate }
+    };
+
+    const { activityTypes = [], categories = [] } = challenge.filters || {};
+    if (activityTypes.length > 0) filter.type = { $in: activityTypes };
+    if (categories.length > 0) filter.category = { $in: categories };
+
+    const activities = await Activity.find(filter).select('duration completionData.completedAt');
+
+    switch (this.unitOf(challenge)) {
+      case 'activities':
+        return activities.length;
+      case 'minutes':
+        return activities.reduce((sum, activity) => sum + (activity.duration || 0), 0);
+      case 'points':
+        return activities.reduce((sum, activity) => sum + this.activityPoints(activity), 0);
+      case 'days':
+      default: {
+        const days = [...new Set(activities.map(activity =>
+          toDateKey(activity.completionData.completedAt, timeZone)
+        ))].sort();
+
+        return challenge.type === 'streak_challenge' ? longestRun(days) : days.length;
+      }
+    }
+  }
+
+  activityPoints(activity) {
+    return POINTS_PER_ACTIVITY + (activity.duration || 0) * POINTS_PER_MINUTE;
+  }
+}
+
+// Longest run of consecutive days in a sorted list of date keys
+const longestRun = (days) => {
+  let longest = 0;
+  let current = 0;
+
+  days.forEach((day, index) => {
+    current = index > 0 && diffDays(days[index - 1], day) === 1 ? current + 1 : 1;
+    longest = Math.max(longest, current);
+  });
+
+  return longest;
+};
+
+module.exports = new ChallengeService();
@@ -0,0 +1,99 @@
+// Email templates. Each takes { user, ...data } and returns
+// { subject, text, html }; values are escaped before going into the HTML.
+
+const APP_NAME = 'Self-Care Planner';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greeting = (user) => `Hi ${user.profile?.firstName || user.username},`;
+
+// Wrap paragraphs and an optional call-to-action button in a simple layout
+const layout = ({ paragraphs, action }) => {
+  const body = paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="background:#f9a8d4;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;">${escapeHtml(action.label)}</a></p>
+<p style="font-size:12px;color:#6b7280;">Or paste this link into your browser: ${escapeHtml(action.url)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,sans-serif;color:#374151;max-width:560px;margin:0 auto;">
+<h2>${APP_NAME}</h2>
+${body}
+${button}
+</body>
+</html>`;
+};
+
+const render = ({ subject, paragraphs, action }) => ({
+  subject,
+  text: [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : [])].join('\n\n'),
+  html: layout({ paragraphs, action })
+});
+
+const verification = ({ user, url, expiresInHours }) => render({
+  subject: `Confirm your email for ${APP_NAME}`,
+  paragraphs: [
+    greeting(user),
+    'Please confirm your email address to finish setting up your account.',
+    `This link expires in ${expiresInHours} hours. If you didn't sign up, you can ignore this email.`
+  ],
+  action: { label: 'Verify email', url }
+});
+
+const passwordReset = ({ user, url, expiresInMinutes }) => render({
+  subject: `Reset your ${APP_NAME} password`,
+  paragraphs: [
+    greeting(user),
+    'We received a request to reset your password.',
+    `This link expires in ${expiresInMinutes} minutes. If you didn't ask for a reset, you can ignore this email and your password will stay the same.`
+  ],
+  action: { label: 'Reset password', url }
+});
+
+const welcome = ({ user, url }) => render({
+  subject: `Welcome to ${APP_NAME}`,
+  paragraphs: [
+    greeting(user),
+    'Your email is confirmed. Your personalized self-care plan, streaks and community are ready for you.',
+    'Be gentle with yourself - small daily steps add up.'
+  ],
+  action: { label: 'Open your dashboard', url }
+});
+
+const erasureScheduled = ({ user, scheduledFor, url }) => render({
+  subject: `Your ${APP_NAME} account is scheduled for deletion`,
+  paragraphs: [
+    greeting(user),
+    `Your account has been deactivated and everything in it will be permanently erased on ${formatDate(scheduledFor)}.`,
+    'Changed your mind? You can cancel until then from the link below or by signing in and choosing to keep your account. Keep this email: the same link shows your erasure receipt once it is done.'
+  ],
+  action: { label: 'Review or cancel', url }
+});
+
+const erasureCompleted = ({ user, receipt }) => render({
+  subject: `Your ${APP_NAME} account has been erased`,
+  paragraphs: [
+    greeting(user),
+    `Your account and its data were erased on ${formatDate(receipt.completedAt)}. This is your receipt (reference ${receipt.receiptId}).`,
+    ...receipt.erased.map(({ records, action, count }) => `${records.replace(/_/g, ' ')}: ${count} ${action}`),
+    'Kept:',
+    ...receipt.retained.map(({ reason }) => reason),
+    'This is the last email you will receive from us.'
+  ]
+});
+
+const formatDate = (date) => new Date(date).toUTCString().replace(/ \d{2}:\d{2}:\d{2} GMT$/, '');
+
+module.exports = {
+  verification,
+  passwordReset,
+  welcome,
+  erasureScheduled,
+  erasureCompleted
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const DataKey = require('../models/DataKey');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_SIZE = 1000;
+
+// 'id:base64key' pairs, comma separated
+const parseKeyList = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return [entry.slice(0, separator), entry.slice(separator + 1)];
+  });
+
+const decodeKey = (id, base64) => {
+  const key = Buffer.from(base64 || '', 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Master key "${id}" must be ${KEY_BYTES} bytes, base64 encoded`);
+  }
+  return key;
+};
+
+// Ciphertext as base64 of iv | auth tag | encrypted bytes
+const encrypt = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+const decrypt = (key, ciphertext, aad) => {
+  const data = Buffer.from(ciphertext, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+// Envelope encryption for personal text fields. Each user has a data key
+// that encrypts their fields; data keys are stored wrapped by the master
+// key from FIELD_ENCRYPTION_KEY and only unwrapped in memory. Master keys
+// replaced during a rotation stay readable through
+// FIELD_ENCRYPTION_RETIRED_KEYS until every data key has been rewrapped
+// (npm run rotate-keys). Without FIELD_ENCRYPTION_KEY nothing is encrypted.
+class EncryptionService {
+  constructor() {
+    this.masterKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || 'primary';
+    this.masterKeys = new Map(
+      parseKeyList(process.env.FIELD_ENCRYPTION_RETIRED_KEYS).map(([id, key]) => [id, decodeKey(id, key)])
+    );
+
+    this.enabled = Boolean(process.env.FIELD_ENCRYPTION_KEY);
+    if (this.enabled) {
+      this.masterKeys.set(this.masterKeyId, decodeKey(this.masterKeyId, process.env.FIELD_ENCRYPTION_KEY));
+    }
+
+    // Unwrapped data keys by 'userId:version'
+    this.cache = new Map();
+  }
+
+  masterKey(id) {
+    const key = this.masterKeys.get(id);
+    if (!key) {
+      throw new Error(`Master key "${id}" is not configured`);
+    }
+    return key;
+  }
+
+  wrap(userId, version, key) {
+    return encrypt(this.masterKey(this.masterKeyId), key, `datakey:${userId}:${version}`);
+  }
+
+  unwrap(dataKey) {
+    return decrypt(this.masterKey(dataKey.masterKeyId), dataKey.wrappedKey, `datakey:${dataKey.userId}:${dataKey.version}`);
+  }
+
+  remember(dataKey, key) {
+    if (this.cache.size >= CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(`${dataKey.userId}:${dataKey.version}`, { key, expiresAt: Date.now() + CACHE_TTL_MS });
+    return key;
+  }
+
+  // A specific version of a user's data key
+  async dataKey(userId, version) {
+    const cached = this.cache.get(`${userId}:${version}`);
+    if (cached && cached.expiresAt > Date.now()) return cached.key;
+
+    const dataKey = await DataKey.findOne({ userId, version });
+    if (!dataKey) {
+      throw new Error(`Data key version ${version} for user ${userId} not found`);
+    }
+
+    return this.remember(dataKey, this.unwrap(dataKey));
+  }
+
+  // The user's newest data key, created on first use. Looked up every time
+  // rather than cached so a rotation takes effect everywhere at once.
+  async activeDataKey(userId) {
+    const dataKey = await DataKey.findOne({ userId }).sort({ version: -1 });
+    if (dataKey) {
+      return { version: dataKey.version, key: await this.dataKey(userId, dataKey.version) };
+    }
+
+    try {
+      return await this.createDataKey(userId, 1);
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) return this.activeDataKey(userId);
+      throw error;
+    }
+  }
+
+  // Add a data key version; it becomes the active one
+  async createDataKey(userId, version) {
+    const key = crypto.randomBytes(KEY_BYTES);
+    const dataKey = await DataKey.create({
+      userId,
+      version,
+      wrappedKey: this.wrap(userId, version, key),
+      masterKeyId: this.masterKeyId
+    });
+
+    return { version, key: this.remember(dataKey, key) };
+  }
+
+  // Encrypt { field: text } with the user's active key. Empty values are
+  // left out; returns null when there is nothing to encrypt.
+  async seal(userId, fields) {
+    const values = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    if (values.length === 0) return null;
+
+    const { version, key } = await this.activeDataKey(userId);
+    const sealed = { keyVersion: version };
+
+    for (const [field, value] of values) {
+      sealed[field] = encrypt(key, String(value), `field:${userId}:${field}`);
+    }
+
+    return sealed;
+  }
+
+  // Decrypt what seal() produced back into { field: text }
+  async open(userId, sealed) {
+    const key = await this.dataKey(userId, sealed.keyVersion);
+    const fields = {};
+
+    for (const [field, value] of Object.entries(sealed)) {
+      if (field === 'keyVersion' || typeof value !== 'string') continue;
+      fields[field] = decrypt(key, value, `field:${userId}:${field}`).toString('utf8');
+    }
+
+    return fields;
+  }
+
+  // Rewrap data keys still under a retired master key with the current one.
+  // Returns how many were rewrapped.
+  async rewrapDataKeys() {
+    let count = 0;
+
+    for await (const dataKey of DataKey.find({ masterKeyId: { $ne: this.masterKeyId } }).cursor()) {
+      const key = this.unwrap(dataKey);
+
+      await DataKey.updateOne(
+        { _id: dataKey._id, masterKeyId: dataKey.masterKeyId },
+        { $set: { wrappedKey: this.wrap(dataKey.userId, dataKey.version, key), masterKeyId: this.masterKeyId, rewrappedAt: new Date() } }
+      );
+      count++;
+    }
+
+    return count;
+  }
+
+  // Remove a user's data keys older than a version, once nothing uses them
+  async deleteDataKeysBefore(userId, version) {
+    const { deletedCount } = await DataKey.deleteMany({ userId, version: { $lt: version } });
+    for (const cacheKey of this.cache.keys()) {
+      if (cacheKey.startsWith(`${userId}:`)) this.cache.delete(cacheKey);
+    }
+    return deletedCount;
+  }
+}
+
+module.exports = new EncryptionService();
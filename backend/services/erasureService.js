@@ -0,0 +1,380 @@
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const ErasureRequest = require('../models/ErasureRequest');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const Group = require('../models/Group');
+const GroupInvitation = require('../models/GroupInvitation');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const SafetyEvent = require('../models/SafetyEvent');
+const Session = require('../models/Session');
+const StreakDay = require('../models/StreakDay');
+const ExportJob = require('../models/ExportJob');
+const DataKey = require('../models/DataKey');
+const MoodEntry = require('../models/MoodEntry');
+const roleService = require('./roleService');
+const sessionService = require('./sessionService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Records kept after an erasure, and why. They refer to the erased account
+// by id only.
+const RETAINED = [
+  {
+    records: 'moderation_log',
+    reason: 'Moderation decisions made about or by the account are kept for platform safety'
+  },
+  {
+    records: 'role_changes',
+    reason: 'The role audit trail is kept to show who could moderate and when'
+  },
+  {
+    records: 'reports_about_account',
+    reason: 'Reports other users filed about the account are closed and kept as part of the moderation record'
+  },
+  {
+    records: 'erasure_receipt',
+    reason: 'This receipt, to show the erasure was carried out'
+  }
+];
+
+// Erasure steps, in order. Each one is safe to run again: the job records a
+// step once it finishes, and a job interrupted part way through a step
+// repeats that step from the start. Group ownership moves before members
+// are removed so a successor can still be picked; the account goes last so
+// an interrupted job can always find it.
+const STEPS = [
+  {
+    name: 'sessions',
+    action: 'deleted',
+    run: async (userId) => {
+      await sessionService.revokeAll(userId, { reason: 'account_deactivated' });
+      const { deletedCount } = await Session.deleteMany({ userId });
+      return deletedCount;
+    }
+  },
+  {
+    name: 'exports',
+    action: 'deleted',
+    run: async (userId) => {
+      const jobs = await ExportJob.find({ userId }).select('filePath');
+      for (const job of jobs) {
+        if (job.filePath) await fsp.rm(job.filePath, { force: true });
+      }
+      const { deletedCount } = await ExportJob.deleteMany({ userId });
+      return deletedCount;
+    }
+  },
+  {
+    // Without its keys anything the user wrote that survives elsewhere
+    // (backups included) can no longer be decrypted
+    name: 'data_keys',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await DataKey.deleteMany({ userId });
+      return deletedCount;
+    }
+  },
+  {
+    name: 'activities',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await Activity.deleteMany({ userId });
+      return deletedCount;
+    }
+  },
+  {
+    name: 'activity_interactions',
+    action: 'deleted',
+    run: async (userId) => {
+      // Likes, comments and shares on other users' activities
+      const results = await Promise.all(['likes', 'comments', 'sharedWith'].map(field =>
+        Activity.updateMany(
+          { [`socialData.${field}.userId`]: userId },
+          { $pull: { [`socialData.${field}`]: { userId } } }
+        )
+      ));
+      return sum(results.map(result => result.modifiedCount));
+    }
+  },
+  {
+    name: 'group_ownership',
+    action: 'anonymized',
+    run: async (userId) => {
+      let count = 0;
+
+      // Groups the user created pass to another member, or are deleted
+      // when nobody else is left
+      for (const group of await Group.find({ createdBy: userId })) {
+        const successor = pickSuccessor(group, userId);
+
+        if (!successor) {
+          await GroupInvitation.deleteMany({ groupId: group._id });
+          await User.updateMany(
+            { 'socialData.groups.groupId': group._id },
+            { $pull: { 'socialData.groups': { groupId: group._id } } }
+          );
+          await Group.deleteOne({ _id: group._id });
+          count++;
+          continue;
+        }
+
+        const { error } = await roleService.setGroupRole(group, successor.userId, 'admin', {
+          reason: 'Group creator erased their account'
+        });
+        if (error) throw new Error(`Could not hand over group ${group._id}: ${error.message}`);
+
+        group.createdBy = successor.userId;
+        await group.save();
+        count++;
+      }
+
+      // Challenges the user set up stay with their group
+      for (const group of await Group.find({ 'challenges.createdBy': userId })) {
+        group.challenges
+          .filter(challenge => challenge.createdBy.toString() === userId.toString())
+          .forEach(challenge => { challenge.createdBy = group.createdBy; });
+        await group.save();
+        count++;
+      }
+
+      return count;
+    }
+  },
+  {
+    name: 'group_content',
+    action: 'deleted',
+    run: async (userId) => {
+      const posts = await Group.updateMany(
+        { 'posts.userId': userId },
+        { $pull: { posts: { userId } } }
+      );
+      const replies = await Group.updateMany(
+        { $or: [{ 'posts.comments.userId': userId }, { 'posts.reactions.userId': userId }] },
+        { $pull: { 'posts.$[].comments': { userId }, 'posts.$[].reactions': { userId } } }
+      );
+      return posts.modifiedCount + replies.modifiedCount;
+    }
+  },
+  {
+    name: 'group_memberships',
+    action: 'deleted',
+    run: async (userId) => {
+      const memberships = await Group.updateMany(
+        { $or: [{ 'members.userId': userId }, { 'joinRequests.userId': userId }] },
+        { $pull: { members: { userId }, joinRequests: { userId } } }
+      );
+      const challenges = await Group.updateMany(
+        { $or: [{ 'challenges.participants.userId': userId }, { 'challenges.results.standings.userId': userId }] },
+        { $pull: { 'challenges.$[].participants': { userId }, 'challenges.$[].results.standings': { userId } } }
+      );
+      return memberships.modifiedCount + challenges.modifiedCount;
+    }
+  },
+  {
+    name: 'group_invitations',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await GroupInvitation.deleteMany({
+        $or: [{ invitedBy: userId }, { invitee: userId }]
+      });
+      const { modifiedCount } = await GroupInvitation.updateMany(
+        { 'uses.userId': userId },
+        { $pull: { uses: { userId } } }
+      );
+      return deletedCount + modifiedCount;
+    }
+  },
+  {
+    name: 'friends',
+    action: 'deleted',
+    run: async (userId) => {
+      // Friend, request and block entries on other users
+      const { modifiedCount } = await User.updateMany(
+        { 'socialData.friends.userId': userId },
+        { $pull: { 'socialData.friends': { userId } } }
+      );
+      return modifiedCount;
+    }
+  },
+  {
+    name: 'notifications',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await Notification.deleteMany({
+        $or: [{ userId }, { actorId: userId }]
+      });
+      return deletedCount;
+    }
+  },
+  {
+    name: 'mood_entries',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await MoodEntry.deleteMany({ userId });
+      return deletedCount;
+    }
+  },
+  {
+    name: 'streak_days',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await StreakDay.deleteMany({ userId });
+      return deletedCount;
+    }
+  },
+  {
+    name: 'safety_events',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await SafetyEvent.deleteMany({ userId });
+      return deletedCount;
+    }
+  },
+  {
+    name: 'reports',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await Report.deleteMany({ reporterId: userId });
+      // Reports about content that no longer exists have nothing left to review
+      await Report.updateMany(
+        { targetUserId: userId, status: 'open' },
+        { $set: { status: 'dismissed', resolvedAt: new Date() } }
+      );
+      return deletedCount;
+    }
+  },
+  {
+    name: 'account',
+    action: 'deleted',
+    run: async (userId) => {
+      const { deletedCount } = await User.deleteOne({ _id: userId });
+      return deletedCount;
+    }
+  }
+];
+
+// Right-to-erasure requests. Scheduling deactivates the account and starts a
+// grace period during which the request can be cancelled; afterwards
+// services/erasureWorker calls erase() to remove or anonymize everything the
+// account left behind.
+class ErasureService {
+  constructor() {
+    this.graceDays = parseInt(process.env.ERASURE_GRACE_DAYS) || 30;
+  }
+
+  findPending(userId) {
+    return ErasureRequest.findOne({ userId, status: { $in: ['scheduled', 'processing'] } });
+  }
+
+  findByToken(token) {
+    if (!token) return null;
+    return ErasureRequest.findOne({ tokenHash: User.hashToken(token) });
+  }
+
+  // Deactivate the account and schedule its erasure. Returns { error } or
+  // { request, token }; the raw token is only available here.
+  async schedule(user) {
+    const existing = await this.findPending(user._id);
+    if (existing) {
+      return { error: { status: 409, message: 'Account erasure is already scheduled' } };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const requestedAt = new Date();
+
+    const request = await ErasureRequest.create({
+      userId: user._id,
+      tokenHash: User.hashToken(token),
+      contact: {
+        email: user.email,
+        name: user.profile?.firstName || user.username
+      },
+      requestedAt,
+      scheduledFor: new Date(requestedAt.getTime() + this.graceDays * DAY)
+    });
+
+    user.isActive = false;
+    await user.save();
+    await sessionService.revokeAll(user._id, { reason: 'account_deactivated' });
+
+    return { request, token };
+  }
+
+  // Cancel a scheduled erasure and reactivate the account, unless a
+  // moderator suspended it in the meantime. Returns { error } or { request }.
+  async cancel(request) {
+    const cancelled = await ErasureRequest.findOneAndUpdate(
+      { _id: request._id, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return { error: { status: 409, message: 'Erasure has already started and can no longer be cancelled' } };
+    }
+
+    await User.updateOne(
+      { _id: request.userId, 'suspension.suspendedAt': { $exists: false } },
+      { $set: { isActive: true } }
+    );
+
+    return { request: cancelled };
+  }
+
+  // Run every step that hasn't completed yet, recording each as it finishes
+  async erase(request) {
+    for (const step of STEPS) {
+      if (request.hasCompleted(step.name)) continue;
+
+      const count = await step.run(request.userId);
+
+      request.steps.push({ name: step.name, action: step.action, count, completedAt: new Date() });
+      await ErasureRequest.updateOne(
+        { _id: request._id },
+        { $push: { steps: request.steps[request.steps.length - 1] } }
+      );
+    }
+
+    request.status = 'completed';
+    request.completedAt = new Date();
+    await ErasureRequest.updateOne(
+      { _id: request._id },
+      { $set: { status: 'completed', completedAt: request.completedAt }, $unset: { error: 1 } }
+    );
+
+    return request;
+  }
+
+  // What was erased and what was kept
+  receipt(request) {
+    return {
+      receiptId: request._id,
+      requestedAt: request.requestedAt,
+      scheduledFor: request.scheduledFor,
+      completedAt: request.completedAt,
+      erased: request.steps.map(({ name, action, count, completedAt }) => ({ records: name, action, count, completedAt })),
+      retained: RETAINED
+    };
+  }
+
+  // Link to the request's status page, where it can be cancelled during
+  // the grace period and the receipt read afterwards
+  statusUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/erasure?token=${token}`;
+  }
+}
+
+// Next owner of a group: an admin, then a moderator, then the longest-standing member
+const pickSuccessor = (group, userId) => {
+  const rank = { admin: 0, moderator: 1, member: 2 };
+
+  return group.members
+    .filter(member => member.isActive && member.userId.toString() !== userId.toString())
+    .sort((a, b) => rank[a.role] - rank[b.role] || a.joinedAt - b.joinedAt)[0] || null;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+module.exports = new ErasureService();
@@ -0,0 +1,113 @@
+const ErasureRequest = require('../models/ErasureRequest');
+const erasureService = require('./erasureService');
+const mailer = require('./mailer');
+
+const MINUTE = 60 * 1000;
+
+// Background job that erases accounts whose grace period has ended. Requests
+// are claimed with an atomic update; a claim that goes stale (the server died
+// mid-erasure) is picked up again and resumes after the last completed step.
+// A failing request is retried on later ticks and marked failed after
+// maxAttempts so it shows up for manual follow-up.
+class ErasureWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.ERASURE_WORKER_INTERVAL_MS) || 15 * MINUTE;
+    this.staleMinutes = 30;
+    this.maxAttempts = 5;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+
+    console.log(`Erasure worker started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const failed = [];
+      let request;
+      while ((request = await this.claimNext(now, failed))) {
+        if (!(await this.run(request))) failed.push(request._id);
+      }
+    } catch (error) {
+      console.error('Erasure worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Claim the oldest due request, or one whose claim went stale, skipping
+  // requests that already failed this tick
+  async claimNext(now, exclude = []) {
+    const staleBefore = new Date(now.getTime() - this.staleMinutes * MINUTE);
+
+    return ErasureRequest.findOneAndUpdate(
+      {
+        _id: { $nin: exclude },
+        attempts: { $lt: this.maxAttempts },
+        $or: [
+          { status: 'scheduled', scheduledFor: { $lte: now } },
+          { status: 'processing', startedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'processing', startedAt: now }, $inc: { attempts: 1 } },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+  }
+
+  // Returns whether the erasure completed
+  async run(request) {
+    try {
+      await erasureService.erase(request);
+    } catch (error) {
+      console.error(`Erasure request ${request._id} failed:`, error);
+
+      // Back to scheduled; a later tick resumes it from the last completed step
+      await ErasureRequest.updateOne({ _id: request._id }, {
+        $set: {
+          status: request.attempts < this.maxAttempts ? 'scheduled' : 'failed',
+          error: error.message
+        }
+      });
+      return false;
+    }
+
+    await this.sendReceipt(request);
+    return true;
+  }
+
+  // Email the receipt, then drop the contact details kept to send it
+  async sendReceipt(request) {
+    if (request.contact?.email) {
+      try {
+        await mailer.send(
+          { email: request.contact.email, username: request.contact.name },
+          'erasureCompleted',
+          { receipt: erasureService.receipt(request) }
+        );
+      } catch (error) {
+        console.error(`Erasure receipt ${request._id} email error:`, error);
+      }
+    }
+
+    await ErasureRequest.updateOne({ _id: request._id }, { $unset: { contact: 1 } });
+  }
+}
+
+module.exports = new ErasureWorker();
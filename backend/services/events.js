@@ -0,0 +1,27 @@
+const EventEmitter = require('events');
+
+// In-process bus for domain events. Routes publish what happened; services
+// (achievements, notifications, challenges...) subscribe and react.
+//
+// Events:
+//   activity.completed  { userId, activity }
+//   streak.updated      { userId, streakData, previousStreak }
+//   friend.accepted     { userId, friendId }
+//   challenge.completed { userId, groupId, challengeId }
+//   achievement.unlocked { userId, achievement }
+class DomainEvents extends EventEmitter {
+  // Subscribe an async handler; failures are logged instead of crashing
+  subscribe(event, handler) {
+    this.on(event, (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => console.error(`Error handling ${event}:`, error));
+    });
+  }
+
+  publish(event, payload) {
+    this.emit(event, payload);
+  }
+}
+
+module.exports = new DomainEvents();
@@ -0,0 +1,739 @@
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const ExportJob = require('../models/ExportJob');
+const Group = require('../models/Group');
+const MoodEntry = require('../models/MoodEntry');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const SafetyEvent = require('../models/SafetyEvent');
+const Session = require('../models/Session');
+const StreakDay = require('../models/StreakDay');
+const User = require('../models/User');
+
+const FORMATS = ['json', 'csv', 'ndjson', 'zip'];
+
+const contentTypes = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  zip: 'application/zip'
+};
+
+// Everything a user owns, one dataset per collection (or embedded list).
+// `records` yields plain objects from a cursor so nothing is held in memory;
+// `columns` flattens a record into a CSV row. Date filters apply to when a
+// record was created; type filters apply to activities.
+const datasets = {
+  profile: {
+    async *records(userId) {
+      const user = await User.findById(userId)
+        .select('username email profile currentMood primaryGoal preferences streakData points achievements completedChallenges socialData role emailVerifiedAt createdAt updatedAt')
+        .lean();
+
+      if (!user) return;
+
+      yield {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerifiedAt: user.emailVerifiedAt,
+        role: user.role,
+        profile: user.profile,
+        currentMood: user.currentMood,
+        primaryGoal: user.primaryGoal,
+        preferences: user.preferences,
+        streakData: user.streakData,
+        points: user.points,
+        achievements: user.achievements,
+        completedChallenges: user.completedChallenges,
+        friends: (user.socialData?.friends || []).map(({ userId, status, addedAt }) => ({ userId, status, addedAt })),
+        groups: (user.socialData?.groups || []).map(({ groupId, role, joinedAt }) => ({ groupId, role, joinedAt })),
+        privacy: user.socialData?.privacy,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      };
+    },
+    columns: [
+      ['id', r => r.id],
+      ['username', r => r.username],
+      ['email', r => r.email],
+      ['email_verified_at', r => r.emailVerifiedAt],
+      ['first_name', r => r.profile?.firstName],
+      ['last_name', r => r.profile?.lastName],
+      ['bio', r => r.profile?.bio],
+      ['date_of_birth', r => r.profile?.dateOfBirth],
+      ['timezone', r => r.profile?.timezone],
+      ['current_mood', r => r.currentMood],
+      ['primary_goal', r => r.primaryGoal],
+      ['current_streak', r => r.streakData?.currentStreak],
+      ['longest_streak', r => r.streakData?.longestStreak],
+      ['total_activities_completed', r => r.streakData?.totalActivitiesCompleted],
+      ['points', r => r.points],
+      ['achievements', r => r.achievements?.map(a => a.name || a.type)],
+      ['friends', r => r.friends.length],
+      ['groups', r => r.groups.length],
+      ['created_at', r => r.createdAt]
+    ]
+  },
+
+  activities: {
+    async *records(userId, { from, to, types }) {
+      const query = { userId, ...dateRange('createdAt', from, to) };
+      if (types?.length) query.type = { $in: types };
+
+      for await (const activity of Activity.find(query).sort({ createdAt: 1 }).lean().cursor()) {
+        // Cursors skip the model's query hooks
+        await Activity.openSealed(activity);
+        const completion = activity.completionData || {};
+
+        yield {
+          id: activity._id,
+          type: activity.type,
+          category: activity.category,
+          title: activity.title,
+          content: activity.content,
+          description: activity.description,
+          duration: activity.duration,
+          difficulty: activity.difficulty,
+          steps: activity.steps,
+          tags: activity.tags,
+          isAIGenerated: activity.isAIGenerated,
+          completion: {
+            isCompleted: completion.isCompleted,
+            completedAt: completion.completedAt,
+            rating: completion.rating,
+            feedback: completion.feedback,
+            moodBefore: completion.mood?.before,
+            moodAfter: completion.mood?.after,
+            notes: completion.notes
+          },
+          scheduledFor: activity.scheduledFor,
+          recurrence: activity.recurrence?.frequency ? activity.recurrence : undefined,
+          recurrenceParentId: activity.recurrenceParentId,
+          isShared: activity.socialData?.isShared,
+          likeCount: activity.socialData?.likes?.length || 0,
+          comments: (activity.socialData?.comments || [])
+            .filter(comment => !comment.isHidden)
+            .map(({ _id, userId, content, createdAt }) => ({ id: _id, userId, content, createdAt })),
+          isDeleted: !activity.isActive,
+          createdAt: activity.createdAt,
+          updatedAt: activity.updatedAt
+        };
+      }
+    },
+    columns: [
+      ['id', r => r.id],
+      ['created_at', r => r.createdAt],
+      ['type', r => r.type],
+      ['category', r => r.category],
+      ['title', r => r.title],
+      ['content', r => r.content],
+      ['description', r => r.description],
+      ['duration_minutes', r => r.duration],
+      ['difficulty', r => r.difficulty],
+      ['steps', r => r.steps],
+      ['tags', r => r.tags],
+      ['ai_generated', r => r.isAIGenerated],
+      ['completed', r => r.completion.isCompleted],
+      ['completed_at', r => r.completion.completedAt],
+      ['rating', r => r.completion.rating],
+      ['mood_before', r => r.completion.moodBefore],
+      ['mood_after', r => r.completion.moodAfter],
+      ['feedback', r => r.completion.feedback],
+      ['notes', r => r.completion.notes],
+      ['scheduled_for', r => r.scheduledFor],
+      ['recurrence', r => r.recurrence?.frequency],
+      ['recurrence_time', r => r.recurrence?.time],
+      ['recurrence_parent_id', r => r.recurrenceParentId],
+      ['shared', r => r.isShared],
+      ['likes', r => r.likeCount],
+      ['comments', r => r.comments.length],
+      ['deleted', r => r.isDeleted]
+    ]
+  },
+
+  comments: {
+    // Comments the user wrote, on activities and in groups
+    async *records(userId, { from, to }) {
+      const created = dateRange('createdAt', from, to).createdAt;
+
+      const activityComments = Activity.aggregate([
+        { $match: { 'socialData.comments.userId': userId } },
+        { $unwind: '$socialData.comments' },
+        { $match: { 'socialData.comments.userId': userId, ...(created && { 'socialData.comments.createdAt': created }) } },
+        { $sort: { 'socialData.comments.createdAt': 1 } },
+        {
+          $project: {
+            _id: 0,
+            id: '$socialData.comments._id',
+            on: { $literal: 'activity' },
+            activityId: '$_id',
+            content: '$socialData.comments.content',
+            isHidden: '$socialData.comments.isHidden',
+            createdAt: '$socialData.comments.createdAt'
+          }
+        }
+      ]).cursor();
+
+      for await (const comment of activityComments) yield comment;
+
+      const groupComments = Group.aggregate([
+        { $match: { 'posts.comments.userId': userId } },
+        { $unwind: '$posts' },
+        { $unwind: '$posts.comments' },
+        { $match: { 'posts.comments.userId': userId, ...(created && { 'posts.comments.createdAt': created }) } },
+        { $sort: { 'posts.comments.createdAt': 1 } },
+        {
+          $project: {
+            _id: 0,
+            id: '$posts.comments._id',
+            on: { $literal: 'group_post' },
+            groupId: '$_id',
+            groupName: '$name',
+            postId: '$posts._id',
+            content: '$posts.comments.content',
+            isHidden: '$posts.comments.isHidden',
+            createdAt: '$posts.comments.createdAt'
+          }
+        }
+      ]).cursor();
+
+      for await (const comment of groupComments) yield comment;
+    },
+    columns: [
+      ['id', r => r.id],
+      ['created_at', r => r.createdAt],
+      ['on', r => r.on],
+      ['activity_id', r => r.activityId],
+      ['group_id', r => r.groupId],
+      ['group_name', r => r.groupName],
+      ['post_id', r => r.postId],
+      ['content', r => r.content],
+      ['hidden_by_moderator', r => r.isHidden]
+    ]
+  },
+
+  group_posts: {
+    async *records(userId, { from, to }) {
+      const created = dateRange('createdAt', from, to).createdAt;
+
+      const posts = Group.aggregate([
+        { $match: { 'posts.userId': userId } },
+        { $unwind: '$posts' },
+        { $match: { 'posts.userId': userId, ...(created && { 'posts.createdAt': created }) } },
+        { $sort: { 'posts.createdAt': 1 } },
+        {
+          $project: {
+            _id: 0,
+            id: '$posts._id',
+            groupId: '$_id',
+            groupName: '$name',
+            type: '$posts.type',
+            content: '$posts.content',
+            attachments: '$posts.attachments',
+            reactionCount: { $size: { $ifNull: ['$posts.reactions', []] } },
+            commentCount: { $size: { $ifNull: ['$posts.comments', []] } },
+            isHidden: '$posts.isHidden',
+            editedAt: '$posts.editedAt',
+            createdAt: '$posts.createdAt'
+          }
+        }
+      ]).cursor();
+
+      for await (const post of posts) yield post;
+    },
+    columns: [
+      ['id', r => r.id],
+      ['created_at', r => r.createdAt],
+      ['group_id', r => r.groupId],
+      ['group_name', r => r.groupName],
+      ['type', r => r.type],
+      ['content', r => r.content],
+      ['attachments', r => (r.attachments || []).map(a => a.type)],
+      ['reactions', r => r.reactionCount],
+      ['comments', r => r.commentCount],
+      ['edited_at', r => r.editedAt],
+      ['hidden_by_moderator', r => r.isHidden]
+    ]
+  },
+
+  streak_days: {
+    async *records(userId, { from, to }) {
+      const query = { userId };
+      // Day keys are compared as strings; UTC is close enough for a range cut-off
+      if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = from.toISOString().split('T')[0];
+        if (to) query.date.$lte = to.toISOString().split('T')[0];
+      }
+
+      for await (const day of StreakDay.find(query).sort({ date: 1 }).lean().cursor()) {
+        yield {
+          date: day.date,
+          timeZone: day.timeZone,
+          status: day.status,
+          activitiesCompleted: day.activitiesCompleted,
+          minutes: day.minutes,
+          streakLength: day.streakLength
+        };
+      }
+    },
+    columns: [
+      ['date', r => r.date],
+      ['time_zone', r => r.timeZone],
+      ['status', r => r.status],
+      ['activities_completed', r => r.activitiesCompleted],
+      ['minutes', r => r.minutes],
+      ['streak_length', r => r.streakLength]
+    ]
+  },
+
+  notifications: {
+    async *records(userId, { from, to }) {
+      const query = { userId, ...dateRange('createdAt', from, to) };
+
+      for await (const notification of Notification.find(query).sort({ createdAt: 1 }).lean().cursor()) {
+        yield {
+          id: notification._id,
+          type: notification.type,
+          category: notification.category,
+          title: notification.title,
+          body: notification.body,
+          actorId: notification.actorId,
+          readAt: notification.readAt,
+          createdAt: notification.createdAt
+        };
+      }
+    },
+    columns: [
+      ['id', r => r.id],
+      ['created_at', r => r.createdAt],
+      ['type', r => r.type],
+      ['category', r => r.category],
+      ['title', r => r.title],
+      ['body', r => r.body],
+      ['actor_id', r => r.actorId],
+      ['read_at', r => r.readAt]
+    ]
+  },
+
+  mood_entries: {
+    async *records(userId, { from, to }) {
+      const query = { userId, ...dateRange('loggedAt', from, to) };
+
+      for await (const entry of MoodEntry.find(query).sort({ loggedAt: 1 }).lean().cursor()) {
+        // Cursors skip the model's query hooks
+        await MoodEntry.openSealed(entry);
+
+        yield {
+          id: entry._id,
+          mood: entry.mood,
+          intensity: entry.intensity,
+          note: entry.note,
+          tags: entry.tags,
+          loggedAt: entry.loggedAt,
+          createdAt: entry.createdAt
+        };
+      }
+    },
+    columns: [
+      ['id', r => r.id],
+      ['logged_at', r => r.loggedAt],
+      ['mood', r => r.mood],
+      ['intensity', r => r.intensity],
+      ['note', r => r.note],
+      ['tags', r => r.tags],
+      ['created_at', r => r.createdAt]
+    ]
+  },
+
+  safety_events: {
+    // Reviewer notes are internal and left out
+    async *records(userId, { from, to }) {
+      const query = { userId, ...dateRange('createdAt', from, to) };
+
+      for await (const event of SafetyEvent.find(query).sort({ createdAt: 1 }).lean().cursor()) {
+        yield {
+          id: event._id,
+          source: event.source,
+          sourceId: event.sourceId,
+          level: event.level,
+          categories: event.categories,
+          action: event.action,
+          status: event.status,
+          createdAt: event.createdAt
+        };
+      }
+    },
+    columns: [
+      ['id', r => r.id],
+      ['created_at', r => r.createdAt],
+      ['source', r => r.source],
+      ['source_id', r => r.sourceId],
+      ['level', r => r.level],
+      ['categories', r => r.categories],
+      ['action', r => r.action],
+      ['status', r => r.status]
+    ]
+  },
+
+  reports: {
+    // Reports the user filed
+    async *records(userId, { from, to }) {
+      const query = { reporterId: userId, ...dateRange('createdAt', from, to) };
+
+      for await (const report of Report.find(query).sort({ createdAt: 1 }).lean().cursor()) {
+        yield {
+          id: report._id,
+          targetType: report.targetType,
+          targetId: report.targetId,
+          category: report.category,
+          details: report.details,
+          status: report.status,
+          createdAt: report.createdAt
+        };
+      }
+    },
+    columns: [
+      ['id', r => r.id],
+      ['created_at', r => r.createdAt],
+      ['target_type', r => r.targetType],
+      ['target_id', r => r.targetId],
+      ['category', r => r.category],
+      ['details', r => r.details],
+      ['status', r => r.status]
+    ]
+  },
+
+  sessions: {
+    async *records(userId, { from, to }) {
+      const query = { userId, ...dateRange('createdAt', from, to) };
+
+      for await (const session of Session.find(query).sort({ createdAt: 1 }).lean().cursor()) {
+        yield {
+          id: session._id,
+          device: session.device,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          revokedAt: session.revokedAt,
+          revokedReason: session.revokedReason
+        };
+      }
+    },
+    columns: [
+      ['id', r => r.id],
+      ['created_at', r => r.createdAt],
+      ['device', r => r.device],
+      ['ip', r => r.ip],
+      ['last_seen_at', r => r.lastSeenAt],
+      ['revoked_at', r => r.revokedAt],
+      ['revoked_reason', r => r.revokedReason]
+    ]
+  }
+};
+
+const DATASETS = Object.keys(datasets);
+
+// Streams a user's data as JSON, CSV (RFC 4180, one dataset at a time),
+// newline-delimited JSON or a zip holding one CSV per dataset plus a
+// manifest. Output is written with backpressure, so memory use stays flat
+// however much data the account has. Large exports run as ExportJobs
+// through services/exportWorker.
+class ExportService {
+  constructor() {
+    this.formats = FORMATS;
+    this.datasets = DATASETS;
+    this.syncMaxRecords = parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 5000;
+  }
+
+  // Validate export options from a query string or request body.
+  // Returns { value: { format, filters } } or { error }.
+  parseOptions({ format = 'json', from, to, types, collections, collection }) {
+    if (!FORMATS.includes(format)) {
+      return { error: `Format must be one of: ${FORMATS.join(', ')}` };
+    }
+
+    const filters = {};
+
+    for (const [key, raw] of [['from', from], ['to', to]]) {
+      if (raw === undefined || raw === '') continue;
+      const date = new Date(raw);
+      if (isNaN(date)) {
+        return { error: `${key} must be a date` };
+      }
+      filters[key] = date;
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      return { error: 'from must be before to' };
+    }
+
+    const typeList = toList(types);
+    if (typeList.length) {
+      const activityTypes = Activity.schema.path('type').enumValues;
+      const unknown = typeList.filter(type => !activityTypes.includes(type));
+      if (unknown.length) {
+        return { error: `Unknown activity types: ${unknown.join(', ')}` };
+      }
+      filters.types = typeList;
+    }
+
+    const collectionList = toList(collections || collection);
+    const unknown = collectionList.filter(name => !DATASETS.includes(name));
+    if (unknown.length) {
+      return { error: `Unknown collections: ${unknown.join(', ')}. Available: ${DATASETS.join(', ')}` };
+    }
+
+    if (format === 'csv') {
+      // A CSV file holds one table; activities keeps older clients working
+      if (collectionList.length > 1) {
+        return { error: 'CSV exports one collection at a time; use the zip format for several' };
+      }
+      filters.collections = collectionList.length ? collectionList : ['activities'];
+    } else if (collectionList.length) {
+      filters.collections = collectionList;
+    }
+
+    return { value: { format, filters } };
+  }
+
+  selectedDatasets(filters) {
+    return filters.collections?.length ? filters.collections : DATASETS;
+  }
+
+  contentType(format) {
+    return contentTypes[format];
+  }
+
+  fileName(format, filters, now = new Date()) {
+    const date = now.toISOString().split('T')[0];
+    const suffix = format === 'csv' ? `-${filters.collections[0]}` : '';
+    const extension = format === 'zip' ? 'zip' : format;
+    return `wellness-data${suffix}-${date}.${extension}`;
+  }
+
+  // Rough size of an export, used to send big ones to the background
+  async estimateRecords(userId, filters) {
+    const selected = this.selectedDatasets(filters);
+    const created = dateRange('createdAt', filters.from, filters.to);
+    let total = 0;
+
+    if (selected.includes('activities')) {
+      total += await Activity.countDocuments({
+        userId,
+        ...created,
+        ...(filters.types?.length && { type: { $in: filters.types } })
+      });
+    }
+
+    if (selected.includes('notifications')) {
+      total += await Notification.countDocuments({ userId, ...created });
+    }
+
+    if (selected.includes('streak_days')) {
+      total += await StreakDay.countDocuments({ userId });
+    }
+
+    return total;
+  }
+
+  // Write the export to a writable stream and end it.
+  // Resolves to { counts, total } records per dataset.
+  async write(userId, { format, filters }, output) {
+    // Aggregations don't cast ids
+    userId = new mongoose.Types.ObjectId(userId);
+    const selected = this.selectedDatasets(filters);
+    const exportedAt = new Date();
+    const counts = {};
+
+    if (format === 'zip') {
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      const failed = new Promise((resolve, reject) => archive.on('error', reject));
+      archive.pipe(output);
+
+      const build = (async () => {
+        for (const name of selected) {
+          const entry = new PassThrough();
+          archive.append(entry, { name: `${name}.csv` });
+          counts[name] = await this.writeCsv(userId, name, filters, entry);
+          entry.end();
+        }
+
+        archive.append(JSON.stringify(manifest(exportedAt, filters, counts), null, 2), { name: 'manifest.json' });
+        await archive.finalize();
+      })();
+
+      await Promise.race([build, failed]);
+      await finished(output);
+      return { counts, total: sum(counts) };
+    }
+
+    if (format === 'csv') {
+      counts[selected[0]] = await this.writeCsv(userId, selected[0], filters, output);
+    } else if (format === 'ndjson') {
+      await writeChunk(output, `${JSON.stringify({ collection: 'manifest', record: manifest(exportedAt, filters) })}\n`);
+
+      for (const name of selected) {
+        counts[name] = 0;
+        for await (const record of datasets[name].records(userId, filters)) {
+          await writeChunk(output, `${JSON.stringify({ collection: name, record })}\n`);
+          counts[name] += 1;
+        }
+      }
+    } else {
+      const { collections, ...rest } = manifest(exportedAt, filters);
+      await writeChunk(output, `{${JSON.stringify(rest).slice(1, -1)}`);
+
+      for (const name of selected) {
+        counts[name] = 0;
+        await writeChunk(output, `,${JSON.stringify(name)}:[`);
+        for await (const record of datasets[name].records(userId, filters)) {
+          await writeChunk(output, `${counts[name] ? ',' : ''}${JSON.stringify(record)}`);
+          counts[name] += 1;
+        }
+        await writeChunk(output, ']');
+      }
+
+      await writeChunk(output, `,"counts":${JSON.stringify(counts)}}`);
+    }
+
+    output.end();
+    await finished(output);
+    return { counts, total: sum(counts) };
+  }
+
+  // Write one dataset as CSV without ending the stream; returns the row count
+  async writeCsv(userId, name, filters, output) {
+    const { columns } = datasets[name];
+    let count = 0;
+
+    await writeChunk(output, csvRow(columns.map(([header]) => header)));
+
+    for await (const record of datasets[name].records(userId, filters)) {
+      await writeChunk(output, csvRow(columns.map(([, value]) => value(record))));
+      count += 1;
+    }
+
+    return count;
+  }
+
+  // Queue a background export. Users get one export in flight at a time.
+  async createJob(userId, { format, filters }) {
+    const active = await ExportJob.exists({ userId, status: { $in: ['queued', 'running'] } });
+
+    if (active) {
+      return { error: { status: 409, message: 'An export is already in progress' } };
+    }
+
+    const job = await ExportJob.create({ userId, format, filters });
+    return { job };
+  }
+
+  // Short-lived signed link to a finished export's file
+  downloadLink(job) {
+    const token = jwt.sign(
+      { jobId: job._id, userId: job.userId, purpose: 'export' },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.EXPORT_LINK_EXPIRE || '15m' }
+    );
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+    return {
+      url: `${apiUrl}/api/analytics/export/jobs/${job._id}/download?token=${token}`,
+      expiresAt: new Date(jwt.decode(token).exp * 1000)
+    };
+  }
+
+  // Returns the job id from a valid download token, or null
+  readDownloadToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === 'export' ? decoded.jobId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Mongo filter for a creation-date range, or an empty object
+const dateRange = (field, from, to) => {
+  if (!from && !to) return {};
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const manifest = (exportedAt, filters, counts) => ({
+  exportedAt: exportedAt.toISOString(),
+  filters: {
+    from: filters.from || null,
+    to: filters.to || null,
+    types: filters.types?.length ? filters.types : null
+  },
+  collections: filters.collections?.length ? filters.collections : DATASETS,
+  ...(counts && { counts })
+});
+
+// RFC 4180: quote fields holding commas, quotes or line breaks, double any
+// quotes, and end records with CRLF
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+
+  const text = value instanceof Date
+    ? value.toISOString()
+    : Array.isArray(value) ? value.join('; ') : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (fields) => `${fields.map(csvField).join(',')}\r\n`;
+
+// Write and wait for the stream to drain when its buffer is full. Fails if
+// the stream closes first, such as when a client disconnects mid-download.
+const writeChunk = async (stream, chunk) => {
+  if (stream.destroyed) {
+    throw new Error('Export output closed');
+  }
+
+  if (stream.write(chunk)) return;
+
+  await new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Export output closed'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+};
+
+// Resolve once a writable has flushed everything, whatever kind it is
+const finished = (stream) => {
+  if (stream.writableFinished) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    stream.once('finish', resolve);
+    stream.once('close', resolve);
+    stream.once('error', reject);
+  });
+};
+
+const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+module.exports = new ExportService();
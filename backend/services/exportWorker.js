@@ -0,0 +1,146 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const ExportJob = require('../models/ExportJob');
+const exportService = require('./exportService');
+const notificationService = require('./notificationService');
+
+const MINUTE = 60 * 1000;
+
+// Background job that runs queued data exports. Each export is written to
+// a temporary file under EXPORT_DIR and renamed into place once complete,
+// so a download never sees a partial file. Jobs are claimed with an atomic
+// update; a job whose claim goes stale (the server died mid-export) is
+// retried up to maxAttempts times. Expired exports are deleted along with
+// their files.
+class ExportWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.EXPORT_WORKER_INTERVAL_MS) || MINUTE;
+    this.dir = process.env.EXPORT_DIR || path.join(process.cwd(), 'tmp', 'exports');
+    this.ttlHours = parseInt(process.env.EXPORT_TTL_HOURS) || 24;
+    this.staleMinutes = 30;
+    this.maxAttempts = 3;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+
+    console.log(`Export worker started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNext(new Date()))) {
+        await this.run(job);
+      }
+      await this.purgeExpired(now);
+    } catch (error) {
+      console.error('Export worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Claim the oldest queued job, or a running one whose claim went stale
+  async claimNext(now) {
+    const staleBefore = new Date(now.getTime() - this.staleMinutes * MINUTE);
+
+    return ExportJob.findOneAndUpdate(
+      {
+        attempts: { $lt: this.maxAttempts },
+        $or: [
+          { status: 'queued' },
+          { status: 'running', startedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'running', startedAt: now }, $inc: { attempts: 1 } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const fileName = exportService.fileName(job.format, job.filters);
+    const filePath = path.join(this.dir, `${job._id}-${fileName}`);
+    const partPath = `${filePath}.part`;
+
+    try {
+      await fsp.mkdir(this.dir, { recursive: true });
+
+      const output = fs.createWriteStream(partPath);
+      let result;
+      try {
+        result = await exportService.write(job.userId, { format: job.format, filters: job.filters }, output);
+      } catch (error) {
+        output.destroy();
+        throw error;
+      }
+
+      await fsp.rename(partPath, filePath);
+      const { size } = await fsp.stat(filePath);
+      const completedAt = new Date();
+
+      await ExportJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'completed',
+          completedAt,
+          fileName,
+          filePath,
+          size,
+          recordCount: result.total,
+          expiresAt: new Date(completedAt.getTime() + this.ttlHours * 60 * MINUTE)
+        },
+        $unset: { error: 1 }
+      });
+
+      await notificationService.notify(job.userId, {
+        type: 'system',
+        title: 'Your data export is ready',
+        body: `Your ${job.format.toUpperCase()} export is ready to download for the next ${this.ttlHours} hours`,
+        data: { exportJobId: job._id }
+      });
+    } catch (error) {
+      console.error(`Export job ${job._id} failed:`, error);
+      await fsp.rm(partPath, { force: true });
+
+      const retry = job.attempts < this.maxAttempts;
+      await ExportJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: retry ? 'queued' : 'failed',
+          error: 'Export failed',
+          ...(!retry && { expiresAt: new Date(Date.now() + this.ttlHours * 60 * MINUTE) })
+        }
+      });
+    }
+  }
+
+  // Remove expired exports and their files
+  async purgeExpired(now) {
+    const expired = await ExportJob.find({ expiresAt: { $lte: now } }).select('filePath');
+
+    for (const job of expired) {
+      if (job.filePath) {
+        await fsp.rm(job.filePath, { force: true });
+      }
+      await ExportJob.deleteOne({ _id: job._id });
+    }
+  }
+}
+
+module.exports = new ExportWorker();
@@ -0,0 +1,467 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const StreakDay = require('../models/StreakDay');
+const streakService = require('./streakService');
+const domainEvents = require('./events');
+const { getImporter, importers } = require('./importers');
+const { resolveTimeZone, toDateKey, zonedTimeToUtc } = require('../utils/timezone');
+
+const BATCH_SIZE = 500;
+const SAMPLE_SIZE = 10;
+const MAX_ISSUES = 50;
+
+const activityTypes = Activity.schema.path('type').enumValues;
+const categories = Activity.schema.path('category').enumValues;
+const difficulties = Activity.schema.path('difficulty').enumValues;
+const moods = Activity.schema.path('completionData.mood.before').enumValues;
+
+// Words other apps use for our activity types, categories and moods
+const typeAliases = {
+  meditate: 'meditation',
+  mindfulness: 'meditation',
+  journal: 'journaling',
+  diary: 'journaling',
+  writing: 'journaling',
+  gratitude: 'journaling',
+  entry: 'journaling',
+  workout: 'exercise',
+  run: 'exercise',
+  running: 'exercise',
+  walk: 'exercise',
+  walking: 'exercise',
+  gym: 'exercise',
+  sport: 'exercise',
+  yoga: 'stretching',
+  stretch: 'stretching',
+  breath: 'breathing',
+  breathe: 'breathing',
+  breathwork: 'breathing',
+  skin_care: 'skincare',
+  read: 'reading',
+  book: 'reading',
+  listen: 'music',
+  affirmations: 'affirmation'
+};
+
+const categoryAliases = {
+  stress: 'stress_relief',
+  confidence: 'confidence_building',
+  relax: 'relaxation',
+  mindful: 'mindfulness',
+  focus: 'productivity',
+  work: 'productivity',
+  sleep: 'sleep_improvement'
+};
+
+const moodAliases = {
+  rad: 'excited',
+  great: 'happy',
+  good: 'happy',
+  ok: 'neutral',
+  okay: 'neutral',
+  fine: 'neutral',
+  meh: 'neutral',
+  bad: 'sad',
+  awful: 'sad',
+  down: 'sad',
+  worried: 'anxious',
+  nervous: 'anxious',
+  angry: 'stressed',
+  overwhelmed: 'stressed',
+  relaxed: 'calm',
+  peaceful: 'calm',
+  energized: 'energetic'
+};
+
+// Category for an activity type when the source doesn't say
+const categoryByType = {
+  meditation: 'mindfulness',
+  journaling: 'mindfulness',
+  exercise: 'stress_relief',
+  breathing: 'relaxation',
+  stretching: 'relaxation',
+  skincare: 'relaxation',
+  reading: 'relaxation',
+  music: 'relaxation',
+  affirmation: 'confidence_building',
+  tip: 'productivity'
+};
+
+// Imports activity history from another app or one of our own exports.
+// A run is: parse the file into drafts (services/importers), map each draft
+// onto an Activity, drop the ones already in the account, then insert the
+// rest with their original dates and rebuild the streak history. A dry run
+// stops before writing anything and returns the same summary.
+class ImportService {
+  constructor() {
+    this.maxRecords = parseInt(process.env.IMPORT_MAX_RECORDS) || 10000;
+  }
+
+  listFormats() {
+    return Object.values(importers).map(({ name, label, fields }) => ({
+      format: name,
+      label,
+      ...(fields && { fields })
+    }));
+  }
+
+  // Parse, map and deduplicate. Returns { error } or the analysis.
+  async analyze(user, { format, content, mapping, defaults = {} }) {
+    const importer = getImporter(format);
+
+    if (!importer) {
+      return { error: { status: 400, message: `Format must be one of: ${Object.keys(importers).join(', ')}` } };
+    }
+
+    if (!content) {
+      return { error: { status: 400, message: 'Import content is required' } };
+    }
+
+    const parsed = importer.parse(content, { mapping });
+
+    if (parsed.error) {
+      return {
+        error: {
+          status: 400,
+          message: parsed.error,
+          ...(parsed.columns && { columns: parsed.columns, suggestedMapping: parsed.suggestedMapping })
+        }
+      };
+    }
+
+    if (parsed.drafts.length > this.maxRecords) {
+      return { error: { status: 413, message: `Imports are limited to ${this.maxRecords} records; split the file and import each part` } };
+    }
+
+    const context = {
+      format,
+      timeZone: resolveTimeZone(user.profile?.timezone),
+      primaryGoal: user.primaryGoal,
+      defaults: {
+        type: activityTypes.includes(defaults.type) ? defaults.type : undefined,
+        category: categories.includes(defaults.category) ? defaults.category : undefined,
+        completed: defaults.completed !== false
+      },
+      now: new Date()
+    };
+
+    const invalid = [];
+    const warnings = [];
+    const mapped = [];
+
+    for (const draft of parsed.drafts) {
+      const result = this.mapDraft(draft, context);
+
+      if (result.error) {
+        invalid.push({ line: draft.line, message: result.error });
+        continue;
+      }
+
+      result.warnings.forEach(message => warnings.push({ line: draft.line, message }));
+      mapped.push({ line: draft.line, activity: result.activity });
+    }
+
+    const { records, duplicates } = await this.deduplicate(user._id, format, mapped);
+
+    return {
+      format,
+      parsed,
+      records,
+      duplicates,
+      invalid,
+      warnings
+    };
+  }
+
+  // Map a draft onto Activity fields. Returns { error } or { activity, warnings }.
+  mapDraft(draft, { format, timeZone, primaryGoal, defaults, now }) {
+    const warnings = [];
+
+    const occurredAt = parseDate(draft.date, timeZone);
+    if (!occurredAt) {
+      return { error: 'Missing or unreadable date' };
+    }
+    if (occurredAt > now) {
+      return { error: 'Date is in the future' };
+    }
+
+    const type = lookup(draft.type, activityTypes, typeAliases) || defaults.type || 'custom';
+    if (draft.type && !lookup(draft.type, activityTypes, typeAliases)) {
+      warnings.push(`Unknown type "${draft.type}" imported as ${type}`);
+    }
+
+    const category = lookup(draft.category, categories, categoryAliases) ||
+      defaults.category || categoryByType[type] || primaryGoal;
+
+    const text = clean(draft.content);
+    const title = clean(draft.title) || firstLine(text) ||
+      `${type[0].toUpperCase()}${type.slice(1)} on ${toDateKey(occurredAt, timeZone)}`;
+
+    const content = truncate(text || title, 2000, 'Content', warnings);
+    const isCompleted = draft.completed === undefined ? defaults.completed : parseBoolean(draft.completed);
+
+    const rating = draft.rating === undefined ? undefined : Math.round(Number(draft.rating));
+    const validRating = rating >= 1 && rating <= 5 ? rating : undefined;
+    if (draft.rating !== undefined && !validRating) {
+      warnings.push(`Rating "${draft.rating}" is outside 1-5 and was dropped`);
+    }
+
+    const duration = parseInt(draft.duration);
+
+    return {
+      warnings,
+      activity: {
+        type,
+        category,
+        title: truncate(title, 200, 'Title', warnings),
+        content,
+        description: draft.description ? truncate(clean(draft.description), 500, 'Description', warnings) : undefined,
+        duration: duration > 0 && duration <= 24 * 60 ? duration : 5,
+        difficulty: difficulties.includes(draft.difficulty) ? draft.difficulty : undefined,
+        steps: toStrings(draft.steps).map(step => step.slice(0, 300)),
+        tags: [...new Set(toStrings(draft.tags))].slice(0, 20),
+        completionData: isCompleted
+          ? {
+            isCompleted: true,
+            completedAt: parseDate(draft.completedAt, timeZone) || occurredAt,
+            rating: validRating,
+            feedback: draft.feedback ? truncate(clean(draft.feedback), 500, 'Feedback', warnings) : undefined,
+            mood: {
+              before: lookup(draft.moodBefore, moods, moodAliases),
+              after: lookup(draft.moodAfter, moods, moodAliases)
+            },
+            notes: draft.notes ? truncate(clean(draft.notes), 1000, 'Notes', warnings) : undefined
+          }
+          : { isCompleted: false },
+        importSource: {
+          format,
+          externalId: draft.externalId ? String(draft.externalId) : undefined
+        },
+        createdAt: occurredAt
+      }
+    };
+  }
+
+  // Split mapped records into new ones and duplicates. A record duplicates
+  // an activity with the same source id (or, for our own exports, the same
+  // _id), or one of the same type and title at the same minute. Duplicates
+  // within the file are caught the same way.
+  async deduplicate(userId, format, mapped) {
+    const records = [];
+    const duplicates = [];
+
+    if (mapped.length === 0) return { records, duplicates };
+
+    const times = mapped.flatMap(({ activity }) => [activity.createdAt, activity.completionData.completedAt]).filter(Boolean);
+    const from = new Date(Math.min(...times) - 60 * 1000);
+    const to = new Date(Math.max(...times) + 60 * 1000);
+    const externalIds = mapped.map(({ activity }) => activity.importSource.externalId).filter(Boolean);
+    const ownIds = format === 'native' ? externalIds.filter(id => mongoose.Types.ObjectId.isValid(id)) : [];
+
+    const seenIds = new Set();
+    const seenFingerprints = new Set();
+    const fileIds = new Set();
+    const fileFingerprints = new Set();
+
+    const existing = Activity.find({
+      userId,
+      $or: [
+        { createdAt: { $gte: from, $lte: to } },
+        { 'completionData.completedAt': { $gte: from, $lte: to } },
+        ...(externalIds.length ? [{ 'importSource.externalId': { $in: externalIds } }] : []),
+        ...(ownIds.length ? [{ _id: { $in: ownIds } }] : [])
+      ]
+    }).select('type title createdAt completionData.completedAt importSource').lean().cursor();
+
+    for await (const activity of existing) {
+      seenIds.add(activity._id.toString());
+      if (activity.importSource?.externalId) {
+        seenIds.add(`${activity.importSource.format}:${activity.importSource.externalId}`);
+      }
+      seenFingerprints.add(fingerprint(activity.type, activity.title, activity.createdAt));
+      if (activity.completionData?.completedAt) {
+        seenFingerprints.add(fingerprint(activity.type, activity.title, activity.completionData.completedAt));
+      }
+    }
+
+    for (const record of mapped) {
+      const { activity } = record;
+      const externalId = activity.importSource.externalId;
+      const key = fingerprint(activity.type, activity.title, activity.createdAt);
+
+      if (externalId && (seenIds.has(`${format}:${externalId}`) || (format === 'native' && seenIds.has(externalId)))) {
+        duplicates.push({ line: record.line, message: 'Already imported' });
+        continue;
+      }
+
+      if (seenFingerprints.has(key)) {
+        duplicates.push({ line: record.line, message: 'Matches an existing activity' });
+        continue;
+      }
+
+      if ((externalId && fileIds.has(externalId)) || fileFingerprints.has(key)) {
+        duplicates.push({ line: record.line, message: 'Repeats an earlier entry in this file' });
+        continue;
+      }
+
+      if (externalId) fileIds.add(externalId);
+      fileFingerprints.add(key);
+      records.push(record);
+    }
+
+    return { records, duplicates };
+  }
+
+  // What an import would do, without writing anything
+  async preview(user, options) {
+    const analysis = await this.analyze(user, options);
+    if (analysis.error) return analysis;
+
+    return { summary: this.summarize(analysis) };
+  }
+
+  // Import for real: insert the new activities, add their completions to the
+  // streak history and recompute the user's streak data
+  async run(user, options) {
+    const analysis = await this.analyze(user, options);
+    if (analysis.error) return analysis;
+
+    const importedAt = new Date();
+    const timeZone = resolveTimeZone(user.profile?.timezone);
+    const days = new Map();
+
+    // Imported history isn't screened by safetyService: it was written
+    // elsewhere, often years ago, and isn't a live signal
+    for (let i = 0; i < analysis.records.length; i += BATCH_SIZE) {
+      const batch = analysis.records.slice(i, i + BATCH_SIZE).map(({ activity }) => ({
+        ...activity,
+        userId: user._id,
+        isAIGenerated: false,
+        importSource: { ...activity.importSource, importedAt }
+      }));
+
+      await Activity.insertMany(batch, { ordered: true });
+
+      for (const activity of batch) {
+        if (!activity.completionData.isCompleted) continue;
+
+        const dateKey = toDateKey(activity.completionData.completedAt, timeZone);
+        const day = days.get(dateKey) || { count: 0, minutes: 0 };
+        day.count += 1;
+        day.minutes += activity.duration;
+        days.set(dateKey, day);
+      }
+    }
+
+    const dayUpdates = [...days].map(([date, { count, minutes }]) => ({
+      updateOne: {
+        filter: { userId: user._id, date },
+        update: {
+          $set: { status: 'active' },
+          $inc: { activitiesCompleted: count, minutes },
+          $setOnInsert: { timeZone }
+        },
+        upsert: true
+      }
+    }));
+
+    for (let i = 0; i < dayUpdates.length; i += BATCH_SIZE) {
+      await StreakDay.bulkWrite(dayUpdates.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    const previousStreak = user.streakData?.currentStreak || 0;
+    const streakData = await streakService.recompute(user._id);
+
+    if (analysis.records.length > 0) {
+      domainEvents.publish('streak.updated', { userId: user._id, streakData, previousStreak });
+    }
+
+    return {
+      summary: this.summarize(analysis),
+      imported: analysis.records.length,
+      streakData
+    };
+  }
+
+  summarize({ format, parsed, records, duplicates, invalid, warnings }) {
+    const dates = records.map(({ activity }) => activity.createdAt.getTime());
+    const byType = {};
+    records.forEach(({ activity }) => {
+      byType[activity.type] = (byType[activity.type] || 0) + 1;
+    });
+
+    return {
+      format,
+      total: parsed.drafts.length,
+      toImport: records.length,
+      duplicates: duplicates.length,
+      invalid: invalid.length,
+      byType,
+      dateRange: dates.length
+        ? { from: new Date(Math.min(...dates)), to: new Date(Math.max(...dates)) }
+        : null,
+      ...(parsed.columns && {
+        columns: parsed.columns,
+        mapping: parsed.mapping,
+        suggestedMapping: parsed.suggestedMapping
+      }),
+      sample: records.slice(0, SAMPLE_SIZE).map(({ line, activity }) => ({ line, ...activity })),
+      issues: [
+        ...invalid.map(issue => ({ ...issue, kind: 'invalid' })),
+        ...duplicates.map(issue => ({ ...issue, kind: 'duplicate' })),
+        ...warnings.map(issue => ({ ...issue, kind: 'warning' }))
+      ]
+        .sort((a, b) => a.line - b.line)
+        .slice(0, MAX_ISSUES)
+    };
+  }
+}
+
+// Date from an ISO timestamp, a Date, or a bare YYYY-MM-DD (noon in the
+// user's timezone, so it lands on that local day); null when unreadable
+const parseDate = (value, timeZone) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return zonedTimeToUtc(text, 12, 0, timeZone);
+  }
+
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+const normalizeWord = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Match a value against an enum directly or through aliases
+const lookup = (value, allowed, aliases) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const word = normalizeWord(value);
+  if (allowed.includes(word)) return word;
+  return aliases[word] || undefined;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', 'y', '1', 'done', 'completed', 'complete', 'x'].includes(normalizeWord(value));
+};
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const firstLine = (text) => (text.split(/\r?\n/).find(line => line.trim()) || '').trim().slice(0, 200);
+
+const toStrings = (value) => (Array.isArray(value) ? value : [])
+  .map(item => clean(item))
+  .filter(Boolean);
+
+const truncate = (text, max, label, warnings) => {
+  if (text.length <= max) return text;
+  warnings.push(`${label} was shortened to ${max} characters`);
+  return text.slice(0, max);
+};
+
+const fingerprint = (type, title, date) =>
+  `${type}|${String(title).trim().toLowerCase()}|${Math.floor(new Date(date).getTime() / 60000)}`;
+
+module.exports = new ImportService();
@@ -0,0 +1,153 @@
+// Generic CSV importer. Columns are mapped onto activity fields, either by
+// the caller or from suggestions based on the header row; the suggestions
+// also recognize the headers of our own CSV export.
+
+// Activity fields a column can be mapped to, with header names suggested for each
+const fieldAliases = {
+  date: ['date', 'created_at', 'created', 'datetime', 'timestamp', 'day', 'full_date', 'entry_date'],
+  type: ['type', 'activity', 'activity_type', 'kind'],
+  category: ['category', 'goal', 'focus'],
+  title: ['title', 'name', 'subject', 'summary'],
+  content: ['content', 'text', 'body', 'entry', 'note', 'journal'],
+  description: ['description', 'details'],
+  duration: ['duration', 'duration_minutes', 'minutes', 'length'],
+  difficulty: ['difficulty', 'level'],
+  tags: ['tags', 'labels', 'activities'],
+  completed: ['completed', 'done', 'is_completed', 'status'],
+  completedAt: ['completed_at', 'completion_date', 'finished_at'],
+  rating: ['rating', 'score', 'stars'],
+  moodBefore: ['mood_before', 'mood'],
+  moodAfter: ['mood_after'],
+  feedback: ['feedback'],
+  notes: ['notes', 'reflection', 'comment'],
+  externalId: ['id', 'uuid', 'external_id']
+};
+
+const FIELDS = Object.keys(fieldAliases);
+
+// Parse RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line
+// breaks; records end with CRLF or LF. Returns the rows as { cells, line },
+// where line is the line of the file the record starts on.
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  // Drop blank lines
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Suggest a field for each header; each field is used once, first match wins
+const suggestMapping = (headers) => {
+  const mapping = {};
+  const normalized = headers.map(normalizeHeader);
+
+  for (const field of FIELDS) {
+    const index = normalized.findIndex(header => fieldAliases[field].includes(header));
+    if (index !== -1 && !Object.values(mapping).includes(headers[index])) {
+      mapping[field] = headers[index];
+    }
+  }
+
+  return mapping;
+};
+
+module.exports = {
+  name: 'csv',
+  label: 'CSV with column mapping',
+  fields: FIELDS,
+
+  // mapping is { field: header }; without one the suggested mapping is used
+  parse(content, { mapping } = {}) {
+    if (typeof content !== 'string') {
+      return { error: 'CSV content must be text' };
+    }
+
+    const rows = parseCsv(content);
+    if (rows.length < 2) {
+      return { error: 'CSV needs a header row and at least one record' };
+    }
+
+    const [{ cells: headers }, ...records] = rows;
+    const suggested = suggestMapping(headers);
+    const applied = mapping && Object.keys(mapping).length ? mapping : suggested;
+
+    const unknownFields = Object.keys(applied).filter(field => !FIELDS.includes(field));
+    if (unknownFields.length) {
+      return { error: `Unknown fields in mapping: ${unknownFields.join(', ')}. Available: ${FIELDS.join(', ')}` };
+    }
+
+    const missingColumns = Object.values(applied).filter(header => !headers.includes(header));
+    if (missingColumns.length) {
+      return { error: `Mapped columns not found in the file: ${missingColumns.join(', ')}`, columns: headers, suggestedMapping: suggested };
+    }
+
+    if (!applied.date) {
+      return { error: 'Map a column to date so entries land on the right day', columns: headers, suggestedMapping: suggested };
+    }
+
+    const columnIndex = Object.fromEntries(
+      Object.entries(applied).map(([field, header]) => [field, headers.indexOf(header)])
+    );
+
+    const drafts = records.map(({ cells, line }) => {
+      const draft = { line };
+      for (const [field, column] of Object.entries(columnIndex)) {
+        const value = cells[column]?.trim();
+        if (value) draft[field] = value;
+      }
+      if (draft.tags) draft.tags = draft.tags.split(/[;|,]/);
+      return draft;
+    });
+
+    return {
+      drafts,
+      columns: headers,
+      mapping: applied,
+      suggestedMapping: suggested
+    };
+  },
+
+  parseCsv
+};
@@ -0,0 +1,51 @@
+// Day One style JSON journals: { entries: [{ uuid, creationDate, text,
+// tags, ... }] }. Every entry becomes a completed journaling activity; the
+// title is taken from the entry's first line.
+
+const TITLE_LENGTH = 80;
+
+const titleFrom = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  // Day One writes headings as markdown
+  const title = firstLine.replace(/^#+\s*/, '').replace(/\\([^\w\s])/g, '$1').trim();
+  return title.length > TITLE_LENGTH ? `${title.slice(0, TITLE_LENGTH - 1)}…` : title;
+};
+
+module.exports = {
+  name: 'dayone',
+  label: 'Day One JSON journal',
+
+  parse(content) {
+    let journal = content;
+
+    if (typeof content === 'string') {
+      try {
+        journal = JSON.parse(content);
+      } catch (error) {
+        return { error: 'Content is not valid JSON' };
+      }
+    }
+
+    if (!journal || !Array.isArray(journal.entries)) {
+      return { error: 'Journal has no entries list' };
+    }
+
+    const drafts = journal.entries.map((entry, index) => {
+      const text = typeof entry?.text === 'string' ? entry.text.trim() : '';
+
+      return {
+        line: index + 1,
+        externalId: entry?.uuid,
+        date: entry?.creationDate,
+        type: 'journaling',
+        title: titleFrom(text) || 'Journal entry',
+        content: text,
+        tags: Array.isArray(entry?.tags) ? entry.tags : undefined,
+        completed: true,
+        completedAt: entry?.creationDate
+      };
+    });
+
+    return { drafts };
+  }
+};
@@ -0,0 +1,18 @@
+const nativeImporter = require('./nativeImporter');
+const csvImporter = require('./csvImporter');
+const dayOneImporter = require('./dayOneImporter');
+
+// Importers turn a file into drafts: loose activity fields straight from the
+// source, numbered by line. services/importService validates and maps them.
+const importers = {
+  native: nativeImporter,
+  csv: csvImporter,
+  dayone: dayOneImporter
+};
+
+const getImporter = (name) => importers[name] || null;
+
+module.exports = {
+  getImporter,
+  importers
+};
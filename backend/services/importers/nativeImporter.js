@@ -0,0 +1,76 @@
+// Our own export format, for round trips: the JSON document from
+// /api/analytics/export?format=json, or its newline-delimited variant.
+// Only activities are imported; other collections describe the account
+// and are rebuilt from activity history where they matter.
+
+// Activities from a JSON export object or NDJSON text, or null when the
+// content is neither
+const readActivities = (content) => {
+  if (content && typeof content === 'object') {
+    return Array.isArray(content.activities) ? content.activities : null;
+  }
+
+  if (typeof content !== 'string') return null;
+
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{') && !trimmed.includes('\n{')) {
+    try {
+      return readActivities(JSON.parse(trimmed));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const activities = [];
+  for (const line of trimmed.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.collection === 'activities') activities.push(entry.record);
+    } catch (error) {
+      return null;
+    }
+  }
+  return activities;
+};
+
+module.exports = {
+  name: 'native',
+  label: 'Wellness data export (JSON or NDJSON)',
+
+  parse(content) {
+    const activities = readActivities(content);
+
+    if (!activities) {
+      return { error: 'Content is not a wellness data export' };
+    }
+
+    const drafts = activities
+      .map((activity, index) => ({ activity, index }))
+      .filter(({ activity }) => activity && typeof activity === 'object')
+      .map(({ activity, index }) => ({
+        line: index + 1,
+        externalId: activity.id,
+        date: activity.createdAt,
+        type: activity.type,
+        category: activity.category,
+        title: activity.title,
+        content: activity.content,
+        description: activity.description,
+        duration: activity.duration,
+        difficulty: activity.difficulty,
+        steps: activity.steps,
+        tags: activity.tags,
+        completed: activity.completion?.isCompleted,
+        completedAt: activity.completion?.completedAt,
+        rating: activity.completion?.rating,
+        feedback: activity.completion?.feedback,
+        moodBefore: activity.completion?.moodBefore,
+        moodAfter: activity.completion?.moodAfter,
+        notes: activity.completion?.notes
+      }));
+
+    return { drafts };
+  }
+};
@@ -0,0 +1,459 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Group = require('../models/Group');
+const StreakDay = require('../models/StreakDay');
+const User = require('../models/User');
+const streakService = require('./streakService');
+const { getBlockedUserIds } = require('./socialService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const periods = {
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+const userFields = 'username profile.firstName profile.avatar socialData.privacy.shareProgress';
+
+const labels = {
+  streak: value => `${value} day${value !== 1 ? 's' : ''}`,
+  activities: value => `${value} activities`,
+  social: value => `${value} likes`
+};
+
+// Ranks users globally, among friends, among the members of a group or
+// among the participants of a challenge.
+// Entries that compare equal share a rank (1, 2, 2, 4); display order within
+// a tie falls back to username so pages are stable. The caller always gets
+// their own rank, even outside the top N. Users who turned off
+// socialData.privacy.shareProgress are left out of rankings others see, and
+// users whose profile isn't visible to the caller are shown anonymously.
+// Users blocked by or blocking the caller are left out entirely.
+class LeaderboardService {
+  // Start of a named period ('week', 'month', 'year'); undefined for 'all'
+  periodStart(period, now = new Date()) {
+    return periods[period] ? new Date(now.getTime() - periods[period] * DAY) : undefined;
+  }
+
+  async groupLeaderboard(group, viewerId, { metric = 'activities', from, to, limit = 10 } = {}) {
+    const memberIds = group.members.filter(member => member.isActive).map(member => member.userId);
+    const users = await this.visibleUsers(memberIds, viewerId);
+    const totals = await this.activityTotals(users.map(user => user._id), { from, to });
+
+    const entries = users.map(user => ({ user, ...totals.get(user._id.toString()) }));
+
+    return this.build(entries, {
+      compare: compareTotals(metric),
+      value: entry => entry[metric],
+      unit: metric,
+      viewerId,
+      limit
+    });
+  }
+
+  async challengeLeaderboard(group, challenge, viewerId, { metric = 'progress', unit, limit = 10 } = {}) {
+    const memberIds = new Set(group.members.filter(member => member.isActive).map(member => member.userId.toString()));
+    const participants = challenge.participants.filter(p => memberIds.has(p.userId.toString()));
+    const users = await this.visibleUsers(participants.map(p => p.userId), viewerId);
+    const byUser = new Map(participants.map(p => [p.userId.toString(), p]));
+
+    if (metric === 'progress') {
+      const entries = users.map(user => {
+        const participant = byUser.get(user._id.toString());
+        return {
+          user,
+          progress: participant.progress || 0,
+          isCompleted: participant.isCompleted,
+          lastUpdate: participant.lastUpdate
+        };
+      });
+
+      return this.build(entries, {
+        // Completing first breaks ties
+        compare: (a, b) =>
+          b.progress - a.progress ||
+          b.isCompleted - a.isCompleted ||
+          compareDates(a.lastUpdate, b.lastUpdate),
+        value: entry => entry.progress,
+        unit,
+        extra: entry => ({ isCompleted: entry.isCompleted }),
+        viewerId,
+        limit
+      });
+    }
+
+    const totals = await this.activityTotals(users.map(user => user._id), {
+      from: challenge.startDate,
+      to: challenge.endDate,
+      filters: challenge.filters
+    });
+    const entries = users.map(user => ({ user, ...totals.get(user._id.toString()) }));
+
+    return this.build(entries, {
+      compare: compareTotals(metric),
+      value: entry => entry[metric],
+      unit: metric,
+      viewerId,
+      limit
+    });
+  }
+
+  // Users a scope ranks: null for everyone, or a list of ids.
+  // Returns { error } with a status when the scope can't be used.
+  async scopeUserIds(scope, viewer, groupId) {
+    switch (scope) {
+      case 'global':
+        return { userIds: null };
+
+      case 'friends':
+        return {
+          userIds: [
+            viewer._id,
+            ...viewer.socialData.friends
+              .filter(friend => friend.status === 'accepted')
+              .map(friend => friend.userId)
+          ]
+        };
+
+      case 'group': {
+        if (!groupId || !mongoose.isValidObjectId(groupId)) {
+          return { error: { status: 400, message: 'groupId is required for the group scope' } };
+        }
+
+        const group = await Group.findOne({ _id: groupId, isActive: true }).select('members');
+
+        if (!group) {
+          return { error: { status: 404, message: 'Group not found' } };
+        }
+
+        if (!group.getMember(viewer._id)) {
+          return { error: { status: 403, message: 'Must be a group member to view its leaderboard' } };
+        }
+
+        return {
+          userIds: group.members.filter(member => member.isActive).map(member => member.userId)
+        };
+      }
+
+      default:
+        return { error: { status: 400, message: 'Scope must be global, friends or group' } };
+    }
+  }
+
+  // Leaderboard of users by current streak, activities completed or likes
+  // received, optionally limited to a period of completion (or like) dates
+  async userLeaderboard(type, { viewer, scope = 'global', userIds = null, period = 'all', limit = 50 }) {
+    const from = this.periodStart(period);
+    const blockedIds = await getBlockedUserIds(viewer._id);
+    const context = { viewer, scope, blockedIds, limit: parseInt(limit), label: labels[type] };
+
+    switch (type) {
+      case 'streak':
+        return this.streakLeaderboard(userIds, context);
+
+      case 'activities': {
+        // Day keys are compared as strings; UTC is close enough for a period cut-off
+        const sinceKey = from ? from.toISOString().split('T')[0] : undefined;
+
+        return this.rankAggregate(StreakDay, [
+          {
+            $match: {
+              status: 'active',
+              ...(sinceKey && { date: { $gte: sinceKey } }),
+              ...(userIds && { userId: { $in: userIds } })
+            }
+          },
+          {
+            $group: {
+              _id: '$userId',
+              value: { $sum: '$activitiesCompleted' },
+              secondary: { $sum: '$minutes' }
+            }
+          }
+        ], context);
+      }
+
+      case 'social':
+        return this.rankAggregate(Activity, [
+          {
+            $match: {
+              'socialData.isShared': true,
+              isActive: true,
+              ...(userIds && { userId: { $in: userIds } })
+            }
+          },
+          {
+            $group: {
+              _id: '$userId',
+              // Likes received in the period, by when they were given
+              value: {
+                $sum: {
+                  $size: from
+                    ? { $filter: { input: '$socialData.likes', cond: { $gte: ['$$this.likedAt', from] } } }
+                    : '$socialData.likes'
+                }
+              },
+              secondary: { $sum: 1 }
+            }
+          }
+        ], context);
+
+      default:
+        return null;
+    }
+  }
+
+  // Rank the output of a pipeline grouping { _id: userId, value, secondary }.
+  // The top N come from one aggregation; the caller's true rank is the number
+  // of visible users ahead of them plus one.
+  async rankAggregate(Model, pipeline, { viewer, scope, blockedIds, limit, label }) {
+    const base = [
+      ...pipeline,
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      {
+        $match: {
+          _id: { $nin: blockedIds },
+          'user.isActive': true,
+          $or: [
+            { 'user.socialData.privacy.shareProgress': { $ne: false } },
+            { _id: viewer._id }
+          ]
+        }
+      },
+      {
+        $project: {
+          value: 1,
+          secondary: 1,
+          'user._id': 1,
+          'user.username': 1,
+          'user.profile.firstName': 1,
+          'user.profile.avatar': 1,
+          'user.socialData.privacy.profileVisibility': 1
+        }
+      }
+    ];
+
+    const [result] = await Model.aggregate([
+      ...base,
+      {
+        $facet: {
+          top: [{ $sort: { value: -1, secondary: -1, 'user.username': 1 } }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+          viewer: [{ $match: { _id: viewer._id } }]
+        }
+      }
+    ]);
+
+    const compare = (a, b) => b.value - a.value || b.secondary - a.secondary;
+    const format = this.userFormatter(viewer, scope, label);
+
+    const leaderboard = [];
+    result.top.forEach((entry, index) => {
+      const previous = leaderboard[index - 1];
+      const rank = previous && compare(result.top[index - 1], entry) === 0 ? previous.rank : index + 1;
+      leaderboard.push(format(entry, rank));
+    });
+
+    let currentUser = null;
+    const viewerEntry = result.viewer[0];
+    if (viewerEntry) {
+      const [ahead] = await Model.aggregate([
+        ...base,
+        {
+          $match: {
+            $or: [
+              { value: { $gt: viewerEntry.value } },
+              { value: viewerEntry.value, secondary: { $gt: viewerEntry.secondary } }
+            ]
+          }
+        },
+        { $count: 'count' }
+      ]);
+
+      currentUser = format(viewerEntry, (ahead?.count || 0) + 1);
+    }
+
+    return {
+      leaderboard,
+      currentUser,
+      total: result.total[0]?.count || 0
+    };
+  }
+
+  // Current streaks depend on each user's local date, so they are ranked
+  // from the full list of live streaks rather than in the database
+  async streakLeaderboard(userIds, { viewer, scope, blockedIds, limit, label }) {
+    const standings = await streakService.getStreakStandings({
+      isActive: true,
+      _id: { $nin: blockedIds, ...(userIds && { $in: userIds }) }
+    });
+
+    const visible = standings.filter(entry =>
+      entry.user.socialData?.privacy?.shareProgress !== false ||
+      entry.user._id.toString() === viewer._id.toString()
+    );
+
+    const compare = (a, b) => b.currentStreak - a.currentStreak || b.longestStreak - a.longestStreak;
+    const format = this.userFormatter(viewer, scope, label);
+
+    const ranked = [];
+    visible.forEach((entry, index) => {
+      const previous = ranked[index - 1];
+      const rank = previous && compare(visible[index - 1], entry) === 0 ? previous.rank : index + 1;
+      ranked.push(format({ user: entry.user, value: entry.currentStreak }, rank));
+    });
+
+    return {
+      leaderboard: ranked.slice(0, limit),
+      currentUser: ranked.find((entry, index) =>
+        visible[index].user._id.toString() === viewer._id.toString()
+      ) || null,
+      total: ranked.length
+    };
+  }
+
+  // Shape a ranked user entry, hiding the identity of users whose profile
+  // the viewer isn't allowed to see
+  userFormatter(viewer, scope, label) {
+    const friendIds = new Set(viewer.socialData.friends
+      .filter(friend => friend.status === 'accepted')
+      .map(friend => friend.userId.toString()));
+
+    return (entry, rank) => {
+      const user = entry.user;
+      const id = user._id.toString();
+      const visibility = user.socialData?.privacy?.profileVisibility || 'friends';
+      const isVisible = id === viewer._id.toString() ||
+        visibility === 'public' ||
+        (visibility === 'friends' && (friendIds.has(id) || scope === 'group'));
+
+      return {
+        rank,
+        user: isVisible
+          ? {
+            _id: user._id,
+            username: user.username,
+            firstName: user.profile?.firstName,
+            avatar: user.profile?.avatar
+          }
+          : { _id: null, username: 'Anonymous', anonymous: true },
+        value: entry.value,
+        label: label(entry.value)
+      };
+    };
+  }
+
+  // Active users among the given ids who share their progress, plus the
+  // viewer, without anyone on either side of a block with them
+  async visibleUsers(userIds, viewerId) {
+    const blockedIds = await getBlockedUserIds(viewerId);
+    const users = await User.find({ _id: { $in: userIds, $nin: blockedIds }, isActive: true }).select(userFields);
+
+    return users.filter(user =>
+      user.socialData?.privacy?.shareProgress !== false ||
+      user._id.toString() === viewerId.toString()
+    );
+  }
+
+  // Completed activities and minutes per user in a window. Every requested
+  // user gets an entry, with zeros when they have no completions.
+  async activityTotals(userIds, { from, to, filters = {} } = {}) {
+    const match = {
+      userId: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) },
+      isActive: true,
+      'completionData.isCompleted': true
+    };
+
+    if (from || to) {
+      match['completionData.completedAt'] = {};
+      if (from) match['completionData.completedAt'].$gte = from;
+      if (to) match['completionData.completedAt'].$lte = to;
+    }
+
+    if (filters.activityTypes?.length) match.type = { $in: filters.activityTypes };
+    if (filters.categories?.length) match.category = { $in: filters.categories };
+
+    const results = await Activity.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$userId',
+          activities: { $sum: 1 },
+          minutes: { $sum: { $ifNull: ['$duration', 0] } },
+          lastCompletedAt: { $max: '$completionData.completedAt' }
+        }
+      }
+    ]);
+
+    const totals = new Map(userIds.map(id => [id.toString(), { activities: 0, minutes: 0, lastCompletedAt: null }]));
+    results.forEach(({ _id, activities, minutes, lastCompletedAt }) => {
+      totals.set(_id.toString(), { activities, minutes, lastCompletedAt });
+    });
+
+    return totals;
+  }
+
+  // Sort, rank and shape entries
+  build(entries, { compare, value, unit, extra = () => ({}), viewerId, limit }) {
+    const sorted = [...entries].sort((a, b) =>
+      compare(a, b) || a.user.username.localeCompare(b.user.username)
+    );
+
+    const ranked = [];
+    sorted.forEach((entry, index) => {
+      const previous = ranked[index - 1];
+      const rank = previous && compare(previous.entry, entry) === 0 ? previous.rank : index + 1;
+      ranked.push({ rank, entry });
+    });
+
+    const format = ({ rank, entry }) => ({
+      rank,
+      user: {
+        _id: entry.user._id,
+        username: entry.user.username,
+        firstName: entry.user.profile?.firstName,
+        avatar: entry.user.profile?.avatar
+      },
+      value: value(entry),
+      label: unit ? `${value(entry)} ${unit}` : `${value(entry)}`,
+      ...extra(entry)
+    });
+
+    const viewer = ranked.find(({ entry }) => entry.user._id.toString() === viewerId.toString());
+
+    return {
+      leaderboard: ranked.slice(0, parseInt(limit)).map(format),
+      currentUser: viewer ? format(viewer) : null,
+      total: ranked.length
+    };
+  }
+}
+
+// Earlier dates first; missing dates last
+const compareDates = (a, b) => {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return a - b;
+};
+
+// Rank by one total, then the other, then whoever got there first
+const compareTotals = (metric) => {
+  const secondary = metric === 'minutes' ? 'activities' : 'minutes';
+
+  return (a, b) =>
+    b[metric] - a[metric] ||
+    b[secondary] - a[secondary] ||
+    compareDates(a.lastCompletedAt, b.lastCompletedAt);
+};
+
+module.exports = new LeaderboardService();
@@ -0,0 +1,126 @@
+// Pluggable email delivery. Selected with MAIL_TRANSPORT=smtp|file|console|none;
+// the file transport writes each message to MAIL_OUTBOX_DIR so local setups
+// can open verification and reset links without a mail server. Without
+// MAIL_TRANSPORT, mail is only printed in development: messages carry
+// verification and reset tokens that must not end up in production logs.
+const fs = require('fs/promises');
+const path = require('path');
+const templates = require('./emailTemplates');
+
+class SmtpTransport {
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error('SMTP_HOST is required for the smtp mail transport');
+    }
+
+    this.name = 'smtp';
+    this.transporter = require('nodemailer').createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir || path.join(process.cwd(), 'tmp', 'mail');
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const file = path.join(this.dir, `${Date.now()}-${message.template}-${message.to}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+  }
+}
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`[mail] to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+class NullTransport {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async send() {}
+}
+
+const transports = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  console: ConsoleTransport,
+  none: NullTransport
+};
+
+const defaultTransport = () => (process.env.NODE_ENV === 'development' ? 'console' : 'none');
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || defaultTransport()) => {
+  const Transport = transports[name];
+
+  if (!Transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return new Transport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    dir: process.env.MAIL_OUTBOX_DIR
+  });
+};
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  // Render a template for the user and deliver it. Throws on delivery
+  // failure so callers decide whether that matters.
+  async send(user, templateName, data = {}) {
+    const template = templates[templateName];
+
+    if (!template) {
+      throw new Error(`Unknown email template "${templateName}"`);
+    }
+
+    const { subject, text, html } = template({ user, ...data });
+
+    await this.getTransport().send({
+      from: process.env.MAIL_FROM || 'Self-Care Planner <no-reply@localhost>',
+      to: user.email,
+      template: templateName,
+      subject,
+      text,
+      html
+    });
+  }
+}
+
+module.exports = new Mailer();
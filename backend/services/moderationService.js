@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Group = require('../models/Group');
+const ModerationLog = require('../models/ModerationLog');
+const Report = require('../models/Report');
+const notificationService = require('./notificationService');
+const sessionService = require('./sessionService');
+const erasureService = require('./erasureService');
+const { emitToRoom } = require('./realtime');
+
+const PREVIEW_LENGTH = 200;
+
+// Moderator actions on users and social content. Content is hidden rather
+// than deleted so it can be restored; every action is written to the
+// append-only ModerationLog. Methods that can fail resolve to
+// { error: { status, message } }.
+class ModerationService {
+  // Find a piece of content from its reference:
+  //   activity      { targetId }
+  //   comment       { activityId, targetId }
+  //   group_post    { groupId, targetId }
+  //   group_comment { groupId, postId, targetId }
+  // Returns { doc, state, ownerId, preview, context } where `state` holds the
+  // hidden flags and `doc` is what to save, or null.
+  async locate(targetType, ref) {
+    const ids = Object.values(ref).filter(Boolean);
+    if (ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return null;
+    }
+
+    if (targetType === 'activity' || targetType === 'comment') {
+      const activityId = targetType === 'activity' ? ref.targetId : ref.activityId;
+      const activity = await Activity.findOne({ _id: activityId, isActive: true });
+      if (!activity) return null;
+
+      if (targetType === 'activity') {
+        return {
+          doc: activity,
+          state: activity.moderation,
+          ownerId: activity.userId,
+          preview: activity.title,
+          context: {}
+        };
+      }
+
+      const comment = activity.socialData.comments.id(ref.targetId);
+      if (!comment) return null;
+
+      return {
+        doc: activity,
+        state: comment,
+        ownerId: comment.userId,
+        preview: comment.content,
+        context: { activityId: activity._id }
+      };
+    }
+
+    if (targetType === 'group_post' || targetType === 'group_comment') {
+      const group = await Group.findOne({ _id: ref.groupId, isActive: true });
+      const postId = targetType === 'group_post' ? ref.targetId : ref.postId;
+      const post = group?.posts.id(postId);
+      if (!post) return null;
+
+      if (targetType === 'group_post') {
+        return {
+          doc: group,
+          state: post,
+          ownerId: post.userId,
+          preview: post.content,
+          context: { groupId: group._id }
+        };
+      }
+
+      const comment = post.comments.id(ref.targetId);
+      if (!comment) return null;
+
+      return {
+        doc: group,
+        state: comment,
+        ownerId: comment.userId,
+        preview: comment.content,
+        context: { groupId: group._id, postId: post._id }
+      };
+    }
+
+    return null;
+  }
+
+  // Short description of reported content for the moderation queue
+  async describe(targetType, ref) {
+    const located = await this.locate(targetType, ref);
+    if (!located) return null;
+
+    return {
+      ownerId: located.ownerId,
+      preview: String(located.preview || '').slice(0, PREVIEW_LENGTH),
+      isHidden: !!located.state.isHidden
+    };
+  }
+
+  async setContentHidden(targetType, ref, hidden, { actor, reason }) {
+    const located = await this.locate(targetType, ref);
+
+    if (!located) {
+      return { error: { status: 404, message: 'Content not found' } };
+    }
+
+    const { doc, state, ownerId, context } = located;
+
+    if (!!state.isHidden === hidden) {
+      return { error: { status: 400, message: hidden ? 'Content is already hidden' : 'Content is not hidden' } };
+    }
+
+    state.isHidden = hidden;
+    state.hiddenAt = hidden ? new Date() : undefined;
+    state.hiddenBy = hidden ? actor._id : undefined;
+    await doc.save();
+
+    // Hiding content settles the reports about it
+    const reportIds = hidden
+      ? await this.resolveReports(targetType, ref.targetId, actor, 'actioned')
+      : [];
+
+    const entry = await ModerationLog.create({
+      actorId: actor._id,
+      action: hidden ? 'hide' : 'restore',
+      targetType,
+      targetId: ref.targetId,
+      targetUserId: ownerId,
+      ...context,
+      reason,
+      reportIds
+    });
+
+    if (hidden) {
+      this.broadcastHidden(targetType, ref.targetId, context);
+
+      await notificationService.notify(ownerId, {
+        type: 'system',
+        title: 'Content hidden',
+        body: `A moderator hid your ${contentLabels[targetType]}${reason ? `: ${reason}` : ''}`,
+        data: { targetType, targetId: ref.targetId, ...context }
+      });
+    }
+
+    return { entry };
+  }
+
+  // Group rooms treat hidden posts and comments like deleted ones
+  broadcastHidden(targetType, targetId, { groupId, postId }) {
+    if (targetType === 'group_post') {
+      emitToRoom(`group-${groupId}`, 'group-post-deleted', { groupId, postId: targetId });
+    } else if (targetType === 'group_comment') {
+      emitToRoom(`group-${groupId}`, 'group-post-comment-deleted', { groupId, postId, commentId: targetId });
+    }
+  }
+
+  // Suspend an account through isActive and sign it out everywhere
+  async suspendUser(user, { actor, reason, expiresAt }) {
+    if (user.suspension?.suspendedAt && !user.isActive) {
+      return { error: { status: 400, message: 'User is already suspended' } };
+    }
+
+    user.isActive = false;
+    user.suspension = {
+      reason,
+      suspendedAt: new Date(),
+      suspendedBy: actor._id,
+      expiresAt
+    };
+    await user.save();
+
+    await sessionService.revokeAll(user._id, { reason: 'account_suspended' });
+    const reportIds = await this.resolveReports('user', user._id, actor, 'actioned');
+
+    const entry = await ModerationLog.create({
+      actorId: actor._id,
+      action: 'suspend',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      reason,
+      expiresAt,
+      reportIds
+    });
+
+    return { entry };
+  }
+
+  // Lift a suspension; actor is empty when the suspension simply expired.
+  // Accounts the owner deactivated themselves are left alone, and so are
+  // accounts waiting to be erased: switching one back on would let the
+  // owner use it until the erasure worker deletes it.
+  async reactivateUser(user, { actor, reason } = {}) {
+    if (user.isActive || !user.suspension?.suspendedAt) {
+      return { error: { status: 400, message: 'User is not suspended' } };
+    }
+
+    if (await erasureService.findPending(user._id)) {
+      return { error: { status: 409, message: 'Account is scheduled for erasure; it can be reactivated once the erasure is cancelled' } };
+    }
+
+    user.isActive = true;
+    user.suspension = undefined;
+    await user.save();
+
+    const entry = await ModerationLog.create({
+      actorId: actor?._id,
+      action: 'reactivate',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      reason
+    });
+
+    return { entry };
+  }
+
+  // Reactivate the user if their suspension has run out; returns whether it did
+  async liftExpiredSuspension(user) {
+    const expiresAt = user.suspension?.expiresAt;
+
+    if (user.isActive || !user.suspension?.suspendedAt || !expiresAt || expiresAt > new Date()) {
+      return false;
+    }
+
+    const { error } = await this.reactivateUser(user, { reason: 'Suspension expired' });
+    return !error;
+  }
+
+  // Dismiss a report along with the other open reports on the same target
+  async dismissReports(report, { actor, reason }) {
+    if (report.status !== 'open') {
+      return { error: { status: 400, message: 'Report is already resolved' } };
+    }
+
+    const reportIds = await this.resolveReports(report.targetType, report.targetId, actor, 'dismissed');
+
+    const entry = await ModerationLog.create({
+      actorId: actor._id,
+      action: 'dismiss_report',
+      targetType: 'report',
+      targetId: report._id,
+      targetUserId: report.targetUserId,
+      activityId: report.activityId,
+      groupId: report.groupId,
+      postId: report.postId,
+      reason,
+      reportIds
+    });
+
+    return { entry };
+  }
+
+  // Close the open reports on a target; returns their ids
+  async resolveReports(targetType, targetId, actor, status) {
+    const reports = await Report.find({ targetType, targetId, status: 'open' }).select('_id');
+    if (reports.length === 0) return [];
+
+    const reportIds = reports.map(report => report._id);
+    await Report.updateMany(
+      { _id: { $in: reportIds }, status: 'open' },
+      { $set: { status, resolvedBy: actor._id, resolvedAt: new Date() } }
+    );
+
+    return reportIds;
+  }
+}
+
+const contentLabels = {
+  activity: 'shared activity',
+  comment: 'comment',
+  group_post: 'group post',
+  group_comment: 'group comment'
+};
+
+module.exports = new ModerationService();
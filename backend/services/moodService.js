@@ -0,0 +1,251 @@
+const MoodEntry = require('../models/MoodEntry');
+const User = require('../models/User');
+const {
+  resolveTimeZone,
+  toDateKey,
+  addDays,
+  diffDays,
+  weekdayOf,
+  startOfDay
+} = require('../utils/timezone');
+
+const MOODS = MoodEntry.schema.path('mood').enumValues;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+// Check-ins can't be dated ahead of now, allowing for clock drift
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Moods on a 1 (low) to 5 (good) scale, for averages and trends
+const moodScores = {
+  sad: 1,
+  stressed: 2,
+  anxious: 2,
+  neutral: 3,
+  calm: 4,
+  happy: 5,
+  excited: 5,
+  energetic: 5
+};
+
+const periods = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+// Average score change per week under which a trend counts as steady
+const STEADY_THRESHOLD = 0.25;
+
+// Mood check-ins and their analytics. The latest check-in (by when the mood
+// was felt, not when it was entered) is mirrored into User.currentMood.
+class MoodService {
+  get moods() {
+    return MOODS;
+  }
+
+  get periods() {
+    return Object.keys(periods);
+  }
+
+  // Validate check-in fields from a request body. With partial, missing
+  // fields are left out rather than required. Returns { value } or { error }.
+  parseEntry(body = {}, { partial = false } = {}) {
+    const value = {};
+
+    if (body.mood !== undefined || !partial) {
+      if (!MOODS.includes(body.mood)) {
+        return { error: `Mood must be one of: ${MOODS.join(', ')}` };
+      }
+      value.mood = body.mood;
+    }
+
+    if (body.intensity !== undefined) {
+      const intensity = Number(body.intensity);
+      if (!Number.isInteger(intensity) || intensity < 1 || intensity > 5) {
+        return { error: 'Intensity must be a whole number from 1 to 5' };
+      }
+      value.intensity = intensity;
+    }
+
+    if (body.note !== undefined) {
+      if (body.note !== null && typeof body.note !== 'string') {
+        return { error: 'Note must be text' };
+      }
+      value.note = body.note?.trim() || undefined;
+    }
+
+    if (body.tags !== undefined) {
+      const tags = Array.isArray(body.tags) ? body.tags : String(body.tags).split(',');
+      const cleaned = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+      if (cleaned.length > MAX_TAGS) {
+        return { error: `A check-in can have at most ${MAX_TAGS} tags` };
+      }
+      if (cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return { error: `Tags cannot be more than ${MAX_TAG_LENGTH} characters` };
+      }
+      value.tags = cleaned;
+    }
+
+    if (body.loggedAt !== undefined) {
+      const loggedAt = new Date(body.loggedAt);
+      if (isNaN(loggedAt)) {
+        return { error: 'loggedAt must be a valid date' };
+      }
+      if (loggedAt.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+        return { error: 'loggedAt cannot be in the future' };
+      }
+      value.loggedAt = loggedAt;
+    }
+
+    return { value };
+  }
+
+  // Save a check-in from fields parseEntry() accepted, optionally with a
+  // preassigned _id
+  async create(userId, value) {
+    const entry = await MoodEntry.create({ userId, ...value });
+    const currentMood = await this.syncCurrentMood(userId);
+
+    return { entry, currentMood };
+  }
+
+  // Apply fields parseEntry() accepted with { partial: true }
+  async update(entry, value) {
+    Object.assign(entry, value);
+    await entry.save();
+    const currentMood = await this.syncCurrentMood(entry.userId);
+
+    return { entry, currentMood };
+  }
+
+  async remove(entry) {
+    await MoodEntry.deleteOne({ _id: entry._id });
+    const currentMood = await this.syncCurrentMood(entry.userId);
+
+    return { currentMood };
+  }
+
+  // Set User.currentMood from the latest check-in; left as it is when the
+  // user has none. Returns the current mood.
+  async syncCurrentMood(userId) {
+    const latest = await MoodEntry.findOne({ userId })
+      .sort({ loggedAt: -1, createdAt: -1 })
+      .select('mood');
+
+    if (!latest) {
+      const user = await User.findById(userId).select('currentMood');
+      return user?.currentMood;
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { currentMood: latest.mood } });
+    return latest.mood;
+  }
+
+  // Daily and weekly mood distributions with their trend, bucketed by the
+  // user's local calendar days; weeks start on Monday. Only days and weeks
+  // with check-ins are listed.
+  async getAnalytics(user, { period = '30d', now = new Date() } = {}) {
+    if (!periods[period]) {
+      return { error: { status: 400, message: `Period must be one of: ${this.periods.join(', ')}` } };
+    }
+
+    const timeZone = resolveTimeZone(user.profile?.timezone);
+    const todayKey = toDateKey(now, timeZone);
+    const fromKey = addDays(todayKey, -(periods[period] - 1));
+
+    const rows = await MoodEntry.aggregate([
+      {
+        $match: {
+          userId: user._id,
+          loggedAt: { $gte: startOfDay(fromKey, timeZone), $lte: now }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$loggedAt', timezone: timeZone } },
+            mood: '$mood'
+          },
+          count: { $sum: 1 },
+          intensity: { $sum: '$intensity' }
+        }
+      }
+    ]);
+
+    const daily = this.buckets(rows, row => row._id.date)
+      .map(({ key, ...bucket }) => ({ date: key, ...bucket }));
+    const weekly = this.buckets(rows, row => weekStart(row._id.date))
+      .map(({ key, ...bucket }, index, weeks) => ({
+        weekStart: key,
+        ...bucket,
+        change: index > 0 ? round(bucket.averageScore - weeks[index - 1].averageScore) : null
+      }));
+
+    const distribution = Object.fromEntries(MOODS.map(mood => [mood, 0]));
+    rows.forEach(row => { distribution[row._id.mood] += row.count; });
+
+    return {
+      period,
+      timeZone,
+      range: { from: fromKey, to: todayKey },
+      totalEntries: rows.reduce((total, row) => total + row.count, 0),
+      distribution,
+      daily,
+      weekly,
+      trend: trendOf(daily)
+    };
+  }
+
+  // Group aggregated { date, mood } rows into sorted buckets by key
+  buckets(rows, keyOf) {
+    const byKey = new Map();
+
+    for (const row of rows) {
+      const key = keyOf(row);
+      const bucket = byKey.get(key) || { key, count: 0, score: 0, intensity: 0, distribution: {} };
+
+      bucket.count += row.count;
+      bucket.score += moodScores[row._id.mood] * row.count;
+      bucket.intensity += row.intensity;
+      bucket.distribution[row._id.mood] = (bucket.distribution[row._id.mood] || 0) + row.count;
+      byKey.set(key, bucket);
+    }
+
+    return [...byKey.values()]
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(({ key, count, score, intensity, distribution }) => ({
+        key,
+        count,
+        averageScore: round(score / count),
+        averageIntensity: round(intensity / count),
+        dominantMood: MOODS.reduce((best, mood) =>
+          (distribution[mood] || 0) > (distribution[best] || 0) ? mood : best
+        ),
+        distribution
+      }));
+  }
+}
+
+// Monday of the week containing a date key
+const weekStart = (dateKey) => addDays(dateKey, -((weekdayOf(dateKey) + 6) % 7));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Least-squares slope of the daily average score, as change per week
+const trendOf = (daily) => {
+  if (daily.length < 3) {
+    return { direction: 'insufficient_data', changePerWeek: null };
+  }
+
+  const points = daily.map(day => ({ x: diffDays(daily[0].date, day.date), y: day.averageScore }));
+  const meanX = points.reduce((total, point) => total + point.x, 0) / points.length;
+  const meanY = points.reduce((total, point) => total + point.y, 0) / points.length;
+  const variance = points.reduce((total, point) => total + (point.x - meanX) ** 2, 0);
+  const slope = points.reduce((total, point) => total + (point.x - meanX) * (point.y - meanY), 0) / variance;
+  const changePerWeek = round(slope * 7);
+
+  let direction = 'steady';
+  if (changePerWeek >= STEADY_THRESHOLD) direction = 'improving';
+  if (changePerWeek <= -STEADY_THRESHOLD) direction = 'declining';
+
+  return { direction, changePerWeek };
+};
+
+module.exports = new MoodService();
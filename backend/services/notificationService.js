@@ -0,0 +1,139 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const domainEvents = require('./events');
+const { createNotifier } = require('./notifier');
+const { emitToUser, isUserConnected } = require('./realtime');
+
+// Single entry point for telling a user that something happened.
+// Every notification is stored for the notification center (unless the user
+// opted out of in-app notifications), pushed live over Socket.io when the
+// user is connected, and otherwise handed to the out-of-band notifier.
+class NotificationService {
+  constructor() {
+    this.notifier = null;
+  }
+
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  getNotifier() {
+    if (!this.notifier) {
+      this.notifier = createNotifier();
+    }
+    return this.notifier;
+  }
+
+  // Notify on domain events published by other parts of the app
+  register() {
+    domainEvents.subscribe('achievement.unlocked', ({ userId, achievement }) =>
+      this.notify(userId, {
+        type: 'achievement-unlocked',
+        title: `Achievement unlocked: ${achievement.name}`,
+        body: achievement.description,
+        data: {
+          achievementType: achievement.type,
+          tier: achievement.tier,
+          name: achievement.name,
+          description: achievement.description,
+          unlockedAt: achievement.unlockedAt
+        }
+      })
+    );
+
+    domainEvents.subscribe('challenge.completed', async ({ userId, groupId, challengeId }) => {
+      const group = await Group.findById(groupId).select('name challenges');
+      const challenge = group?.challenges.id(challengeId);
+      if (!challenge) return;
+
+      await this.notify(userId, {
+        type: 'challenge-completed',
+        title: 'Challenge complete!',
+        body: `You completed ${challenge.title} in ${group.name}`,
+        data: {
+          groupId,
+          groupName: group.name,
+          challengeId,
+          challengeTitle: challenge.title
+        }
+      });
+    });
+  }
+
+  // Deliver a notification according to the recipient's preferences.
+  // Never throws: a failed notification must not fail the action behind it.
+  async notify(userId, { type, title, body, data = {}, actorId } = {}) {
+    try {
+      const user = await User.findById(userId).select('isActive preferences.notificationSettings');
+      if (!user || !user.isActive) return null;
+
+      const settings = user.preferences?.notificationSettings || {};
+      const channels = settings.channels || {};
+      const category = Notification.socialTypes.includes(type) ? 'social' : 'system';
+
+      if (category === 'social' && settings.socialUpdates === false) return null;
+      if ((settings.mutedTypes || []).includes(type)) return null;
+
+      let notification = null;
+      if (channels.inApp !== false) {
+        notification = await Notification.create({
+          userId,
+          type,
+          category,
+          actorId,
+          title,
+          body,
+          data
+        });
+      }
+
+      const payload = {
+        ...data,
+        notificationId: notification?._id,
+        type,
+        title,
+        body,
+        createdAt: notification?.createdAt || new Date()
+      };
+
+      let deliveredLive = false;
+      if (channels.realtime !== false && await isUserConnected(userId)) {
+        emitToUser(userId, type, payload);
+        if (notification) {
+          emitToUser(userId, 'notification-count', { unreadCount: await this.getUnreadCount(userId) });
+        }
+        deliveredLive = true;
+      }
+
+      if (!deliveredLive && channels.push !== false) {
+        try {
+          await this.getNotifier().send(userId.toString(), { type, title, body, data });
+        } catch (error) {
+          console.error(`Error delivering ${type}:`, error.message);
+        }
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Notification error:', error);
+      return null;
+    }
+  }
+
+  async getUnreadCount(userId) {
+    return Notification.countDocuments({ userId, isRead: false });
+  }
+
+  // Public profile fields used to describe who triggered a notification
+  actorOf(user) {
+    return {
+      _id: user._id,
+      username: user.username,
+      firstName: user.profile?.firstName,
+      avatar: user.profile?.avatar
+    };
+  }
+}
+
+module.exports = new NotificationService();
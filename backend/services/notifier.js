@@ -0,0 +1,75 @@
+// Pluggable out-of-band notification delivery (push, email relay, chat bot...).
+// Real-time delivery over Socket.io happens separately; a notifier covers
+// users who are not connected. Selected with NOTIFIER=console|webhook|none.
+
+class ConsoleNotifier {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(userId, notification) {
+    console.log(`[notify] ${userId} ${notification.type}: ${notification.title} - ${notification.body}`);
+  }
+}
+
+class WebhookNotifier {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('NOTIFIER_WEBHOOK_URL is required for the webhook notifier');
+    }
+
+    this.name = 'webhook';
+    this.url = options.url;
+    this.secret = options.secret;
+  }
+
+  async send(userId, notification) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-Notifier-Secret'] = this.secret;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ userId, ...notification }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Notifier webhook responded with status ${response.status}`);
+    }
+  }
+}
+
+class NullNotifier {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async send() {}
+}
+
+const notifiers = {
+  console: ConsoleNotifier,
+  webhook: WebhookNotifier,
+  none: NullNotifier
+};
+
+const createNotifier = (name = process.env.NOTIFIER || 'console') => {
+  const Notifier = notifiers[name];
+
+  if (!Notifier) {
+    throw new Error(`Unknown notifier "${name}"`);
+  }
+
+  return new Notifier({
+    url: process.env.NOTIFIER_WEBHOOK_URL,
+    secret: process.env.NOTIFIER_WEBHOOK_SECRET
+  });
+};
+
+module.exports = {
+  createNotifier,
+  notifiers
+};
@@ -1,10 +1,43 @@
-const OpenAI = require('openai');
+const { createProvider } = require('./ai');
+const { outputSchemas, describeSchema } = require('./ai/schemas');
+const { parseOutput } = require('./ai/validation');
+const safetyService = require('./safetyService');
 
 class OpenAIService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  constructor(provider) {
+    this.provider = provider || createProvider();
+    this.maxRepairAttempts = parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS) || 2;
+  }
+
+  // Swap the underlying AI provider (e.g. the local provider in tests)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Ask the provider for output and validate it against the task's schema.
+  // Invalid output is sent back with the validation errors for a bounded
+  // number of repair attempts before giving up.
+  async completeWithSchema(request) {
+    const schema = outputSchemas[request.task];
+    let prompt = request.prompt;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+      const raw = await this.provider.complete({ ...request, prompt, attempt });
+      const result = parseOutput(raw, schema);
+
+      if (result.errors.length === 0) {
+        return result.value;
+      }
+
+      errors = result.errors;
+      console.warn(`Invalid ${request.task} output (attempt ${attempt + 1}):`, errors.join('; '));
+      prompt = this.buildRepairPrompt(request.prompt, raw, errors, schema);
+    }
+
+    const error = new Error(`AI output failed validation for ${request.task}`);
+    error.validationErrors = errors;
+    throw error;
   }
 
   // Generate personalized affirmations based on user's mood and goal
@@ -14,30 +47,26 @@ class OpenAIService {
       
       const prompt = this.buildAffirmationPrompt(currentMood, primaryGoal, preferences, profile);
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are a compassionate wellness coach specializing in creating personalized, uplifting affirmations. Your affirmations should be positive, empowering, and tailored to the user's specific needs and goals. Keep them concise (1-3 sentences) and use 'I' statements."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 150,
+      const output = await this.completeWithSchema({
+        task: 'affirmation',
+        system: "You are a compassionate wellness coach specializing in creating personalized, uplifting affirmations. Your affirmations should be positive, empowering, and tailored to the user's specific needs and goals. Keep them concise (1-3 sentences) and use 'I' statements.",
+        prompt,
+        maxTokens: 150,
         temperature: 0.8,
+        context: { mood: currentMood, goal: primaryGoal, firstName: profile?.firstName }
+      });
+      const { content: affirmation, support } = await safetyService.screenAIOutput(output, {
+        userId: userProfile.userId,
+        task: 'affirmation'
       });
-
-      const affirmation = completion.choices[0].message.content.trim();
       
       return {
         content: affirmation,
         category: primaryGoal,
         type: 'affirmation',
         isAIGenerated: true,
-        aiPrompt: prompt
+        aiPrompt: prompt,
+        support
       };
 
     } catch (error) {
@@ -56,47 +85,32 @@ class OpenAIService {
       
       const prompt = this.buildActivityPrompt(currentMood, primaryGoal, activityTypes, difficultyLevel, sessionDuration);
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are a wellness expert who creates personalized self-care activities. Provide practical, actionable activities that can be done at home or anywhere. Include clear step-by-step instructions. Format your response as JSON with 'title', 'description', 'steps' (array), 'duration' (number in minutes), 'difficulty', and 'tags' (array) fields."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 400,
+      const activityData = await this.completeWithSchema({
+        task: 'activity',
+        system: "You are a wellness expert who creates personalized self-care activities. Provide practical, actionable activities that can be done at home or anywhere. Include clear step-by-step instructions. Format your response as JSON with 'title', 'description', 'steps' (array), 'duration' (number in minutes), 'difficulty', and 'tags' (array) fields.",
+        prompt,
+        maxTokens: 400,
         temperature: 0.7,
-      });
-
-      const activityText = completion.choices[0].message.content.trim();
-      
-      // Try to parse as JSON, fallback to text format
-      let activityData;
-      try {
-        activityData = JSON.parse(activityText);
-      } catch (parseError) {
-        // Fallback to text format
-        activityData = {
-          title: "Personalized Self-Care Activity",
-          description: activityText,
-          steps: [activityText],
-          duration: sessionDuration,
+        context: {
+          mood: currentMood,
+          goal: primaryGoal,
+          activityTypes,
           difficulty: difficultyLevel,
-          tags: [primaryGoal, currentMood]
-        };
-      }
+          duration: sessionDuration
+        }
+      });
+      const activityText = [activityData.title, activityData.description, ...activityData.steps].join('\n');
+      const { replaced, support } = await safetyService.screenAIOutput(activityText, {
+        userId: userProfile.userId,
+        task: 'activity'
+      });
       
       return {
-        ...activityData,
-        content: activityData.description || activityText,
+        ...(replaced ? safetyService.getSupportiveActivity() : this.toActivityFields(activityData)),
         category: primaryGoal,
-        type: this.determineActivityType(activityData.title, activityData.description || activityText),
         isAIGenerated: true,
-        aiPrompt: prompt
+        aiPrompt: prompt,
+        support
       };
 
     } catch (error) {
@@ -112,23 +126,18 @@ class OpenAIService {
       
       const prompt = this.buildJournalingPrompt(currentMood, primaryGoal);
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are a therapeutic journaling expert. Create thoughtful, introspective prompts that help users explore their emotions, thoughts, and goals. The prompts should be open-ended and encourage self-reflection."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 200,
+      const output = await this.completeWithSchema({
+        task: 'journaling',
+        system: "You are a therapeutic journaling expert. Create thoughtful, introspective prompts that help users explore their emotions, thoughts, and goals. The prompts should be open-ended and encourage self-reflection.",
+        prompt,
+        maxTokens: 200,
         temperature: 0.8,
+        context: { mood: currentMood, goal: primaryGoal }
+      });
+      const { content: journalingPrompt, support } = await safetyService.screenAIOutput(output, {
+        userId: userProfile.userId,
+        task: 'journaling'
       });
-
-      const journalingPrompt = completion.choices[0].message.content.trim();
       
       return {
         title: "Reflective Journaling",
@@ -138,7 +147,8 @@ class OpenAIService {
         type: 'journaling',
         duration: 10,
         isAIGenerated: true,
-        aiPrompt: prompt
+        aiPrompt: prompt,
+        support
       };
 
     } catch (error) {
@@ -154,23 +164,20 @@ class OpenAIService {
       
       const prompt = this.buildMotivationalPrompt(currentMood, primaryGoal, context);
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are a supportive wellness coach. Create brief, encouraging messages for push notifications. Keep them under 100 characters, positive, and actionable. Use a warm, friendly tone."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 50,
+      const output = await this.completeWithSchema({
+        task: 'motivational',
+        system: "You are a supportive wellness coach. Create brief, encouraging messages for push notifications. Keep them under 100 characters, positive, and actionable. Use a warm, friendly tone.",
+        prompt,
+        maxTokens: 50,
         temperature: 0.9,
+        context: { mood: currentMood, goal: primaryGoal, context }
+      });
+      const { content, support } = await safetyService.screenAIOutput(output, {
+        userId: userProfile.userId,
+        task: 'motivational'
       });
 
-      return completion.choices[0].message.content.trim();
+      return { message: content, support };
 
     } catch (error) {
       console.error('Error generating motivational message:', error);
@@ -185,23 +192,18 @@ class OpenAIService {
       
       const prompt = this.buildWellnessTipPrompt(currentMood, primaryGoal, preferences);
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are a wellness expert providing practical, science-based tips for mental health and self-care. Keep tips concise, actionable, and easy to implement in daily life."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 200,
+      const output = await this.completeWithSchema({
+        task: 'wellness_tip',
+        system: "You are a wellness expert providing practical, science-based tips for mental health and self-care. Keep tips concise, actionable, and easy to implement in daily life.",
+        prompt,
+        maxTokens: 200,
         temperature: 0.7,
+        context: { mood: currentMood, goal: primaryGoal }
+      });
+      const { content: tip, support } = await safetyService.screenAIOutput(output, {
+        userId: userProfile.userId,
+        task: 'wellness_tip'
       });
-
-      const tip = completion.choices[0].message.content.trim();
       
       return {
         title: "Wellness Tip",
@@ -209,7 +211,8 @@ class OpenAIService {
         category: primaryGoal,
         type: 'tip',
         isAIGenerated: true,
-        aiPrompt: prompt
+        aiPrompt: prompt,
+        support
       };
 
     } catch (error) {
@@ -218,7 +221,32 @@ class OpenAIService {
     }
   }
 
+  // Map a validated activity onto the Activity model fields
+  toActivityFields(activityData) {
+    return {
+      title: activityData.title,
+      description: activityData.description,
+      content: activityData.description,
+      // Models often number their steps themselves
+      steps: activityData.steps.map(step => step.replace(/^\s*\d+[.)]\s*/, '')),
+      duration: Math.round(activityData.duration),
+      difficulty: activityData.difficulty,
+      tags: [...new Set(activityData.tags.map(tag => tag.toLowerCase()))],
+      type: this.determineActivityType(activityData.title, activityData.description)
+    };
+  }
+
   // Helper methods for building prompts
+  buildRepairPrompt(originalPrompt, output, errors, schema) {
+    return `${originalPrompt}
+
+    Your previous response was:
+    ${output}
+
+    It was rejected because: ${errors.join('; ')}.
+    Respond again with ${describeSchema(schema)}.`;
+  }
+
   buildAffirmationPrompt(mood, goal, preferences, profile) {
     const firstName = profile?.firstName || 'friend';
     const moodContext = this.getMoodContext(mood);
@@ -0,0 +1,74 @@
+// Holds the Socket.io server so services can push events to users
+// without depending on server.js
+
+let io = null;
+
+const setIo = (server) => {
+  io = server;
+};
+
+const getIo = () => io;
+
+// Emit to a user's private room
+const emitToUser = (userId, event, payload) => {
+  if (io) {
+    io.to(`user-${userId}`).emit(event, payload);
+  }
+};
+
+const emitToUsers = (userIds, event, payload) => {
+  userIds.forEach(userId => emitToUser(userId, event, payload));
+};
+
+// True when the user has at least one connected socket
+const isUserConnected = async (userId) => {
+  if (!io) return false;
+
+  const sockets = await io.in(`user-${userId}`).fetchSockets();
+  return sockets.length > 0;
+};
+
+// Disconnect a user's sockets that were opened with one of the given
+// sessions, e.g. after the session is revoked
+const disconnectSessions = async (userId, sessionIds) => {
+  if (!io) return;
+
+  const ids = sessionIds.map(id => id.toString());
+  const sockets = await io.in(`user-${userId}`).fetchSockets();
+  sockets
+    .filter(socket => ids.includes(socket.data.sessionId))
+    .forEach(socket => socket.disconnect(true));
+};
+
+// Emit to a shared room such as `group-<id>`, optionally leaving out some
+// users' sockets
+const emitToRoom = (room, event, payload, { exceptUserIds = [] } = {}) => {
+  if (io) {
+    io.to(room).except(exceptUserIds.map(userId => `user-${userId}`)).emit(event, payload);
+  }
+};
+
+// Add or remove all of a user's connected sockets to/from a room
+const joinUserToRoom = (userId, room) => {
+  if (io) {
+    io.in(`user-${userId}`).socketsJoin(room);
+  }
+};
+
+const removeUserFromRoom = (userId, room) => {
+  if (io) {
+    io.in(`user-${userId}`).socketsLeave(room);
+  }
+};
+
+module.exports = {
+  setIo,
+  getIo,
+  emitToUser,
+  emitToUsers,
+  isUserConnected,
+  disconnectSessions,
+  emitToRoom,
+  joinUserToRoom,
+  removeUserFromRoom
+};
@@ -0,0 +1,231 @@
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const openaiService = require('./openaiService');
+const notificationService = require('./notificationService');
+const { resolveTimeZone, toDateKey, addDays } = require('../utils/timezone');
+
+const MINUTE = 60 * 1000;
+
+// Background job that materializes upcoming occurrences of recurring
+// activities and delivers activity and daily reminders.
+// Every delivery is claimed with an atomic update before it is sent, so a
+// restart (or a second server) never delivers the same reminder twice.
+class ReminderScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || MINUTE;
+    this.horizonDays = parseInt(process.env.RECURRENCE_HORIZON_DAYS) || 7;
+    this.leadMinutes = parseInt(process.env.REMINDER_LEAD_MINUTES) || 10;
+    this.graceMinutes = parseInt(process.env.REMINDER_GRACE_MINUTES) || 60;
+  }
+
+  start({ notifier } = {}) {
+    if (this.timer) return;
+
+    if (notifier) {
+      notificationService.setNotifier(notifier);
+    }
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+
+    console.log(`Reminder scheduler started (every ${this.intervalMs / 1000}s, notifier: ${notificationService.getNotifier().name})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.materializeRecurrences(now);
+      await this.sendActivityReminders(now);
+      await this.sendDailyReminders(now);
+    } catch (error) {
+      console.error('Reminder scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Create occurrence activities for recurring activities up to the horizon
+  async materializeRecurrences(now) {
+    const horizon = new Date(now.getTime() + this.horizonDays * 24 * 60 * MINUTE);
+
+    const templates = await Activity.find({
+      'recurrence.frequency': { $exists: true },
+      isActive: true,
+      $or: [
+        { 'recurrence.materializedUntil': { $exists: false } },
+        { 'recurrence.materializedUntil': null },
+        { 'recurrence.materializedUntil': { $lt: horizon } }
+      ]
+    });
+
+    for (const template of templates) {
+      const user = await User.findById(template.userId).select('profile.timezone');
+      const timeZone = resolveTimeZone(user?.profile?.timezone);
+
+      // Never backfill occurrences that are already in the past
+      const from = template.recurrence.materializedUntil > now ? template.recurrence.materializedUntil : now;
+      const occurrences = template.getOccurrencesBetween(from, horizon, timeZone);
+
+      // Journaling prompts are private text, so they are sealed like the template
+      const sealed = occurrences.length
+        ? await Activity.sealFields(template.userId, template.type, { content: template.content })
+        : null;
+
+      for (const scheduledFor of occurrences) {
+        await Activity.updateOne(
+          { recurrenceParentId: template._id, scheduledFor },
+          {
+            $setOnInsert: {
+              userId: template.userId,
+              type: template.type,
+              category: template.category,
+              title: template.title,
+              ...(sealed ? { sealed } : { content: template.content }),
+              description: template.description,
+              duration: template.duration,
+              difficulty: template.difficulty,
+              steps: template.steps,
+              tags: template.tags,
+              isAIGenerated: template.isAIGenerated,
+              recurrenceParentId: template._id,
+              scheduledFor,
+              reminderSent: false,
+              isActive: true
+            }
+          },
+          { upsert: true }
+        );
+      }
+
+      template.recurrence.materializedUntil = horizon;
+      await template.save();
+    }
+  }
+
+  // Remind users shortly before a scheduled activity
+  async sendActivityReminders(now) {
+    const due = await Activity.find({
+      scheduledFor: {
+        $gte: new Date(now.getTime() - this.graceMinutes * MINUTE),
+        $lte: new Date(now.getTime() + this.leadMinutes * MINUTE)
+      },
+      reminderSent: false,
+      isActive: true,
+      'completionData.isCompleted': false,
+      'recurrence.frequency': { $exists: false }
+    }).select('userId title type scheduledFor');
+
+    for (const activity of due) {
+      // Claim the reminder first; only the caller that flips the flag delivers
+      const claimed = await Activity.findOneAndUpdate(
+        { _id: activity._id, reminderSent: false },
+        { $set: { reminderSent: true } }
+      );
+
+      if (!claimed) continue;
+
+      const user = await User.findById(activity.userId).select('isActive preferences.notificationSettings');
+      if (!user || !user.isActive || !user.preferences.notificationSettings.activityReminders) continue;
+
+      await notificationService.notify(activity.userId, {
+        type: 'activity-reminder',
+        title: 'Time for some self-care',
+        body: `${activity.title} is coming up`,
+        data: {
+          activityId: activity._id,
+          activityType: activity.type,
+          scheduledFor: activity.scheduledFor
+        }
+      });
+    }
+  }
+
+  // Daily reminder at each user's preferred local time. Each user stores
+  // when the next one is due, so only users who are due are loaded.
+  async sendDailyReminders(now) {
+    await this.scheduleDailyReminders(now);
+
+    const cursor = User.find({
+      isActive: true,
+      'preferences.notificationSettings.dailyReminders': true,
+      'reminderState.nextDailyReminderAt': { $lte: now }
+    })
+    .select('profile.timezone profile.firstName currentMood primaryGoal preferences.notificationSettings reminderState')
+    .cursor();
+
+    for await (const user of cursor) {
+      const timeZone = resolveTimeZone(user.profile?.timezone);
+      const dueAt = user.reminderState.nextDailyReminderAt;
+      const dueOn = toDateKey(dueAt, timeZone);
+
+      // Comparing instants rather than local clock times keeps reminders set
+      // just before midnight working when they go out just after it
+      const onTime = now - dueAt <= this.graceMinutes * MINUTE;
+
+      // Claim the reminder by moving the due time on to the next one
+      const today = toDateKey(now, timeZone);
+      const dueToday = user.dailyReminderOn(today);
+      const next = dueToday && dueToday > now ? dueToday : user.dailyReminderOn(addDays(today, 1));
+
+      const claimed = await User.updateOne(
+        { _id: user._id, 'reminderState.nextDailyReminderAt': dueAt },
+        {
+          $set: {
+            'reminderState.nextDailyReminderAt': next,
+            ...(onTime && { 'reminderState.lastDailyReminderOn': dueOn })
+          }
+        }
+      );
+
+      // Reminders missed by more than the grace period are skipped
+      if (claimed.modifiedCount === 0 || !onTime) continue;
+
+      let body = 'Take a moment for yourself today. Your daily affirmation is waiting.';
+      try {
+        ({ message: body } = await openaiService.generateMotivationalMessage({
+          userId: user._id,
+          currentMood: user.currentMood,
+          primaryGoal: user.primaryGoal,
+          profile: user.profile
+        }, 'daily reminder'));
+      } catch (error) {
+        // Fall back to the default message
+      }
+
+      await notificationService.notify(user._id, {
+        type: 'daily-reminder',
+        title: 'Your daily check-in',
+        body,
+        data: { date: dueOn }
+      });
+    }
+  }
+
+  // Schedule the daily reminder of users saved before reminders were
+  // scheduled; everyone else is scheduled when their profile is saved
+  async scheduleDailyReminders(now) {
+    const cursor = User.find({ 'reminderState.nextDailyReminderAt': { $exists: false } })
+      .select('profile.timezone preferences.notificationSettings reminderState')
+      .cursor();
+
+    for await (const user of cursor) {
+      await User.updateOne(
+        { _id: user._id, 'reminderState.nextDailyReminderAt': { $exists: false } },
+        { $set: { 'reminderState.nextDailyReminderAt': user.nextDailyReminder(now) } }
+      );
+    }
+  }
+}
+
+module.exports = new ReminderScheduler();
@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const RoleChange = require('../models/RoleChange');
+const { PLATFORM_ROLES, GROUP_ROLES } = require('../utils/permissions');
+
+// Changes platform and group roles and records every change in the
+// RoleChange audit trail. Both setters resolve to { change } (null when the
+// role was already set) or { error: { status, message } }.
+class RoleService {
+  async setPlatformRole(user, role, { changedBy, reason, source = 'api' } = {}) {
+    if (!PLATFORM_ROLES.includes(role)) {
+      return { error: { status: 400, message: `Role must be one of: ${PLATFORM_ROLES.join(', ')}` } };
+    }
+
+    const previousRole = user.role || 'user';
+    if (previousRole === role) return { change: null };
+
+    // Keep at least one active admin
+    if (previousRole === 'admin') {
+      const admins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+      if (admins === 0) {
+        return { error: { status: 400, message: 'Cannot remove the last admin' } };
+      }
+    }
+
+    user.role = role;
+    await user.save();
+
+    const change = await RoleChange.create({
+      userId: user._id,
+      scope: 'platform',
+      previousRole,
+      newRole: role,
+      changedBy,
+      source,
+      reason
+    });
+
+    return { change };
+  }
+
+  // Change a group member's role; saves the group and mirrors the role into
+  // the member's socialData.groups entry
+  async setGroupRole(group, userId, role, { changedBy, reason } = {}) {
+    if (!GROUP_ROLES.includes(role)) {
+      return { error: { status: 400, message: `Role must be one of: ${GROUP_ROLES.join(', ')}` } };
+    }
+
+    const member = group.getMember(userId);
+    if (!member) {
+      return { error: { status: 404, message: 'Member not found' } };
+    }
+
+    const previousRole = member.role;
+    if (previousRole === role) return { change: null };
+
+    // Keep at least one group admin
+    if (previousRole === 'admin') {
+      const admins = group.members.filter(m => m.isActive && m.role === 'admin');
+      if (admins.length <= 1) {
+        return { error: { status: 400, message: 'A group needs at least one admin' } };
+      }
+    }
+
+    group.updateMemberRole(userId, role);
+    await group.save();
+
+    await User.updateOne(
+      { _id: userId, 'socialData.groups.groupId': group._id },
+      { $set: { 'socialData.groups.$.role': role } }
+    );
+
+    const change = await RoleChange.create({
+      userId,
+      scope: 'group',
+      groupId: group._id,
+      previousRole,
+      newRole: role,
+      changedBy,
+      reason
+    });
+
+    return { change };
+  }
+}
+
+module.exports = new RoleService();
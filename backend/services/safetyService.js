@@ -0,0 +1,191 @@
+const SafetyEvent = require('../models/SafetyEvent');
+
+// Patterns are matched against lowercased text with normalized apostrophes.
+// "high" matches trigger an intervention; "medium" matches are only logged
+// for review.
+const riskPatterns = [
+  { category: 'suicidal_ideation', level: 'high', pattern: /\bsuicid(e|al)\b/ },
+  { category: 'suicidal_ideation', level: 'high', pattern: /\b(kill|killing|end|ending|take|taking) my (own )?life\b/ },
+  { category: 'suicidal_ideation', level: 'high', pattern: /\bkill(ing)? myself\b/ },
+  { category: 'suicidal_ideation', level: 'high', pattern: /\b(want|wanna|going|plan|planning|ready) to die\b/ },
+  { category: 'suicidal_ideation', level: 'high', pattern: /\bend(ing)? it all\b/ },
+  { category: 'suicidal_ideation', level: 'high', pattern: /\b(don't|do not|dont) want to (live|be alive|be here|wake up)\b/ },
+  { category: 'suicidal_ideation', level: 'high', pattern: /\b(better off|world would be better) (dead|without me)\b/ },
+  { category: 'suicidal_ideation', level: 'high', pattern: /\bno (reason|point) (to|in) (live|living|going on)\b/ },
+  { category: 'self_harm', level: 'high', pattern: /\bself[- ]?harm(ing)?\b/ },
+  { category: 'self_harm', level: 'high', pattern: /\b(cut|cutting|hurt|hurting|harm|harming|burn|burning|starve|starving) myself\b/ },
+  { category: 'self_harm', level: 'high', pattern: /\boverdos(e|ed|ing)\b/ },
+  { category: 'hopelessness', level: 'medium', pattern: /\b(hopeless|worthless)\b/ },
+  { category: 'hopelessness', level: 'medium', pattern: /\b(can't|cannot|cant) go on\b/ },
+  { category: 'hopelessness', level: 'medium', pattern: /\bno way out\b/ },
+  { category: 'hopelessness', level: 'medium', pattern: /\bnobody would (care|notice|miss me)\b/ }
+];
+
+// Extra checks for generated content: the model should never tell someone
+// to give up or that they don't matter, especially when they are struggling
+const aiOutputPatterns = [
+  { category: 'harmful_guidance', level: 'high', pattern: /\b(you should|just) give up\b/ },
+  { category: 'harmful_guidance', level: 'high', pattern: /\byou (are|re) (worthless|a burden|better off dead)\b/ },
+  { category: 'harmful_guidance', level: 'high', pattern: /\bno one (cares|would miss you)\b/ }
+];
+
+const defaultResources = [
+  {
+    name: '988 Suicide & Crisis Lifeline (US)',
+    contact: 'Call or text 988',
+    url: 'https://988lifeline.org'
+  },
+  {
+    name: 'Samaritans (UK & Ireland)',
+    contact: 'Call 116 123',
+    url: 'https://www.samaritans.org'
+  },
+  {
+    name: 'Find a Helpline (international)',
+    contact: 'Search by country',
+    url: 'https://findahelpline.com'
+  }
+];
+
+const defaultSupportMessage = "It sounds like you're going through something really painful right now, and you don't have to face it alone. If you're thinking about harming yourself, please reach out to someone you trust or contact one of the crisis lines below. They're free, confidential and available any time.";
+
+class SafetyService {
+  constructor() {
+    this.enabled = process.env.SAFETY_ENABLED !== 'false';
+    this.supportMessage = process.env.CRISIS_SUPPORT_MESSAGE || defaultSupportMessage;
+    this.resources = this.loadResources();
+  }
+
+  // Crisis resources can be overridden with a JSON array in CRISIS_RESOURCES
+  loadResources() {
+    if (!process.env.CRISIS_RESOURCES) {
+      return defaultResources;
+    }
+
+    try {
+      const resources = JSON.parse(process.env.CRISIS_RESOURCES);
+      if (Array.isArray(resources) && resources.length > 0) {
+        return resources;
+      }
+    } catch (error) {
+      console.error('Invalid CRISIS_RESOURCES configuration, using defaults:', error.message);
+    }
+
+    return defaultResources;
+  }
+
+  // Analyze a piece of text. Returns { flagged, level, categories }
+  analyze(text, { includeAIOutputChecks = false } = {}) {
+    if (!this.enabled || typeof text !== 'string' || text.trim().length === 0) {
+      return { flagged: false, level: null, categories: [] };
+    }
+
+    const normalized = text.toLowerCase().replace(/[‘’`]/g, "'").replace(/\s+/g, ' ');
+    const patterns = includeAIOutputChecks ? [...riskPatterns, ...aiOutputPatterns] : riskPatterns;
+    const matches = patterns.filter(({ pattern }) => pattern.test(normalized));
+
+    if (matches.length === 0) {
+      return { flagged: false, level: null, categories: [] };
+    }
+
+    return {
+      flagged: true,
+      level: matches.some(match => match.level === 'high') ? 'high' : 'medium',
+      categories: [...new Set(matches.map(match => match.category))]
+    };
+  }
+
+  // Supportive payload returned to the client when an intervention is needed
+  getSupportResponse() {
+    return {
+      message: this.supportMessage,
+      resources: this.resources
+    };
+  }
+
+  // Grounding exercise used in place of a generated activity that was flagged
+  getSupportiveActivity() {
+    return {
+      title: 'Grounding Pause',
+      description: 'A gentle 5-4-3-2-1 grounding exercise to help you feel a little steadier.',
+      content: this.supportMessage,
+      steps: [
+        'Name five things you can see around you.',
+        'Name four things you can feel, like your feet on the floor.',
+        'Name three things you can hear.',
+        'Name two things you can smell.',
+        'Name one thing you can taste, then take a slow breath.'
+      ],
+      duration: 5,
+      difficulty: 'beginner',
+      tags: ['grounding', 'support'],
+      type: 'breathing'
+    };
+  }
+
+  // Screen user-written fields (e.g. { notes, feedback }) before they are saved.
+  // Records a safety event and returns the support response when high risk
+  // language is found; returns null otherwise.
+  async screenUserInput(fields, { userId, source, sourceId }) {
+    const results = Object.entries(fields)
+      .map(([field, text]) => ({ field, ...this.analyze(text) }))
+      .filter(result => result.flagged);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    const level = results.some(result => result.level === 'high') ? 'high' : 'medium';
+
+    await this.recordEvent({
+      userId,
+      source,
+      sourceId,
+      fields: results.map(result => result.field),
+      level,
+      categories: [...new Set(results.flatMap(result => result.categories))],
+      action: level === 'high' ? 'resources_shown' : 'logged'
+    });
+
+    return level === 'high' ? this.getSupportResponse() : null;
+  }
+
+  // Screen generated text before it is shown or saved. Returns the text to use:
+  // the original when safe, or the supportive message when it was flagged,
+  // along with the support response to send with it.
+  async screenAIOutput(text, { userId, task }) {
+    const result = this.analyze(text, { includeAIOutputChecks: true });
+
+    if (!result.flagged || result.level !== 'high') {
+      return { content: text, replaced: false, support: null };
+    }
+
+    await this.recordEvent({
+      userId,
+      source: 'ai_output',
+      fields: [task],
+      level: result.level,
+      categories: result.categories,
+      action: 'content_replaced'
+    });
+
+    return { content: this.supportMessage, replaced: true, support: this.getSupportResponse() };
+  }
+
+  async recordEvent(event) {
+    if (!event.userId) {
+      console.warn('Safety event detected without a user:', event.source, event.categories.join(', '));
+      return null;
+    }
+
+    try {
+      return await SafetyEvent.create(event);
+    } catch (error) {
+      // Never block the user's request because logging failed
+      console.error('Error recording safety event:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new SafetyService();
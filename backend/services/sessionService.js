@@ -0,0 +1,175 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { disconnectSessions } = require('./realtime');
+
+const DEFAULT_REFRESH_TTL_DAYS = 30;
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Issues short-lived access tokens bound to a server-side session and
+// rotates the session's refresh token. Revoking a session makes its access
+// tokens fail in the auth middleware immediately and drops its sockets.
+class SessionService {
+  refreshTtlMs() {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || DEFAULT_REFRESH_TTL_DAYS;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  // Start a session for a signed-in user and return its tokens
+  async create(userId, req) {
+    const refreshToken = Session.generateToken();
+    const session = await Session.create({
+      userId,
+      refreshTokenHash: Session.hashToken(refreshToken),
+      ...this.clientInfo(req),
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + this.refreshTtlMs())
+    });
+
+    return { session, ...this.issueTokens(session, refreshToken) };
+  }
+
+  // Exchange a refresh token for a new access/refresh pair. Returns null when
+  // the token is unknown, expired or revoked. Presenting a token that was
+  // already rotated out means it leaked, so the whole session is revoked.
+  async rotate(refreshToken, req) {
+    const hash = Session.hashToken(String(refreshToken));
+    const nextToken = Session.generateToken();
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: Session.hashToken(nextToken),
+          previousTokenHash: hash,
+          ...this.clientInfo(req),
+          lastSeenAt: now,
+          expiresAt: new Date(now.getTime() + this.refreshTtlMs())
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null });
+      if (reused) {
+        await this.revoke(reused.userId, reused._id, 'token_reuse');
+      }
+      return null;
+    }
+
+    return { session, ...this.issueTokens(session, nextToken) };
+  }
+
+  issueTokens(session, refreshToken) {
+    const token = jwt.sign(
+      { userId: session.userId, sessionId: session._id },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+    );
+
+    return {
+      token,
+      refreshToken,
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+      refreshExpiresAt: session.expiresAt
+    };
+  }
+
+  // Load the live session an access token belongs to, or null. Bumps
+  // lastSeenAt at most every few minutes so hot paths don't write per request.
+  async validate(sessionId, userId) {
+    if (!sessionId) return null;
+
+    const session = await Session.findById(sessionId).select('userId lastSeenAt expiresAt revokedAt');
+
+    if (!session || !session.isLive() || session.userId.toString() !== userId.toString()) {
+      return null;
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+        .catch(error => console.error('Session last seen update error:', error));
+    }
+
+    return session;
+  }
+
+  async list(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+  }
+
+  // Revoke one of the user's sessions; returns false if it wasn't live
+  async revoke(userId, sessionId, reason = 'revoked') {
+    const result = await Session.updateOne(
+      { _id: sessionId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.modifiedCount > 0) {
+      await disconnectSessions(userId, [sessionId]);
+    }
+
+    return result.modifiedCount > 0;
+  }
+
+  // Revoke every live session of the user, optionally keeping one
+  async revokeAll(userId, { reason = 'revoked_all', except } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const sessions = await Session.find(filter).select('_id');
+    if (sessions.length === 0) return 0;
+
+    const sessionIds = sessions.map(session => session._id);
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    await disconnectSessions(userId, sessionIds);
+
+    return sessionIds.length;
+  }
+
+  clientInfo(req) {
+    const userAgent = (req?.get?.('User-Agent') || '').slice(0, 500);
+
+    return {
+      userAgent,
+      device: describeDevice(userAgent),
+      ip: req?.ip
+    };
+  }
+}
+
+// Short "Browser on OS" label from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.slice(0, 60);
+};
+
+module.exports = new SessionService();
@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const Group = require('../models/Group');
+const notificationService = require('./notificationService');
+const { joinUserToRoom } = require('./realtime');
+
+// Relationship checks shared by routes and the socket layer
+
+// True when both users have an accepted friendship edge to each other
+const areFriends = async (userId, otherUserId) => {
+  const [forward, backward] = await Promise.all([
+    User.exists({ _id: userId, 'socialData.friends': { $elemMatch: { userId: otherUserId, status: 'accepted' } } }),
+    User.exists({ _id: otherUserId, 'socialData.friends': { $elemMatch: { userId, status: 'accepted' } } })
+  ]);
+
+  return !!(forward && backward);
+};
+
+// Blocks are stored on the blocker as a friends entry with status 'blocked'
+// and apply both ways: neither user sees or can reach the other.
+
+// Ids of the users a user has blocked or been blocked by
+const getBlockedUserIds = async (userId) => {
+  const [user, blockers] = await Promise.all([
+    User.findById(userId).select('socialData.friends'),
+    User.find({ 'socialData.friends': { $elemMatch: { userId, status: 'blocked' } } }).select('_id')
+  ]);
+
+  const blocked = (user?.socialData.friends || [])
+    .filter(friend => friend.status === 'blocked')
+    .map(friend => friend.userId);
+
+  return [...blocked, ...blockers.map(blocker => blocker._id)];
+};
+
+// True when either user has blocked the other
+const isBlocked = async (userId, otherUserId) => {
+  const blocked = await User.exists({
+    $or: [
+      { _id: userId, 'socialData.friends': { $elemMatch: { userId: otherUserId, status: 'blocked' } } },
+      { _id: otherUserId, 'socialData.friends': { $elemMatch: { userId, status: 'blocked' } } }
+    ]
+  });
+
+  return !!blocked;
+};
+
+// Block a user, ending any friendship or pending request between the two.
+// Returns false when the user was already blocked.
+const blockUser = async (user, target) => {
+  const targetId = target._id.toString();
+  const alreadyBlocked = user.socialData.friends.some(friend =>
+    friend.userId.toString() === targetId && friend.status === 'blocked'
+  );
+
+  if (alreadyBlocked) return false;
+
+  user.socialData.friends = user.socialData.friends.filter(friend =>
+    friend.userId.toString() !== targetId
+  );
+  user.socialData.friends.push({ userId: target._id, status: 'blocked', addedAt: new Date() });
+
+  // The target keeps their own block of the user, if any
+  target.socialData.friends = target.socialData.friends.filter(friend =>
+    friend.userId.toString() !== user._id.toString() || friend.status === 'blocked'
+  );
+
+  await user.save();
+  await target.save();
+
+  return true;
+};
+
+// Lift a block. The friendship it ended is not restored.
+// Returns false when the user wasn't blocked.
+const unblockUser = async (user, targetId) => {
+  const result = await User.updateOne(
+    { _id: user._id },
+    { $pull: { 'socialData.friends': { userId: targetId, status: 'blocked' } } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Active membership of a user in an active group, or null
+const getGroupMembership = async (groupId, userId) => {
+  const group = await Group.findOne({ _id: groupId, isActive: true }).select('members');
+  if (!group) return null;
+
+  return group.members.find(member =>
+    member.userId.toString() === userId.toString() && member.isActive
+  ) || null;
+};
+
+// Add a user to a group, record the group on the user and subscribe their
+// connected sockets to the group room
+const addGroupMember = async (group, userId, role = 'member') => {
+  group.addMember(userId, role);
+  await group.save();
+
+  await User.updateOne(
+    { _id: userId, 'socialData.groups.groupId': { $ne: group._id } },
+    { $push: { 'socialData.groups': { groupId: group._id, role, joinedAt: new Date() } } }
+  );
+
+  joinUserToRoom(userId, `group-${group._id}`);
+};
+
+// Notify every active admin and moderator of a group
+const notifyGroupModerators = async (group, notification) => {
+  const moderators = group.members.filter(member =>
+    member.isActive && ['admin', 'moderator'].includes(member.role)
+  );
+
+  for (const moderator of moderators) {
+    await notificationService.notify(moderator.userId, notification);
+  }
+};
+
+// Share an activity with friends. Recipients that aren't accepted friends of
+// the sender are skipped. Notifies each recipient.
+const shareActivityWithFriends = async (activity, sender, recipientIds) => {
+  const shared = [];
+  const rejected = [];
+
+  for (const recipientId of [...new Set(recipientIds.map(id => id.toString()))]) {
+    if (recipientId === sender._id.toString() || !(await areFriends(sender._id, recipientId))) {
+      rejected.push(recipientId);
+      continue;
+    }
+
+    const alreadyShared = activity.socialData.sharedWith.some(share =>
+      share.userId.toString() === recipientId
+    );
+
+    if (!alreadyShared) {
+      activity.socialData.sharedWith.push({
+        userId: recipientId,
+        sharedAt: new Date()
+      });
+    }
+    shared.push(recipientId);
+  }
+
+  await activity.save();
+
+  // Payload is built on the server; nothing from the client is relayed.
+  // Notifications are stored unsealed, so the content stays on the activity
+  // and recipients fetch it from there.
+  const isAffirmation = activity.type === 'affirmation';
+  const data = {
+    activityId: activity._id,
+    activityType: activity.type,
+    activityTitle: activity.title,
+    from: notificationService.actorOf(sender),
+    sharedAt: new Date()
+  };
+
+  for (const recipientId of shared) {
+    await notificationService.notify(recipientId, {
+      type: isAffirmation ? 'new-affirmation' : 'activity-shared',
+      title: isAffirmation ? 'New affirmation shared!' : 'Activity shared with you',
+      body: `${sender.username} shared ${isAffirmation ? 'an affirmation' : activity.title} with you`,
+      actorId: sender._id,
+      data
+    });
+  }
+
+  return { shared, rejected };
+};
+
+module.exports = {
+  areFriends,
+  getBlockedUserIds,
+  isBlocked,
+  blockUser,
+  unblockUser,
+  getGroupMembership,
+  addGroupMember,
+  notifyGroupModerators,
+  shareActivityWithFriends
+};
@@ -0,0 +1,100 @@
+const Activity = require('../models/Activity');
+const Group = require('../models/Group');
+const socketAuth = require('../middleware/socketAuth');
+const { getGroupMembership, shareActivityWithFriends } = require('./socialService');
+
+// Authenticated Socket.io layer. Every socket is verified by socketAuth,
+// joins its own user room and the rooms of its groups automatically, and
+// may only join other rooms it is authorized for. Clients can't relay
+// arbitrary payloads; events are emitted by server-side domain actions.
+const registerSocketHandlers = (io) => {
+  io.use(socketAuth);
+
+  io.on('connection', async (socket) => {
+    const userId = socket.user._id.toString();
+    console.log(`User ${userId} connected:`, socket.id);
+
+    socket.join(`user-${userId}`);
+
+    try {
+      const groups = await Group.find({
+        isActive: true,
+        members: { $elemMatch: { userId: socket.user._id, isActive: true } }
+      }).select('_id');
+
+      groups.forEach(group => socket.join(`group-${group._id}`));
+    } catch (error) {
+      console.error('Error joining group rooms:', error);
+    }
+
+    // Only the user's own room (already joined) and groups they belong to
+    socket.on('join-room', async (roomId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const room = String(roomId);
+
+        if (room === userId || room === `user-${userId}`) {
+          return reply({ ok: true });
+        }
+
+        const groupMatch = /^group-([a-f0-9]{24})$/.exec(room);
+        if (groupMatch && await getGroupMembership(groupMatch[1], socket.user._id)) {
+          socket.join(room);
+          return reply({ ok: true });
+        }
+
+        reply({ ok: false, message: 'Not authorized to join this room' });
+      } catch (error) {
+        console.error('Join room error:', error);
+        reply({ ok: false, message: 'Error joining room' });
+      }
+    });
+
+    socket.on('leave-room', (roomId) => {
+      const room = String(roomId);
+      if (room !== `user-${userId}`) {
+        socket.leave(room);
+      }
+    });
+
+    // Share one of the user's own affirmations with a friend
+    socket.on('share-affirmation', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !socket.user.emailVerified) {
+        return reply({ ok: false, message: 'Please verify your email address to use social features' });
+      }
+
+      try {
+        const activity = await Activity.findOne({
+          _id: data?.activityId,
+          userId: socket.user._id,
+          type: 'affirmation',
+          isActive: true
+        });
+
+        if (!activity) {
+          return reply({ ok: false, message: 'Affirmation not found' });
+        }
+
+        const { shared } = await shareActivityWithFriends(activity, socket.user, [data.recipientId]);
+
+        if (shared.length === 0) {
+          return reply({ ok: false, message: 'You can only share with friends' });
+        }
+
+        reply({ ok: true });
+      } catch (error) {
+        console.error('Share affirmation error:', error);
+        reply({ ok: false, message: 'Error sharing affirmation' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`User ${userId} disconnected:`, socket.id);
+    });
+  });
+};
+
+module.exports = registerSocketHandlers;
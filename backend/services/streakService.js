@@ -0,0 +1,306 @@
+const StreakDay = require('../models/StreakDay');
+const User = require('../models/User');
+const { resolveTimeZone, toDateKey, addDays, diffDays } = require('../utils/timezone');
+
+// Streaks are counted in local calendar days per user, backed by the
+// StreakDay history collection.
+// - A day counts when the user completed at least one activity that day.
+// - Missed days can be bridged by freezes. Freezes are spent automatically
+//   when the user comes back, and the bridged days are stored as 'frozen'.
+//   Frozen days keep a streak alive but don't add to its length.
+// - A freeze is earned every FREEZE_EARN_EVERY streak days (up to
+//   FREEZE_MAX held) and can be bought with points.
+class StreakService {
+  constructor() {
+    this.freezeEarnEvery = parseInt(process.env.STREAK_FREEZE_EARN_EVERY) || 7;
+    this.freezeMax = parseInt(process.env.STREAK_FREEZE_MAX) || 2;
+    this.freezeCost = parseInt(process.env.STREAK_FREEZE_COST) || 100;
+  }
+
+  // Walk a user's history (sorted by date) and compute the running streak
+  // length for every day plus the longest streak
+  computeFromHistory(days) {
+    let run = 0;
+    let longest = 0;
+    let previous = null;
+    const lengths = [];
+
+    for (const day of days) {
+      if (!previous || diffDays(previous.date, day.date) !== 1) {
+        run = 0;
+      }
+      if (day.status === 'active') {
+        run += 1;
+      }
+      longest = Math.max(longest, run);
+      lengths.push(run);
+      previous = day;
+    }
+
+    return { lengths, longest };
+  }
+
+  // Current streak as seen on `today`. A streak stays alive through
+  // yesterday, and through older gaps the user still has freezes for.
+  currentStreakFrom(lastDay, todayKey, freezesAvailable = 0) {
+    if (!lastDay) {
+      return { currentStreak: 0, atRisk: false, freezesNeeded: 0 };
+    }
+
+    const missedDays = diffDays(lastDay.date, todayKey) - 1;
+
+    if (missedDays <= 0) {
+      return { currentStreak: lastDay.streakLength, atRisk: false, freezesNeeded: 0 };
+    }
+
+    if (missedDays <= freezesAvailable) {
+      return { currentStreak: lastDay.streakLength, atRisk: true, freezesNeeded: missedDays };
+    }
+
+    return { currentStreak: 0, atRisk: false, freezesNeeded: 0 };
+  }
+
+  // Record a completed activity and update the user's streak. Counters and
+  // freezes change with conditional updates so concurrent completions for
+  // the same user can't lose or double-spend them.
+  async recordCompletion(userId, { completedAt = new Date(), minutes = 0 } = {}) {
+    const user = await User.findById(userId);
+    const timeZone = resolveTimeZone(user.profile?.timezone);
+    const dateKey = toDateKey(completedAt, timeZone);
+
+    const lastDay = await StreakDay.findOne({ userId, date: { $lt: dateKey } }).sort({ date: -1 });
+    const isNewLatestDay = !user.streakData.lastActiveDay || dateKey > user.streakData.lastActiveDay;
+
+    // Bridge the gap with freezes when coming back after missed days. Moving
+    // lastActiveDay forward in the same update means only one completion
+    // spends freezes on the gap.
+    if (isNewLatestDay && lastDay && lastDay.streakLength > 0) {
+      const missedDays = diffDays(lastDay.date, dateKey) - 1;
+
+      if (missedDays > 0) {
+        const spent = await User.updateOne(
+          {
+            _id: userId,
+            'streakData.freezesAvailable': { $gte: missedDays },
+            'streakData.lastActiveDay': { $not: { $gte: dateKey } }
+          },
+          {
+            $inc: { 'streakData.freezesAvailable': -missedDays, 'streakData.freezesUsed': missedDays },
+            $set: { 'streakData.lastActiveDay': dateKey }
+          }
+        );
+
+        if (spent.modifiedCount > 0) {
+          for (let i = 1; i <= missedDays; i++) {
+            await StreakDay.updateOne(
+              { userId, date: addDays(lastDay.date, i) },
+              { $setOnInsert: { status: 'frozen', timeZone } },
+              { upsert: true }
+            );
+          }
+        }
+      }
+    }
+
+    await StreakDay.updateOne(
+      { userId, date: dateKey },
+      {
+        $set: { status: 'active' },
+        $inc: { activitiesCompleted: 1, minutes },
+        $setOnInsert: { timeZone }
+      },
+      { upsert: true }
+    );
+
+    // Rebuild from the current freezes, which may have just changed
+    const current = await User.findById(userId).select('profile.timezone streakData');
+    const { currentStreak, longestStreak, lastActiveDay } = await this.rebuild(current);
+
+    // Earn a freeze when reaching a new milestone. Raising the stored streak
+    // in the same update keeps a milestone from paying out twice.
+    if (currentStreak > 0 && currentStreak % this.freezeEarnEvery === 0) {
+      await User.updateOne(
+        {
+          _id: userId,
+          'streakData.currentStreak': { $lt: currentStreak },
+          'streakData.freezesAvailable': { $lt: this.freezeMax }
+        },
+        {
+          $inc: { 'streakData.freezesAvailable': 1 },
+          $set: { 'streakData.currentStreak': currentStreak }
+        }
+      );
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: userId },
+      {
+        $set: {
+          'streakData.currentStreak': currentStreak,
+          'streakData.longestStreak': longestStreak,
+          'streakData.lastActiveDay': lastActiveDay
+        },
+        $inc: { 'streakData.totalActivitiesCompleted': 1 },
+        $max: { 'streakData.lastActivityDate': completedAt }
+      },
+      { new: true }
+    ).select('streakData');
+
+    return updated.streakData;
+  }
+
+  // Recompute stored streak lengths and the user's denormalized streak
+  // data from history. Does not save the user document.
+  async rebuild(user) {
+    const timeZone = resolveTimeZone(user.profile?.timezone);
+    const days = await StreakDay.find({ userId: user._id }).sort({ date: 1 });
+    const { lengths, longest } = this.computeFromHistory(days);
+
+    const updates = [];
+    days.forEach((day, index) => {
+      if (day.streakLength !== lengths[index]) {
+        day.streakLength = lengths[index];
+        updates.push({ updateOne: { filter: { _id: day._id }, update: { $set: { streakLength: lengths[index] } } } });
+      }
+    });
+
+    if (updates.length > 0) {
+      await StreakDay.bulkWrite(updates);
+    }
+
+    const activeDays = days.filter(day => day.status === 'active');
+    const { currentStreak } = this.currentStreakFrom(
+      days[days.length - 1],
+      toDateKey(new Date(), timeZone),
+      user.streakData.freezesAvailable
+    );
+
+    user.streakData.currentStreak = currentStreak;
+    user.streakData.longestStreak = longest;
+    user.streakData.lastActiveDay = activeDays.length > 0 ? activeDays[activeDays.length - 1].date : undefined;
+
+    return user.streakData;
+  }
+
+  // Full audit: recompute everything, including totals, from history
+  async recompute(userId) {
+    const user = await User.findById(userId);
+    const totals = await StreakDay.aggregate([
+      { $match: { userId: user._id } },
+      { $group: { _id: null, total: { $sum: '$activitiesCompleted' } } }
+    ]);
+
+    await this.rebuild(user);
+    user.streakData.totalActivitiesCompleted = totals[0]?.total || 0;
+    await user.save();
+
+    return user.streakData;
+  }
+
+  // Streak summary for display, read from history
+  async getSummary(user, now = new Date()) {
+    const timeZone = resolveTimeZone(user.profile?.timezone);
+    const lastDay = await StreakDay.findOne({ userId: user._id }).sort({ date: -1 });
+    const current = this.currentStreakFrom(lastDay, toDateKey(now, timeZone), user.streakData.freezesAvailable);
+    const longest = await StreakDay.findOne({ userId: user._id }).sort({ streakLength: -1 }).select('streakLength');
+
+    return {
+      ...current,
+      longestStreak: longest ? longest.streakLength : 0,
+      lastActiveDay: user.streakData.lastActiveDay || null,
+      totalActivitiesCompleted: user.streakData.totalActivitiesCompleted,
+      freezesAvailable: user.streakData.freezesAvailable,
+      freezesUsed: user.streakData.freezesUsed,
+      timeZone
+    };
+  }
+
+  // Daily history for the last `days` local days, oldest first
+  async getCalendar(user, days = 30, now = new Date()) {
+    const timeZone = resolveTimeZone(user.profile?.timezone);
+    const todayKey = toDateKey(now, timeZone);
+    const startKey = addDays(todayKey, -(days - 1));
+
+    const history = await StreakDay.find({
+      userId: user._id,
+      date: { $gte: startKey, $lte: todayKey }
+    });
+    const byDate = new Map(history.map(day => [day.date, day]));
+
+    const calendar = [];
+    for (let i = 0; i < days; i++) {
+      const date = addDays(startKey, i);
+      const day = byDate.get(date);
+      calendar.push({
+        date,
+        count: day ? day.activitiesCompleted : 0,
+        hasActivity: day ? day.status === 'active' : false,
+        frozen: day ? day.status === 'frozen' : false,
+        streakLength: day ? day.streakLength : 0
+      });
+    }
+
+    return calendar;
+  }
+
+  // Current streak for every user matching `userMatch`, read from the latest
+  // history day of each user. Sorted by current then longest streak.
+  async getStreakStandings(userMatch = {}, now = new Date()) {
+    // Anything older than this can't still be alive, whatever the timezone
+    const cutoff = addDays(toDateKey(now, 'UTC'), -(this.freezeMax + 2));
+
+    const latest = await StreakDay.aggregate([
+      { $match: { date: { $gte: cutoff } } },
+      { $sort: { userId: 1, date: -1 } },
+      {
+        $group: {
+          _id: '$userId',
+          date: { $first: '$date' },
+          streakLength: { $first: '$streakLength' }
+        }
+      },
+      { $match: { streakLength: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      { $match: Object.fromEntries(Object.entries(userMatch).map(([key, value]) => [`user.${key}`, value])) }
+    ]);
+
+    return latest
+      .map(entry => ({
+        user: entry.user,
+        currentStreak: this.currentStreakFrom(
+          entry,
+          toDateKey(now, resolveTimeZone(entry.user.profile?.timezone)),
+          entry.user.streakData?.freezesAvailable
+        ).currentStreak,
+        longestStreak: entry.user.streakData?.longestStreak || 0
+      }))
+      .filter(entry => entry.currentStreak > 0)
+      .sort((a, b) => b.currentStreak - a.currentStreak || b.longestStreak - a.longestStreak);
+  }
+
+  // Buy freezes with points. Returns the updated user or null when the user
+  // can't afford them or would exceed the maximum held.
+  async purchaseFreezes(userId, quantity = 1) {
+    const cost = quantity * this.freezeCost;
+
+    return User.findOneAndUpdate(
+      {
+        _id: userId,
+        points: { $gte: cost },
+        'streakData.freezesAvailable': { $lte: this.freezeMax - quantity }
+      },
+      { $inc: { points: -cost, 'streakData.freezesAvailable': quantity } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new StreakService();
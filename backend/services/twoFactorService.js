@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+
+const ISSUER = 'Self-Care Planner';
+const RECOVERY_CODE_COUNT = 10;
+// Hidden fields needed to check codes
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// TOTP two-factor authentication. Secrets never leave the server after
+// enrollment, each code is accepted once (the last used time step is kept),
+// and recovery codes are stored hashed and burned on use. The clock is
+// injectable so codes can be checked against a fixed time.
+class TwoFactorService {
+  constructor() {
+    this.clock = () => Date.now();
+  }
+
+  setClock(clock) {
+    this.clock = clock || (() => Date.now());
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  loadUser(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  // Generate a pending secret; 2FA stays off until a code confirms it
+  async startEnrollment(user) {
+    const secret = totp.generateSecret();
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: totp.provisioningUri(secret, user.email, process.env.TWO_FACTOR_ISSUER || ISSUER)
+    };
+  }
+
+  // Enable 2FA once the first code from the pending secret checks out.
+  // Returns the plaintext recovery codes, or null for a wrong code.
+  async confirmEnrollment(user, code) {
+    const pendingSecret = user.twoFactor.pendingSecret;
+    if (!pendingSecret) return null;
+
+    const step = totp.verifyCode(pendingSecret, code, this.now());
+    if (step === null) return null;
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabledAt = new Date(this.now());
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: User.hashToken(recoveryCode) }));
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  async disable(user) {
+    user.twoFactor = { enabled: false };
+    await user.save();
+  }
+
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: User.hashToken(recoveryCode) }));
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  // Check a TOTP code or a recovery code for a user with 2FA enabled.
+  // Both are single use; the update is conditional so concurrent requests
+  // can't spend the same code twice.
+  async verify(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+    if (code) {
+      const step = totp.verifyCode(user.twoFactor.secret, code, this.now());
+      if (step === null) return false;
+
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': null }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+      return result.modifiedCount > 0;
+    }
+
+    if (recoveryCode) {
+      const hash = User.hashToken(normalizeRecoveryCode(recoveryCode));
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date(this.now()) } }
+      );
+
+      return result.modifiedCount > 0;
+    }
+
+    return false;
+  }
+
+  getStatus(user) {
+    const recoveryCodes = user.twoFactor?.recoveryCodes || [];
+
+    return {
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesRemaining: recoveryCodes.filter(recoveryCode => !recoveryCode.usedAt).length
+    };
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  // Short-lived token proving the password step of a login passed. It has no
+  // session, so the auth middleware won't accept it as an access token.
+  issueChallenge(user) {
+    const challengeToken = jwt.sign(
+      { userId: user._id, purpose: '2fa', iat: Math.floor(this.now() / 1000) },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+    );
+
+    return {
+      challengeToken,
+      expiresAt: new Date(jwt.decode(challengeToken).exp * 1000)
+    };
+  }
+
+  // Returns the user id from a valid challenge token, or null
+  readChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, {
+        clockTimestamp: Math.floor(this.now() / 1000)
+      });
+
+      return decoded.purpose === '2fa' ? decoded.userId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Accept recovery codes typed in any case, with or without the dash
+const normalizeRecoveryCode = (recoveryCode) => {
+  const clean = String(recoveryCode).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return `${clean.slice(0, 5)}-${clean.slice(5)}`;
+};
+
+module.exports = new TwoFactorService();
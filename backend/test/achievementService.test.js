@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const Group = require('../models/Group');
+const achievementService = require('../services/achievementService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const collections = [User, Activity, Group].map(useMemoryCollection);
+const [users] = collections;
+
+test.after(() => collections.forEach(collection => collection.restore()));
+test.beforeEach(() => collections.forEach(collection => collection.clear()));
+
+const createUser = () => User.create({
+  username: 'ada',
+  email: 'ada@example.com',
+  password: 'correct-horse',
+  primaryGoal: 'mindfulness',
+  profile: { timezone: 'UTC' }
+});
+
+const stored = (user) => users.docs.find(doc => doc._id.equals(user._id));
+
+test('each tier is awarded once', async () => {
+  const user = await createUser();
+
+  assert.ok(await achievementService.award(user._id, 'month_streak', 1));
+  assert.equal(await achievementService.award(user._id, 'month_streak', 1), null);
+  assert.ok(await achievementService.award(user._id, 'month_streak', 2));
+
+  assert.deepEqual(stored(user).achievements.map(({ type, tier }) => [type, tier]), [
+    ['month_streak', 1],
+    ['month_streak', 2]
+  ]);
+});
+
+test('entries stored before tiers existed count as tier 1', async () => {
+  const user = await createUser();
+  stored(user).achievements = [{ type: 'week_streak', name: 'Week Warrior', unlockedAt: new Date() }];
+
+  assert.equal(await achievementService.award(user._id, 'week_streak', 1), null);
+  assert.equal(stored(user).achievements.length, 1);
+});
+
+test('early bird is earned between 4am and 6am', async () => {
+  const user = await createUser();
+  const completeAt = (time) => achievementService.evaluate('activity.completed', {
+    userId: user._id,
+    activity: { completionData: { completedAt: new Date(`2026-01-05T${time}:00Z`) } }
+  });
+  const types = (unlocked) => unlocked.map(achievement => achievement.type);
+
+  assert.ok(!types(await completeAt('06:30')).includes('early_bird'));
+  assert.ok(types(await completeAt('05:30')).includes('early_bird'));
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const DataKey = require('../models/DataKey');
+const ErasureRequest = require('../models/ErasureRequest');
+const ExportJob = require('../models/ExportJob');
+const Group = require('../models/Group');
+const GroupInvitation = require('../models/GroupInvitation');
+const MoodEntry = require('../models/MoodEntry');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const RoleChange = require('../models/RoleChange');
+const SafetyEvent = require('../models/SafetyEvent');
+const Session = require('../models/Session');
+const StreakDay = require('../models/StreakDay');
+const erasureService = require('../services/erasureService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const collections = [
+  User, Activity, DataKey, ErasureRequest, ExportJob, Group, GroupInvitation,
+  MoodEntry, Notification, Report, RoleChange, SafetyEvent, Session, StreakDay
+].map(useMemoryCollection);
+const [users, activities, , , , groups, , moodEntries, notifications, , roleChanges] = collections;
+
+test.after(() => collections.forEach(collection => collection.restore()));
+test.beforeEach(() => collections.forEach(collection => collection.clear()));
+
+const STEP_NAMES = [
+  'sessions', 'exports', 'data_keys', 'activities', 'activity_interactions', 'group_ownership',
+  'group_content', 'group_memberships', 'group_invitations', 'friends', 'notifications',
+  'mood_entries', 'streak_days', 'safety_events', 'reports', 'account'
+];
+
+const createUser = (username) => User.create({
+  username,
+  email: `${username}@example.com`,
+  password: 'correct-horse',
+  primaryGoal: 'mindfulness'
+});
+
+// An account with some history, scheduled for erasure
+const scheduledAccount = async () => {
+  const user = await createUser('ada');
+  const friend = await createUser('grace');
+
+  await Activity.create([
+    { userId: user._id, type: 'meditation', category: 'mindfulness', title: 'Body scan', content: 'Body scan' },
+    { userId: user._id, type: 'reading', category: 'relaxation', title: 'A chapter', content: 'A chapter' }
+  ]);
+  await MoodEntry.create({ userId: user._id, mood: 'calm' });
+  await StreakDay.create({ userId: user._id, date: '2026-01-05', status: 'active', timeZone: 'UTC' });
+  await Notification.create([
+    { userId: user._id, type: 'daily-reminder', category: 'system', title: 'Your daily check-in' },
+    { userId: friend._id, actorId: user._id, type: 'friend-request', category: 'social', title: 'New friend request' }
+  ]);
+
+  const { request } = await erasureService.schedule(user);
+  return { user, friend, request };
+};
+
+const counts = (request) => Object.fromEntries(
+  erasureService.receipt(request).erased.map(({ records, count }) => [records, count])
+);
+
+test('an interrupted erasure resumes after the last finished step', async (t) => {
+  const { user, request } = await scheduledAccount();
+
+  const failure = t.mock.method(MoodEntry, 'deleteMany', async () => {
+    throw new Error('connection lost');
+  });
+  await assert.rejects(erasureService.erase(request), /connection lost/);
+  failure.mock.restore();
+
+  const interrupted = await ErasureRequest.findById(request._id);
+  assert.deepEqual(interrupted.steps.map(step => step.name), STEP_NAMES.slice(0, STEP_NAMES.indexOf('mood_entries')));
+  assert.equal(activities.docs.length, 0);
+  assert.equal(moodEntries.docs.length, 1);
+  assert.ok(users.docs.some(doc => doc._id.equals(user._id)));
+
+  // Finished steps aren't run again
+  const activityDeletes = t.mock.method(Activity, 'deleteMany');
+  const completed = await erasureService.erase(interrupted);
+  assert.equal(activityDeletes.mock.callCount(), 0);
+
+  assert.equal(completed.status, 'completed');
+  assert.deepEqual(completed.steps.map(step => step.name), STEP_NAMES);
+  assert.equal(moodEntries.docs.length, 0);
+  assert.equal(notifications.docs.length, 0);
+  assert.ok(!users.docs.some(doc => doc._id.equals(user._id)));
+
+  const stored = await ErasureRequest.findById(request._id);
+  assert.equal(stored.status, 'completed');
+  assert.deepEqual(stored.steps.map(step => step.name), STEP_NAMES);
+
+  // Counts from both runs end up on the receipt
+  const receipt = counts(stored);
+  assert.equal(receipt.activities, 2);
+  assert.equal(receipt.notifications, 2);
+  assert.equal(receipt.mood_entries, 1);
+  assert.equal(receipt.streak_days, 1);
+  assert.equal(receipt.account, 1);
+});
+
+test('groups pass to the next member in line, or go when nobody is left', async () => {
+  const { user, request } = await scheduledAccount();
+  const member = await createUser('hedy');
+  const moderator = await createUser('katherine');
+
+  const shared = await Group.create({
+    name: 'Morning walkers',
+    createdBy: user._id,
+    members: [
+      { userId: user._id, role: 'admin', joinedAt: new Date('2026-01-01') },
+      { userId: member._id, role: 'member', joinedAt: new Date('2026-01-02') },
+      { userId: moderator._id, role: 'moderator', joinedAt: new Date('2026-01-03') }
+    ]
+  });
+  await User.updateOne(
+    { _id: moderator._id },
+    { $push: { 'socialData.groups': { groupId: shared._id, role: 'moderator' } } }
+  );
+  await Group.create({
+    name: 'Just me',
+    createdBy: user._id,
+    members: [{ userId: user._id, role: 'admin' }]
+  });
+
+  const completed = await erasureService.erase(request);
+
+  // A moderator outranks a member who joined earlier
+  assert.deepEqual(groups.docs.map(group => group.name), ['Morning walkers']);
+  const [group] = groups.docs;
+  assert.ok(group.createdBy.equals(moderator._id));
+  assert.deepEqual(group.members.map(({ userId, role }) => [userId.toString(), role]), [
+    [member._id.toString(), 'member'],
+    [moderator._id.toString(), 'admin']
+  ]);
+
+  const storedModerator = users.docs.find(doc => doc._id.equals(moderator._id));
+  assert.equal(storedModerator.socialData.groups[0].role, 'admin');
+
+  assert.equal(roleChanges.docs.length, 1);
+  assert.equal(roleChanges.docs[0].newRole, 'admin');
+  assert.equal(counts(completed).group_ownership, 2);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { Types } = require('mongoose');
+const Activity = require('../models/Activity');
+const StreakDay = require('../models/StreakDay');
+const exportService = require('../services/exportService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const collections = [Activity, StreakDay].map(useMemoryCollection);
+
+test.after(() => collections.forEach(collection => collection.restore()));
+test.beforeEach(() => collections.forEach(collection => collection.clear()));
+
+// Run an export into a PassThrough and collect what was written
+const exportAs = async (userId, options) => {
+  const { value, error } = exportService.parseOptions(options);
+  assert.equal(error, undefined);
+
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const result = await exportService.write(userId, value, output);
+  return { ...result, body: Buffer.concat(chunks) };
+};
+
+// Entries of a zip file by name, read through its central directory
+const unzip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const entries = {};
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+const seed = async () => {
+  const userId = new Types.ObjectId();
+
+  await Activity.create({
+    userId,
+    type: 'exercise',
+    category: 'stress_relief',
+    title: 'Walk, then "stretch"',
+    content: 'First loop\r\nSecond loop',
+    tags: ['outside', 'morning'],
+    createdAt: new Date('2026-01-05T08:00:00Z')
+  });
+  await StreakDay.create({ userId, date: '2026-01-05', status: 'active', activitiesCompleted: 1, minutes: 20, streakLength: 1, timeZone: 'UTC' });
+
+  return userId;
+};
+
+test('CSV fields are quoted and escaped as RFC 4180 says', async () => {
+  const userId = await seed();
+  const { body, counts } = await exportAs(userId, { format: 'csv', collections: 'activities' });
+  const text = body.toString('utf8');
+
+  assert.deepEqual(counts, { activities: 1 });
+  assert.ok(text.startsWith('id,created_at,type,category,title,content,'));
+  assert.ok(text.includes(',2026-01-05T08:00:00.000Z,exercise,stress_relief,"Walk, then ""stretch""","First loop\r\nSecond loop",'));
+  assert.ok(text.includes(',outside; morning,'));
+
+  // Every record ends with CRLF; the one inside the quoted field doesn't end one
+  assert.ok(text.endsWith('\r\n'));
+  assert.equal(text.split('\r\n').length - 1, 3);
+});
+
+test('JSON is one document with a manifest, each collection and counts', async () => {
+  const userId = await seed();
+  const { body, total } = await exportAs(userId, { format: 'json', collections: 'activities,streak_days' });
+  const document = JSON.parse(body.toString('utf8'));
+
+  assert.equal(total, 2);
+  assert.deepEqual(Object.keys(document), ['exportedAt', 'filters', 'activities', 'streak_days', 'counts']);
+  assert.equal(document.activities[0].title, 'Walk, then "stretch"');
+  assert.equal(document.activities[0].content, 'First loop\r\nSecond loop');
+  assert.equal(document.streak_days[0].date, '2026-01-05');
+  assert.deepEqual(document.counts, { activities: 1, streak_days: 1 });
+});
+
+test('empty collections still make valid JSON', async () => {
+  const { body } = await exportAs(new Types.ObjectId(), { format: 'json', collections: 'activities' });
+
+  assert.deepEqual(JSON.parse(body.toString('utf8')).activities, []);
+});
+
+test('NDJSON has a manifest line and one line per record', async () => {
+  const userId = await seed();
+  const { body } = await exportAs(userId, { format: 'ndjson', collections: 'activities,streak_days' });
+  const lines = body.toString('utf8').split('\n');
+
+  assert.equal(lines.pop(), '');
+  const entries = lines.map(line => JSON.parse(line));
+  assert.deepEqual(entries.map(entry => entry.collection), ['manifest', 'activities', 'streak_days']);
+  assert.deepEqual(entries[0].record.collections, ['activities', 'streak_days']);
+  assert.equal(entries[1].record.content, 'First loop\r\nSecond loop');
+});
+
+test('a zip holds one CSV per collection and a manifest with counts', async () => {
+  const userId = await seed();
+  const { body, counts } = await exportAs(userId, { format: 'zip', collections: 'activities,streak_days' });
+  const entries = unzip(body);
+
+  assert.deepEqual(Object.keys(entries).sort(), ['activities.csv', 'manifest.json', 'streak_days.csv']);
+  assert.ok(entries['activities.csv'].includes('"Walk, then ""stretch"""'));
+  assert.equal(entries['streak_days.csv'], 'date,time_zone,status,activities_completed,minutes,streak_length\r\n2026-01-05,UTC,active,1,20,1\r\n');
+  assert.deepEqual(JSON.parse(entries['manifest.json']).counts, counts);
+  assert.deepEqual(counts, { activities: 1, streak_days: 1 });
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Types } = require('mongoose');
+
+// Encryption is configured from the environment when the service loads
+process.env.FIELD_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+process.env.FIELD_ENCRYPTION_KEY_ID = 'test';
+
+const Activity = require('../models/Activity');
+const DataKey = require('../models/DataKey');
+const MoodEntry = require('../models/MoodEntry');
+const encryptionService = require('../services/encryptionService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const activities = useMemoryCollection(Activity);
+const dataKeys = useMemoryCollection(DataKey);
+const moodEntries = useMemoryCollection(MoodEntry);
+
+test.after(() => [activities, dataKeys, moodEntries].forEach(collection => collection.restore()));
+test.beforeEach(() => {
+  [activities, dataKeys, moodEntries].forEach(collection => collection.clear());
+  encryptionService.cache.clear();
+});
+
+const journalEntry = (userId, overrides = {}) => ({
+  userId,
+  type: 'journaling',
+  category: 'mindfulness',
+  title: 'Evening pages',
+  content: 'Today I felt overwhelmed at work',
+  completionData: { isCompleted: true, notes: 'Wrote for ten minutes', feedback: 'Helped a lot' },
+  ...overrides
+});
+
+const stored = (doc) => activities.docs.find(item => item._id.equals(doc._id));
+
+test('saving seals private text and reading opens it again', async () => {
+  const userId = new Types.ObjectId();
+  const activity = await Activity.create(journalEntry(userId));
+
+  // Plaintext stays on the document in memory
+  assert.equal(activity.content, 'Today I felt overwhelmed at work');
+  assert.equal(activity.isModified('content'), false);
+
+  const raw = stored(activity);
+  assert.equal(raw.content, undefined);
+  assert.equal(raw.completionData.notes, undefined);
+  assert.equal(raw.completionData.feedback, undefined);
+  assert.equal(raw.sealed.keyVersion, 1);
+  assert.ok(!JSON.stringify(raw).includes('overwhelmed'));
+
+  const loaded = await Activity.findById(activity._id);
+  assert.equal(loaded.content, 'Today I felt overwhelmed at work');
+  assert.equal(loaded.completionData.notes, 'Wrote for ten minutes');
+  assert.equal(loaded.completionData.feedback, 'Helped a lot');
+  assert.equal(loaded.toJSON().sealed, undefined);
+
+  const [lean] = await Activity.find({ userId }).lean();
+  assert.equal(lean.content, 'Today I felt overwhelmed at work');
+  assert.equal(lean.sealed, undefined);
+});
+
+test('only journaling content is private', async () => {
+  const activity = await Activity.create(journalEntry(new Types.ObjectId(), {
+    type: 'meditation',
+    content: 'Box breathing, four counts each'
+  }));
+
+  const raw = stored(activity);
+  assert.equal(raw.content, 'Box breathing, four counts each');
+  assert.equal(raw.sealed.content, undefined);
+  assert.equal(raw.completionData.notes, undefined);
+  assert.ok(raw.sealed.notes);
+});
+
+test('editing a loaded activity reseals it', async () => {
+  const activity = await Activity.create(journalEntry(new Types.ObjectId()));
+
+  const loaded = await Activity.findById(activity._id);
+  loaded.completionData.notes = 'Edited later';
+  await loaded.save();
+
+  assert.equal(stored(activity).completionData.notes, undefined);
+  assert.equal((await Activity.findById(activity._id)).completionData.notes, 'Edited later');
+});
+
+test('insertMany seals each document', async () => {
+  const userId = new Types.ObjectId();
+  await Activity.insertMany([journalEntry(userId), journalEntry(userId, { content: 'Second entry' })]);
+
+  assert.ok(activities.docs.every(doc => doc.content === undefined && doc.sealed.content));
+
+  const contents = (await Activity.find({ userId })).map(activity => activity.content).sort();
+  assert.deepEqual(contents, ['Second entry', 'Today I felt overwhelmed at work']);
+});
+
+test('aggregations never see the sealed copy', async () => {
+  const userId = new Types.ObjectId();
+  await Activity.create(journalEntry(userId));
+
+  const pipeline = [{ $match: { userId } }, { $project: { title: 1, sealed: 1, content: 1 } }];
+  const aggregate = Activity.aggregate(pipeline);
+  const results = await aggregate;
+
+  assert.deepEqual(aggregate.pipeline()[1], { $unset: 'sealed' });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].title, 'Evening pages');
+  assert.equal(results[0].sealed, undefined);
+  assert.equal(results[0].content, undefined);
+
+  // A pipeline of only $match stages is stripped at the end
+  const [matched] = await Activity.aggregate([{ $match: { userId } }]);
+  assert.equal(matched.sealed, undefined);
+});
+
+test('updates cannot write private text around the hooks', async () => {
+  const activity = await Activity.create(journalEntry(new Types.ObjectId()));
+
+  await assert.rejects(
+    Activity.updateOne({ _id: activity._id }, { $set: { 'completionData.notes': 'plaintext' } }),
+    /must be changed with save\(\)/
+  );
+  await assert.rejects(
+    Activity.updateOne({ _id: activity._id }, { $set: { completionData: { notes: 'plaintext' } } }),
+    /must be changed with save\(\)/
+  );
+
+  // Other fields still update normally
+  await Activity.updateOne({ _id: activity._id }, { $set: { title: 'Renamed' } });
+  assert.equal(stored(activity).title, 'Renamed');
+});
+
+test('ciphertext is bound to its owner and field', async () => {
+  const userId = new Types.ObjectId();
+  const sealed = await encryptionService.seal(userId, { note: 'Private' });
+
+  assert.deepEqual(await encryptionService.open(userId, sealed), { note: 'Private' });
+
+  // Copying the key version over to another user doesn't make it readable
+  const otherUser = new Types.ObjectId();
+  await encryptionService.activeDataKey(otherUser);
+  await assert.rejects(encryptionService.open(otherUser, sealed));
+
+  // Nor does moving it to another field
+  await assert.rejects(encryptionService.open(userId, { keyVersion: sealed.keyVersion, content: sealed.note }));
+});
+
+test('data keys are stored wrapped and new versions take over', async () => {
+  const userId = new Types.ObjectId();
+  const before = await encryptionService.seal(userId, { note: 'Sealed with version 1' });
+
+  const [dataKey] = dataKeys.docs;
+  assert.equal(dataKey.masterKeyId, 'test');
+  assert.equal(Buffer.from(dataKey.wrappedKey, 'base64').length, 12 + 16 + 32);
+
+  await encryptionService.createDataKey(userId, 2);
+  const after = await encryptionService.seal(userId, { note: 'Sealed with version 2' });
+
+  assert.equal(before.keyVersion, 1);
+  assert.equal(after.keyVersion, 2);
+  assert.deepEqual(await encryptionService.open(userId, before), { note: 'Sealed with version 1' });
+
+  assert.equal(await encryptionService.deleteDataKeysBefore(userId, 2), 1);
+  await assert.rejects(encryptionService.open(userId, before), /not found/);
+  assert.deepEqual(await encryptionService.open(userId, after), { note: 'Sealed with version 2' });
+});
+
+test('mood entry notes are sealed the same way', async () => {
+  const userId = new Types.ObjectId();
+  const entry = await MoodEntry.create({ userId, mood: 'anxious', note: 'Big presentation tomorrow' });
+
+  assert.equal(entry.note, 'Big presentation tomorrow');
+
+  const [raw] = moodEntries.docs;
+  assert.equal(raw.note, undefined);
+  assert.ok(raw.sealed.note);
+
+  assert.equal((await MoodEntry.findById(entry._id)).note, 'Big presentation tomorrow');
+
+  const [aggregated] = await MoodEntry.aggregate([{ $match: { userId } }]);
+  assert.equal(aggregated.sealed, undefined);
+  assert.equal(aggregated.mood, 'anxious');
+});
@@ -0,0 +1,190 @@
+// Backs a model's collection with an in-memory array so services can be
+// tested without a MongoDB server. Queries, updates and aggregations are
+// evaluated by mingo; Mongoose casting, validation and middleware still run
+// as usual because only the driver-level collection methods are replaced.
+const { Types } = require('mongoose');
+const { Aggregator, Query, update } = require('mingo');
+
+// Copy a stored document so callers can't change it in place. ObjectIds and
+// buffers are immutable enough to share; subdocuments are serialized the
+// way the driver would.
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value.toBSON === 'function') return copy(value.toBSON());
+  if (value instanceof Date) return new Date(value);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+};
+
+const cursorOf = (docs) => {
+  let index = 0;
+
+  return {
+    next: async () => (index < docs.length ? docs[index++] : null),
+    toArray: async () => docs.slice(index),
+    close: async () => {},
+    rewind: () => { index = 0; },
+    addCursorFlag: () => {},
+    [Symbol.asyncIterator]: async function* () {
+      while (index < docs.length) yield docs[index++];
+    }
+  };
+};
+
+// Fields an upsert takes from its filter: plain equality conditions
+const equalityFields = (filter) => Object.fromEntries(
+  Object.entries(filter).filter(([key, value]) =>
+    !key.startsWith('$') &&
+    !(value && Object.getPrototypeOf(value) === Object.prototype && Object.keys(value).some(k => k.startsWith('$')))
+  )
+);
+
+// Index of the first element of an array that the filter's conditions on
+// that array match
+const matchedIndex = (doc, arrayPath, filter) => {
+  const array = arrayPath.split('.').reduce((value, key) => value?.[key], doc) || [];
+  const conditions = Object.entries(filter)
+    .filter(([key]) => key === arrayPath || key.startsWith(`${arrayPath}.`));
+
+  return array.findIndex(element => conditions.every(([key, condition]) => {
+    if (key !== arrayPath) {
+      return new Query({ [key.slice(arrayPath.length + 1)]: condition }).test(element);
+    }
+    return condition?.$elemMatch
+      ? new Query(condition.$elemMatch).test(element)
+      : new Query({ value: condition }).test({ value: element });
+  }));
+};
+
+// mingo only resolves the positional `$` operator on top-level arrays, so
+// replace it with the matched index before handing the update over
+const resolvePositional = (doc, changes, filter) => Object.fromEntries(
+  Object.entries(changes).map(([operator, fields]) => [
+    operator,
+    Object.fromEntries(Object.entries(fields).map(([path, value]) => {
+      const match = path.match(/^(.*?)\.\$(?=\.|$)/);
+      return match
+        ? [path.replace(/\.\$(?=\.|$)/, `.${matchedIndex(doc, match[1], filter)}`), value]
+        : [path, value];
+    }))
+  ])
+);
+
+const useMemoryCollection = (Model) => {
+  const docs = [];
+  const collection = Model.collection;
+  const replaced = {};
+
+  const matching = (filter = {}, options = {}) => {
+    let cursor = new Query(filter).find(docs, options.projection);
+    if (options.sort) cursor = cursor.sort(options.sort);
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(options.limit);
+    return cursor.all();
+  };
+
+  // The stored documents themselves, for updates
+  const stored = (filter = {}) => docs.filter(doc => new Query(filter).test(doc));
+
+  const applyUpdate = (doc, { $setOnInsert, ...changes }, filter) => {
+    if (Object.keys(changes).length > 0) update(doc, resolvePositional(doc, copy(changes), filter));
+  };
+
+  const updateDocs = (filter, changes, options = {}, { multi }) => {
+    const targets = stored(filter);
+    const selected = multi ? targets : targets.slice(0, 1);
+
+    if (selected.length === 0 && options.upsert) {
+      const doc = { _id: new Types.ObjectId(), ...copy(equalityFields(filter)) };
+      applyUpdate(doc, changes, {});
+      if (changes.$setOnInsert) update(doc, { $set: copy(changes.$setOnInsert) });
+      docs.push(doc);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    let modifiedCount = 0;
+    for (const doc of selected) {
+      const before = JSON.stringify(doc);
+      applyUpdate(doc, changes, filter);
+      if (JSON.stringify(doc) !== before) modifiedCount++;
+    }
+
+    return { acknowledged: true, matchedCount: selected.length, modifiedCount, upsertedCount: 0 };
+  };
+
+  const methods = {
+    insertOne: async (doc) => {
+      docs.push(copy(doc));
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    insertMany: async (newDocs) => {
+      docs.push(...newDocs.map(copy));
+      return { acknowledged: true, insertedCount: newDocs.length };
+    },
+    find: (filter, options) => cursorOf(matching(filter, options).map(copy)),
+    findOne: async (filter, options) => copy(matching(filter, { ...options, limit: 1 })[0] ?? null),
+    findOneAndUpdate: async (filter, changes, options = {}) => {
+      const [doc] = options.sort ? matching(filter, { sort: options.sort, limit: 1 }) : stored(filter);
+      const before = doc ? copy(doc) : null;
+
+      if (!doc && !options.upsert) return null;
+      updateDocs(doc && options.sort ? { _id: doc._id } : filter, changes, options, { multi: false });
+
+      const after = doc || docs[docs.length - 1];
+      const result = options.returnDocument === 'after' ? after : before;
+      return result && copy(options.projection ? new Query({ _id: result._id }).find([result], options.projection).all()[0] : result);
+    },
+    updateOne: async (filter, changes, options) => updateDocs(filter, changes, options, { multi: false }),
+    updateMany: async (filter, changes, options) => updateDocs(filter, changes, options, { multi: true }),
+    deleteOne: async (filter) => {
+      const [doc] = stored(filter);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      const targets = stored(filter);
+      targets.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+      return { acknowledged: true, deletedCount: targets.length };
+    },
+    countDocuments: async (filter) => stored(filter).length,
+    distinct: async (field, filter) => {
+      const values = stored(filter).map(doc => doc[field]);
+      return values.filter((value, index) => values.findIndex(other => String(other) === String(value)) === index);
+    },
+    aggregate: (pipeline) => cursorOf(new Aggregator(pipeline).run(docs.map(copy))),
+    bulkWrite: async (ops) => {
+      let modifiedCount = 0;
+      for (const op of ops) {
+        const [type, { filter, update: changes, upsert }] = Object.entries(op)[0];
+        const result = updateDocs(filter, changes, { upsert }, { multi: type === 'updateMany' });
+        modifiedCount += result.modifiedCount;
+      }
+      return { acknowledged: true, modifiedCount };
+    }
+  };
+
+  for (const [name, method] of Object.entries(methods)) {
+    replaced[name] = Object.prototype.hasOwnProperty.call(collection, name) ? collection[name] : undefined;
+    collection[name] = method;
+  }
+
+  // Query cursors queue up until the connection opens unless buffering is off
+  const buffer = collection.buffer;
+  collection.buffer = false;
+
+  return {
+    docs,
+    clear: () => { docs.length = 0; },
+    restore: () => {
+      for (const [name, original] of Object.entries(replaced)) {
+        if (original === undefined) delete collection[name];
+        else collection[name] = original;
+      }
+      collection.buffer = buffer;
+    }
+  };
+};
+
+module.exports = { useMemoryCollection };
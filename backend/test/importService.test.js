@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const StreakDay = require('../models/StreakDay');
+const importService = require('../services/importService');
+const { parseCsv } = require('../services/importers/csvImporter');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const collections = [User, Activity, StreakDay].map(useMemoryCollection);
+const [users, activities, streakDays] = collections;
+
+test.after(() => collections.forEach(collection => collection.restore()));
+test.beforeEach(() => collections.forEach(collection => collection.clear()));
+
+const createUser = () => User.create({
+  username: 'ada',
+  email: 'ada@example.com',
+  password: 'correct-horse',
+  primaryGoal: 'mindfulness',
+  profile: { timezone: 'UTC' }
+});
+
+const csv = (...lines) => lines.join('\r\n');
+
+test('parseCsv follows RFC 4180 and keeps source line numbers', () => {
+  const rows = parseCsv('﻿date,title,notes\r\n' +
+    '2026-01-05,"Walk, then stretch","Felt ""great""\r\nafterwards"\r\n' +
+    '\r\n' +
+    '2026-01-06,Run,\n');
+
+  assert.deepEqual(rows, [
+    { cells: ['date', 'title', 'notes'], line: 1 },
+    { cells: ['2026-01-05', 'Walk, then stretch', 'Felt "great"\r\nafterwards'], line: 2 },
+    { cells: ['2026-01-06', 'Run', ''], line: 5 }
+  ]);
+});
+
+test('rows are reported by the line they start on', async () => {
+  const user = await createUser();
+  const { summary } = await importService.preview(user, {
+    format: 'csv',
+    content: csv('date,title,notes', '2026-01-05,Evening walk,"two\nlines"', 'not a date,Run,')
+  });
+
+  assert.deepEqual(summary.issues.map(({ line, kind }) => ({ line, kind })), [{ line: 4, kind: 'invalid' }]);
+});
+
+test('headers, types, categories and moods are matched through aliases', async () => {
+  const user = await createUser();
+  const { summary } = await importService.preview(user, {
+    format: 'csv',
+    content: csv(
+      'Created At,Activity,Focus,Mood,Minutes',
+      '2026-01-05,workout,stress,meh,30',
+      '2026-01-06,juggling,,,'
+    )
+  });
+
+  assert.equal(summary.mapping.date, 'Created At');
+  assert.equal(summary.mapping.moodBefore, 'Mood');
+
+  const [workout, juggling] = summary.sample;
+  assert.equal(workout.type, 'exercise');
+  assert.equal(workout.category, 'stress_relief');
+  assert.equal(workout.completionData.mood.before, 'neutral');
+  assert.equal(workout.duration, 30);
+
+  assert.equal(juggling.type, 'custom');
+  assert.equal(juggling.category, 'mindfulness');
+  assert.deepEqual(summary.issues, [{ line: 3, kind: 'warning', message: 'Unknown type "juggling" imported as custom' }]);
+});
+
+test('duplicates of the account and of the file are skipped', async () => {
+  const user = await createUser();
+  await Activity.create([
+    {
+      userId: user._id,
+      type: 'exercise',
+      category: 'stress_relief',
+      title: 'Morning run',
+      content: 'Morning run',
+      importSource: { format: 'csv', externalId: 'a1' },
+      createdAt: new Date('2026-01-01T07:00:00Z')
+    },
+    {
+      userId: user._id,
+      type: 'reading',
+      category: 'relaxation',
+      title: 'Read a chapter',
+      content: 'Read a chapter',
+      createdAt: new Date('2026-01-02T21:00:00Z')
+    }
+  ]);
+
+  const { summary } = await importService.preview(user, {
+    format: 'csv',
+    content: csv(
+      'id,date,type,title',
+      'a1,2026-01-09T07:00:00Z,exercise,Renamed run',
+      'b2,2026-01-02T21:00:30Z,reading,Read a chapter',
+      'c3,2026-01-03T08:00:00Z,meditation,Body scan',
+      'c3,2026-01-04T08:00:00Z,meditation,Body scan again',
+      ',2026-01-05T08:00:00Z,breathing,Box breathing',
+      ',2026-01-05T08:00:00Z,breathing,Box breathing'
+    )
+  });
+
+  assert.equal(summary.toImport, 2);
+  assert.deepEqual(summary.issues.map(({ line, message }) => [line, message]), [
+    [2, 'Already imported'],
+    [3, 'Matches an existing activity'],
+    [5, 'Repeats an earlier entry in this file'],
+    [7, 'Repeats an earlier entry in this file']
+  ]);
+});
+
+test('a dry run writes nothing', async () => {
+  const user = await createUser();
+  const before = JSON.stringify(users.docs);
+
+  const { summary } = await importService.preview(user, {
+    format: 'csv',
+    content: csv('date,type', '2026-01-05,meditation', '2026-01-06,meditation')
+  });
+
+  assert.equal(summary.toImport, 2);
+  assert.equal(activities.docs.length, 0);
+  assert.equal(streakDays.docs.length, 0);
+  assert.equal(JSON.stringify(users.docs), before);
+});
+
+test('an import adds its completions to the streak history', async () => {
+  const user = await createUser();
+  await StreakDay.create({ userId: user._id, date: '2026-01-06', status: 'active', activitiesCompleted: 1, minutes: 10, timeZone: 'UTC' });
+
+  const result = await importService.run(user, {
+    format: 'csv',
+    content: csv(
+      'date,type,duration,completed',
+      '2026-01-05T08:00:00Z,meditation,10,yes',
+      '2026-01-06T08:00:00Z,meditation,15,yes',
+      '2026-01-07T08:00:00Z,meditation,20,yes',
+      '2026-01-07T20:00:00Z,reading,5,no'
+    )
+  });
+
+  assert.equal(result.imported, 4);
+  assert.equal(activities.docs.length, 4);
+
+  const days = (await StreakDay.find({ userId: user._id }).sort({ date: 1 }))
+    .map(({ date, activitiesCompleted, minutes, streakLength }) => ({ date, activitiesCompleted, minutes, streakLength }));
+  assert.deepEqual(days, [
+    { date: '2026-01-05', activitiesCompleted: 1, minutes: 10, streakLength: 1 },
+    { date: '2026-01-06', activitiesCompleted: 2, minutes: 25, streakLength: 2 },
+    { date: '2026-01-07', activitiesCompleted: 1, minutes: 20, streakLength: 3 }
+  ]);
+
+  assert.equal(result.streakData.longestStreak, 3);
+  assert.equal(result.streakData.totalActivitiesCompleted, 4);
+  assert.equal((await User.findById(user._id)).streakData.longestStreak, 3);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const ErasureRequest = require('../models/ErasureRequest');
+const ModerationLog = require('../models/ModerationLog');
+const Report = require('../models/Report');
+const Session = require('../models/Session');
+const moderationService = require('../services/moderationService');
+const erasureService = require('../services/erasureService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const collections = [User, ErasureRequest, ModerationLog, Report, Session].map(useMemoryCollection);
+const [users, , moderationLogs] = collections;
+
+test.after(() => collections.forEach(collection => collection.restore()));
+test.beforeEach(() => collections.forEach(collection => collection.clear()));
+
+const createUser = (username) => User.create({
+  username,
+  email: `${username}@example.com`,
+  password: 'correct-horse',
+  primaryGoal: 'mindfulness'
+});
+
+// A user suspended until `expiresAt`
+const suspendedUser = async (expiresAt) => {
+  const moderator = await createUser('moderator');
+  const user = await createUser('ada');
+  await moderationService.suspendUser(user, { actor: moderator, reason: 'Spam', expiresAt });
+  return { user, moderator };
+};
+
+const storedUser = (user) => users.docs.find(doc => doc._id.equals(user._id));
+const reactivations = () => moderationLogs.docs.filter(entry => entry.action === 'reactivate');
+
+test('an expired suspension is lifted', async () => {
+  const { user } = await suspendedUser(new Date(Date.now() - 1000));
+
+  assert.equal(await moderationService.liftExpiredSuspension(user), true);
+  assert.equal(storedUser(user).isActive, true);
+  assert.equal(storedUser(user).suspension, undefined);
+  assert.equal(reactivations().length, 1);
+});
+
+test('a suspension still running is not lifted', async () => {
+  const { user } = await suspendedUser(new Date(Date.now() + 60 * 60 * 1000));
+
+  assert.equal(await moderationService.liftExpiredSuspension(user), false);
+  assert.equal(storedUser(user).isActive, false);
+});
+
+test('an account scheduled for erasure is not reactivated', async () => {
+  const user = await createUser('ada');
+  const moderator = await createUser('moderator');
+
+  // Suspended during the grace period; the suspension runs out before the erasure
+  await erasureService.schedule(user);
+  await moderationService.suspendUser(user, { actor: moderator, reason: 'Spam', expiresAt: new Date(Date.now() - 1000) });
+
+  assert.equal(await moderationService.liftExpiredSuspension(user), false);
+
+  const { error } = await moderationService.reactivateUser(user, { actor: moderator });
+  assert.equal(error.status, 409);
+
+  assert.equal(storedUser(user).isActive, false);
+  assert.equal(reactivations().length, 0);
+
+  // Cancelling the erasure leaves the suspension to the moderators...
+  const request = await erasureService.findPending(user._id);
+  await erasureService.cancel(request);
+  assert.equal(storedUser(user).isActive, false);
+
+  // ...after which it can be lifted again
+  assert.equal(await moderationService.liftExpiredSuspension(user), true);
+  assert.equal(storedUser(user).isActive, true);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const reminderScheduler = require('../services/reminderScheduler');
+const notificationService = require('../services/notificationService');
+const openaiService = require('../services/openaiService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const users = useMemoryCollection(User);
+
+test.after(() => users.restore());
+test.beforeEach((t) => {
+  users.clear();
+  t.mock.method(openaiService, 'generateMotivationalMessage', async () => ({ message: 'You got this', support: null }));
+});
+
+const stored = (user) => users.docs.find(doc => doc._id.equals(user._id));
+
+// A user whose reminder was scheduled at `now`
+const createUser = async (affirmationTime, timezone = 'UTC', now = new Date()) => {
+  const user = await User.create({
+    username: 'ada',
+    email: 'ada@example.com',
+    password: 'correct-horse',
+    primaryGoal: 'mindfulness',
+    profile: { timezone },
+    preferences: { notificationSettings: { affirmationTime } }
+  });
+  stored(user).reminderState.nextDailyReminderAt = user.nextDailyReminder(now);
+  return user;
+};
+
+// Collect the daily reminders sent in one pass
+const sendAt = async (t, iso) => {
+  const notify = t.mock.method(notificationService, 'notify', async () => null);
+  await reminderScheduler.sendDailyReminders(new Date(iso));
+  return notify.mock.calls.map(call => ({ userId: call.arguments[0], ...call.arguments[1] }));
+};
+
+test('the daily reminder goes out once at the local reminder time', async (t) => {
+  const user = await createUser('08:00', 'America/New_York', new Date('2026-03-02T12:00:00Z'));
+
+  assert.deepEqual(stored(user).reminderState.nextDailyReminderAt, new Date('2026-03-02T13:00:00Z'));
+  assert.equal((await sendAt(t, '2026-03-02T12:59:00Z')).length, 0);
+
+  const [reminder] = await sendAt(t, '2026-03-02T13:01:00Z');
+  assert.equal(reminder.type, 'daily-reminder');
+  assert.deepEqual(reminder.data, { date: '2026-03-02' });
+  assert.equal(stored(user).reminderState.lastDailyReminderOn, '2026-03-02');
+  assert.deepEqual(stored(user).reminderState.nextDailyReminderAt, new Date('2026-03-03T13:00:00Z'));
+
+  assert.equal((await sendAt(t, '2026-03-02T13:02:00Z')).length, 0);
+});
+
+test('a reminder just before midnight still goes out just after it', async (t) => {
+  const user = await createUser('23:50', 'UTC', new Date('2026-03-02T12:00:00Z'));
+
+  const [reminder] = await sendAt(t, '2026-03-03T00:20:00Z');
+
+  assert.deepEqual(reminder.data, { date: '2026-03-02' });
+  assert.deepEqual(stored(user).reminderState.nextDailyReminderAt, new Date('2026-03-03T23:50:00Z'));
+});
+
+test('a reminder missed by more than the grace period is skipped', async (t) => {
+  const user = await createUser('08:00', 'UTC', new Date('2026-03-02T06:00:00Z'));
+
+  assert.equal((await sendAt(t, '2026-03-02T20:00:00Z')).length, 0);
+  assert.equal(stored(user).reminderState.lastDailyReminderOn, undefined);
+  assert.deepEqual(stored(user).reminderState.nextDailyReminderAt, new Date('2026-03-03T08:00:00Z'));
+});
+
+test('changing the reminder time reschedules it', async () => {
+  const user = await createUser('08:00', 'UTC');
+
+  user.preferences.notificationSettings.affirmationTime = '21:00';
+  await user.save();
+
+  const dueAt = stored(user).reminderState.nextDailyReminderAt;
+  assert.equal(dueAt.getUTCHours(), 21);
+  assert.equal(dueAt.getUTCMinutes(), 0);
+});
+
+test('users saved before reminders were scheduled are picked up', async (t) => {
+  const user = await createUser('08:00', 'UTC');
+  delete stored(user).reminderState.nextDailyReminderAt;
+
+  const [reminder] = await sendAt(t, '2026-03-02T08:05:00Z');
+
+  assert.equal(reminder.userId.toString(), user._id.toString());
+  assert.deepEqual(stored(user).reminderState.nextDailyReminderAt, new Date('2026-03-03T08:00:00Z'));
+});
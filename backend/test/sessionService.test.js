@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { Types } = require('mongoose');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const sessions = useMemoryCollection(Session);
+
+test.after(() => sessions.restore());
+test.beforeEach(() => sessions.clear());
+
+const request = { get: () => 'Mozilla/5.0 (X11; Linux x86_64) Chrome/120.0', ip: '127.0.0.1' };
+const stored = (session) => sessions.docs.find(doc => doc._id.equals(session._id));
+
+test('sessions store only a hash of the refresh token', async () => {
+  const userId = new Types.ObjectId();
+  const { session, token, refreshToken } = await sessionService.create(userId, request);
+
+  assert.equal(stored(session).refreshTokenHash, Session.hashToken(refreshToken));
+  assert.ok(!JSON.stringify(sessions.docs).includes(refreshToken));
+  assert.equal(stored(session).device, 'Chrome on Linux');
+
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  assert.equal(payload.sessionId, session._id.toString());
+  assert.equal(payload.userId, userId.toString());
+});
+
+test('refreshing rotates the refresh token', async () => {
+  const { session, refreshToken } = await sessionService.create(new Types.ObjectId(), request);
+
+  const rotated = await sessionService.rotate(refreshToken, request);
+
+  assert.ok(rotated);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal(rotated.session._id.toString(), session._id.toString());
+  assert.equal(stored(session).refreshTokenHash, Session.hashToken(rotated.refreshToken));
+  assert.equal(stored(session).previousTokenHash, Session.hashToken(refreshToken));
+
+  // The new token keeps working
+  const next = await sessionService.rotate(rotated.refreshToken, request);
+  assert.ok(next);
+  assert.equal(stored(session).revokedAt, undefined);
+});
+
+test('reusing a rotated-out refresh token revokes the session', async () => {
+  const userId = new Types.ObjectId();
+  const { session, refreshToken } = await sessionService.create(userId, request);
+  const rotated = await sessionService.rotate(refreshToken, request);
+
+  assert.equal(await sessionService.rotate(refreshToken, request), null);
+
+  assert.ok(stored(session).revokedAt instanceof Date);
+  assert.equal(stored(session).revokedReason, 'token_reuse');
+
+  // Whoever holds the current token is signed out as well
+  assert.equal(await sessionService.rotate(rotated.refreshToken, request), null);
+  assert.equal(await sessionService.validate(session._id, userId), null);
+});
+
+test('unknown, expired and revoked tokens are refused without side effects', async () => {
+  const userId = new Types.ObjectId();
+  const other = await sessionService.create(userId, request);
+
+  assert.equal(await sessionService.rotate('not-a-token', request), null);
+  assert.equal(stored(other.session).revokedAt, undefined);
+
+  const expired = await sessionService.create(userId, request);
+  stored(expired.session).expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await sessionService.rotate(expired.refreshToken, request), null);
+
+  const revoked = await sessionService.create(userId, request);
+  assert.equal(await sessionService.revoke(userId, revoked.session._id, 'logout'), true);
+  assert.equal(await sessionService.revoke(userId, revoked.session._id, 'logout'), false);
+  assert.equal(await sessionService.rotate(revoked.refreshToken, request), null);
+});
+
+test('revoking all sessions can keep the current one', async () => {
+  const userId = new Types.ObjectId();
+  const current = await sessionService.create(userId, request);
+  await sessionService.create(userId, request);
+  await sessionService.create(userId, request);
+  const someoneElse = await sessionService.create(new Types.ObjectId(), request);
+
+  assert.equal(await sessionService.revokeAll(userId, { except: current.session._id }), 2);
+
+  assert.deepEqual((await sessionService.list(userId)).map(session => session._id.toString()), [current.session._id.toString()]);
+  assert.ok(await sessionService.validate(someoneElse.session._id, someoneElse.session.userId));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const { shareActivityWithFriends } = require('../services/socialService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const collections = [User, Activity, Notification].map(useMemoryCollection);
+const [, , notifications] = collections;
+
+test.after(() => collections.forEach(collection => collection.restore()));
+test.beforeEach(() => collections.forEach(collection => collection.clear()));
+
+const createUser = (username) => User.create({
+  username,
+  email: `${username}@example.com`,
+  password: 'correct-horse',
+  primaryGoal: 'mindfulness'
+});
+
+const befriend = async (user, other) => {
+  await User.updateOne({ _id: user._id }, { $push: { 'socialData.friends': { userId: other._id, status: 'accepted' } } });
+  await User.updateOne({ _id: other._id }, { $push: { 'socialData.friends': { userId: user._id, status: 'accepted' } } });
+};
+
+test('share notifications point at the activity without copying its content', async () => {
+  const sender = await createUser('ada');
+  const friend = await createUser('grace');
+  const stranger = await createUser('hedy');
+  await befriend(sender, friend);
+
+  const activity = await Activity.create({
+    userId: sender._id,
+    type: 'journaling',
+    category: 'mindfulness',
+    title: 'Evening pages',
+    content: 'Today I felt overwhelmed at work'
+  });
+
+  const { shared, rejected } = await shareActivityWithFriends(activity, sender, [friend._id, stranger._id]);
+
+  assert.deepEqual(shared, [friend._id.toString()]);
+  assert.deepEqual(rejected, [stranger._id.toString()]);
+
+  const [notification] = notifications.docs;
+  assert.equal(notifications.docs.length, 1);
+  assert.ok(notification.userId.equals(friend._id));
+  assert.ok(notification.data.activityId.equals(activity._id));
+  assert.equal(notification.data.activityTitle, 'Evening pages');
+  assert.ok(!JSON.stringify(notification).includes('overwhelmed'));
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const StreakDay = require('../models/StreakDay');
+const streakService = require('../services/streakService');
+const { toDateKey } = require('../utils/timezone');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const users = useMemoryCollection(User);
+const streakDays = useMemoryCollection(StreakDay);
+
+test.after(() => [users, streakDays].forEach(collection => collection.restore()));
+test.beforeEach(() => [users, streakDays].forEach(collection => collection.clear()));
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+const dateKey = (days) => toDateKey(daysAgo(days), 'UTC');
+
+const createUser = (streakData = {}) => User.create({
+  username: 'ada',
+  email: 'ada@example.com',
+  password: 'correct-horse',
+  primaryGoal: 'mindfulness',
+  profile: { timezone: 'UTC' },
+  streakData
+});
+
+// Complete one activity on each of the given days, oldest first
+const completeOn = async (user, ...days) => {
+  let streakData;
+  for (const day of days) {
+    streakData = await streakService.recordCompletion(user._id, { completedAt: daysAgo(day), minutes: 10 });
+  }
+  return streakData;
+};
+
+const history = async (user) => (await StreakDay.find({ userId: user._id }).sort({ date: 1 }))
+  .map(({ date, status, streakLength }) => ({ date, status, streakLength }));
+
+test('frozen days bridge a streak without adding to it', () => {
+  const { lengths, longest } = streakService.computeFromHistory([
+    { date: '2026-01-01', status: 'active' },
+    { date: '2026-01-02', status: 'active' },
+    { date: '2026-01-03', status: 'frozen' },
+    { date: '2026-01-04', status: 'active' },
+    { date: '2026-01-06', status: 'active' }
+  ]);
+
+  assert.deepEqual(lengths, [1, 2, 2, 3, 1]);
+  assert.equal(longest, 3);
+});
+
+test('a streak survives missed days only while freezes cover them', () => {
+  const lastDay = { date: '2026-01-10', streakLength: 5 };
+
+  assert.deepEqual(streakService.currentStreakFrom(lastDay, '2026-01-11', 0), { currentStreak: 5, atRisk: false, freezesNeeded: 0 });
+  assert.deepEqual(streakService.currentStreakFrom(lastDay, '2026-01-13', 2), { currentStreak: 5, atRisk: true, freezesNeeded: 2 });
+  assert.deepEqual(streakService.currentStreakFrom(lastDay, '2026-01-14', 2), { currentStreak: 0, atRisk: false, freezesNeeded: 0 });
+  assert.deepEqual(streakService.currentStreakFrom(null, '2026-01-14', 2), { currentStreak: 0, atRisk: false, freezesNeeded: 0 });
+});
+
+test('consecutive days build a streak and earn a freeze every seven days', async () => {
+  const user = await createUser();
+  const streakData = await completeOn(user, 6, 5, 4, 3, 2, 1, 0);
+
+  assert.equal(streakData.currentStreak, 7);
+  assert.equal(streakData.longestStreak, 7);
+  assert.equal(streakData.freezesAvailable, 1);
+  assert.equal(streakData.totalActivitiesCompleted, 7);
+  assert.equal(streakData.lastActiveDay, dateKey(0));
+});
+
+test('coming back after a missed day spends a freeze', async () => {
+  const user = await createUser({ freezesAvailable: 1 });
+  const streakData = await completeOn(user, 4, 3, 1);
+
+  assert.equal(streakData.freezesAvailable, 0);
+  assert.equal(streakData.freezesUsed, 1);
+  assert.equal(streakData.currentStreak, 3);
+  assert.deepEqual(await history(user), [
+    { date: dateKey(4), status: 'active', streakLength: 1 },
+    { date: dateKey(3), status: 'active', streakLength: 2 },
+    { date: dateKey(2), status: 'frozen', streakLength: 2 },
+    { date: dateKey(1), status: 'active', streakLength: 3 }
+  ]);
+});
+
+test('missing more days than the freezes held starts over', async () => {
+  const user = await createUser({ freezesAvailable: 1 });
+  const streakData = await completeOn(user, 5, 4, 1);
+
+  assert.equal(streakData.freezesAvailable, 1);
+  assert.equal(streakData.freezesUsed, 0);
+  assert.equal(streakData.currentStreak, 1);
+  assert.equal(streakData.longestStreak, 2);
+  assert.ok((await history(user)).every(day => day.status === 'active'));
+});
+
+test('an activity logged for an earlier day recomputes the days after it', async () => {
+  const user = await createUser();
+  await completeOn(user, 3, 1, 0);
+
+  const streakData = await completeOn(user, 2);
+
+  assert.equal(streakData.currentStreak, 4);
+  assert.deepEqual((await history(user)).map(day => day.streakLength), [1, 2, 3, 4]);
+});
+
+test('recompute restores streak data from the history', async () => {
+  const user = await createUser();
+  await completeOn(user, 2, 1, 1, 0);
+
+  // Drift in the denormalized copies
+  streakDays.docs.forEach(day => { day.streakLength = 0; });
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'streakData.currentStreak': 42, 'streakData.longestStreak': 42, 'streakData.totalActivitiesCompleted': 1 }
+  });
+
+  const streakData = await streakService.recompute(user._id);
+
+  assert.equal(streakData.currentStreak, 3);
+  assert.equal(streakData.longestStreak, 3);
+  assert.equal(streakData.totalActivitiesCompleted, 4);
+  assert.deepEqual((await history(user)).map(day => day.streakLength), [1, 2, 3]);
+
+  const saved = await User.findById(user._id);
+  assert.equal(saved.streakData.currentStreak, 3);
+});
+
+test('concurrent completions neither lose counts nor double-spend freezes', async () => {
+  const user = await createUser({ freezesAvailable: 2 });
+  await completeOn(user, 3, 2);
+
+  // Two activities finished at the same time after a missed day
+  await Promise.all([completeOn(user, 0), completeOn(user, 0)]);
+
+  const { streakData } = await User.findById(user._id);
+  assert.equal(streakData.totalActivitiesCompleted, 4);
+  assert.equal(streakData.freezesAvailable, 1);
+  assert.equal(streakData.freezesUsed, 1);
+  assert.equal(streakData.currentStreak, 3);
+  assert.deepEqual((await history(user)).map(day => day.status), ['active', 'active', 'frozen', 'active']);
+});
+
+test('a milestone earns one freeze however many completions reach it', async () => {
+  const user = await createUser();
+  await completeOn(user, 6, 5, 4, 3, 2, 1);
+
+  await Promise.all([completeOn(user, 0), completeOn(user, 0), completeOn(user, 0)]);
+
+  const { streakData } = await User.findById(user._id);
+  assert.equal(streakData.currentStreak, 7);
+  assert.equal(streakData.freezesAvailable, 1);
+  assert.equal(streakData.totalActivitiesCompleted, 9);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 secret "12345678901234567890". The RFC lists
+// 8-digit codes; ours are their last 6 digits.
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('generates the RFC 6238 test vectors', () => {
+  for (const [seconds, expected] of RFC_VECTORS) {
+    assert.equal(totp.generateCode(RFC_SECRET, totp.timeStep(seconds * 1000)), expected, `at T=${seconds}`);
+  }
+});
+
+test('verifies the RFC 6238 test vectors at their own time', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(totp.verifyCode(RFC_SECRET, code, seconds * 1000), totp.timeStep(seconds * 1000));
+  }
+});
+
+test('accepts one step of clock drift either way and no more', () => {
+  const time = 1111111111 * 1000;
+  const step = totp.timeStep(time);
+
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), time), step - 1);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), time), step + 1);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), time), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), time), null);
+});
+
+test('ignores spaces and rejects malformed codes', () => {
+  assert.equal(totp.verifyCode(RFC_SECRET, '050 471', 1111111111 * 1000), totp.timeStep(1111111111 * 1000));
+  assert.equal(totp.verifyCode(RFC_SECRET, '05047', 1111111111 * 1000), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', 1111111111 * 1000), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, undefined, 1111111111 * 1000), null);
+});
+
+test('base32 round-trips secrets', () => {
+  const secret = totp.generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+  assert.throws(() => totp.base32Decode('not base32!'), /Invalid base32 secret/);
+});
+
+test('builds an otpauth URI for authenticator apps', () => {
+  const uri = new URL(totp.provisioningUri(RFC_SECRET, 'ada@example.com', 'Self-Care Planner'));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Self-Care Planner:ada@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('period'), '30');
+  assert.equal(uri.searchParams.get('digits'), '6');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const twoFactorService = require('../services/twoFactorService');
+const { useMemoryCollection } = require('./helpers/memoryCollection');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const users = useMemoryCollection(User);
+const START = Date.UTC(2026, 0, 1, 12, 0, 0);
+let now = START;
+
+twoFactorService.setClock(() => now);
+
+test.after(() => {
+  twoFactorService.setClock();
+  users.restore();
+});
+
+test.beforeEach(() => {
+  users.clear();
+  now = START;
+});
+
+// A user with 2FA enabled through the real enrollment flow
+const enrolledUser = async () => {
+  const user = await User.create({ username: 'ada', email: 'ada@example.com', password: 'correct-horse', primaryGoal: 'mindfulness' });
+
+  const { secret } = await twoFactorService.startEnrollment(user);
+  const recoveryCodes = await twoFactorService.confirmEnrollment(user, totp.generateCode(secret, totp.timeStep(now)));
+
+  return { user: await twoFactorService.loadUser(user._id), secret, recoveryCodes };
+};
+
+const codeAt = (secret, time) => totp.generateCode(secret, totp.timeStep(time));
+
+test('enrollment needs a valid code from the pending secret', async () => {
+  const user = await User.create({ username: 'ada', email: 'ada@example.com', password: 'correct-horse', primaryGoal: 'mindfulness' });
+  const { secret, otpauthUrl } = await twoFactorService.startEnrollment(user);
+
+  assert.match(otpauthUrl, /^otpauth:\/\/totp\//);
+  assert.equal(await twoFactorService.confirmEnrollment(user, codeAt(secret, now + 5 * 60 * 1000)), null);
+  assert.equal(user.twoFactor.enabled, false);
+
+  const recoveryCodes = await twoFactorService.confirmEnrollment(user, codeAt(secret, now));
+
+  assert.equal(recoveryCodes.length, 10);
+  assert.equal(user.twoFactor.enabled, true);
+  assert.equal(user.twoFactor.pendingSecret, undefined);
+  assert.equal(twoFactorService.getStatus(user).recoveryCodesRemaining, 10);
+});
+
+test('each time step is accepted once', async () => {
+  const { user, secret } = await enrolledUser();
+
+  // The enrollment code's step is already spent
+  assert.equal(await twoFactorService.verify(user, { code: codeAt(secret, now) }), false);
+
+  now += 30 * 1000;
+  const code = codeAt(secret, now);
+  assert.equal(await twoFactorService.verify(user, { code }), true);
+  assert.equal(await twoFactorService.verify(user, { code }), false);
+
+  // Still inside the drift window, but an older step than the last one used
+  now += 30 * 1000;
+  assert.equal(await twoFactorService.verify(user, { code }), false);
+  assert.equal(await twoFactorService.verify(user, { code: codeAt(secret, now) }), true);
+});
+
+test('codes from outside the drift window are rejected', async () => {
+  const { user, secret } = await enrolledUser();
+
+  assert.equal(await twoFactorService.verify(user, { code: codeAt(secret, now + 2 * 60 * 1000) }), false);
+  assert.equal(await twoFactorService.verify(user, { code: '000000' }), false);
+});
+
+test('recovery codes are burned on use', async () => {
+  const { user, recoveryCodes } = await enrolledUser();
+  const [first, second] = recoveryCodes;
+
+  assert.equal(await twoFactorService.verify(user, { recoveryCode: first }), true);
+  assert.equal(await twoFactorService.verify(user, { recoveryCode: first }), false);
+
+  // Typed in upper case without the dash
+  assert.equal(await twoFactorService.verify(user, { recoveryCode: second.replace('-', '').toUpperCase() }), true);
+  assert.equal(await twoFactorService.verify(user, { recoveryCode: 'fffff-fffff' }), false);
+
+  const reloaded = await twoFactorService.loadUser(user._id);
+  assert.equal(twoFactorService.getStatus(reloaded).recoveryCodesRemaining, 8);
+});
+
+test('regenerating recovery codes replaces the old ones', async () => {
+  const { user, recoveryCodes } = await enrolledUser();
+  const fresh = await twoFactorService.regenerateRecoveryCodes(user);
+
+  assert.equal(await twoFactorService.verify(user, { recoveryCode: recoveryCodes[0] }), false);
+  assert.equal(await twoFactorService.verify(user, { recoveryCode: fresh[0] }), true);
+});
+
+test('login challenges expire with the injected clock', async () => {
+  const { user } = await enrolledUser();
+  const { challengeToken } = twoFactorService.issueChallenge(user);
+
+  assert.equal(twoFactorService.readChallenge(challengeToken), user._id.toString());
+
+  now += 6 * 60 * 1000;
+  assert.equal(twoFactorService.readChallenge(challengeToken), null);
+});
@@ -0,0 +1,96 @@
+// Roles and the permissions they grant. Platform roles live on User.role;
+// group roles live on Group.members[].role. Both are resolved by `can`, so a
+// route asks for a permission instead of checking role names.
+
+const GROUP_MEMBER = [
+  'group:post',
+  'group:comment',
+  'group:react',
+  'group:join_challenge'
+];
+
+const GROUP_MODERATOR = [
+  ...GROUP_MEMBER,
+  'group:post_restricted',
+  'group:pin_post',
+  'group:delete_any_post',
+  'group:delete_any_comment',
+  'group:review_requests',
+  'group:manage_invitations',
+  'group:create_challenge'
+];
+
+const GROUP_ADMIN = [
+  ...GROUP_MODERATOR,
+  'group:manage_roles'
+];
+
+const groupRoles = {
+  member: GROUP_MEMBER,
+  moderator: GROUP_MODERATOR,
+  admin: GROUP_ADMIN
+};
+
+// `permissions` apply everywhere; `groupPermissions` only in groups the user
+// is an active member of
+const platformRoles = {
+  user: {
+    permissions: [],
+    groupPermissions: []
+  },
+  coach: {
+    permissions: [],
+    groupPermissions: ['group:create_challenge', 'group:pin_post', 'group:post_restricted']
+  },
+  moderator: {
+    permissions: [
+      'safety:review',
+      'moderation:review',
+      'group:pin_post',
+      'group:delete_any_post',
+      'group:delete_any_comment'
+    ],
+    groupPermissions: []
+  },
+  admin: {
+    permissions: ['*'],
+    groupPermissions: []
+  }
+};
+
+const PLATFORM_ROLES = Object.keys(platformRoles);
+const GROUP_ROLES = Object.keys(groupRoles);
+
+const roleGrants = (permissions, permission) =>
+  permissions.includes('*') || permissions.includes(permission);
+
+// Whether the user holds a permission, optionally in the context of a group
+const can = (user, permission, { group } = {}) => {
+  if (!user) return false;
+
+  const platformRole = platformRoles[user.role] || platformRoles.user;
+  if (roleGrants(platformRole.permissions, permission)) return true;
+
+  if (!group) return false;
+
+  const member = group.members.find(m =>
+    m.userId.toString() === user._id.toString() && m.isActive
+  );
+  if (!member) return false;
+
+  return roleGrants(platformRole.groupPermissions, permission) ||
+    roleGrants(groupRoles[member.role] || [], permission);
+};
+
+// Permissions a user holds outside any group, for clients to adapt the UI
+const platformPermissions = (user) => {
+  const platformRole = platformRoles[user.role] || platformRoles.user;
+  return platformRole.permissions;
+};
+
+module.exports = {
+  PLATFORM_ROLES,
+  GROUP_ROLES,
+  can,
+  platformPermissions
+};
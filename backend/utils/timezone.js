@@ -0,0 +1,127 @@
+// Timezone helpers built on Intl so we don't need a date library.
+// Calendar dates are passed around as 'YYYY-MM-DD' keys.
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Fall back to UTC for missing or unknown zones
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : 'UTC');
+
+// Wall-clock parts of an instant in the given zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(resolveTimeZone(timeZone)).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: weekdays[parts.weekday]
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar date of an instant, e.g. '2024-03-09'
+const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return { year, month, day };
+};
+
+// Calendar arithmetic on date keys (no timezone involved)
+const addDays = (dateKey, days) => {
+  const { year, month, day } = parseDateKey(dateKey);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().split('T')[0];
+};
+
+const diffDays = (fromKey, toKey) => {
+  const from = parseDateKey(fromKey);
+  const to = parseDateKey(toKey);
+  return Math.round(
+    (Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / 86400000
+  );
+};
+
+const weekdayOf = (dateKey) => {
+  const { year, month, day } = parseDateKey(dateKey);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Instant at which the wall clock in timeZone reads dateKey hour:minute.
+// Wall-clock times skipped by a DST jump resolve to an adjacent valid instant.
+const zonedTimeToUtc = (dateKey, hour, minute, timeZone) => {
+  const zone = resolveTimeZone(timeZone);
+  const { year, month, day } = parseDateKey(dateKey);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the wall-clock time, then correct once for DST
+  let guess = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(guess, zone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    guess = wallClock - (asUtc - guess);
+  }
+
+  return new Date(guess);
+};
+
+// Start of the local calendar day as an instant
+const startOfDay = (dateKey, timeZone) => zonedTimeToUtc(dateKey, 0, 0, timeZone);
+
+// 'HH:mm' -> { hour, minute }, or null if malformed
+const parseTimeOfDay = (value) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? { hour: parseInt(match[1]), minute: parseInt(match[2]) } : null;
+};
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  toDateKey,
+  addDays,
+  diffDays,
+  weekdayOf,
+  zonedTimeToUtc,
+  startOfDay,
+  parseTimeOfDay
+};
@@ -5,7 +5,7 @@ import { motion } from 'framer-motion';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/components/providers/AuthProvider';
 import { Button } from '@/components/ui/Button';
-import { Eye, EyeOff, Mail, Lock, Heart } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, Heart, ShieldCheck } from 'lucide-react';
 import Link from 'next/link';
 
 export default function LoginPage() {
@@ -14,8 +14,10 @@ export default function LoginPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState('');
   
-  const { login, isAuthenticated } = useAuth();
+  const { login, verifyTwoFactor, isAuthenticated } = useAuth();
   const router = useRouter();
 
   useEffect(() => {
@@ -30,7 +32,14 @@ export default function LoginPage() {
     setIsLoading(true);
 
     try {
-      await login(email, password);
+      if (challengeToken) {
+        await verifyTwoFactor(challengeToken, code);
+      } else {
+        const result = await login(email, password);
+        if (result.twoFactorRequired && result.challengeToken) {
+          setChallengeToken(result.challengeToken);
+        }
+      }
     } catch (err: any) {
       setError(err.message || 'Login failed. Please try again.');
     } finally {
@@ -75,6 +84,29 @@ export default function LoginPage() {
           className="card-glass p-8 rounded-2xl"
         >
           <form onSubmit={handleSubmit} className="space-y-6">
+            {challengeToken ? (
+            /* Two-factor Code Field */
+            <div>
+              <label className="form-label">Authentication code</label>
+              <div className="relative">
+                <ShieldCheck className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="form-input pl-10"
+                  placeholder="6-digit code or recovery code"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Enter the code from your authenticator app, or one of your recovery codes.
+              </p>
+            </div>
+            ) : (
+            <>
             {/* Email Field */}
             <div>
               <label className="form-label">Email</label>
@@ -113,6 +145,8 @@ export default function LoginPage() {
                 </button>
               </div>
             </div>
+            </>
+            )}
 
             {/* Error Message */}
             {error && (
@@ -133,7 +167,7 @@ export default function LoginPage() {
               isLoading={isLoading}
               disabled={isLoading}
             >
-              {isLoading ? 'Signing In...' : 'Sign In'}
+              {isLoading ? 'Signing In...' : challengeToken ? 'Verify' : 'Sign In'}
             </Button>
 
             {/* Forgot Password */}
@@ -8,6 +8,9 @@ interface User {
   _id: string;
   username: string;
   email: string;
+  emailVerified?: boolean;
+  role?: 'user' | 'moderator' | 'admin' | 'coach';
+  permissions?: string[];
   profile: {
     firstName?: string;
     lastName?: string;
@@ -30,7 +33,8 @@ interface User {
 interface AuthContextType {
   user: User | null;
   token: string | null;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  verifyTwoFactor: (challengeToken: string, code: string) => Promise<void>;
   register: (userData: any) => Promise<void>;
   logout: () => void;
   updateUser: (userData: Partial<User>) => void;
@@ -38,6 +42,29 @@ interface AuthContextType {
   isAuthenticated: boolean;
 }
 
+interface LoginResult {
+  twoFactorRequired?: boolean;
+  challengeToken?: string;
+}
+
+// Returned by login, 2FA verification and registration
+interface SessionResponse {
+  token: string;
+  refreshToken: string;
+  user: User;
+}
+
+// Returned by login instead of a session when the account has 2FA on
+interface TwoFactorChallengeResponse {
+  twoFactorRequired: true;
+  challengeToken: string;
+  expiresAt: string;
+}
+
+type LoginResponse = SessionResponse | TwoFactorChallengeResponse;
+
+type RefreshResponse = Pick<SessionResponse, 'token' | 'refreshToken'>;
+
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 // Configure axios defaults
@@ -71,8 +98,9 @@ export function AuthProvider({ children }: { children: ReactNode }) {
             const response = await axios.get('/auth/me');
             setUser(response.data.user);
           } catch (error) {
-            // Token is invalid, clear auth state
+            // Session is no longer valid, clear auth state
             localStorage.removeItem('auth_token');
+            localStorage.removeItem('auth_refresh_token');
             localStorage.removeItem('auth_user');
             setToken(null);
             setUser(null);
@@ -89,24 +117,37 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     initializeAuth();
   }, []);
 
-  const login = async (email: string, password: string) => {
+  const startSession = (data: SessionResponse) => {
+    const { token: newToken, refreshToken, user: newUser } = data;
+
+    setToken(newToken);
+    setUser(newUser);
+
+    // Store in localStorage
+    localStorage.setItem('auth_token', newToken);
+    localStorage.setItem('auth_refresh_token', refreshToken);
+    localStorage.setItem('auth_user', JSON.stringify(newUser));
+
+    // Set axios default header
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+  };
+
+  const login = async (email: string, password: string): Promise<LoginResult> => {
     try {
       setIsLoading(true);
-      const response = await axios.post('/auth/login', { email, password });
-      
-      const { token: newToken, user: newUser } = response.data;
-      
-      setToken(newToken);
-      setUser(newUser);
-      
-      // Store in localStorage
-      localStorage.setItem('auth_token', newToken);
-      localStorage.setItem('auth_user', JSON.stringify(newUser));
-      
-      // Set axios default header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
-      
+      const response = await axios.post<LoginResponse>('/auth/login', { email, password });
+
+      // Accounts with 2FA need a code before a session is started
+      if ('twoFactorRequired' in response.data) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+
+      startSession(response.data);
       router.push('/dashboard');
+      return {};
     } catch (error: any) {
       console.error('Login error:', error);
       throw new Error(error.response?.data?.message || 'Login failed');
@@ -115,23 +156,33 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  // Accepts either an authenticator code or a recovery code
+  const verifyTwoFactor = async (challengeToken: string, code: string) => {
+    try {
+      setIsLoading(true);
+      const isTotp = /^\d{6}$/.test(code.replace(/\s/g, ''));
+      const response = await axios.post<SessionResponse>('/auth/login/2fa', {
+        challengeToken,
+        ...(isTotp ? { code } : { recoveryCode: code }),
+      });
+
+      startSession(response.data);
+      router.push('/dashboard');
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      const message = axios.isAxiosError<{ message?: string }>(error) ? error.response?.data?.message : undefined;
+      throw new Error(message || 'Verification failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const register = async (userData: any) => {
     try {
       setIsLoading(true);
-      const response = await axios.post('/auth/register', userData);
-      
-      const { token: newToken, user: newUser } = response.data;
-      
-      setToken(newToken);
-      setUser(newUser);
-      
-      // Store in localStorage
-      localStorage.setItem('auth_token', newToken);
-      localStorage.setItem('auth_user', JSON.stringify(newUser));
-      
-      // Set axios default header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+      const response = await axios.post<SessionResponse>('/auth/register', userData);
       
+      startSession(response.data);
       router.push('/onboarding');
     } catch (error: any) {
       console.error('Registration error:', error);
@@ -142,11 +193,15 @@ export function AuthProvider({ children }: { children: ReactNode }) {
   };
 
   const logout = () => {
+    // End the session on the server; the local state is cleared either way
+    axios.post('/auth/logout').catch(() => {});
+
     setUser(null);
     setToken(null);
     
     // Clear localStorage
     localStorage.removeItem('auth_token');
+    localStorage.removeItem('auth_refresh_token');
     localStorage.removeItem('auth_user');
     
     // Remove axios default header
@@ -167,6 +222,7 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     user,
     token,
     login,
+    verifyTwoFactor,
     register,
     logout,
     updateUser,
@@ -189,16 +245,55 @@ export function useAuth() {
   return context;
 }
 
-// Axios interceptor to handle token expiration
+// Shared so concurrent 401s wait for a single refresh
+let refreshRequest: Promise<string> | null = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('auth_refresh_token');
+
+    refreshRequest = (refreshToken
+      ? axios.post<RefreshResponse>('/auth/refresh', { refreshToken }).then((response) => {
+          const { token: newToken, refreshToken: newRefreshToken } = response.data;
+
+          localStorage.setItem('auth_token', newToken);
+          localStorage.setItem('auth_refresh_token', newRefreshToken);
+          axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+
+          return newToken;
+        })
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      refreshRequest = null;
+    });
+  }
+
+  return refreshRequest;
+};
+
+// Axios interceptor to refresh expired access tokens
 axios.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('auth_token');
-      localStorage.removeItem('auth_user');
-      delete axios.defaults.headers.common['Authorization'];
-      window.location.href = '/login';
+  async (error) => {
+    const request = error.config;
+    const isAuthRequest = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout']
+      .some((path) => request?.url?.endsWith(path));
+
+    if (error.response?.status === 401 && request && !request._retried && !isAuthRequest) {
+      request._retried = true;
+
+      try {
+        const newToken = await refreshAccessToken();
+        request.headers['Authorization'] = `Bearer ${newToken}`;
+        return axios(request);
+      } catch {
+        // Session ended or was revoked
+        localStorage.removeItem('auth_token');
+        localStorage.removeItem('auth_refresh_token');
+        localStorage.removeItem('auth_user');
+        delete axios.defaults.headers.common['Authorization'];
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
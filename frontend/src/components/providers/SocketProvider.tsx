@@ -27,19 +27,16 @@ export function SocketProvider({ children }: { children: ReactNode }) {
     if (isAuthenticated && token && user) {
       // Initialize socket connection
       const newSocket = io(SOCKET_URL, {
-        auth: {
-          token,
-        },
+        // Read the token on every (re)connect so refreshed tokens are used
+        auth: (cb) => cb({ token: localStorage.getItem('auth_token') || token }),
         transports: ['websocket', 'polling'],
       });
 
       // Connection event handlers
       newSocket.on('connect', () => {
         console.log('Socket connected:', newSocket.id);
+        // The server joins the user's personal and group rooms on connect
         setIsConnected(true);
-        
-        // Join user's personal room
-        newSocket.emit('join-room', user._id);
       });
 
       newSocket.on('disconnect', (reason) => {
@@ -56,7 +53,7 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       newSocket.on('new-affirmation', (data) => {
         console.log('New affirmation received:', data);
         // Handle new affirmation notification
-        showNotification('New affirmation shared!', data.content);
+        showNotification(data.title, data.body);
       });
 
       newSocket.on('challenge-progress', (data) => {
@@ -83,6 +80,39 @@ export function SocketProvider({ children }: { children: ReactNode }) {
         showNotification('Group Invitation', `You've been invited to join ${data.groupName}`);
       });
 
+      newSocket.on('achievement-unlocked', (data) => {
+        console.log('Achievement unlocked:', data);
+        showNotification('Achievement Unlocked!', data.description);
+      });
+
+      newSocket.on('activity-reminder', (data) => {
+        console.log('Activity reminder:', data);
+        showNotification(data.title, data.body);
+      });
+
+      newSocket.on('daily-reminder', (data) => {
+        console.log('Daily reminder:', data);
+        showNotification(data.title, data.body);
+      });
+
+      // Other notification-center events carry a ready-made title and body
+      [
+        'friend-accepted',
+        'activity-comment',
+        'activity-shared',
+        'challenge-completed',
+        'challenge-results',
+        'group-comment',
+        'group-invitation-response',
+        'group-join-request',
+        'group-join-response',
+      ].forEach((event) => {
+        newSocket.on(event, (data) => {
+          console.log(`Notification (${event}):`, data);
+          showNotification(data.title, data.body);
+        });
+      });
+
       setSocket(newSocket);
 
       // Cleanup on unmount